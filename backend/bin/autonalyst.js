@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * autonalyst command-line entry point
+ * Scans files, directories and URLs without the server; see --help
+ */
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+import { runCli } from '../utils/cli.js';
+
+dotenv.config();
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+process.exitCode = await runCli(process.argv.slice(2), { version });
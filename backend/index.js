@@ -9,6 +9,18 @@ import dotenv from 'dotenv';
 
 import codeRouter from './routes/code.js';
 import linkRouter from './routes/link.js';
+import jobsRouter from './routes/jobs.js';
+import diffRouter from './routes/diff.js';
+import reportRouter from './routes/report.js';
+import analysesRouter from './routes/analyses.js';
+import suppressionsRouter from './routes/suppressions.js';
+import adminRouter from './routes/admin.js';
+import { getProvider } from './utils/providers.js';
+import { openStorage } from './utils/storage.js';
+import { getCache } from './utils/cache.js';
+import { createClientIdentifier, createAdminGuard } from './utils/clients.js';
+import { CODE_FILE_PATTERN, getArchiveLimits, isArchive } from './utils/archive.js';
+import { isConfigFile } from './utils/config.js';
 
 // ES Module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -26,7 +38,8 @@ app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
         ? ['http://localhost:4173', 'http://localhost:5173'] 
         : true,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Autonalyst-Conflicts', 'X-Autonalyst-Masked']
 }));
 
 // Rate limiting
@@ -48,6 +61,8 @@ const geminiLimiter = rateLimit({
     }
 });
 app.use('/analyze/code', geminiLimiter);
+app.use('/analyze/diff', geminiLimiter);
+app.post('/analyses/:id/fixes', geminiLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -66,16 +81,45 @@ const storage = multer.diskStorage({
     }
 });
 
+// Baselines (previous findings to leave out) and project configs
+// (.autonalystrc) can accompany either upload
+const BASELINE_FILE_PATTERN = /\.(json|sarif)$/i;
+const CONFIG_FILE_PATTERN = /\.(json|ya?ml)$/i;
+const uploadFields = [
+    { name: 'files', maxCount: 10 },
+    { name: 'baseline', maxCount: 1 },
+    { name: 'config', maxCount: 1 }
+];
+
+function filterBaseline(file, cb) {
+    if (BASELINE_FILE_PATTERN.test(file.originalname)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Baselines must be .json or .sarif files'));
+    }
+}
+
+function filterConfig(file, cb) {
+    if (isConfigFile(file.originalname) || CONFIG_FILE_PATTERN.test(file.originalname)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Configs must be .autonalystrc, .json or .yaml files'));
+    }
+}
+
 const upload = multer({ 
     storage,
     limits: {
-        fileSize: 5 * 1024 * 1024, // 5MB limit
-        files: 10 // Maximum 10 files
+        fileSize: getArchiveLimits().maxUploadBytes, // Archives; loose code files are capped at 5MB by the route
+        files: 12 // Maximum 10 files plus a baseline and a config
     },
     fileFilter: (req, file, cb) => {
-        // Allow common code file types
-        const allowedTypes = /\.(js|jsx|ts|tsx|py|java|cpp|c|h|cs|php|rb|go|rs|swift|kt|scala|r|m|sh|sql|html|css|scss|sass|less|json|xml|yml|yaml|md|txt)$/i;
-        if (allowedTypes.test(file.originalname)) {
+        if (file.fieldname === 'baseline') {
+            filterBaseline(file, cb);
+        } else if (file.fieldname === 'config') {
+            filterConfig(file, cb);
+        } else if (CODE_FILE_PATTERN.test(file.originalname) || isArchive(file.originalname)) {
+            // Allow common code file types and project archives
             cb(null, true);
         } else {
             cb(new Error('File type not supported for analysis'));
@@ -83,6 +127,26 @@ const upload = multer({
     }
 });
 
+// Patches for diff-only analysis
+const patchUpload = multer({
+    storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 12 // Maximum 10 files plus a baseline and a config
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'baseline') {
+            filterBaseline(file, cb);
+        } else if (file.fieldname === 'config') {
+            filterConfig(file, cb);
+        } else if (/\.(diff|patch)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .diff and .patch files are accepted'));
+        }
+    }
+});
+
 // Ensure upload directory exists
 import fs from 'fs/promises';
 try {
@@ -91,96 +155,24 @@ try {
     await fs.mkdir(path.join(__dirname, 'uploads'), { recursive: true });
 }
 
-// Routes
-app.use('/analyze/code', upload.array('files', 10), codeRouter);
-app.use('/analyze/link', linkRouter);
-
-// Combined report endpoint
-let analysisResults = {
-    code: null,
-    links: null
-};
+// Open the analysis database before accepting requests
+await openStorage();
 
-app.get('/report', (req, res) => {
-    try {
-        if (!analysisResults.code && !analysisResults.links) {
-            return res.status(404).json({
-                error: 'No analysis results available. Run code or link analysis first.'
-            });
-        }
+// Open the response cache and start its background eviction
+console.log(`💾 Response cache: ${getCache().backend}`);
 
-        // Calculate overall score
-        let totalIssues = 0;
-        let criticalCount = 0;
-        let highCount = 0;
-        let mediumCount = 0;
-        let lowCount = 0;
-
-        // Count code issues
-        if (analysisResults.code && analysisResults.code.files) {
-            Object.values(analysisResults.code.files).forEach(fileIssues => {
-                fileIssues.forEach(issue => {
-                    totalIssues++;
-                    switch (issue.severity) {
-                        case 'CRITICAL': criticalCount++; break;
-                        case 'HIGH': highCount++; break;
-                        case 'MEDIUM': mediumCount++; break;
-                        case 'LOW': lowCount++; break;
-                    }
-                });
-            });
-        }
-
-        // Calculate grade based on severity distribution
-        let score = 'A';
-        if (criticalCount > 0) score = 'D';
-        else if (highCount > 2) score = 'C';
-        else if (mediumCount > 5) score = 'B';
-
-        const combinedReport = {
-            timestamp: new Date().toISOString(),
-            summary: {
-                score,
-                totalIssues,
-                counts: {
-                    CRITICAL: criticalCount,
-                    HIGH: highCount,
-                    MEDIUM: mediumCount,
-                    LOW: lowCount
-                }
-            },
-            files: analysisResults.code?.files || {},
-            links: analysisResults.links?.results || {}
-        };
-
-        res.json(combinedReport);
-    } catch (error) {
-        console.error('Report generation error:', error);
-        res.status(500).json({ error: 'Failed to generate report' });
-    }
-});
+// Scope analyses, jobs and reports to the calling session or API key
+app.use(['/analyze', '/jobs', '/analyses', '/suppressions', '/report'], createClientIdentifier());
 
-// Store analysis results for combined report
-app.use((req, res, next) => {
-    const originalSend = res.send;
-    res.send = function(data) {
-        if (req.path === '/analyze/code' && res.statusCode === 200) {
-            try {
-                analysisResults.code = JSON.parse(data);
-            } catch (e) {
-                console.error('Failed to parse code analysis results');
-            }
-        } else if (req.path === '/analyze/link' && res.statusCode === 200) {
-            try {
-                analysisResults.links = JSON.parse(data);
-            } catch (e) {
-                console.error('Failed to parse link analysis results');
-            }
-        }
-        originalSend.call(this, data);
-    };
-    next();
-});
+// Routes
+app.use('/analyze/code', upload.fields(uploadFields), codeRouter);
+app.use('/analyze/diff', patchUpload.fields(uploadFields), diffRouter);
+app.use('/analyze/link', linkRouter);
+app.use('/jobs', jobsRouter);
+app.use('/analyses', analysesRouter);
+app.use('/suppressions', suppressionsRouter);
+app.use('/report', reportRouter);
+app.use('/admin', createAdminGuard(), adminRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -197,11 +189,14 @@ app.use((error, req, res, next) => {
 
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: 'File too large. Maximum size is 5MB.' });
+            return res.status(400).json({ error: `File too large. Maximum size is 5MB per code file and ${Math.round(getArchiveLimits().maxUploadBytes / 1024 / 1024)}MB per archive.` });
         }
-        if (error.code === 'LIMIT_FILE_COUNT') {
+        if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'files')) {
             return res.status(400).json({ error: 'Too many files. Maximum is 10 files.' });
         }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: `Unexpected upload field "${error.field}". Use "files" and an optional "baseline" and "config".` });
+        }
     }
 
     res.status(500).json({ 
@@ -221,9 +216,15 @@ app.listen(PORT, () => {
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
     console.log(`🔍 API docs: See README.md for endpoint usage`);
 
-    if (!process.env.GEMINI_API_KEY) {
-        console.warn('⚠️  GEMINI_API_KEY not set. Code analysis will fail.');
-        console.warn('   Set your API key in .env file');
+    try {
+        const provider = getProvider();
+        console.log(`🤖 LLM provider: ${provider.name} (${provider.model})`);
+        if (!provider.isConfigured()) {
+            console.warn(`⚠️  ${provider.name} provider is not configured. Code analysis will run the rule engine only.`);
+            console.warn('   Set LLM_API_KEY (or GEMINI_API_KEY) / LLM_BASE_URL in .env file');
+        }
+    } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
     }
 });
 
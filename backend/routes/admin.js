@@ -0,0 +1,48 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+
+import { getCacheStats, cleanCache } from '../utils/gemini.js';
+
+const router = express.Router();
+
+/**
+ * GET /admin/cache
+ * Response cache backend, size, limits, hit counters and entries per
+ * provider/model
+ */
+router.get('/cache', async (req, res) => {
+    try {
+        res.json(await getCacheStats());
+    } catch (error) {
+        console.error('Cache stats error:', error);
+        res.status(500).json({ error: 'Failed to read cache statistics' });
+    }
+});
+
+/**
+ * DELETE /admin/cache?all=true
+ * Removes expired and least recently used entries beyond the cache limits,
+ * or every entry with `all=true`
+ */
+router.delete('/cache', [
+    query('all')
+        .optional()
+        .isBoolean()
+        .withMessage('all must be true or false')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const removed = await cleanCache({ all: req.query.all === true });
+        res.json({ removed, cache: await getCacheStats() });
+    } catch (error) {
+        console.error('Cache cleanup error:', error);
+        res.status(500).json({ error: 'Failed to clean cache' });
+    }
+});
+
+export default router;
@@ -0,0 +1,250 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+
+import {
+    ANALYSIS_KINDS,
+    listAnalyses,
+    getAnalysis,
+    deleteAnalysis,
+    getAnalysisSource,
+    getAnalysisSourceMaskedLines,
+    saveFix,
+    listFixes
+} from '../utils/storage.js';
+import { getJob, cancelJob } from '../utils/jobs.js';
+import { createBaseline, findFinding } from '../utils/fingerprints.js';
+import { generateFix, validatePatch, combinePatches, FixError } from '../utils/fixes.js';
+
+const router = express.Router();
+
+const validateId = param('id')
+    .isUUID()
+    .withMessage('Analysis ID must be a UUID');
+
+const FINGERPRINT_PATTERN = /^[a-f0-9]{32}$/;
+
+// Optional comma-separated `fingerprint` list selecting fixes
+const validateFingerprints = query('fingerprint')
+    .optional()
+    .customSanitizer(value => [value].flat().flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))
+    .custom(values => values.every(value => FINGERPRINT_PATTERN.test(value)))
+    .withMessage('fingerprint must be a list of finding fingerprints');
+
+function getCodeAnalysis(req) {
+    const analysis = getAnalysis(req.params.id, { clientId: req.client.id });
+    return analysis?.kind === 'code' ? analysis : null;
+}
+
+/**
+ * GET /analyses?kind=code|links&status=<status>&limit=20&offset=0
+ * The caller's stored analyses, newest first, without their findings
+ */
+router.get('/', [
+    query('kind')
+        .optional()
+        .isIn(ANALYSIS_KINDS)
+        .withMessage(`kind must be one of: ${ANALYSIS_KINDS.join(', ')}`),
+    query('status')
+        .optional()
+        .isIn(['running', 'completed', 'failed', 'cancelled', 'interrupted'])
+        .withMessage('Unknown status'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('limit must be between 1 and 100')
+        .toInt(),
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('offset must be a non-negative integer')
+        .toInt()
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind, status, limit, offset } = req.query;
+    res.json(listAnalyses({ clientId: req.client.id, kind, status, limit, offset }));
+});
+
+/**
+ * GET /analyses/:id
+ * A stored analysis with its inputs metadata and results
+ */
+router.get('/:id', validateId, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const analysis = getAnalysis(req.params.id, { clientId: req.client.id });
+    if (!analysis) {
+        return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    res.json(analysis);
+});
+
+/**
+ * GET /analyses/:id/baseline
+ * Fingerprints of a code analysis' findings, to upload with later analyses
+ * so that only new findings are reported
+ */
+router.get('/:id/baseline', validateId, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const analysis = getAnalysis(req.params.id, { clientId: req.client.id });
+    if (!analysis || analysis.kind !== 'code') {
+        return res.status(404).json({ error: 'Code analysis not found' });
+    }
+
+    res.attachment(`autonalyst-baseline-${analysis.id}.json`);
+    res.json(createBaseline(analysis));
+});
+
+/**
+ * POST /analyses/:id/fixes
+ * Asks the model for a minimal fix of one finding (by `fingerprint`) as a
+ * unified diff against the analyzed file, checks that it applies cleanly and
+ * keeps it for the combined patch. A fix generated before is returned
+ * unless `refresh` is true. Responds with `{ fingerprint, file, patch, hunks }`.
+ */
+router.post('/:id/fixes', [
+    validateId,
+    body('fingerprint')
+        .isString()
+        .matches(FINGERPRINT_PATTERN)
+        .withMessage('fingerprint must be a finding fingerprint'),
+    body('refresh')
+        .optional()
+        .isBoolean()
+        .withMessage('refresh must be a boolean')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const analysis = getCodeAnalysis(req);
+        if (!analysis) {
+            return res.status(404).json({ error: 'Code analysis not found' });
+        }
+        const { fingerprint, refresh } = req.body;
+        const match = findFinding(analysis.results, fingerprint);
+        if (!match) {
+            return res.status(404).json({ error: 'Finding not found in analysis' });
+        }
+        const content = getAnalysisSource(analysis.id, match.file);
+        if (content === null) {
+            return res.status(409).json({ error: `The analyzed content of ${match.file} is not available for fixes` });
+        }
+
+        const maskedLines = getAnalysisSourceMaskedLines(analysis.id, match.file);
+
+        const [stored] = refresh ? [] : listFixes(analysis.id, [fingerprint]);
+        if (stored) {
+            const { patch, hunks } = validatePatch(match.file, content, stored.patch, maskedLines);
+            return res.json({ fingerprint, file: match.file, patch, hunks });
+        }
+
+        const { patch, hunks } = await generateFix({ file: match.file, content, finding: match.finding, maskedLines });
+        saveFix({ analysisId: analysis.id, fingerprint, file: match.file, patch });
+        console.log(`🩹 Generated fix for ${match.file}:${match.finding.line}`);
+        res.status(201).json({ fingerprint, file: match.file, patch, hunks });
+
+    } catch (error) {
+        if (error instanceof FixError) {
+            return res.status(422).json({ error: 'Could not generate a fix', message: error.message });
+        }
+        console.error('Fix generation error:', error);
+        res.status(502).json({ error: 'Failed to generate fix', message: error.message });
+    }
+});
+
+/**
+ * GET /analyses/:id/fixes?fingerprint=<fp>[,<fp>]
+ * The fixes generated for an analysis' findings
+ */
+router.get('/:id/fixes', [validateId, validateFingerprints], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const analysis = getCodeAnalysis(req);
+    if (!analysis) {
+        return res.status(404).json({ error: 'Code analysis not found' });
+    }
+
+    res.json({ fixes: listFixes(analysis.id, req.query.fingerprint || null) });
+});
+
+/**
+ * GET /analyses/:id/fixes/patch?fingerprint=<fp>[,<fp>]
+ * One patch combining the generated fixes (all, or the given findings'),
+ * with a diff per file. Fixes that conflict with an earlier fix of the same
+ * file are left out and listed in the X-Autonalyst-Conflicts header, those
+ * touching lines with masked secrets in the X-Autonalyst-Masked header.
+ */
+router.get('/:id/fixes/patch', [validateId, validateFingerprints], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const analysis = getCodeAnalysis(req);
+    if (!analysis) {
+        return res.status(404).json({ error: 'Code analysis not found' });
+    }
+    const fixes = listFixes(analysis.id, req.query.fingerprint || null);
+    if (!fixes.length) {
+        return res.status(404).json({ error: 'No fixes generated for these findings' });
+    }
+
+    const { patch, conflicts, masked } = combinePatches(
+        fixes,
+        file => getAnalysisSource(analysis.id, file),
+        file => getAnalysisSourceMaskedLines(analysis.id, file)
+    );
+    if (conflicts.length) {
+        res.set('X-Autonalyst-Conflicts', conflicts.join(','));
+    }
+    if (masked.length) {
+        res.set('X-Autonalyst-Masked', masked.join(','));
+    }
+    res.attachment(`autonalyst-fixes-${analysis.id}.patch`);
+    res.type('text/x-diff');
+    res.send(patch);
+});
+
+/**
+ * DELETE /analyses/:id
+ * Removes a stored analysis and its findings, cancelling it if still running
+ */
+router.delete('/:id', validateId, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clientId = req.client.id;
+    const job = getJob(req.params.id, { clientId });
+    if (job) {
+        cancelJob(job);
+    }
+
+    if (!deleteAnalysis(req.params.id, { clientId })) {
+        return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    console.log(`🗑️  Deleted analysis ${req.params.id}`);
+    res.status(204).end();
+});
+
+export default router;
@@ -4,116 +4,226 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { analyzeChunk } from '../utils/gemini.js';
-import { chunkCode } from '../utils/chunker.js';
+import { getProvider } from '../utils/providers.js';
+import { analyzeFiles, createResults } from '../utils/analyzer.js';
+import { createJob, startJob, recordProgress } from '../utils/jobs.js';
+import { createAnalysis, finishAnalysis, listSuppressions } from '../utils/storage.js';
+import { createSuppressor, parseBaseline, BaselineError } from '../utils/fingerprints.js';
+import { isArchive, extractArchive, ArchiveError, MAX_CODE_FILE_BYTES } from '../utils/archive.js';
+import { loadConfigFile, ConfigError } from '../utils/config.js';
+import { redactSecrets, findMaskedLines, getSecretOptions } from '../utils/secrets.js';
+import { getProfile, getProfiles, listProfiles } from '../utils/profiles.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Create and start a code analysis job for a list of sources, owned by
+ * `clientId`. The job ID doubles as the ID of the stored analysis; `inputs`
+ * is extra metadata recorded with it. Findings suppressed by the client, or
+ * whose fingerprints are in `baseline`, are reported separately. `config` is
+ * the project config the analysis runs with, if any, and `profile` the name
+ * of the analysis profile (default: the config's, then the general profile).
+ * Sources are stored for fix patches with their secrets masked.
+ */
+export function startCodeAnalysisJob(sources, { clientId = null, mode = 'full', inputs = {}, baseline = null, config = null, profile: profileName = null } = {}) {
+    const provider = getProvider();
+    const profile = getProfile(profileName || config?.analysis.profile);
+    const job = createJob('code', sources.map(source => source.name), { clientId });
+    job.results = createResults(sources.length, provider.isConfigured() && (config?.analysis.ai ?? true), mode);
+    job.results.summary.profile = { name: profile.name, version: profile.version };
+    const suppress = createSuppressor({ suppressions: listSuppressions({ clientId }), baseline });
+    const secretOptions = getSecretOptions(config?.secrets);
+
+    createAnalysis({
+        id: job.id,
+        kind: 'code',
+        clientId,
+        createdAt: job.createdAt,
+        inputs: {
+            ...inputs,
+            mode,
+            files: sources.map(source => source.name),
+            baselineFingerprints: baseline ? baseline.size : null,
+            config,
+            profile: { name: profile.name, version: profile.version },
+            provider: provider.name,
+            model: provider.model
+        },
+        sources: sources.map(source => {
+            if (typeof source.content !== 'string') return source;
+            const content = redactSecrets(source.content, source.name, secretOptions);
+            return { ...source, content, maskedLines: findMaskedLines(source.content, content) };
+        })
+    });
+
+    startJob(job, async () => {
+        try {
+            const results = await analyzeFiles(sources, {
+                provider,
+                results: job.results,
+                suppress,
+                config: config || undefined,
+                profile: profile.name,
+                signal: job.controller.signal,
+                onProgress: (event) => recordProgress(job, event)
+            });
+            finishAnalysis(job.id, { status: 'completed', results });
+            return results;
+        } catch (error) {
+            // Keep partial results of cancelled and failed runs
+            const status = job.controller.signal.aborted ? 'cancelled' : 'failed';
+            finishAnalysis(job.id, { status, results: job.results, error: error.message });
+            throw error;
+        }
+    });
+
+    console.log(`📥 Queued ${mode} code analysis job ${job.id} for ${sources.length} files`);
+    return job;
+}
+
+/**
+ * Turn uploads into `{ name, content }` sources. Archives are expanded and
+ * their files keyed by path inside the archive (prefixed with the archive
+ * name only when two uploads would collide). Each archive is filtered by
+ * `config` when given, otherwise by its own .autonalystrc; the first config
+ * found is returned to run the analysis with.
+ */
+async function readUploads(files, config = null) {
+    const sources = [];
+    const names = new Set();
+    const skipped = {};
+    let projectConfig = config;
+    let configFile = null;
+
+    const addSource = (source, prefix) => {
+        const name = names.has(source.name) && prefix ? `${prefix}/${source.name}` : source.name;
+        names.add(name);
+        sources.push({ ...source, name });
+    };
+
+    for (const file of files) {
+        if (isArchive(file.originalname)) {
+            const extracted = await extractArchive(file.path, file.originalname, undefined, { config });
+            if (!projectConfig && extracted.config) {
+                projectConfig = extracted.config;
+                configFile = `${file.originalname}:${extracted.configFile}`;
+            }
+            extracted.files.forEach(entry => addSource({ name: entry.path, content: entry.content }, file.originalname));
+            Object.entries(extracted.skipped).forEach(([reason, count]) => {
+                skipped[reason] = (skipped[reason] || 0) + count;
+            });
+            continue;
+        }
+
+        if (file.size > MAX_CODE_FILE_BYTES) {
+            throw new ArchiveError(`${file.originalname} is too large. Maximum size is 5MB per code file.`);
+        }
+
+        try {
+            const content = await fs.readFile(file.path, 'utf-8');
+            addSource({ name: file.originalname, content });
+        } catch (error) {
+            addSource({ name: file.originalname, error });
+        }
+    }
+
+    return { sources, skipped, config: projectConfig, configFile };
+}
+
+/**
+ * Validation for the optional `profile` field
+ */
+export const profileValidator = body('profile')
+    .optional()
+    .isString()
+    .custom(name => getProfiles().has(name))
+    .withMessage(() => `profile must be one of: ${[...getProfiles().keys()].join(', ')}`);
+
+/**
+ * Read the fingerprints of an uploaded baseline file
+ */
+export async function readBaselineUpload(file) {
+    return parseBaseline(await fs.readFile(file.path, 'utf-8'));
+}
+
 /**
  * POST /analyze/code
- * Analyzes uploaded code files using Gemini AI
+ * Starts an analysis job for the uploaded `files` (loose code files and/or
+ * .zip/.tar.gz archives) and returns its ID immediately. An optional
+ * `baseline` file limits the reported findings to new ones, and an optional
+ * `config` file (.autonalystrc) configures the analysis. `profile` selects
+ * the analysis profile (see GET /analyze/code/profiles).
+ * Progress and results are available from GET /jobs/:id.
  */
-router.post('/', async (req, res) => {
+router.post('/', [profileValidator], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
+            await Promise.all(Object.values(req.files || {}).flat()
+                .map(file => fs.unlink(file.path).catch(console.error)));
             return res.status(400).json({ errors: errors.array() });
         }
 
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'No files uploaded' });
-        }
-
-        console.log(`📁 Processing ${req.files.length} files for analysis`);
+        const uploads = req.files?.files || [];
+        const baselineFile = req.files?.baseline?.[0];
+        const configUpload = req.files?.config?.[0];
 
-        const results = {
-            files: {},
-            summary: {
-                totalFiles: req.files.length,
-                totalIssues: 0,
-                counts: { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 }
+        // Read uploads up front so the temporary files can be removed
+        let sources;
+        let skipped;
+        let config;
+        let configFile;
+        let baseline = null;
+        try {
+            if (uploads.length === 0) {
+                return res.status(400).json({ error: 'No files uploaded' });
             }
-        };
-
-        // Process each uploaded file
-        for (const file of req.files) {
-            try {
-                console.log(`🔍 Analyzing ${file.originalname}...`);
-
-                // Read file content
-                const fileContent = await fs.readFile(file.path, 'utf-8');
-
-                // Clean up uploaded file
-                await fs.unlink(file.path).catch(console.error);
-
-                // Skip empty files
-                if (!fileContent.trim()) {
-                    results.files[file.originalname] = [];
-                    continue;
-                }
-
-                // Chunk the code for analysis
-                const chunks = chunkCode(fileContent, file.originalname);
-                console.log(`📄 Split ${file.originalname} into ${chunks.length} chunks`);
-
-                const fileIssues = [];
-
-                // Analyze each chunk
-                for (let i = 0; i < chunks.length; i++) {
-                    const chunk = chunks[i];
-                    console.log(`🤖 Analyzing chunk ${i + 1}/${chunks.length} of ${file.originalname}`);
-
-                    try {
-                        const chunkIssues = await analyzeChunk(chunk);
-
-                        // Adjust line numbers based on chunk offset
-                        const adjustedIssues = chunkIssues.map(issue => ({
-                            ...issue,
-                            line: issue.line + chunk.startLine
-                        }));
-
-                        fileIssues.push(...adjustedIssues);
-
-                        // Update summary counts
-                        adjustedIssues.forEach(issue => {
-                            results.summary.totalIssues++;
-                            if (results.summary.counts[issue.severity] !== undefined) {
-                                results.summary.counts[issue.severity]++;
-                            }
-                        });
-
-                    } catch (chunkError) {
-                        console.error(`Error analyzing chunk ${i + 1}:`, chunkError);
-                        // Continue with other chunks even if one fails
-                        fileIssues.push({
-                            severity: 'HIGH',
-                            line: chunk.startLine,
-                            issue: 'Analysis failed for this section',
-                            recommendation: 'Manual review recommended'
-                        });
-                    }
-                }
-
-                results.files[file.originalname] = fileIssues;
-                console.log(`✅ Found ${fileIssues.length} issues in ${file.originalname}`);
-
-            } catch (fileError) {
-                console.error(`Error processing file ${file.originalname}:`, fileError);
-                results.files[file.originalname] = [{
-                    severity: 'HIGH',
-                    line: 1,
-                    issue: 'File processing failed',
-                    recommendation: 'Check file format and encoding'
-                }];
+            if (baselineFile) {
+                baseline = await readBaselineUpload(baselineFile);
             }
+            const uploadedConfig = configUpload ? await loadConfigFile(configUpload.path, configUpload.originalname) : null;
+            ({ sources, skipped, config, configFile } = await readUploads(uploads, uploadedConfig));
+            configFile = configUpload ? configUpload.originalname : configFile;
+        } finally {
+            await Promise.all([...uploads, baselineFile, configUpload].filter(Boolean)
+                .map(file => fs.unlink(file.path).catch(console.error)));
         }
 
-        console.log(`🎯 Analysis complete: ${results.summary.totalIssues} total issues found`);
-        res.json(results);
+        if (sources.length === 0) {
+            return res.status(400).json({ error: 'No code files found in upload', skipped });
+        }
+
+        const job = startCodeAnalysisJob(sources, {
+            clientId: req.client.id,
+            baseline,
+            config,
+            profile: req.body.profile,
+            inputs: { uploads: uploads.map(file => ({ name: file.originalname, size: file.size })), skipped, configFile }
+        });
+
+        res.status(202).json({
+            jobId: job.id,
+            analysisId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`,
+            files: sources.length,
+            skipped,
+            configFile,
+            profile: job.results.summary.profile
+        });
 
     } catch (error) {
+        if (error instanceof ArchiveError) {
+            return res.status(400).json({ error: 'Invalid upload', message: error.message });
+        }
+        if (error instanceof BaselineError) {
+            return res.status(400).json({ error: 'Invalid baseline', message: error.message });
+        }
+        if (error instanceof ConfigError) {
+            return res.status(400).json({ error: 'Invalid config', message: error.message });
+        }
         console.error('Code analysis error:', error);
         res.status(500).json({ 
             error: 'Analysis failed', 
@@ -122,19 +232,41 @@ router.post('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /analyze/code/profiles
+ * Lists the analysis profiles that can be selected with `profile`
+ */
+router.get('/profiles', (req, res) => {
+    res.json({ profiles: listProfiles() });
+});
+
 /**
  * GET /analyze/code/health
  * Health check for code analysis service
  */
 router.get('/health', (req, res) => {
-    const hasGeminiKey = !!process.env.GEMINI_API_KEY;
+    try {
+        const provider = getProvider();
+        const configured = provider.isConfigured();
 
-    res.json({
-        service: 'code-analysis',
-        status: hasGeminiKey ? 'ready' : 'not-configured',
-        gemini_configured: hasGeminiKey,
-        timestamp: new Date().toISOString()
-    });
+        res.json({
+            service: 'code-analysis',
+            status: configured ? 'ready' : 'rules-only',
+            rules_enabled: true,
+            provider: provider.name,
+            model: provider.model,
+            provider_configured: configured,
+            circuit: provider.getCircuitState(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            service: 'code-analysis',
+            status: 'misconfigured',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
 });
 
 export default router;
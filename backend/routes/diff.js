@@ -0,0 +1,158 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import fs from 'fs/promises';
+
+import { parseUnifiedDiff, diffFilePair, toDiffSources, DiffError } from '../utils/diff.js';
+import { parseBaseline, BaselineError } from '../utils/fingerprints.js';
+import { loadConfigFile, validateConfig, createPathFilter, ConfigError } from '../utils/config.js';
+import { startCodeAnalysisJob, readBaselineUpload, profileValidator } from './code.js';
+
+const router = express.Router();
+
+/**
+ * Collect per-file changes from uploaded patches, a JSON `diff` string
+ * and/or JSON `pairs` of `{ path, old, new }`
+ */
+async function readChanges(req) {
+    const changes = [];
+
+    for (const file of req.files?.files || []) {
+        changes.push(...parseUnifiedDiff(await fs.readFile(file.path, 'utf-8')));
+    }
+
+    if (req.body?.diff) {
+        changes.push(...parseUnifiedDiff(req.body.diff));
+    }
+
+    for (const pair of req.body?.pairs || []) {
+        const change = diffFilePair(pair.path, pair.old, pair.new);
+        if (change) changes.push(change);
+    }
+
+    return changes;
+}
+
+/**
+ * Read the optional baseline: an uploaded `baseline` file or a JSON
+ * `baseline` document
+ */
+async function readBaseline(req) {
+    const file = req.files?.baseline?.[0];
+    if (file) {
+        return readBaselineUpload(file);
+    }
+    return req.body?.baseline ? parseBaseline(req.body.baseline) : null;
+}
+
+/**
+ * Read the optional project config: an uploaded `config` file or a JSON
+ * `config` object
+ */
+async function readConfig(req) {
+    const file = req.files?.config?.[0];
+    if (file) {
+        return loadConfigFile(file.path, file.originalname);
+    }
+    return req.body?.config ? validateConfig(req.body.config, 'config') : null;
+}
+
+/**
+ * POST /analyze/diff
+ * Starts an analysis job limited to changed lines. Accepts unified diffs
+ * (`.diff`/`.patch` uploads or a JSON `diff` string) or old/new file pairs,
+ * plus an optional baseline, project config and analysis `profile`. The
+ * config's include and exclude patterns apply to the changed file paths.
+ * Progress and results are available from GET /jobs/:id.
+ */
+router.post('/', [
+    body('diff')
+        .optional()
+        .isString()
+        .withMessage('diff must be a unified diff string'),
+    body('pairs')
+        .optional()
+        .isArray({ min: 1, max: 100 })
+        .withMessage('pairs must be an array with 1-100 items'),
+    body('pairs.*.path')
+        .isString()
+        .notEmpty()
+        .withMessage('Each pair needs a path'),
+    body('pairs.*.new')
+        .isString()
+        .withMessage('Each pair needs the new file content'),
+    body('pairs.*.old')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('old must be the previous file content'),
+    body('baseline')
+        .optional()
+        .isObject()
+        .withMessage('baseline must be a baseline, JSON report or SARIF document'),
+    body('config')
+        .optional()
+        .isObject()
+        .withMessage('config must be an .autonalystrc object'),
+    profileValidator
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const baseline = await readBaseline(req);
+        const config = await readConfig(req);
+        if (!req.files?.files?.length && !req.body?.diff && !req.body?.pairs) {
+            return res.status(400).json({ error: 'Provide a unified diff or old/new file pairs' });
+        }
+
+        const isIncluded = createPathFilter(config || {});
+        const changes = (await readChanges(req)).filter(change => isIncluded(change.name));
+        if (changes.length === 0) {
+            return res.status(400).json({ error: 'No added or modified lines to analyze' });
+        }
+
+        const sources = toDiffSources(changes);
+        const changedLines = changes.reduce((sum, change) => sum + change.changedLines.length, 0);
+        const job = startCodeAnalysisJob(sources, {
+            clientId: req.client.id,
+            baseline,
+            config,
+            profile: req.body.profile,
+            mode: 'diff',
+            inputs: { changedLines }
+        });
+
+        res.status(202).json({
+            jobId: job.id,
+            analysisId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`,
+            files: sources.length,
+            changedLines,
+            profile: job.results.summary.profile
+        });
+
+    } catch (error) {
+        if (error instanceof DiffError) {
+            return res.status(400).json({ error: 'Invalid diff', message: error.message });
+        }
+        if (error instanceof BaselineError) {
+            return res.status(400).json({ error: 'Invalid baseline', message: error.message });
+        }
+        if (error instanceof ConfigError) {
+            return res.status(400).json({ error: 'Invalid config', message: error.message });
+        }
+        console.error('Diff analysis error:', error);
+        res.status(500).json({
+            error: 'Analysis failed',
+            message: error.message
+        });
+    } finally {
+        // Uploads are read up front, so they can go whatever the outcome
+        await Promise.all(Object.values(req.files || {}).flat()
+            .map(file => fs.unlink(file.path).catch(console.error)));
+    }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import { getJob, cancelJob, serializeJob, subscribeToJob, isTerminal } from '../utils/jobs.js';
+
+const router = express.Router();
+
+/**
+ * GET /jobs/:id
+ * Returns job status, percent complete, per-file progress and (partial) results
+ */
+router.get('/:id', (req, res) => {
+    const job = getJob(req.params.id, { clientId: req.client.id });
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(serializeJob(job));
+});
+
+/**
+ * GET /jobs/:id/events
+ * Server-Sent Events stream of file-started, chunk-completed, finding-found,
+ * file-finished and job-finished events. Honors Last-Event-ID for reconnects.
+ */
+router.get('/:id/events', (req, res) => {
+    const job = getJob(req.params.id, { clientId: req.client.id });
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    let unsubscribe = () => {};
+
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+    unsubscribe = subscribeToJob(job, (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        if (event.type === 'job-finished') {
+            setImmediate(close);
+        }
+    }, lastEventId);
+
+    // Job may have finished before the client reconnected past its last event
+    if (isTerminal(job) && lastEventId >= job.events.length) {
+        close();
+    }
+
+    req.on('close', close);
+});
+
+/**
+ * DELETE /jobs/:id
+ * Cancels a queued or running job
+ */
+router.delete('/:id', (req, res) => {
+    const job = getJob(req.params.id, { clientId: req.client.id });
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!cancelJob(job)) {
+        return res.status(409).json({
+            error: `Job already ${job.status}`,
+            job: serializeJob(job)
+        });
+    }
+
+    console.log(`🛑 Cancelled job ${job.id}`);
+    res.json(serializeJob(job));
+});
+
+export default router;
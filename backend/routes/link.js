@@ -1,12 +1,16 @@
 import express from 'express';
+import crypto from 'crypto';
 import { body, validationResult } from 'express-validator';
 import { checkSSL } from '../utils/sslCheck.js';
+import { createAnalysis } from '../utils/storage.js';
+import { validateConfig, ConfigError } from '../utils/config.js';
 
 const router = express.Router();
 
 /**
  * POST /analyze/link  
- * Analyzes URLs for SSL certificate status and connectivity
+ * Analyzes URLs for SSL certificate status and connectivity. An optional
+ * `config` object (a project config) sets the check options.
  */
 router.post('/', [
     body('urls')
@@ -14,7 +18,11 @@ router.post('/', [
         .withMessage('URLs must be an array with 1-50 items'),
     body('urls.*')
         .isURL({ protocols: ['http', 'https'] })
-        .withMessage('Each URL must be a valid HTTP/HTTPS URL')
+        .withMessage('Each URL must be a valid HTTP/HTTPS URL'),
+    body('config')
+        .optional()
+        .isObject()
+        .withMessage('config must be an .autonalystrc object')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -23,6 +31,9 @@ router.post('/', [
         }
 
         const { urls } = req.body;
+        const config = validateConfig(req.body.config, 'config');
+        const { expiryWarningDays, ...checkOptions } = config.links;
+        const createdAt = new Date();
         console.log(`🔗 Analyzing ${urls.length} URLs`);
 
         const results = {};
@@ -31,14 +42,17 @@ router.post('/', [
             sslValid: 0,
             sslInvalid: 0,
             unreachable: 0,
-            redirects: 0
+            redirects: 0,
+            expiringSoon: 0
         };
 
         // Process each URL
         const promises = urls.map(async (url) => {
             try {
                 console.log(`🔍 Checking ${url}...`);
-                const result = await checkSSL(url);
+                const result = await checkSSL(url, checkOptions);
+                result.expiringSoon = result.daysUntilExpiry !== null && result.daysUntilExpiry !== undefined &&
+                    result.daysUntilExpiry >= 0 && result.daysUntilExpiry <= expiryWarningDays;
 
                 // Update summary counts
                 if (result.reachable) {
@@ -50,6 +64,9 @@ router.post('/', [
                     if (result.redirect) {
                         summary.redirects++;
                     }
+                    if (result.expiringSoon) {
+                        summary.expiringSoon++;
+                    }
                 } else {
                     summary.unreachable++;
                 }
@@ -78,13 +95,28 @@ router.post('/', [
 
         console.log(`🎯 Link analysis complete: ${summary.sslValid} valid SSL, ${summary.sslInvalid} invalid SSL, ${summary.unreachable} unreachable`);
 
-        res.json({
+        const response = {
+            analysisId: crypto.randomUUID(),
             results,
             summary,
             timestamp: new Date().toISOString()
+        };
+        createAnalysis({
+            id: response.analysisId,
+            kind: 'links',
+            clientId: req.client.id,
+            status: 'completed',
+            createdAt,
+            inputs: { urls, config: req.body.config ? config : undefined },
+            results: response
         });
 
+        res.json(response);
+
     } catch (error) {
+        if (error instanceof ConfigError) {
+            return res.status(400).json({ error: 'Invalid config', message: error.message });
+        }
         console.error('Link analysis error:', error);
         res.status(500).json({ 
             error: 'Link analysis failed', 
@@ -0,0 +1,194 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+
+import { getAnalysis, getLatestAnalysis } from '../utils/storage.js';
+import { toSarif } from '../utils/sarif.js';
+import { toCycloneDx } from '../utils/sbom.js';
+import {
+    GROUP_DIMENSIONS,
+    filterFindings,
+    groupFindings,
+    normalizeCategory,
+    normalizeCwe,
+    normalizeOwasp
+} from '../utils/classification.js';
+
+const router = express.Router();
+
+export const REPORT_FORMATS = ['json', 'sarif', 'cyclonedx'];
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+/**
+ * Finding filters accepted as comma-separated query parameters, with the
+ * normalization applied to each value (null marks an invalid value)
+ */
+const FINDING_FILTERS = {
+    category: normalizeCategory,
+    cwe: normalizeCwe,
+    owasp: normalizeOwasp,
+    severity: value => SEVERITIES.find(level => level === String(value).trim().toUpperCase()) || null
+};
+
+/**
+ * Build the combined report from a code and/or link analysis. `filters`
+ * narrows the code findings (see filterFindings) before anything is counted;
+ * `groupBy` adds finding groups for one classification dimension. The
+ * dependency license inventory of the code analysis (see licenses.js) is
+ * reported unfiltered in its own `licenses` section.
+ */
+export function buildReport({ code = null, links = null }, { filters = {}, groupBy = null } = {}) {
+    const counts = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+    const classification = { category: {}, cwe: {}, owasp: {} };
+    let totalIssues = 0;
+
+    const files = filterFindings(code?.results.files || {}, filters);
+    Object.values(files).forEach(fileIssues => {
+        fileIssues.forEach(issue => {
+            totalIssues++;
+            if (counts[issue.severity] !== undefined) counts[issue.severity]++;
+            Object.entries(classification).forEach(([dimension, tally]) => {
+                const key = issue[dimension] || 'unclassified';
+                tally[key] = (tally[key] || 0) + 1;
+            });
+        });
+    });
+    const suppressed = filterFindings(code?.results.suppressed || {}, filters);
+
+    // Calculate grade based on severity distribution
+    let score = 'A';
+    if (counts.CRITICAL > 0) score = 'D';
+    else if (counts.HIGH > 2) score = 'C';
+    else if (counts.MEDIUM > 5) score = 'B';
+
+    return {
+        timestamp: new Date().toISOString(),
+        analyses: {
+            code: code?.id || null,
+            links: links?.id || null
+        },
+        summary: {
+            score,
+            totalIssues,
+            counts,
+            classification,
+            suppressed: Object.values(suppressed).reduce((sum, findings) => sum + findings.length, 0)
+        },
+        filters,
+        ...(groupBy && { groupBy, groups: groupFindings(files, groupBy) }),
+        files,
+        suppressed,
+        licenses: code?.results.licenses || null,
+        links: links?.results.results || {}
+    };
+}
+
+/**
+ * Resolve the analyses a report is built from: the client's `analysis` IDs
+ * given (at most one code and one link analysis), or its latest completed ones
+ */
+function resolveAnalyses(ids, clientId) {
+    if (!ids.length) {
+        return {
+            code: getLatestAnalysis('code', { clientId }),
+            links: getLatestAnalysis('links', { clientId })
+        };
+    }
+
+    const selected = { code: null, links: null };
+    for (const id of ids) {
+        const analysis = getAnalysis(id, { clientId });
+        if (!analysis) {
+            return { missing: id };
+        }
+        if (selected[analysis.kind]) {
+            return { conflict: analysis.kind };
+        }
+        selected[analysis.kind] = analysis;
+    }
+    return selected;
+}
+
+/**
+ * Validator for a comma-separated finding filter
+ */
+function filterQuery(name) {
+    const normalize = FINDING_FILTERS[name];
+    return query(name)
+        .optional()
+        .customSanitizer(value => [value].flat().flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))
+        .custom(values => values.every(value => normalize(value)))
+        .withMessage(`Invalid ${name} filter`)
+        .customSanitizer(values => [...new Set(values.map(normalize))]);
+}
+
+/**
+ * GET /report?format=json|sarif|cyclonedx&analysis=<id>[,<id>]
+ *     &category=&cwe=&owasp=&severity=<value>[,<value>]&groupBy=<dimension>
+ * Combined report for the given stored analyses, or the caller's latest code
+ * and link analyses when none are given. Filters apply to the code findings.
+ * SARIF logs and CycloneDX SBOMs cover the code analysis only.
+ */
+router.get('/', [
+    query('format')
+        .optional()
+        .customSanitizer(value => String(value).toLowerCase())
+        .isIn(REPORT_FORMATS)
+        .withMessage(`Unsupported report format. Use one of: ${REPORT_FORMATS.join(', ')}`),
+    query('analysis')
+        .optional()
+        .customSanitizer(value => [value].flat().flatMap(id => String(id).split(',')).map(id => id.trim()).filter(Boolean)),
+    ...Object.keys(FINDING_FILTERS).map(filterQuery),
+    query('groupBy')
+        .optional()
+        .isIn(GROUP_DIMENSIONS)
+        .withMessage(`Unsupported groupBy. Use one of: ${GROUP_DIMENSIONS.join(', ')}`)
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const format = req.query.format || 'json';
+        const filters = Object.fromEntries(Object.keys(FINDING_FILTERS)
+            .filter(name => req.query[name]?.length)
+            .map(name => [name, req.query[name]]));
+        const { code, links, missing, conflict } = resolveAnalyses(req.query.analysis || [], req.client.id);
+
+        if (missing) {
+            return res.status(404).json({ error: `Analysis not found: ${missing}` });
+        }
+        if (conflict) {
+            return res.status(400).json({ error: `A report can include only one ${conflict} analysis` });
+        }
+        if (!code && !links) {
+            return res.status(404).json({
+                error: 'No analysis results available. Run code or link analysis first.'
+            });
+        }
+
+        if (format === 'sarif' || format === 'cyclonedx') {
+            if (!code) {
+                return res.status(404).json({ error: 'No code analysis results available. Run code analysis first.' });
+            }
+            const results = {
+                ...code.results,
+                files: filterFindings(code.results.files, filters),
+                suppressed: filterFindings(code.results.suppressed, filters)
+            };
+            if (format === 'cyclonedx') {
+                res.type('application/vnd.cyclonedx+json');
+                return res.send(JSON.stringify(toCycloneDx(results), null, 2));
+            }
+            res.type('application/sarif+json');
+            return res.send(JSON.stringify(toSarif(results), null, 2));
+        }
+
+        res.json(buildReport({ code, links }, { filters, groupBy: req.query.groupBy }));
+    } catch (error) {
+        console.error('Report generation error:', error);
+        res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
+
+export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+
+import { SUPPRESSION_STATUSES, findFinding } from '../utils/fingerprints.js';
+import { getFindingRuleId } from '../utils/sarif.js';
+import { getAnalysis, saveSuppression, listSuppressions, deleteSuppression } from '../utils/storage.js';
+
+const router = express.Router();
+
+/**
+ * GET /suppressions
+ * The caller's suppressed fingerprints
+ */
+router.get('/', (req, res) => {
+    res.json({ suppressions: listSuppressions({ clientId: req.client.id }) });
+});
+
+/**
+ * POST /suppressions
+ * Marks a finding (by fingerprint) as a false positive or accepted risk.
+ * Later analyses move matching findings to `suppressed`. With `analysisId`
+ * the file, rule and issue are copied from that analysis' finding.
+ */
+router.post('/', [
+    body('fingerprint')
+        .isString()
+        .matches(/^[a-f0-9]{32}$/)
+        .withMessage('fingerprint must be a finding fingerprint'),
+    body('status')
+        .isIn(SUPPRESSION_STATUSES)
+        .withMessage(`status must be one of: ${SUPPRESSION_STATUSES.join(', ')}`),
+    body('reason')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('A reason (up to 1000 characters) is required'),
+    body('analysisId')
+        .optional()
+        .isUUID()
+        .withMessage('analysisId must be a UUID')
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const clientId = req.client.id;
+        const { fingerprint, status, reason, analysisId } = req.body;
+        let details = {};
+
+        if (analysisId) {
+            const analysis = getAnalysis(analysisId, { clientId });
+            const match = analysis && findFinding(analysis.results, fingerprint);
+            if (!match) {
+                return res.status(404).json({ error: 'Finding not found in analysis' });
+            }
+            details = { file: match.file, ruleId: getFindingRuleId(match.finding), issue: match.finding.issue };
+        }
+
+        const suppression = saveSuppression({ clientId, fingerprint, status, reason, ...details });
+        console.log(`🙈 Suppressed ${fingerprint} as ${status}`);
+        res.status(201).json(suppression);
+
+    } catch (error) {
+        console.error('Suppression error:', error);
+        res.status(500).json({ error: 'Failed to save suppression', message: error.message });
+    }
+});
+
+/**
+ * DELETE /suppressions/:id
+ * Reports the fingerprint again in later analyses
+ */
+router.delete('/:id', param('id').isUUID().withMessage('Suppression ID must be a UUID'), (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!deleteSuppression(req.params.id, { clientId: req.client.id })) {
+        return res.status(404).json({ error: 'Suppression not found' });
+    }
+    res.status(204).end();
+});
+
+export default router;
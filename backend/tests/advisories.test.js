@@ -0,0 +1,205 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import yazl from 'yazl';
+
+import {
+    compareVersions,
+    isAffected,
+    describeAffected,
+    cvss3BaseScore,
+    getAdvisorySeverity,
+    createAdvisoryDatabase,
+    loadAdvisoryDatabase,
+    findAdvisories,
+    scanDependencies,
+    AdvisoryError
+} from '../utils/advisories.js';
+import { analyzeFiles } from '../utils/analyzer.js';
+
+const LODASH = {
+    id: 'GHSA-35jh-r3h4-6jhm',
+    aliases: ['CVE-2021-23337'],
+    summary: 'Command Injection in lodash',
+    details: 'lodash versions prior to 4.17.21 are vulnerable to Command Injection via the template function.',
+    affected: [{
+        package: { ecosystem: 'npm', name: 'lodash' },
+        ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }]
+    }],
+    references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2021-23337' }],
+    database_specific: { severity: 'HIGH' }
+};
+
+const QS = {
+    id: 'GHSA-hrpp-h998-j3pp',
+    summary: 'qs vulnerable to Prototype Pollution',
+    affected: [{
+        package: { ecosystem: 'npm', name: 'qs' },
+        ranges: [{ type: 'SEMVER', events: [{ introduced: '6.7.0' }, { fixed: '6.7.3' }] }]
+    }],
+    database_specific: { severity: 'MODERATE' }
+};
+
+const DJANGO = {
+    id: 'PYSEC-2021-98',
+    aliases: ['CVE-2021-33203'],
+    summary: 'Django admindocs path traversal',
+    affected: [{
+        package: { ecosystem: 'PyPI', name: 'django' },
+        ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '3.2' }, { fixed: '3.2.4' }] }],
+        versions: ['3.2', '3.2.1', '3.2.2', '3.2.3']
+    }],
+    severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:H/UI:N/S:U/C:H/I:N/A:N' }]
+};
+
+describe('Advisory Database', () => {
+    test('should order versions per ecosystem', () => {
+        expect(compareVersions('npm', '1.0.0-beta.2', '1.0.0-beta.11')).toBe(-1);
+        expect(compareVersions('npm', '1.0.0', '1.0.0-rc.1')).toBe(1);
+        expect(compareVersions('Go', 'v1.7.0', '1.10.0')).toBe(-1);
+
+        const pep440 = ['1.0.dev1', '1.0a1', '1.0b2', '1.0rc1', '1.0', '1.0.post1', '1.1', '1.10'];
+        expect([...pep440].reverse().sort((a, b) => compareVersions('PyPI', a, b))).toEqual(pep440);
+        expect(compareVersions('PyPI', '3.2', '3.2.0')).toBe(0);
+
+        const maven = ['1.0-alpha-1', '1.0-beta', '1.0-RC1', '1.0-SNAPSHOT', '1.0', '1.0-sp1', '1.0.1', '1.1'];
+        expect([...maven].reverse().sort((a, b) => compareVersions('Maven', a, b))).toEqual(maven);
+        expect(compareVersions('Maven', '2.0', '2.0.0.Final')).toBe(0);
+    });
+
+    test('should match OSV ranges and version lists', () => {
+        const affected = {
+            ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '1.0.0' }, { fixed: '1.2.0' }, { introduced: '2.0.0' }, { last_affected: '2.1.0' }] }]
+        };
+        expect(['0.9.0', '1.0.0', '1.1.9', '1.2.0', '2.0.5', '2.1.0', '2.1.1']
+            .map(version => isAffected('npm', affected, version))).toEqual([false, true, true, false, true, true, false]);
+        expect(isAffected('PyPI', DJANGO.affected[0], '3.2.3')).toBe(true);
+        expect(isAffected('npm', { ranges: [{ type: 'GIT', events: [{ introduced: '0' }] }] }, '1.0.0')).toBe(false);
+
+        expect(describeAffected(affected)).toEqual({ ranges: ['>=1.0.0 <1.2.0', '>=2.0.0 <=2.1.0'], fixed: ['1.2.0'] });
+        expect(describeAffected(LODASH.affected[0])).toEqual({ ranges: ['<4.17.21'], fixed: ['4.17.21'] });
+        expect(describeAffected({ ranges: [{ type: 'SEMVER', events: [{ introduced: '3.0.0' }] }] }).ranges).toEqual(['>=3.0.0']);
+    });
+
+    test('should rate advisories by GitHub severity or CVSS score', () => {
+        expect(cvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H')).toBe(9.8);
+        expect(cvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N')).toBe(6.1);
+        expect(cvss3BaseScore('CVSS:3.1/AV:N')).toBeNull();
+
+        expect(getAdvisorySeverity(LODASH)).toBe('HIGH');
+        expect(getAdvisorySeverity(QS)).toBe('MEDIUM');
+        expect(getAdvisorySeverity(DJANGO)).toBe('MEDIUM');
+        expect(getAdvisorySeverity({ id: 'X' })).toBe('MEDIUM');
+    });
+
+    test('should load OSV files, directories and zip dumps', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'advisories-'));
+        try {
+            await fs.mkdir(path.join(dir, 'npm'));
+            await fs.writeFile(path.join(dir, 'npm', `${LODASH.id}.json`), JSON.stringify(LODASH));
+            await fs.writeFile(path.join(dir, 'withdrawn.json'), JSON.stringify([{ ...QS, id: 'GHSA-old', withdrawn: '2023-01-01T00:00:00Z' }]));
+
+            const zip = new yazl.ZipFile();
+            zip.addBuffer(Buffer.from(JSON.stringify(QS)), `${QS.id}.json`);
+            zip.addBuffer(Buffer.from(JSON.stringify(DJANGO)), `${DJANGO.id}.json`);
+            zip.end();
+            await new Promise((resolve, reject) => zip.outputStream
+                .pipe(createWriteStream(path.join(dir, 'all.zip')))
+                .on('close', resolve)
+                .on('error', reject));
+
+            const database = await loadAdvisoryDatabase(dir);
+            expect(database.count).toBe(3);
+            expect(findAdvisories(database, 'npm', 'lodash', '4.17.15').map(match => match.record.id)).toEqual([LODASH.id]);
+            expect(findAdvisories(database, 'npm', 'qs', '6.7.0').map(match => match.record.id)).toEqual([QS.id]);
+            expect(findAdvisories(database, 'PyPI', 'Django', '3.2.1')).toHaveLength(1);
+            expect(findAdvisories(database, 'PyPI', 'Django', '3.2.4')).toEqual([]);
+
+            await expect(loadAdvisoryDatabase(path.join(dir, 'missing'))).rejects.toThrow(AdvisoryError);
+            await fs.writeFile(path.join(dir, 'broken.json'), '{');
+            await expect(loadAdvisoryDatabase(dir)).rejects.toThrow(/Could not parse advisory file broken.json/);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should report vulnerable dependencies with advisory details', () => {
+        const database = createAdvisoryDatabase([LODASH, QS, DJANGO]);
+        const findings = scanDependencies([
+            { name: 'web/package.json', content: '{\n  "dependencies": {\n    "lodash": "^4.17.15",\n    "qs": "^6.7.0"\n  }\n}' },
+            { name: 'web/package-lock.json', content: JSON.stringify({
+                lockfileVersion: 2,
+                packages: {
+                    'node_modules/lodash': { version: '4.17.21' },
+                    'node_modules/qs': { version: '6.7.0' },
+                    'node_modules/express/node_modules/qs': { version: '6.7.1' }
+                }
+            }, null, 2) },
+            { name: 'requirements.txt', content: 'django==3.2.1\n' },
+            { name: 'app.js', content: 'require("lodash");' }
+        ], database);
+
+        // The locked lodash is fixed; qs is reported once through package.json
+        expect(findings.get('web/package.json').map(finding => [finding.ruleId, finding.line])).toEqual([[QS.id, 4]]);
+        expect(findings.get('web/package-lock.json').map(finding => [finding.ruleId, finding.advisory.version])).toEqual([[QS.id, '6.7.1']]);
+        expect(findings.has('app.js')).toBe(false);
+
+        const [django] = findings.get('requirements.txt');
+        expect(django).toMatchObject({
+            severity: 'MEDIUM',
+            source: 'dependency',
+            ruleId: 'PYSEC-2021-98',
+            confidence: 0.95,
+            cwe: 'CWE-1395',
+            owasp: 'A06:2021',
+            recommendation: 'Upgrade django to 3.2.4 or later',
+            advisory: {
+                id: 'PYSEC-2021-98',
+                aliases: ['CVE-2021-33203'],
+                ecosystem: 'PyPI',
+                package: 'django',
+                version: '3.2.1',
+                declared: '==3.2.1',
+                affected: ['>=3.2 <3.2.4'],
+                fixed: ['3.2.4']
+            }
+        });
+        expect(django.issue).toBe('django 3.2.1 is affected by PYSEC-2021-98 / CVE-2021-33203: Django admindocs path traversal');
+    });
+
+    test('should keep lockfiles of separate projects apart', () => {
+        const lockfile = version => JSON.stringify({ lockfileVersion: 3, packages: { 'node_modules/lodash': { version } } }, null, 2);
+        const findings = scanDependencies([
+            { name: 'a/package.json', content: '{\n  "dependencies": {\n    "lodash": "^4.17.0"\n  }\n}' },
+            { name: 'a/package-lock.json', content: lockfile('4.17.21') },
+            { name: 'b/package-lock.json', content: lockfile('4.17.20') }
+        ], createAdvisoryDatabase([LODASH]));
+
+        expect(findings.get('a/package.json')).toEqual([]);
+        expect(findings.get('a/package-lock.json')).toEqual([]);
+        expect(findings.get('b/package-lock.json').map(finding => [finding.ruleId, finding.advisory.version])).toEqual([[LODASH.id, '4.17.20']]);
+    });
+
+    test('should add dependency findings to the analysis', async () => {
+        const provider = { name: 'test', model: 'test', isConfigured: () => false };
+        const content = `{\n  "description": "${crypto.randomUUID()}",\n  "dependencies": { "lodash": "^4.17.15" }\n}\n`;
+
+        const results = await analyzeFiles([{ name: 'package.json', content }], {
+            provider,
+            advisories: createAdvisoryDatabase([LODASH])
+        });
+
+        expect(results.summary.engines.dependencies).toBe(true);
+        expect(results.files['package.json']).toEqual([expect.objectContaining({
+            severity: 'HIGH',
+            line: 3,
+            confidence: 0.5,
+            ruleId: LODASH.id,
+            fingerprint: expect.any(String)
+        })]);
+        expect(results.files['package.json'][0].explanation).toContain('the lowest version allowed by "^4.17.15"');
+        expect(results.summary.counts.HIGH).toBe(1);
+    });
+});
@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import yazl from 'yazl';
+import tar from 'tar-stream';
+
+import { extractArchive, safeEntryPath, isArchive, ArchiveError, getArchiveLimits } from '../utils/archive.js';
+
+let tmpDir;
+
+function streamToBuffer(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+async function writeZip(name, entries) {
+    const zip = new yazl.ZipFile();
+    Object.entries(entries).forEach(([entryName, content]) => zip.addBuffer(Buffer.from(content), entryName));
+    zip.end();
+    const file = path.join(tmpDir, name);
+    await fs.writeFile(file, await streamToBuffer(zip.outputStream));
+    return file;
+}
+
+async function writeTarGz(name, entries) {
+    const pack = tar.pack();
+    for (const [entryName, content] of Object.entries(entries)) {
+        if (typeof content === 'object') {
+            pack.entry({ name: entryName, ...content });
+        } else {
+            pack.entry({ name: entryName }, content);
+        }
+    }
+    pack.finalize();
+    const file = path.join(tmpDir, name);
+    await fs.writeFile(file, zlib.gzipSync(await streamToBuffer(pack)));
+    return file;
+}
+
+describe('Archive Extraction', () => {
+    beforeAll(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autonalyst-archive-'));
+    });
+
+    afterAll(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should recognize archive names', () => {
+        expect(isArchive('project.zip')).toBe(true);
+        expect(isArchive('project.tar.gz')).toBe(true);
+        expect(isArchive('project.tgz')).toBe(true);
+        expect(isArchive('app.js')).toBe(false);
+    });
+
+    test('should reject traversal and absolute paths', () => {
+        expect(safeEntryPath('./src/app.js')).toBe('src/app.js');
+        expect(safeEntryPath('src\\lib\\util.js')).toBe('src/lib/util.js');
+        expect(() => safeEntryPath('../etc/passwd')).toThrow(ArchiveError);
+        expect(() => safeEntryPath('src/../../evil.js')).toThrow(ArchiveError);
+        expect(() => safeEntryPath('/etc/passwd')).toThrow(ArchiveError);
+        expect(() => safeEntryPath('C:/Windows/evil.js')).toThrow(ArchiveError);
+    });
+
+    test('should extract code files from a zip keyed by relative path', async () => {
+        const file = await writeZip('project.zip', {
+            'src/app.js': 'eval(input);',
+            'src/lib/db.py': 'import os',
+            'README.md': '# Project',
+            'logo.png': 'not code'
+        });
+
+        const { files, skipped } = await extractArchive(file, 'project.zip');
+
+        expect(files.map(f => f.path)).toEqual(['README.md', 'src/app.js', 'src/lib/db.py']);
+        expect(files[1].content).toBe('eval(input);');
+        expect(skipped.unsupported).toBe(1);
+    });
+
+    test('should honor .gitignore files and default excludes', async () => {
+        const file = await writeTarGz('project.tar.gz', {
+            '.gitignore': 'generated/\n*.log.txt\n',
+            'src/app.js': 'run();',
+            'src/.gitignore': 'secret.js\n',
+            'src/secret.js': 'key();',
+            'generated/out.js': 'gen();',
+            'debug.log.txt': 'log',
+            'node_modules/lib/index.js': 'lib();',
+            'bundle.min.js': 'a();'
+        });
+
+        const { files, skipped } = await extractArchive(file, 'project.tar.gz');
+
+        expect(files.map(f => f.path)).toEqual(['src/app.js']);
+        expect(skipped.ignored).toBe(5);
+    });
+
+    test('should skip default excludes without extracting them', async () => {
+        const entries = {
+            'src/app.js': 'run();',
+            'node_modules/huge/index.js': 'x'.repeat(5000),
+            'node_modules/huge/package.json': '{}',
+            'dist/bundle.js': 'y'.repeat(5000)
+        };
+        const limits = { ...getArchiveLimits({}), maxFiles: 1, maxTotalBytes: 1000 };
+
+        // Zip entries are left compressed
+        const { files, skipped } = await extractArchive(await writeZip('deps.zip', entries), 'deps.zip', limits);
+        expect(files.map(f => f.path)).toEqual(['src/app.js']);
+        expect(skipped.ignored).toBe(3);
+        await expect(extractArchive(await writeZip('deps.zip', entries), 'deps.zip', { ...limits, maxEntries: 3 }))
+            .rejects.toThrow(/more than 3 entries/);
+
+        // Tarball entries are decompressed to read past them
+        const tarball = await writeTarGz('deps.tar.gz', entries);
+        expect((await extractArchive(tarball, 'deps.tar.gz', { ...limits, maxTotalBytes: 20000 })).files).toHaveLength(1);
+        await expect(extractArchive(tarball, 'deps.tar.gz', limits)).rejects.toThrow(/expands to more than 1000 bytes/);
+    });
+
+    test('should count oversized excluded tar entries against the size limit', async () => {
+        const file = await writeTarGz('bomb.tar.gz', {
+            'src/app.js': 'run();',
+            'node_modules/bomb/index.js.map': '0'.repeat(2 * 1024 * 1024)
+        });
+
+        await expect(extractArchive(file, 'bomb.tar.gz', { ...getArchiveLimits({}), maxTotalBytes: 1024 * 1024 }))
+            .rejects.toThrow(/expands to more than/);
+    });
+
+    test('should reject zip-slip entries in tarballs', async () => {
+        const file = await writeTarGz('slip.tgz', { '../evil.js': 'pwned();' });
+
+        await expect(extractArchive(file, 'slip.tgz')).rejects.toThrow(/Unsafe path/);
+    });
+
+    test('should reject zip-slip entries in zips', async () => {
+        const file = await writeZip('slip.zip', { 'xx/evil.js': 'pwned();' });
+        // yazl refuses to write traversal paths, so patch the stored names
+        const data = await fs.readFile(file);
+        await fs.writeFile(file, Buffer.from(data.toString('latin1').replaceAll('xx/evil.js', '../evil.js'), 'latin1'));
+
+        await expect(extractArchive(file, 'slip.zip')).rejects.toThrow(ArchiveError);
+    });
+
+    test('should skip symlinks and oversized or binary files', async () => {
+        const file = await writeTarGz('mixed.tar.gz', {
+            'link.js': { type: 'symlink', linkname: '/etc/passwd' },
+            'big.js': 'x'.repeat(2000),
+            'blob.js': 'a\0b',
+            'ok.js': 'ok();'
+        });
+
+        const { files, skipped } = await extractArchive(file, 'mixed.tar.gz', { ...getArchiveLimits(), maxFileBytes: 1000 });
+
+        expect(files.map(f => f.path)).toEqual(['ok.js']);
+        expect(skipped).toMatchObject({ links: 1, tooLarge: 1, binary: 1 });
+    });
+
+    test('should enforce entry and size limits', async () => {
+        const entries = Object.fromEntries(Array.from({ length: 5 }, (_, i) => [`f${i}.js`, 'x'.repeat(100)]));
+        const file = await writeZip('many.zip', entries);
+        const limits = getArchiveLimits({});
+
+        await expect(extractArchive(file, 'many.zip', { ...limits, maxEntries: 3 })).rejects.toThrow(/more than 3 entries/);
+        await expect(extractArchive(file, 'many.zip', { ...limits, maxTotalBytes: 250 })).rejects.toThrow(/expands to more than/);
+        await expect(extractArchive(file, 'many.zip', { ...limits, maxFiles: 2 })).rejects.toThrow(/limit is 2/);
+    });
+
+    test('should reject corrupt archives', async () => {
+        const file = path.join(tmpDir, 'broken.zip');
+        await fs.writeFile(file, 'not a zip');
+
+        await expect(extractArchive(file, 'broken.zip')).rejects.toThrow(/Invalid zip archive/);
+    });
+});
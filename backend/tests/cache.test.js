@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import {
+    createCache,
+    createFileBackend,
+    createMemoryBackend,
+    createSqliteBackend,
+    getCacheConfig
+} from '../utils/cache.js';
+import { analyzeChunk, getCacheStats, cleanCache } from '../utils/gemini.js';
+
+function createClock(start = 1_000_000) {
+    const clock = () => clock.time;
+    clock.time = start;
+    return clock;
+}
+
+function createProvider(model = 'test-model') {
+    const prompts = [];
+    return {
+        prompts,
+        name: 'test',
+        model,
+        isConfigured: () => true,
+        generate: async (prompt) => {
+            prompts.push(prompt);
+            return '[{"severity":"LOW","line":1,"issue":"Unused variable","recommendation":"Remove it"}]';
+        }
+    };
+}
+
+describe('Response Cache', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autonalyst-cache-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should read cache settings from the environment', () => {
+        expect(getCacheConfig({})).toMatchObject({
+            backend: 'fs',
+            maxEntries: 1000,
+            maxBytes: 50 * 1024 * 1024,
+            ttlMs: 24 * 60 * 60 * 1000,
+            evictionIntervalMs: 10 * 60 * 1000
+        });
+        expect(getCacheConfig({ CACHE_BACKEND: 'SQLite', CACHE_DIR: '/tmp/c', CACHE_TTL_HOURS: '0.5', CACHE_EVICTION_INTERVAL_MS: '0' }))
+            .toMatchObject({ backend: 'sqlite', dbPath: path.join('/tmp/c', 'cache.db'), ttlMs: 30 * 60 * 1000, evictionIntervalMs: 0 });
+        expect(() => getCacheConfig({ CACHE_BACKEND: 'redis' })).toThrow(/Unknown cache backend "redis"/);
+    });
+
+    test('should evict the least recently used entries beyond the entry limit', async () => {
+        const now = createClock();
+        const cache = createCache({ backend: createMemoryBackend(), maxEntries: 2, now });
+
+        await cache.set('a', ['A']);
+        now.time++;
+        await cache.set('b', ['B']);
+        now.time++;
+        expect(await cache.get('a')).toEqual(['A']);
+        now.time++;
+        await cache.set('c', ['C']);
+        await cache.evict();
+
+        expect(await cache.get('b')).toBeNull();
+        expect(await cache.get('a')).toEqual(['A']);
+        expect(await cache.get('c')).toEqual(['C']);
+        expect(await cache.stats()).toMatchObject({ entries: 2, hits: 3, misses: 1, writes: 3, evictions: 1 });
+    });
+
+    test('should enforce the size limit and expire old entries', async () => {
+        const now = createClock();
+        const cache = createCache({ backend: createMemoryBackend(), maxBytes: 100, ttlMs: 1000, now });
+
+        await cache.set('small', 'x'.repeat(10));
+        now.time++;
+        await cache.set('large', 'y'.repeat(90));
+        await cache.evict();
+        expect((await cache.stats()).entries).toBe(1);
+        expect(await cache.get('small')).toBeNull();
+
+        now.time += 1000;
+        expect(await cache.get('large')).toBeNull();
+        await cache.set('fresh', 'z');
+        expect(await cache.stats()).toMatchObject({ entries: 1, totalSizeBytes: 3 });
+    });
+
+    test('should keep file entries with their metadata and read older entries', async () => {
+        const now = createClock(Date.now());
+        const backend = createFileBackend(tmpDir);
+        const cache = createCache({ backend, ttlMs: 60 * 60 * 1000, now });
+
+        await cache.set('abc', [{ line: 1 }], { provider: 'gemini', model: 'gemini-1.5-flash', promptVersion: 3 });
+        const stored = JSON.parse(await fs.readFile(path.join(tmpDir, 'abc.json'), 'utf-8'));
+        expect(stored).toMatchObject({ cacheKey: 'abc', provider: 'gemini', model: 'gemini-1.5-flash', promptVersion: 3, result: [{ line: 1 }] });
+
+        await fs.writeFile(path.join(tmpDir, 'old.json'), JSON.stringify({ timestamp: now.time - 2 * 60 * 60 * 1000, cacheKey: 'old', result: [] }));
+        await fs.writeFile(path.join(tmpDir, 'broken.json'), '{');
+
+        // A second process sharing the directory sees every entry
+        const other = createCache({ backend: createFileBackend(tmpDir), ttlMs: 60 * 60 * 1000, now });
+        expect(await other.stats()).toMatchObject({ backend: 'fs', entries: 3, byModel: { 'gemini/gemini-1.5-flash': 1, unknown: 2 } });
+        expect(await other.evict({ refresh: true })).toBe(2);
+        expect(await fs.readdir(tmpDir)).toEqual(['abc.json']);
+        expect(await other.get('abc')).toEqual([{ line: 1 }]);
+    });
+
+    test('should persist entries in an SQLite database', async () => {
+        const filename = path.join(tmpDir, 'cache.db');
+        const cache = createCache({ backend: createSqliteBackend(filename) });
+        await cache.set('k1', { issues: [] }, { provider: 'openai', model: 'gpt-4o' });
+        await cache.set('k2', { issues: [1] });
+
+        const reopened = createCache({ backend: createSqliteBackend(filename) });
+        expect(await reopened.get('k1')).toEqual({ issues: [] });
+        expect(await reopened.stats()).toMatchObject({ backend: 'sqlite', entries: 2, byModel: { 'openai/gpt-4o': 1, unknown: 1 } });
+        expect(await reopened.clear()).toBe(2);
+        expect(await createCache({ backend: createSqliteBackend(filename) }).get('k2')).toBeNull();
+    });
+
+    test('should key responses on provider, model and prompt version', async () => {
+        const cache = createCache({ backend: createMemoryBackend() });
+        const chunk = { content: 'let unused = 1;' };
+        const provider = createProvider();
+
+        await analyzeChunk(chunk, { provider, cache });
+        await analyzeChunk(chunk, { provider, cache });
+        expect(provider.prompts).toHaveLength(1);
+
+        const otherModel = createProvider('other-model');
+        await analyzeChunk(chunk, { provider: otherModel, cache });
+        expect(otherModel.prompts).toHaveLength(1);
+
+        const stats = await getCacheStats(cache);
+        expect(stats).toMatchObject({ backend: 'memory', entries: 2, hits: 1, byModel: { 'test/test-model': 1, 'test/other-model': 1 } });
+
+        expect(await cleanCache({ cache })).toBe(0);
+        expect(await cleanCache({ all: true, cache })).toBe(2);
+        expect((await getCacheStats(cache)).entries).toBe(0);
+    });
+});
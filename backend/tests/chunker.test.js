@@ -1,3 +1,4 @@
+import { estimateTokens, getChunkBudget } from '../utils/tokens.js';
 import { chunkCode, getChunkingStats, validateChunks, reconstructLineNumbers } from '../utils/chunker.js';
 
 describe('Code Chunker', () => {
@@ -70,7 +71,7 @@ print(person.greet())`;
         });
 
         test('should split large JavaScript files appropriately', () => {
-            const chunks = chunkCode(sampleJavaScript, 'test.js');
+            const chunks = chunkCode(sampleJavaScript, 'test.js', { maxTokens: 60 });
 
             expect(chunks.length).toBeGreaterThan(1);
             chunks.forEach((chunk, index) => {
@@ -104,7 +105,7 @@ print(person.greet())`;
         });
 
         test('should maintain chunk continuity', () => {
-            const chunks = chunkCode(sampleJavaScript, 'test.js');
+            const chunks = chunkCode(sampleJavaScript, 'test.js', { maxTokens: 60 });
 
             if (chunks.length > 1) {
                 for (let i = 1; i < chunks.length; i++) {
@@ -129,18 +130,23 @@ print(person.greet())`;
             expect(stats.averageChunkSize).toBeGreaterThan(0);
         });
 
-        test('should handle different file types', () => {
-            const jsStats = getChunkingStats(sampleJavaScript, 'test.js');
-            const pyStats = getChunkingStats(samplePython, 'test.py');
+        test('should report estimated tokens per chunk', () => {
+            const stats = getChunkingStats(sampleJavaScript, 'test.js', { maxTokens: 60, overlapTokens: 10 });
 
-            expect(jsStats.config.maxLines).toBe(40); // JS configuration
-            expect(pyStats.config.maxLines).toBe(45); // Python configuration
+            expect(stats.config).toEqual({ maxTokens: 60, overlapTokens: 10 });
+            expect(stats.totalChunks).toBeGreaterThan(1);
+            expect(stats.chunks).toHaveLength(stats.totalChunks);
+            stats.chunks.forEach(chunk => {
+                expect(chunk.estimatedTokens).toBeGreaterThan(0);
+                expect(chunk.estimatedTokens).toBeLessThanOrEqual(60);
+            });
+            expect(stats.maxChunkTokens).toBe(Math.max(...stats.chunks.map(c => c.estimatedTokens)));
         });
     });
 
     describe('validateChunks', () => {
         test('should validate correct chunks', () => {
-            const chunks = chunkCode(sampleJavaScript, 'test.js');
+            const chunks = chunkCode(sampleJavaScript, 'test.js', { maxTokens: 60 });
             const issues = validateChunks(chunks);
 
             expect(Array.isArray(issues)).toBe(true);
@@ -211,6 +217,33 @@ print(person.greet())`;
             });
         });
 
+        test('should split minified lines that exceed the token budget', () => {
+            const minified = Array.from({ length: 400 }, (_, i) => `a${i}=f(${i});`).join('');
+            const chunks = chunkCode(minified, 'bundle.min.js', { maxTokens: 200 });
+
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(chunks.map(c => c.content).join('')).toBe(minified);
+            chunks.forEach((chunk, index) => {
+                expect(chunk.startLine).toBe(0);
+                expect(chunk.segment).toEqual({ index, count: chunks.length });
+                expect(chunk.estimatedTokens).toBeLessThanOrEqual(200);
+            });
+            expect(validateChunks(chunks)).toEqual([]);
+        });
+
+        test('should size chunks by tokens rather than lines', () => {
+            const shortLines = Array.from({ length: 200 }, (_, i) => `x${i}++;`).join('\n');
+            const longLines = Array.from({ length: 200 }, (_, i) => `const value${i} = compute(alpha, beta, gamma, delta, ${i});`).join('\n');
+
+            const shortChunks = chunkCode(shortLines, 'short.js', { maxTokens: 300, overlapTokens: 0 });
+            const longChunks = chunkCode(longLines, 'long.js', { maxTokens: 300, overlapTokens: 0 });
+
+            expect(shortChunks[0].lineCount).toBeGreaterThan(longChunks[0].lineCount);
+            [...shortChunks, ...longChunks].forEach(chunk => {
+                expect(chunk.estimatedTokens).toBeLessThanOrEqual(300);
+            });
+        });
+
         test('should handle files with mixed line endings', () => {
             const mixedCode = 'line1\nline2\r\nline3\rline4';
             const chunks = chunkCode(mixedCode, 'test.js');
@@ -230,4 +263,20 @@ print(person.greet())`;
             expect(chunks[0].content).toContain('∑∆√');
         });
     });
+
+    describe('Token budget', () => {
+        test('should estimate more tokens for denser text', () => {
+            expect(estimateTokens('')).toBe(0);
+            expect(estimateTokens('a.b(c);')).toBeGreaterThan(estimateTokens('alpha beta'));
+            expect(estimateTokens('line1\nline2\n')).toBe(6);
+        });
+
+        test('should cap the chunk budget by the remaining context window', () => {
+            const model = { contextWindow: 4096, maxOutputTokens: 1000, promptTokens: 96 };
+
+            expect(getChunkBudget(model, {}).maxTokens).toBe(1000);
+            expect(getChunkBudget(model, { CHUNK_MAX_TOKENS: '8000' }).maxTokens).toBe(3000);
+            expect(getChunkBudget(model, { CHUNK_OVERLAP_TOKENS: '50' }).overlapTokens).toBe(50);
+        });
+    });
 });
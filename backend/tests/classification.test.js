@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+import {
+    classifyFinding,
+    filterFindings,
+    groupFindings,
+    normalizeCwe,
+    normalizeOwasp,
+    getCweName
+} from '../utils/classification.js';
+import { runRules, RULES } from '../utils/rules.js';
+import { analyzeChunk } from '../utils/gemini.js';
+import { toSarif } from '../utils/sarif.js';
+import { buildReport } from '../routes/report.js';
+
+const FILES = {
+    'app.js': [
+        { severity: 'CRITICAL', line: 3, issue: 'eval', category: 'injection', cwe: 'CWE-95', owasp: 'A03:2021' },
+        { severity: 'HIGH', line: 8, issue: 'sql', category: 'injection', cwe: 'CWE-89', owasp: 'A03:2021' },
+        { severity: 'LOW', line: 9, issue: 'unused', category: 'maintainability', cwe: 'CWE-563', owasp: null }
+    ],
+    'auth.py': [
+        { severity: 'MEDIUM', line: 2, issue: 'md5', category: 'cryptography', cwe: 'CWE-328', owasp: 'A02:2021' },
+        { severity: 'LOW', line: 5, issue: 'style', category: null, cwe: null, owasp: null }
+    ]
+};
+
+describe('Finding Classification', () => {
+    test('should normalize CWE and OWASP references against the bundled lists', () => {
+        expect(normalizeCwe('CWE-89')).toBe('CWE-89');
+        expect(normalizeCwe('cwe_79')).toBe('CWE-79');
+        expect(normalizeCwe(798)).toBe('CWE-798');
+        expect(normalizeCwe('CWE-99999')).toBeNull();
+        expect(normalizeCwe('SQL injection')).toBeNull();
+        expect(getCweName('CWE-89')).toMatch(/SQL Injection/);
+
+        expect(normalizeOwasp('A3')).toBe('A03:2021');
+        expect(normalizeOwasp('A10:2021-Server-Side Request Forgery')).toBe('A10:2021');
+        expect(normalizeOwasp('A11')).toBeNull();
+    });
+
+    test('should derive the category and OWASP entry from the CWE', () => {
+        expect(classifyFinding({ cwe: 'CWE-89' })).toEqual({ category: 'injection', cwe: 'CWE-89', owasp: 'A03:2021' });
+        // The CWE mapping wins over a conflicting OWASP entry
+        expect(classifyFinding({ cwe: 'CWE-327', owasp: 'A05' })).toMatchObject({ owasp: 'A02:2021' });
+        expect(classifyFinding({ cwe: 'CWE-12345', category: 'Input Validation', owasp: 'a01' })).toEqual({
+            category: 'input-validation', cwe: null, owasp: 'A01:2021'
+        });
+        expect(classifyFinding({ category: 'vibes' })).toEqual({ category: null, cwe: null, owasp: null });
+    });
+
+    test('should classify every built-in rule', () => {
+        RULES.forEach(rule => expect(normalizeCwe(rule.cwe)).toBe(rule.cwe));
+
+        const [finding] = runRules('const x = eval(input);\nconsole.log(x);', 'a.js');
+        expect(finding).toMatchObject({ ruleId: 'eval-injection', category: 'injection', cwe: 'CWE-95', owasp: 'A03:2021' });
+    });
+
+    test('should classify AI findings from the model response', async () => {
+        const provider = {
+            name: 'test',
+            model: 'test',
+            isConfigured: () => true,
+            generate: async () => JSON.stringify([
+                { severity: 'HIGH', line: 1, issue: 'SSRF', recommendation: 'Allowlist hosts', category: 'ssrf', cwe: 'CWE-918', owasp: 'A10:2021' },
+                { severity: 'LOW', line: 2, issue: 'Odd', recommendation: 'Check', cwe: 'CWE-0' }
+            ])
+        };
+
+        const findings = await analyzeChunk({ content: `fetch(req.query.url); // ${crypto.randomUUID()}` }, { provider });
+        expect(findings[0]).toMatchObject({ category: 'ssrf', cwe: 'CWE-918', owasp: 'A10:2021' });
+        expect(findings[1]).toMatchObject({ category: null, cwe: null, owasp: null });
+    });
+
+    test('should filter and group findings', () => {
+        const injection = filterFindings(FILES, { category: ['injection'] });
+        expect(injection['app.js'].map(f => f.issue)).toEqual(['eval', 'sql']);
+        expect(injection['auth.py']).toEqual([]);
+        expect(filterFindings(FILES, { owasp: ['A02:2021', 'A03:2021'], severity: ['HIGH', 'MEDIUM'] }))
+            .toEqual({ 'app.js': [FILES['app.js'][1]], 'auth.py': [FILES['auth.py'][0]] });
+        expect(filterFindings(FILES, {})).toBe(FILES);
+
+        const groups = groupFindings(FILES, 'owasp');
+        expect(groups.map(group => [group.key, group.count])).toEqual([['A03:2021', 2], [null, 2], ['A02:2021', 1]]);
+        expect(groups[0]).toMatchObject({ name: 'Injection', counts: { CRITICAL: 1, HIGH: 1, MEDIUM: 0, LOW: 0 } });
+        expect(groups[1].name).toBe('Unclassified');
+    });
+
+    test('should count, filter and group classifications in the report', () => {
+        const code = { id: 'a1', results: { files: FILES, suppressed: {} } };
+
+        const report = buildReport({ code });
+        expect(report.summary.classification.category).toEqual({ injection: 2, maintainability: 1, cryptography: 1, unclassified: 1 });
+        expect(report.summary.classification.cwe['CWE-89']).toBe(1);
+        expect(report.groups).toBeUndefined();
+
+        const filtered = buildReport({ code }, { filters: { category: ['cryptography'] }, groupBy: 'cwe' });
+        expect(filtered.summary).toMatchObject({ totalIssues: 1, score: 'A', counts: { MEDIUM: 1, CRITICAL: 0 } });
+        expect(filtered.groups).toEqual([{
+            key: 'CWE-328', name: 'Use of Weak Hash', count: 1, counts: { CRITICAL: 0, HIGH: 0, MEDIUM: 1, LOW: 0 }
+        }]);
+    });
+
+    test('should tag SARIF rules and results with the classification', () => {
+        const sarif = toSarif({ files: { 'app.js': [FILES['app.js'][1]] } });
+        const [run] = sarif.runs;
+
+        expect(run.tool.driver.rules[0].properties.tags).toEqual(expect.arrayContaining(['external/cwe/cwe-89', 'external/owasp/A03:2021', 'injection']));
+        expect(run.results[0].properties).toMatchObject({ category: 'injection', cwe: 'CWE-89', owasp: 'A03:2021' });
+    });
+});
@@ -0,0 +1,98 @@
+import { createClientIdentifier, createAdminGuard, getClientConfig, SESSION_COOKIE } from '../utils/clients.js';
+
+function identify(identifier, headers = {}) {
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = { secure: false, get: name => lowerHeaders[name.toLowerCase()] };
+    const res = {
+        statusCode: 200,
+        cookies: {},
+        cookie(name, value, options) { res.cookies[name] = { value, options }; },
+        status(code) { res.statusCode = code; return res; },
+        json(body) { res.body = body; return res; }
+    };
+    let nextCalled = false;
+    identifier(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+}
+
+describe('Client Identification', () => {
+    test('should parse API keys from the environment', () => {
+        expect(getClientConfig({ API_KEYS: ' alpha, beta ,,', ADMIN_API_KEYS: 'root', REQUIRE_API_KEY: 'true' }))
+            .toEqual({ apiKeys: ['alpha', 'beta'], adminApiKeys: ['root'], requireApiKey: true });
+        expect(getClientConfig({})).toEqual({ apiKeys: [], adminApiKeys: [], requireApiKey: false });
+    });
+
+    test('should issue a session cookie to new browsers', () => {
+        const { req, res, nextCalled } = identify(createClientIdentifier({ apiKeys: [], requireApiKey: false }));
+
+        expect(nextCalled).toBe(true);
+        expect(req.client.type).toBe('session');
+        expect(res.cookies[SESSION_COOKIE].value).toMatch(/^[a-f0-9]{64}$/);
+        expect(res.cookies[SESSION_COOKIE].options).toMatchObject({ httpOnly: true, sameSite: 'lax' });
+        expect(req.client.id).not.toContain(res.cookies[SESSION_COOKIE].value);
+    });
+
+    test('should recognize returning sessions and keep them apart', () => {
+        const identifier = createClientIdentifier({ apiKeys: [], requireApiKey: false });
+        const first = identify(identifier);
+        const session = first.res.cookies[SESSION_COOKIE].value;
+
+        const again = identify(identifier, { Cookie: `theme=dark; ${SESSION_COOKIE}=${session}` });
+        expect(again.req.client.id).toBe(first.req.client.id);
+        expect(again.res.cookies).toEqual({});
+
+        expect(identify(identifier).req.client.id).not.toBe(first.req.client.id);
+    });
+
+    test('should replace malformed session cookies', () => {
+        const { req, res } = identify(createClientIdentifier({ apiKeys: [], requireApiKey: false }), { Cookie: `${SESSION_COOKIE}=guessable` });
+
+        expect(res.cookies[SESSION_COOKIE].value).not.toBe('guessable');
+        expect(req.client.type).toBe('session');
+    });
+
+    test('should identify configured API keys from either header', () => {
+        const identifier = createClientIdentifier({ apiKeys: ['alpha-key', 'beta-key'], requireApiKey: false });
+
+        const header = identify(identifier, { 'X-API-Key': 'alpha-key' });
+        const bearer = identify(identifier, { Authorization: 'Bearer alpha-key' });
+        const other = identify(identifier, { 'X-API-Key': 'beta-key' });
+
+        expect(header.req.client).toEqual({ id: expect.stringMatching(/^key:[a-f0-9]{64}$/), type: 'api-key' });
+        expect(bearer.req.client.id).toBe(header.req.client.id);
+        expect(other.req.client.id).not.toBe(header.req.client.id);
+        expect(header.req.client.id).not.toContain('alpha-key');
+    });
+
+    test('should reject unknown API keys', () => {
+        const { res, nextCalled } = identify(createClientIdentifier({ apiKeys: ['alpha-key'], requireApiKey: false }), { 'X-API-Key': 'wrong' });
+
+        expect(nextCalled).toBe(false);
+        expect(res.statusCode).toBe(401);
+    });
+
+    test('should require an API key when sessions are disabled', () => {
+        const { res, nextCalled } = identify(createClientIdentifier({ apiKeys: ['alpha-key'], requireApiKey: true }));
+
+        expect(nextCalled).toBe(false);
+        expect(res.statusCode).toBe(401);
+        expect(res.cookies).toEqual({});
+    });
+
+    test('should only let admin API keys through the admin guard', () => {
+        const config = { apiKeys: ['alpha-key'], adminApiKeys: ['root-key'], requireApiKey: false };
+        const guard = createAdminGuard(config);
+
+        const admin = identify(guard, { Authorization: 'Bearer root-key' });
+        expect(admin.nextCalled).toBe(true);
+        expect(admin.req.client).toEqual({ id: expect.stringMatching(/^admin:[a-f0-9]{64}$/), type: 'admin' });
+
+        expect(identify(guard).res.statusCode).toBe(401);
+        expect(identify(guard, { 'X-API-Key': 'alpha-key' }).res.statusCode).toBe(403);
+        expect(identify(guard, { 'X-API-Key': 'alpha-key' }).nextCalled).toBe(false);
+
+        const disabled = identify(createAdminGuard({ ...config, adminApiKeys: [] }), { 'X-API-Key': 'root-key' });
+        expect(disabled.nextCalled).toBe(false);
+        expect(disabled.res.statusCode).toBe(403);
+    });
+});
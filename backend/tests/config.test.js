@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import yazl from 'yazl';
+
+import {
+    parseConfig,
+    validateConfig,
+    createPathFilter,
+    applySeverityConfig,
+    isConfigFile,
+    ConfigError
+} from '../utils/config.js';
+import { extractArchive } from '../utils/archive.js';
+import { analyzeFiles, createResults } from '../utils/analyzer.js';
+
+const offline = { name: 'none', model: 'none', isConfigured: () => false };
+
+function writeZip(file, entries) {
+    return new Promise((resolve, reject) => {
+        const zip = new yazl.ZipFile();
+        Object.entries(entries).forEach(([name, content]) => zip.addBuffer(Buffer.from(content), name));
+        zip.end();
+        const chunks = [];
+        zip.outputStream.on('data', chunk => chunks.push(chunk));
+        zip.outputStream.on('error', reject);
+        zip.outputStream.on('end', () => fs.writeFile(file, Buffer.concat(chunks)).then(resolve, reject));
+    });
+}
+
+describe('Project Config', () => {
+    let tmpDir;
+
+    beforeAll(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autonalyst-config-'));
+    });
+
+    afterAll(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should fill in defaults', () => {
+        expect(validateConfig()).toEqual({
+            include: [],
+            exclude: [],
+            chunking: {},
+            analysis: { ai: true, rules: true, dependencies: true, disabledRules: [] },
+            secrets: { enabled: true, entropy: true, allowlist: [], allowlistPaths: [] },
+            licenses: { enabled: true, allow: [], unknown: 'warn', includeDev: false },
+            severity: { minimum: 'LOW', overrides: {} },
+            links: { expiryWarningDays: 30 }
+        });
+    });
+
+    test('should parse JSON and YAML configs', () => {
+        const json = parseConfig('{"chunking": {"mode": "lines", "maxTokens": 400}}', '.autonalystrc.json');
+        const yaml = parseConfig('chunking:\n  mode: lines\n  maxTokens: 400\n', '.autonalystrc');
+        expect(json).toEqual(yaml);
+        expect(yaml.chunking).toEqual({ mode: 'lines', maxTokens: 400 });
+        expect(parseConfig('', '.autonalystrc.yml')).toEqual(validateConfig());
+    });
+
+    test('should report every schema violation', () => {
+        const text = 'chunking:\n  maxTokens: 10\nseverity:\n  minimum: URGENT\nlink: {}\n';
+        expect(() => parseConfig(text)).toThrow(ConfigError);
+        expect(() => parseConfig(text)).toThrow(
+            'Invalid .autonalystrc: /: unknown property "link"; /chunking/maxTokens: must be >= 200; ' +
+            '/severity/minimum: must be one of LOW, MEDIUM, HIGH, CRITICAL'
+        );
+        expect(() => parseConfig('{not json', 'x.json')).toThrow(/Could not parse x.json/);
+        expect(() => parseConfig('- a\n- b\n')).toThrow(/must contain an object/);
+        expect(() => validateConfig({ analysis: { disabledRules: ['no-such-rule'] } })).toThrow(/unknown rule IDs no-such-rule/);
+    });
+
+    test('should recognize config file names', () => {
+        expect(isConfigFile('project/.autonalystrc.yaml')).toBe(true);
+        expect(isConfigFile('autonalystrc.json')).toBe(false);
+    });
+
+    test('should filter paths with include and exclude patterns', () => {
+        const isIncluded = createPathFilter({ include: ['src/'], exclude: ['*.test.js'] });
+        expect(isIncluded('src/app.js')).toBe(true);
+        expect(isIncluded('src/app.test.js')).toBe(false);
+        expect(isIncluded('scripts/build.js')).toBe(false);
+        expect(isIncluded('scripts/')).toBe(true);
+
+        const scoped = createPathFilter({ exclude: ['legacy/'] }, 'project');
+        expect(scoped('project/legacy/old.js')).toBe(false);
+        expect(scoped('other/legacy/old.js')).toBe(true);
+    });
+
+    test('should override severities and drop findings below the minimum', () => {
+        const issues = [
+            { ruleId: 'weak-hash', severity: 'MEDIUM' },
+            { ruleId: 'eval-injection', severity: 'CRITICAL' },
+            { source: 'ai', severity: 'LOW' }
+        ];
+        const adjusted = applySeverityConfig(issues, { minimum: 'MEDIUM', overrides: { 'eval-injection': 'HIGH' } });
+        expect(adjusted).toEqual([
+            { ruleId: 'weak-hash', severity: 'MEDIUM' },
+            { ruleId: 'eval-injection', severity: 'HIGH' }
+        ]);
+    });
+
+    test('should apply a config found at the archive root', async () => {
+        const file = path.join(tmpDir, 'project.zip');
+        await writeZip(file, {
+            'project/.autonalystrc.yml': 'exclude: ["test/"]\n',
+            'project/src/app.js': 'eval(input);',
+            'project/test/app.test.js': 'eval(fixture);'
+        });
+
+        const { files, skipped, config, configFile } = await extractArchive(file, 'project.zip');
+        expect(files.map(entry => entry.path)).toEqual(['project/src/app.js']);
+        expect(skipped.ignored).toBe(1);
+        expect(configFile).toBe('project/.autonalystrc.yml');
+        expect(config.exclude).toEqual(['test/']);
+
+        // An uploaded config takes precedence
+        const uploaded = validateConfig({ include: ['*.test.js'] });
+        const overridden = await extractArchive(file, 'project.zip', undefined, { config: uploaded });
+        expect(overridden.files.map(entry => entry.path)).toEqual(['project/test/app.test.js']);
+        expect(overridden.configFile).toBeNull();
+    });
+
+    test('should reject an invalid config inside an archive', async () => {
+        const file = path.join(tmpDir, 'invalid.zip');
+        await writeZip(file, { '.autonalystrc': 'analysis:\n  ai: maybe\n', 'app.js': 'x = 1;' });
+        await expect(extractArchive(file, 'invalid.zip')).rejects.toThrow(/\/analysis\/ai: must be boolean/);
+    });
+
+    test('should control enabled rules and severities in the analyzer', async () => {
+        const sources = [{ name: 'app.js', content: 'eval(input);\nconst digest = crypto.createHash("md5");\n' }];
+        const config = validateConfig({
+            analysis: { disabledRules: ['eval-injection'] },
+            severity: { minimum: 'HIGH', overrides: { 'weak-hash': 'HIGH' } }
+        });
+
+        const results = await analyzeFiles(sources, { provider: offline, config, results: createResults(1, false) });
+        expect(results.files['app.js'].map(issue => [issue.ruleId, issue.severity])).toEqual([['weak-hash', 'HIGH']]);
+
+        const rulesOff = await analyzeFiles(sources, {
+            provider: offline,
+            config: validateConfig({ analysis: { rules: false } }),
+            results: createResults(1, false)
+        });
+        expect(rulesOff.files['app.js']).toEqual([]);
+        expect(rulesOff.summary.engines.rules).toBe(false);
+    });
+});
@@ -0,0 +1,141 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import multer from 'multer';
+import request from 'supertest';
+
+import { parseUnifiedDiff, diffFilePair, toDiffSources, DiffError } from '../utils/diff.js';
+import diffRouter from '../routes/diff.js';
+import { analyzeFiles } from '../utils/analyzer.js';
+
+const patch = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -10,3 +10,4 @@ function handler(req) {
+     const id = req.params.id;
++    eval(req.body.code);
+     const user = eval(legacy);
+     return user;
+@@ -40,2 +41,2 @@
+-    old();
++    fresh();
+     done();
+diff --git a/removed.js b/removed.js
+deleted file mode 100644
+--- a/removed.js
++++ /dev/null
+@@ -1 +0,0 @@
+-gone();
+`;
+
+describe('Diff Analysis', () => {
+    describe('parseUnifiedDiff', () => {
+        test('should map hunks to new-file segments and changed lines', () => {
+            const [file, ...rest] = parseUnifiedDiff(patch);
+
+            expect(rest).toHaveLength(0); // Deleted file has nothing to analyze
+            expect(file.name).toBe('src/app.js');
+            expect(file.changedLines).toEqual([11, 41]);
+            expect(file.segments).toEqual([
+                { startLine: 9, content: '    const id = req.params.id;\n    eval(req.body.code);\n    const user = eval(legacy);\n    return user;' },
+                { startLine: 40, content: '    fresh();\n    done();' }
+            ]);
+        });
+
+        test('should reject input without hunks', () => {
+            expect(() => parseUnifiedDiff('just some text')).toThrow(DiffError);
+        });
+    });
+
+    describe('diffFilePair', () => {
+        test('should cut segments from the new file with context', () => {
+            const oldContent = Array.from({ length: 30 }, (_, i) => `line${i + 1}`).join('\n');
+            const newLines = oldContent.split('\n');
+            newLines[4] = 'changed5';
+            newLines[24] = 'changed25';
+
+            const change = diffFilePair('a.txt', oldContent, newLines.join('\n'), 2);
+
+            expect(change.changedLines).toEqual([5, 25]);
+            expect(change.segments.map(s => [s.startLine, s.content.split('\n').length])).toEqual([[2, 5], [22, 5]]);
+            expect(diffFilePair('a.txt', oldContent, oldContent)).toBe(null);
+        });
+
+        test('should treat a missing old file as entirely added', () => {
+            const change = diffFilePair('new.py', null, 'a = 1\nb = 2', 0);
+            expect(change.changedLines).toEqual([1, 2]);
+        });
+    });
+
+    describe('analyzeFiles in diff mode', () => {
+        const provider = {
+            name: 'test',
+            model: 'test',
+            isConfigured: () => true,
+            // Report the first and second line of every chunk
+            generate: async () => JSON.stringify([
+                { severity: 'HIGH', line: 1, issue: 'First line', recommendation: 'Fix' },
+                { severity: 'LOW', line: 2, issue: 'Second line', recommendation: 'Fix' }
+            ])
+        };
+
+        test('should keep only findings on changed lines of the new file', async () => {
+            const sources = toDiffSources(parseUnifiedDiff(patch));
+
+            const results = await analyzeFiles(sources, { provider });
+            const findings = results.files['src/app.js'];
+
+            // eval on unchanged line 12 is filtered out; AI findings land on 11 and 41
+            expect(findings.filter(f => f.source === 'rule').map(f => f.line)).toEqual([11]);
+            expect(findings.filter(f => f.source === 'ai').map(f => f.line)).toEqual(expect.arrayContaining([11, 41]));
+            expect(findings.every(f => [11, 41].includes(f.line))).toBe(true);
+        });
+
+        test('should run rules on the full new file for pairs', async () => {
+            const sources = toDiffSources([
+                diffFilePair('x.py', 'import os\nos.system(cmd)\n', 'import os\nos.system(cmd)\nos.system(other)\n', 0)
+            ]);
+
+            const results = await analyzeFiles(sources, { provider: { ...provider, isConfigured: () => false } });
+
+            expect(results.files['x.py'].map(f => [f.line, f.ruleId])).toEqual([[3, 'command-injection']]);
+        });
+    });
+
+    describe('POST /analyze/diff', () => {
+        let uploadDir;
+        let app;
+
+        beforeAll(async () => {
+            uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autonalyst-uploads-'));
+            const upload = multer({ dest: uploadDir });
+            app = express();
+            app.use((req, res, next) => { req.client = { id: 'test' }; next(); });
+            app.use('/analyze/diff', upload.fields([{ name: 'files' }, { name: 'baseline' }, { name: 'config' }]), diffRouter);
+        });
+
+        afterAll(async () => {
+            await fs.rm(uploadDir, { recursive: true, force: true });
+        });
+
+        test('should remove every upload of a rejected request', async () => {
+            const invalidConfig = await request(app).post('/analyze/diff')
+                .attach('files', Buffer.from(patch), 'change.patch')
+                .attach('config', Buffer.from('analysis: [\n'), '.autonalystrc.yml');
+            expect(invalidConfig.status).toBe(400);
+
+            const invalidPatch = await request(app).post('/analyze/diff')
+                .attach('files', Buffer.from('@@ -1 +1 @@\n+orphan hunk\n'), 'broken.patch')
+                .attach('files', Buffer.from(patch), 'change.patch');
+            expect(invalidPatch.status).toBe(400);
+
+            const deletionOnly = await request(app).post('/analyze/diff')
+                .attach('files', Buffer.from(patch.slice(patch.indexOf('diff --git a/removed.js'))), 'removal.patch');
+            expect(deletionOnly.body).toEqual({ error: 'No added or modified lines to analyze' });
+
+            expect(await fs.readdir(uploadDir)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+
+import {
+    normalizeFinding,
+    normalizeConfidence,
+    extractSnippet,
+    summarize,
+    MAX_SUMMARY_LENGTH
+} from '../utils/findings.js';
+import { runRules } from '../utils/rules.js';
+import { analyzeFiles } from '../utils/analyzer.js';
+import { toSarif } from '../utils/sarif.js';
+
+const LONG_TEXT = 'User input from the query string is concatenated into the SQL statement passed to db.query, so an attacker can change the query';
+
+describe('Finding Schema', () => {
+    test('should keep full texts and add a short summary', () => {
+        const finding = normalizeFinding({ severity: 'HIGH', line: '4', issue: LONG_TEXT, recommendation: LONG_TEXT });
+
+        expect(finding.issue).toBe(LONG_TEXT);
+        expect(finding.recommendation).toBe(LONG_TEXT);
+        expect(finding.summary.length).toBeLessThanOrEqual(MAX_SUMMARY_LENGTH);
+        expect(finding.summary).toMatch(/^User input from the query string .*\w…$/);
+        expect(normalizeFinding({ issue: LONG_TEXT, summary: 'SQL injection in search' }).summary).toBe('SQL injection in search');
+        expect(summarize('Short issue')).toBe('Short issue');
+    });
+
+    test('should normalize line and column ranges', () => {
+        expect(normalizeFinding({ line: 3, endLine: 5, column: 2, endColumn: 9 })).toMatchObject({ line: 3, endLine: 5, column: 2, endColumn: 9 });
+        expect(normalizeFinding({ line: 7, endLine: 2 })).toMatchObject({ line: 7, endLine: 7, column: null, endColumn: null });
+        // An end column needs a start column and must lie after it on one line
+        expect(normalizeFinding({ line: 1, endColumn: 4 })).toMatchObject({ column: null, endColumn: null });
+        expect(normalizeFinding({ line: 1, column: 6, endColumn: 3 })).toMatchObject({ column: 6, endColumn: null });
+        expect(normalizeFinding({ line: 'x' })).toMatchObject({ line: 1, endLine: 1, severity: 'LOW', issue: 'Unknown issue' });
+    });
+
+    test('should normalize confidence and references', () => {
+        expect(normalizeConfidence(0.825)).toBe(0.83);
+        expect(normalizeConfidence(85)).toBe(0.85);
+        expect(normalizeConfidence('High')).toBe(0.9);
+        expect(normalizeConfidence(-1)).toBeNull();
+        expect(normalizeConfidence(undefined)).toBeNull();
+
+        const { references } = normalizeFinding({
+            cwe: 'CWE-89',
+            references: ['https://owasp.org/www-community/attacks/SQL_Injection', 'javascript:alert(1)', 'see docs']
+        });
+        expect(references).toEqual([
+            'https://owasp.org/www-community/attacks/SQL_Injection',
+            'https://cwe.mitre.org/data/definitions/89.html'
+        ]);
+    });
+
+    test('should extract the offending snippet', () => {
+        const lines = ['const a = 1;', 'const q = "SELECT * FROM t WHERE id=" + id;', 'db.query(q);'];
+        const lineAt = line => lines[line - 1] || '';
+
+        expect(extractSnippet(lineAt, { line: 2, endLine: 3 })).toBe(`${lines[1]}\n${lines[2]}`);
+        expect(extractSnippet(lineAt, { line: 2, column: 11, endColumn: 43 })).toBe('"SELECT * FROM t WHERE id=" + id');
+        expect(extractSnippet(lineAt, { line: 1, endLine: 2, column: 7, endColumn: 8 })).toBe('a = 1;\nconst q');
+    });
+
+    test('should locate rule matches by column', () => {
+        const [finding] = runRules('const x = 1;\n  const y = eval(input);\nconsole.log(x, y);', 'a.js');
+
+        expect(finding).toMatchObject({ ruleId: 'eval-injection', line: 2, endLine: 2, column: 13, endColumn: 18, confidence: 0.9 });
+        expect(finding.references).toContain('https://cwe.mitre.org/data/definitions/95.html');
+    });
+
+    test('should attach file snippets to AI and rule findings', async () => {
+        const content = `// ${crypto.randomUUID()}\nfunction run(cmd) {\n    return eval(cmd);\n}\nmodule.exports = run;\n`;
+        const provider = {
+            name: 'test',
+            model: 'test',
+            isConfigured: () => true,
+            generate: async () => JSON.stringify([{
+                severity: 'CRITICAL',
+                line: 2,
+                endLine: 3,
+                confidence: 0.95,
+                summary: 'eval of caller input',
+                issue: 'run() evaluates its argument as code',
+                explanation: 'Any caller passing user input allows arbitrary code execution.',
+                recommendation: 'Remove eval',
+                references: ['https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/eval']
+            }])
+        };
+
+        const results = await analyzeFiles([{ name: 'run.js', content }], { provider, chunkMode: 'lines' });
+        const ai = results.files['run.js'].find(finding => finding.source === 'ai');
+        const rule = results.files['run.js'].find(finding => finding.source === 'rule');
+
+        expect(ai).toMatchObject({ line: 2, endLine: 3, confidence: 0.95, summary: 'eval of caller input' });
+        expect(ai.snippet).toBe('function run(cmd) {\n    return eval(cmd);');
+        expect(rule.snippet).toBe('eval(');
+
+        const [result] = toSarif(results).runs[0].results.filter(r => r.properties.engine === 'ai');
+        expect(result.locations[0].physicalLocation.region).toMatchObject({ startLine: 2, endLine: 3, snippet: { text: ai.snippet } });
+        expect(result.message.text).toContain('arbitrary code execution');
+    });
+
+    test('should count and fingerprint analysis failures like other findings', async () => {
+        const provider = {
+            name: 'test',
+            model: 'test',
+            isConfigured: () => true,
+            generate: async () => '[]'
+        };
+        const cache = { get: async () => { throw new Error('Cache unavailable'); } };
+
+        const results = await analyzeFiles([
+            { name: 'total.js', content: `// ${crypto.randomUUID()}\nlet total = 1;\nexport default total;\n` },
+            { name: 'broken.js', error: new Error('Invalid encoding') }
+        ], { provider, cache, chunkMode: 'lines' });
+
+        expect(results.files['total.js']).toEqual([expect.objectContaining({
+            issue: 'Analysis failed for this section', line: 1, snippet: expect.stringMatching(/^\/\/ /), fingerprint: expect.stringMatching(/^[0-9a-f]{32}$/)
+        })]);
+        expect(results.files['broken.js']).toEqual([expect.objectContaining({
+            issue: 'File processing failed', fingerprint: expect.stringMatching(/^[0-9a-f]{32}$/)
+        })]);
+        expect(results.summary).toMatchObject({ totalIssues: 2, counts: { HIGH: 2 } });
+    });
+});
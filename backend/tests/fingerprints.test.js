@@ -0,0 +1,112 @@
+import { computeFingerprint, createLineLookup, parseBaseline, createBaseline, createSuppressor, BaselineError } from '../utils/fingerprints.js';
+import { analyzeFiles } from '../utils/analyzer.js';
+import { toSarif } from '../utils/sarif.js';
+
+const rulesOnlyProvider = {
+    name: 'test',
+    model: 'none',
+    isConfigured: () => false
+};
+
+const evalFinding = { ruleId: 'eval-injection', issue: 'Use of eval()', severity: 'CRITICAL', line: 3 };
+
+describe('Finding Fingerprints', () => {
+    test('should ignore line numbers and whitespace', () => {
+        const original = computeFingerprint('app.js', evalFinding, '  const x = eval(input);');
+        const moved = computeFingerprint('app.js', { ...evalFinding, line: 40 }, 'const x =   eval(input);\t');
+
+        expect(original).toMatch(/^[a-f0-9]{32}$/);
+        expect(moved).toBe(original);
+    });
+
+    test('should differ by file, rule and code', () => {
+        const base = computeFingerprint('app.js', evalFinding, 'eval(input);');
+
+        expect(computeFingerprint('lib.js', evalFinding, 'eval(input);')).not.toBe(base);
+        expect(computeFingerprint('app.js', { ...evalFinding, ruleId: 'command-injection' }, 'eval(input);')).not.toBe(base);
+        expect(computeFingerprint('app.js', evalFinding, 'eval(other);')).not.toBe(base);
+    });
+
+    test('should use the issue text for AI findings', () => {
+        const ai = { source: 'ai', issue: 'Missing input validation', severity: 'MEDIUM', line: 1 };
+
+        expect(computeFingerprint('app.js', ai, 'x')).toBe(computeFingerprint('app.js', { ...ai, severity: 'HIGH' }, 'x'));
+        expect(computeFingerprint('app.js', ai, 'x')).not.toBe(computeFingerprint('app.js', { ...ai, issue: 'Other' }, 'x'));
+    });
+
+    test('should look up lines in full files and diff segments', () => {
+        expect(createLineLookup({ content: 'a\nb\nc' })(2)).toBe('b');
+
+        const lookup = createLineLookup({ diff: { segments: [{ startLine: 9, content: 'ten\neleven' }] } });
+        expect(lookup(11)).toBe('eleven');
+        expect(lookup(1)).toBe('');
+    });
+});
+
+describe('Baselines', () => {
+    const code = 'function run(input) {\n    return eval(input);\n}\n';
+
+    async function analyze(content, suppress) {
+        return analyzeFiles([{ name: 'app.js', content }], { provider: rulesOnlyProvider, suppress });
+    }
+
+    test('should fingerprint every finding', async () => {
+        const results = await analyze(code);
+        expect(results.files['app.js'][0].fingerprint).toMatch(/^[a-f0-9]{32}$/);
+        expect(results.summary.suppressed).toBe(0);
+    });
+
+    test('should report only new findings against a baseline', async () => {
+        const first = await analyze(code);
+        const baseline = createBaseline({ id: 'previous', results: first });
+        expect(baseline.findings).toHaveLength(1);
+
+        // The accepted eval moved down a line and a new one was added
+        const changed = `// helper\n${code}function other(x) {\n    return eval(x + 1);\n}\n`;
+        const second = await analyze(changed, createSuppressor({ baseline: parseBaseline(JSON.stringify(baseline)) }));
+
+        expect(second.files['app.js'].map(finding => finding.line)).toEqual([6]);
+        expect(second.suppressed['app.js']).toEqual([
+            expect.objectContaining({ line: 3, suppression: expect.objectContaining({ kind: 'baseline' }) })
+        ]);
+        expect(second.summary).toMatchObject({ totalIssues: 1, suppressed: 1 });
+    });
+
+    test('should apply stored suppressions before the baseline', async () => {
+        const first = await analyze(code);
+        const { fingerprint } = first.files['app.js'][0];
+        const suppress = createSuppressor({
+            suppressions: [{ id: 's1', fingerprint, status: 'false-positive', reason: 'Sandboxed input' }],
+            baseline: new Set([fingerprint])
+        });
+
+        const results = await analyze(code, suppress);
+        expect(results.files['app.js']).toEqual([]);
+        expect(results.suppressed['app.js'][0].suppression).toEqual({ kind: 'external', status: 'false-positive', reason: 'Sandboxed input', id: 's1' });
+    });
+
+    test('should read reports and SARIF logs as baselines', async () => {
+        const results = await analyze(code);
+        const { fingerprint } = results.files['app.js'][0];
+
+        expect(parseBaseline({ files: results.files, summary: results.summary })).toEqual(new Set([fingerprint]));
+        expect(parseBaseline({ id: 'x', results })).toEqual(new Set([fingerprint]));
+        expect(parseBaseline(JSON.stringify(toSarif(results)))).toEqual(new Set([fingerprint]));
+        expect(parseBaseline({ fingerprints: [fingerprint, 42] })).toEqual(new Set([fingerprint]));
+    });
+
+    test('should reject unreadable baselines', () => {
+        expect(() => parseBaseline('not json')).toThrow(BaselineError);
+        expect(() => parseBaseline('[1, 2]')).toThrow(BaselineError);
+        expect(() => parseBaseline({ something: 'else' })).toThrow(BaselineError);
+    });
+
+    test('should mark suppressed findings in SARIF', async () => {
+        const first = await analyze(code);
+        const results = await analyze(code, createSuppressor({ baseline: new Set([first.files['app.js'][0].fingerprint]) }));
+        const [result] = toSarif(results).runs[0].results;
+
+        expect(result.partialFingerprints['autonalyst/v1']).toBe(first.files['app.js'][0].fingerprint);
+        expect(result.suppressions).toEqual([{ kind: 'external', status: 'accepted', justification: 'Present in baseline' }]);
+    });
+});
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+
+import {
+    buildFixPrompt,
+    extractPatch,
+    repairHunkHeaders,
+    validatePatch,
+    generateFix,
+    combinePatches,
+    FixError
+} from '../utils/fixes.js';
+import {
+    openStorage, closeStorage, createAnalysis, deleteAnalysis, getAnalysisSource, getAnalysisSourceMaskedLines, saveFix, listFixes
+} from '../utils/storage.js';
+import { redactSecrets, findMaskedLines } from '../utils/secrets.js';
+
+const FILE = 'src/db.js';
+const CONTENT = [
+    "const db = require('./connection');",
+    '',
+    'function findUser(id) {',
+    '    return db.query(`SELECT * FROM users WHERE id = ${id}`);',
+    '}',
+    '',
+    'function findOrder(id) {',
+    '    return db.query(`SELECT * FROM orders WHERE id = ${id}`);',
+    '}',
+    ''
+].join('\n');
+
+const FINDING = {
+    severity: 'HIGH',
+    line: 4,
+    endLine: 4,
+    issue: 'SQL query built from string interpolation',
+    recommendation: 'Use parameterized queries or prepared statements'
+};
+
+// Model-style patch: fenced, with wrong hunk counts and line numbers
+const USER_FIX = `Here is the fix:
+\`\`\`diff
+--- a/src/db.js
++++ b/src/db.js
+@@ -2,9 +2,9 @@
+ function findUser(id) {
+-    return db.query(\`SELECT * FROM users WHERE id = \${id}\`);
++    return db.query('SELECT * FROM users WHERE id = ?', [id]);
+ }
+\`\`\``;
+
+const ORDER_FIX = `--- a/src/db.js
++++ b/src/db.js
+@@ -8 +8 @@
+-    return db.query(\`SELECT * FROM orders WHERE id = \${id}\`);
++    return db.query('SELECT * FROM orders WHERE id = ?', [id]);
+`;
+
+function createProvider(responses) {
+    const prompts = [];
+    return {
+        prompts,
+        name: 'test',
+        model: 'test',
+        isConfigured: () => true,
+        generate: async (prompt) => {
+            prompts.push(prompt);
+            return responses.shift();
+        }
+    };
+}
+
+describe('Fix Patches', () => {
+    test('should describe the finding and the code in the prompt', () => {
+        const prompt = buildFixPrompt(FILE, CONTENT, FINDING);
+
+        expect(prompt).toContain('Finding (line 4, HIGH): SQL query built from string interpolation');
+        expect(prompt).toContain('"--- a/src/db.js" and "+++ b/src/db.js"');
+        expect(prompt).toContain('Code (the complete file):');
+        expect(prompt.endsWith(CONTENT)).toBe(true);
+    });
+
+    test('should extract and repair model patches', () => {
+        const patch = extractPatch(USER_FIX);
+        expect(patch.startsWith('--- a/src/db.js')).toBe(true);
+        expect(patch).not.toContain('```');
+        expect(repairHunkHeaders(patch)).toContain('@@ -2,3 +2,3 @@');
+        expect(() => extractPatch('I cannot help with that.')).toThrow(FixError);
+    });
+
+    test('should validate that a patch applies and build preview hunks', () => {
+        const { patch, hunks, after } = validatePatch(FILE, CONTENT, extractPatch(USER_FIX));
+
+        expect(after).toContain("db.query('SELECT * FROM users WHERE id = ?', [id])");
+        expect(patch).toMatch(/^--- a\/src\/db\.js\n\+\+\+ b\/src\/db\.js\n@@ -1,7 \+1,7 @@/);
+        expect(hunks).toHaveLength(1);
+        expect(hunks[0].before[3]).toBe(CONTENT.split('\n')[3]);
+        expect(hunks[0].after[3]).toBe("    return db.query('SELECT * FROM users WHERE id = ?', [id]);");
+
+        expect(() => validatePatch(FILE, CONTENT, ORDER_FIX.replace('orders', 'invoices'))).toThrow(/does not apply/);
+        expect(() => validatePatch(FILE, CONTENT, `${ORDER_FIX}--- a/other.js\n+++ b/other.js\n@@ -1 +1 @@\n-a\n+b\n`)).toThrow(/more than one file/);
+    });
+
+    test('should retry with the reason a patch was rejected', async () => {
+        const provider = createProvider(['--- a/src/db.js\n+++ b/src/db.js\n@@ -1 +1 @@\n-nothing\n+here\n', USER_FIX]);
+
+        const fix = await generateFix({ file: FILE, content: CONTENT, finding: FINDING, provider });
+        expect(fix.hunks).toHaveLength(1);
+        expect(provider.prompts[1]).toContain('Your previous patch could not be applied: Patch does not apply');
+
+        const failing = createProvider(['No diff', 'Still no diff']);
+        await expect(generateFix({ file: FILE, content: CONTENT, finding: FINDING, provider: failing })).rejects.toThrow(FixError);
+    });
+
+    test('should combine fixes per file and report conflicts', () => {
+        const userFix = validatePatch(FILE, CONTENT, extractPatch(USER_FIX)).patch;
+        const orderFix = validatePatch(FILE, CONTENT, ORDER_FIX).patch;
+        const contents = { [FILE]: CONTENT, 'b.js': 'let a = 1;\n' };
+
+        const combined = combinePatches([
+            { file: FILE, fingerprint: 'user', patch: userFix },
+            { file: FILE, fingerprint: 'order', patch: orderFix },
+            // Conflicts with the first fix
+            { file: FILE, fingerprint: 'again', patch: userFix },
+            { file: 'b.js', fingerprint: 'b', patch: '--- a/b.js\n+++ b/b.js\n@@ -1 +1 @@\n-let a = 1;\n+const a = 1;\n' }
+        ], file => contents[file]);
+
+        expect(combined.applied).toEqual(['user', 'order', 'b']);
+        expect(combined.conflicts).toEqual(['again']);
+        expect(combined.patch.match(/^--- a\//gm)).toHaveLength(2);
+        expect(combined.patch).toContain("+    return db.query('SELECT * FROM orders WHERE id = ?', [id]);");
+    });
+
+    test('should refuse fixes touching lines with masked secrets', async () => {
+        const original = CONTENT.replace("connection');\n\n", `connection');\nconst key = '${'AKIA' + 'Z3MPLQ7RT2XW4Y5N'}';\n`);
+        const content = redactSecrets(original, FILE);
+        const maskedLines = findMaskedLines(original, content);
+        expect(content.split('\n')[1]).toBe("const key = 'AKIA****************';");
+        expect(maskedLines).toEqual([2]);
+
+        // Line 2 is context of the fix of line 4
+        expect(() => validatePatch(FILE, content, extractPatch(USER_FIX), maskedLines))
+            .toThrow('Patch changes or uses as context line 2, which holds a masked secret');
+        expect(validatePatch(FILE, content, ORDER_FIX, maskedLines).after).toContain('orders WHERE id = ?');
+        const provider = createProvider([USER_FIX, USER_FIX]);
+        await expect(generateFix({ file: FILE, content, finding: FINDING, maskedLines, provider })).rejects.toThrow(/masked secret/);
+
+        const combined = combinePatches([
+            { file: FILE, fingerprint: 'user', patch: validatePatch(FILE, content, extractPatch(USER_FIX)).patch },
+            { file: FILE, fingerprint: 'order', patch: ORDER_FIX }
+        ], () => content, () => maskedLines);
+        expect(combined).toMatchObject({ applied: ['order'], conflicts: [], masked: ['user'] });
+        expect(combined.patch).not.toContain('AKIA');
+
+        await openStorage({ filename: ':memory:' });
+        try {
+            const id = crypto.randomUUID();
+            createAnalysis({ id, kind: 'code', sources: [{ name: FILE, content, maskedLines }, { name: 'clean.js', content: CONTENT }] });
+            expect(getAnalysisSourceMaskedLines(id, FILE)).toEqual([2]);
+            expect(getAnalysisSourceMaskedLines(id, 'clean.js')).toEqual([]);
+            expect(getAnalysisSourceMaskedLines(id, 'missing.js')).toEqual([]);
+        } finally {
+            closeStorage();
+        }
+    });
+
+    test('should keep analyzed sources and fixes with the analysis', async () => {
+        await openStorage({ filename: ':memory:' });
+        try {
+            const id = crypto.randomUUID();
+            createAnalysis({ id, kind: 'code', sources: [{ name: FILE, content: CONTENT }, { name: 'diff.js', diff: { segments: [] } }] });
+            expect(getAnalysisSource(id, FILE)).toBe(CONTENT);
+            expect(getAnalysisSource(id, 'diff.js')).toBeNull();
+
+            saveFix({ analysisId: id, fingerprint: 'a'.repeat(32), file: FILE, patch: ORDER_FIX });
+            saveFix({ analysisId: id, fingerprint: 'a'.repeat(32), file: FILE, patch: USER_FIX });
+            expect(listFixes(id)).toEqual([expect.objectContaining({ fingerprint: 'a'.repeat(32), patch: USER_FIX })]);
+            expect(listFixes(id, ['b'.repeat(32)])).toEqual([]);
+
+            deleteAnalysis(id);
+            expect(getAnalysisSource(id, FILE)).toBeNull();
+            expect(listFixes(id)).toEqual([]);
+        } finally {
+            closeStorage();
+        }
+    });
+});
@@ -0,0 +1,111 @@
+import { parseDirective, getInlineSuppression, DEFAULT_INLINE_REASON } from '../utils/inlineSuppressions.js';
+import { analyzeFiles } from '../utils/analyzer.js';
+import { createLineLookup } from '../utils/fingerprints.js';
+
+const rulesOnlyProvider = {
+    name: 'test',
+    model: 'none',
+    isConfigured: () => false
+};
+
+describe('Inline Suppressions', () => {
+    describe('parseDirective', () => {
+        test('should parse next-line directives with reasons', () => {
+            expect(parseDirective('    // autonalyst-ignore-next-line input is a constant'))
+                .toEqual({ nextLine: true, reason: 'input is a constant' });
+            expect(parseDirective('# autonalyst-ignore-next-line: legacy API'))
+                .toEqual({ nextLine: true, reason: 'legacy API' });
+            expect(parseDirective('/* autonalyst-ignore-next-line reviewed */'))
+                .toEqual({ nextLine: true, reason: 'reviewed' });
+            expect(parseDirective('<!-- autonalyst-ignore-next-line -->'))
+                .toEqual({ nextLine: true, reason: DEFAULT_INLINE_REASON });
+        });
+
+        test('should apply trailing ignore comments to their own line', () => {
+            expect(parseDirective('eval(x); // autonalyst-ignore sandboxed'))
+                .toEqual({ nextLine: false, reason: 'sandboxed' });
+            expect(parseDirective('os.system(cmd)  # autonalyst-ignore'))
+                .toEqual({ nextLine: false, reason: DEFAULT_INLINE_REASON });
+            expect(parseDirective('-- autonalyst-ignore fixture data').nextLine).toBe(true);
+        });
+
+        test('should ignore unrelated comments', () => {
+            expect(parseDirective('// autonalyst-ignored')).toBeNull();
+            expect(parseDirective('// autonalyst-ignore-nextline')).toBeNull();
+            expect(parseDirective('const autonalystIgnore = true;')).toBeNull();
+            expect(parseDirective(undefined)).toBeNull();
+        });
+    });
+
+    test('should find the directive covering a line', () => {
+        const lineAt = createLineLookup({ content: '// autonalyst-ignore-next-line ok\neval(a);\neval(b); // autonalyst-ignore\neval(c);' });
+
+        expect(getInlineSuppression(lineAt, 2)).toEqual({ kind: 'inSource', status: 'inline', reason: 'ok' });
+        expect(getInlineSuppression(lineAt, 3).reason).toBe(DEFAULT_INLINE_REASON);
+        expect(getInlineSuppression(lineAt, 4)).toBeNull();
+        expect(getInlineSuppression(lineAt, 1)).toBeNull();
+    });
+
+    test('should list suppressed rule findings separately', async () => {
+        const js = [
+            'function run(input) {',
+            '    // autonalyst-ignore-next-line input comes from a signed config',
+            '    eval(input);',
+            '    eval(input + 1);',
+            '}'
+        ].join('\n');
+        const py = 'import hashlib\nhashlib.md5(data)  # autonalyst-ignore checksum only\n';
+
+        const results = await analyzeFiles([{ name: 'app.js', content: js }, { name: 'util.py', content: py }], { provider: rulesOnlyProvider });
+
+        expect(results.files['app.js'].map(finding => finding.line)).toEqual([4]);
+        expect(results.suppressed['app.js']).toEqual([expect.objectContaining({
+            line: 3,
+            ruleId: 'eval-injection',
+            suppression: { kind: 'inSource', status: 'inline', reason: 'input comes from a signed config' }
+        })]);
+        expect(results.files['util.py']).toEqual([]);
+        expect(results.suppressed['util.py'][0].suppression.reason).toBe('checksum only');
+        expect(results.summary).toMatchObject({ totalIssues: 1, suppressed: 2 });
+    });
+
+    test('should match AI findings after chunk line offsets are applied', async () => {
+        const provider = {
+            name: 'test',
+            model: 'test',
+            contextWindow: 8192,
+            maxOutputTokens: 1000,
+            isConfigured: () => true,
+            // Flag the call to danger() with its line number within the chunk
+            generate: async (prompt) => {
+                const lines = prompt.split('Code to analyze:\n')[1].split('\n');
+                const index = lines.findIndex(line => line.includes('danger('));
+                return JSON.stringify(index === -1 ? [] : [{ severity: 'MEDIUM', line: index + 1, issue: 'Suspicious call', recommendation: 'Review' }]);
+            }
+        };
+        const content = [
+            'function first() {',
+            ...Array.from({ length: 40 }, (_, i) => `    total += compute(${i});`),
+            '}',
+            'function second() {',
+            '    return danger(); // autonalyst-ignore known false positive',
+            '}'
+        ].join('\n');
+
+        // A small budget splits the file so the finding needs a chunk offset
+        const previous = process.env.CHUNK_MAX_TOKENS;
+        process.env.CHUNK_MAX_TOKENS = '250';
+        let results;
+        try {
+            results = await analyzeFiles([{ name: 'app.js', content }], { provider, chunkMode: 'syntax' });
+        } finally {
+            if (previous === undefined) delete process.env.CHUNK_MAX_TOKENS;
+            else process.env.CHUNK_MAX_TOKENS = previous;
+        }
+
+        expect(results.files['app.js']).toEqual([]);
+        expect(results.suppressed['app.js']).toEqual([
+            expect.objectContaining({ line: 44, source: 'ai', suppression: expect.objectContaining({ reason: 'known false positive' }) })
+        ]);
+    });
+});
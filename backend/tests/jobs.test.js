@@ -0,0 +1,155 @@
+import { createJob, startJob, cancelJob, getJob, recordProgress, getJobPercent, serializeJob, subscribeToJob } from '../utils/jobs.js';
+import { analyzeFiles, createResults, AnalysisCancelledError } from '../utils/analyzer.js';
+
+const rulesOnlyProvider = {
+    name: 'test',
+    model: 'none',
+    isConfigured: () => false
+};
+
+function waitForJob(job) {
+    return new Promise(resolve => {
+        const timer = setInterval(() => {
+            if (job.finishedAt) {
+                clearInterval(timer);
+                resolve(job);
+            }
+        }, 5);
+    });
+}
+
+describe('Job Registry', () => {
+    test('should create queued jobs with per-file progress', () => {
+        const job = createJob('code', ['a.js', 'b.py']);
+
+        expect(getJob(job.id)).toBe(job);
+        expect(job.status).toBe('queued');
+        expect(Object.keys(job.files)).toEqual(['a.js', 'b.py']);
+        expect(getJobPercent(job)).toBe(0);
+    });
+
+    test('should hide jobs from other clients', () => {
+        const job = createJob('code', ['a.js'], { clientId: 'session:alice' });
+
+        expect(getJob(job.id, { clientId: 'session:alice' })).toBe(job);
+        expect(getJob(job.id, { clientId: 'session:bob' })).toBeNull();
+        expect(serializeJob(job)).not.toHaveProperty('clientId');
+    });
+
+    test('should compute percent from file and chunk progress', () => {
+        const job = createJob('code', ['a.js', 'b.js']);
+
+        recordProgress(job, { type: 'file-started', file: 'a.js', totalChunks: 4 });
+        // Chunks complete out of order when analyzed concurrently
+        recordProgress(job, { type: 'chunk-completed', file: 'a.js', chunkIndex: 3, totalChunks: 4, issues: [] });
+        recordProgress(job, { type: 'chunk-completed', file: 'a.js', chunkIndex: 0, totalChunks: 4, issues: [] });
+        expect(getJobPercent(job)).toBe(25);
+
+        recordProgress(job, { type: 'file-finished', file: 'a.js', issues: [] });
+        expect(getJobPercent(job)).toBe(50);
+    });
+
+    test('should record results when a job completes', async () => {
+        const job = createJob('code', ['app.js']);
+        job.results = createResults(1, false);
+
+        startJob(job, () => analyzeFiles([{ name: 'app.js', content: 'eval(input);' }], {
+            provider: rulesOnlyProvider,
+            results: job.results,
+            signal: job.controller.signal,
+            onProgress: (event) => recordProgress(job, event)
+        }));
+        await waitForJob(job);
+
+        const serialized = serializeJob(job);
+        expect(serialized.status).toBe('completed');
+        expect(serialized.percent).toBe(100);
+        expect(serialized.files['app.js'].status).toBe('completed');
+        expect(serialized.results.files['app.js'][0].ruleId).toBe('eval-injection');
+    });
+
+    test('should cancel running jobs and keep partial results', async () => {
+        const job = createJob('code', ['a.js', 'b.js']);
+        job.results = createResults(2, false);
+
+        startJob(job, () => analyzeFiles([
+            { name: 'a.js', content: 'eval(x);' },
+            { name: 'b.js', content: 'eval(y);' }
+        ], {
+            provider: rulesOnlyProvider,
+            results: job.results,
+            signal: job.controller.signal,
+            onProgress: (event) => {
+                recordProgress(job, event);
+                if (event.type === 'file-finished') cancelJob(job);
+            }
+        }));
+        await waitForJob(job);
+
+        expect(job.status).toBe('cancelled');
+        expect(job.results.files['a.js']).toHaveLength(1);
+        expect(job.results.files['b.js']).toBeUndefined();
+        expect(cancelJob(job)).toBe(false);
+    });
+
+    test('should mark failed jobs', async () => {
+        const job = createJob('code', []);
+        startJob(job, async () => { throw new Error('boom'); });
+        await waitForJob(job);
+
+        expect(job.status).toBe('failed');
+        expect(job.error).toBe('boom');
+    });
+});
+
+describe('Job Events', () => {
+    test('should publish progress, findings and completion events', async () => {
+        const job = createJob('code', ['app.js']);
+        job.results = createResults(1, false);
+        const types = [];
+        subscribeToJob(job, event => types.push(event.type));
+
+        startJob(job, () => analyzeFiles([{ name: 'app.js', content: 'eval(input);' }], {
+            provider: rulesOnlyProvider,
+            results: job.results,
+            onProgress: (event) => recordProgress(job, event)
+        }));
+        await waitForJob(job);
+
+        expect(types).toEqual(['file-started', 'finding-found', 'file-finished', 'job-finished']);
+    });
+
+    test('should replay events after the last seen ID', () => {
+        const job = createJob('code', ['a.js']);
+        recordProgress(job, { type: 'file-started', file: 'a.js', totalChunks: 1, issues: [] });
+        recordProgress(job, { type: 'chunk-completed', file: 'a.js', chunkIndex: 0, totalChunks: 1, issues: [] });
+
+        const replayed = [];
+        const unsubscribe = subscribeToJob(job, event => replayed.push(event), 1);
+        unsubscribe();
+
+        expect(replayed.map(e => e.type)).toEqual(['chunk-completed']);
+        expect(replayed[0].data.percent).toBe(99);
+    });
+
+    test('should not publish progress after cancellation', () => {
+        const job = createJob('code', ['a.js']);
+        job.status = 'running';
+        cancelJob(job);
+        recordProgress(job, { type: 'file-started', file: 'a.js', totalChunks: 1, issues: [] });
+
+        expect(job.events.map(e => e.type)).toEqual(['job-finished']);
+    });
+});
+
+describe('analyzeFiles', () => {
+    test('should throw when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(analyzeFiles([{ name: 'a.js', content: 'x' }], {
+            provider: rulesOnlyProvider,
+            signal: controller.signal
+        })).rejects.toBeInstanceOf(AnalysisCancelledError);
+    });
+});
@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+import {
+    normalizeLicense,
+    normalizeLicenseId,
+    categorizeLicense,
+    getLicensePolicy,
+    evaluateLicensePolicy,
+    createLicenseDatabase,
+    loadLicenseDatabase,
+    lookupLicense,
+    buildLicenseReport,
+    LicenseError
+} from '../utils/licenses.js';
+import { collectDependencies } from '../utils/manifests.js';
+import { analyzeFiles } from '../utils/analyzer.js';
+import { validateConfig } from '../utils/config.js';
+
+const PACKAGE_JSON = JSON.stringify({
+    name: 'shop',
+    version: '1.0.0',
+    license: 'UNLICENSED',
+    dependencies: { express: '^4.17.1', 'readline-sync': '^1.4.0', 'mystery-lib': '1.0.0' },
+    devDependencies: { jest: '^29.0.0' }
+}, null, 2);
+
+const PACKAGE_LOCK = JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+        '': { name: 'shop' },
+        'node_modules/express': { version: '4.17.1', license: 'MIT' },
+        'node_modules/readline-sync': { version: '1.4.10', license: 'GPL-3.0' },
+        'node_modules/qs': { version: '6.7.0', license: 'BSD-3-Clause' },
+        'node_modules/jest': { version: '29.7.0', license: 'MIT', dev: true }
+    }
+}, null, 2);
+
+const expression = value => normalizeLicense(value).expression;
+
+describe('License Compliance', () => {
+    test('should normalize SPDX expressions and free-text names', () => {
+        expect(expression('mit')).toBe('MIT');
+        expect(expression('(MIT OR Apache-2.0)')).toBe('MIT OR Apache-2.0');
+        expect(expression('(mit and bsd-3-clause) or GPL-2.0-only WITH Classpath-exception-2.0'))
+            .toBe('(MIT AND BSD-3-Clause) OR GPL-2.0-only WITH Classpath-exception-2.0');
+        expect(expression('Apache License, Version 2.0')).toBe('Apache-2.0');
+        expect(expression('The MIT License')).toBe('MIT');
+        expect(expression('GPLv3+')).toBe('GPL-3.0-or-later');
+        expect(expression('GNU Lesser General Public License v2.1 or later')).toBe('LGPL-2.1-or-later');
+        expect(expression('SEE LICENSE IN LICENSE.md')).toBe('SEE LICENSE IN LICENSE.md');
+        expect(normalizeLicense('  ')).toBeNull();
+        expect(normalizeLicenseId('Custom Corporate License')).toBe('Custom Corporate License');
+    });
+
+    test('should categorize licenses and expressions', () => {
+        const category = value => categorizeLicense(normalizeLicense(value)?.tree);
+        expect(['MIT', 'CC0-1.0', 'MPL-2.0', 'GPL-2.0+', 'AGPL-3.0-only', 'UNLICENSED', 'Custom'].map(category)).toEqual([
+            'permissive', 'public-domain', 'weak-copyleft', 'strong-copyleft', 'network-copyleft', 'proprietary', 'unknown'
+        ]);
+        expect(category('MIT OR GPL-3.0')).toBe('permissive');
+        expect(category('MIT AND LGPL-2.1')).toBe('weak-copyleft');
+        expect(category('MIT AND Custom')).toBe('unknown');
+        expect(category(null)).toBe('unknown');
+    });
+
+    test('should apply allow and deny lists by ID and category', () => {
+        const check = (value, policy) => evaluateLicensePolicy(normalizeLicense(value), policy).status;
+        const defaults = getLicensePolicy({});
+        expect(defaults).toEqual({ allow: [], deny: ['strong-copyleft', 'network-copyleft'], unknown: 'warn' });
+        expect(['MIT', 'LGPL-3.0', 'GPL-3.0', 'AGPL-3.0', 'Custom'].map(value => check(value, defaults)))
+            .toEqual(['allowed', 'allowed', 'denied', 'denied', 'unknown']);
+        expect(check('MIT OR GPL-3.0', defaults)).toBe('allowed');
+        expect(check('MIT AND GPL-3.0', defaults)).toBe('denied');
+        expect(evaluateLicensePolicy(null, defaults)).toEqual({ status: 'unknown', reason: 'No license information' });
+
+        // A copyleft project may use copyleft dependencies
+        expect(getLicensePolicy({}, 'GPL-3.0-or-later').deny).toEqual([]);
+
+        const strict = getLicensePolicy({ allow: ['permissive', 'GPL-2.0'], deny: ['MIT-0'], unknown: 'deny' });
+        expect(['MIT', 'MIT-0', 'GPL-2.0-only', 'GPL-3.0', 'MPL-2.0', 'Custom'].map(value => check(value, strict)))
+            .toEqual(['allowed', 'denied', 'allowed', 'denied', 'denied', 'denied']);
+        expect(evaluateLicensePolicy(normalizeLicense('MPL-2.0'), strict).reason).toBe('MPL-2.0 is not in the allow list');
+        expect(check('Custom', getLicensePolicy({ unknown: 'allow' }))).toBe('allowed');
+    });
+
+    test('should look up licenses in a database file', async () => {
+        const database = createLicenseDatabase({
+            npm: { lodash: 'MIT', 'left-pad@0.0.3': 'WTFPL', '@scope/pkg': 'ISC' },
+            PyPI: { 'Django_Rest': 'BSD-3-Clause' }
+        });
+        expect(lookupLicense(database, 'npm', 'lodash', '4.17.21')).toBe('MIT');
+        expect(lookupLicense(database, 'npm', 'left-pad', '0.0.3')).toBe('WTFPL');
+        expect(lookupLicense(database, 'npm', 'left-pad', '1.3.0')).toBeNull();
+        expect(lookupLicense(database, 'npm', '@scope/pkg', '1.0.0')).toBe('ISC');
+        expect(lookupLicense(database, 'PyPI', 'django-rest', '3.0')).toBe('BSD-3-Clause');
+
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'licenses-'));
+        try {
+            await fs.writeFile(path.join(dir, 'licenses.json'), JSON.stringify({ Go: { 'github.com/gin-gonic/gin': 'MIT' } }));
+            await fs.writeFile(path.join(dir, 'broken.json'), '[');
+            expect((await loadLicenseDatabase(path.join(dir, 'licenses.json'))).count).toBe(1);
+            await expect(loadLicenseDatabase(path.join(dir, 'missing.json'))).rejects.toThrow(LicenseError);
+            await expect(loadLicenseDatabase(path.join(dir, 'broken.json'))).rejects.toThrow(/Could not parse license database broken.json/);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should build the license inventory of manifests', () => {
+        const report = buildLicenseReport(collectDependencies([
+            { name: 'package.json', content: PACKAGE_JSON },
+            { name: 'package-lock.json', content: PACKAGE_LOCK },
+            { name: 'tools/requirements.txt', content: 'requests==2.31.0\n' },
+            { name: 'app.js', content: 'require("express");' }
+        ]), { config: validateConfig().licenses, database: createLicenseDatabase({ PyPI: { requests: 'Apache 2.0' } }) });
+
+        expect(report.project).toEqual({ name: 'shop', version: '1.0.0', license: 'UNLICENSED' });
+        expect(report.dependencies.map(({ name, version, direct, license, licenseSource, status }) => [name, version, direct, license, licenseSource, status])).toEqual([
+            ['express', '4.17.1', true, 'MIT', 'lockfile', 'allowed'],
+            ['mystery-lib', '1.0.0', true, null, null, 'unknown'],
+            ['qs', '6.7.0', false, 'BSD-3-Clause', 'lockfile', 'allowed'],
+            ['readline-sync', '1.4.10', true, 'GPL-3.0', 'lockfile', 'denied'],
+            ['requests', '2.31.0', true, 'Apache-2.0', 'database', 'allowed']
+        ]);
+        expect(report.dependencies[3]).toMatchObject({
+            ecosystem: 'npm',
+            category: 'strong-copyleft',
+            files: ['package.json', 'package-lock.json'],
+            reason: 'strong-copyleft licenses are denied (GPL-3.0)'
+        });
+        expect(report.summary).toEqual({
+            total: 5,
+            allowed: 3,
+            denied: 1,
+            unknown: 1,
+            byCategory: { permissive: 3, unknown: 1, 'strong-copyleft': 1 }
+        });
+
+        const withDev = buildLicenseReport(collectDependencies([{ name: 'package.json', content: PACKAGE_JSON }]), { config: { includeDev: true, project: 'GPL-3.0' } });
+        expect(withDev.dependencies.map(dependency => dependency.name)).toContain('jest');
+        expect(withDev.project.license).toBe('GPL-3.0');
+        expect(withDev.summary.denied).toBe(0);
+
+        expect(buildLicenseReport(collectDependencies([{ name: 'app.js', content: '' }]))).toBeNull();
+    });
+
+    test('should add the license inventory to the analysis', async () => {
+        const provider = { name: 'test', model: 'test', isConfigured: () => false };
+        const sources = [
+            { name: 'package.json', content: PACKAGE_JSON.replace('"shop"', `"shop-${crypto.randomUUID()}"`) },
+            { name: 'package-lock.json', content: PACKAGE_LOCK }
+        ];
+
+        const results = await analyzeFiles(sources, { provider, advisories: null, licenseDatabase: null });
+        expect(results.licenses.summary).toMatchObject({ total: 4, denied: 1 });
+
+        const disabled = await analyzeFiles(sources, {
+            provider,
+            advisories: null,
+            config: validateConfig({ licenses: { enabled: false } })
+        });
+        expect(disabled.licenses).toBeUndefined();
+    });
+});
@@ -0,0 +1,215 @@
+import { parseManifest, getManifestType, resolveDeclaredVersion, collectDependencies } from '../utils/manifests.js';
+
+const PACKAGE_JSON = `{
+  "name": "shop",
+  "version": "2.1.0",
+  "license": "UNLICENSED",
+  "dependencies": {
+    "express": "^4.17.1",
+    "lodash": "4.17.15",
+    "left-pad": "git+https://github.com/left-pad/left-pad.git",
+    "utils": "file:../utils",
+    "old-request": "npm:request@~2.88.0"
+  },
+  "devDependencies": {
+    "jest": ">=29.0.0 <30"
+  }
+}`;
+
+const PACKAGE_LOCK_V1 = `{
+  "lockfileVersion": 1,
+  "dependencies": {
+    "express": {
+      "version": "4.17.1",
+      "dependencies": {
+        "qs": { "version": "6.7.0" }
+      }
+    },
+    "tarball": { "version": "https://example.com/tarball.tgz" }
+  }
+}`;
+
+describe('Dependency Manifests', () => {
+    test('should recognize manifests and resolve declared ranges', () => {
+        expect(['package.json', 'web/package-lock.json', 'requirements-dev.txt', 'api/pom.xml', 'go.mod', 'notes.txt']
+            .map(getManifestType)).toEqual(['package.json', 'package-lock.json', 'requirements.txt', 'pom.xml', 'go.mod', null]);
+
+        expect(resolveDeclaredVersion('^4.17.1')).toBe('4.17.1');
+        expect(resolveDeclaredVersion('~1.2')).toBe('1.2.0');
+        expect(resolveDeclaredVersion('1.x')).toBe('1.0.0');
+        expect(resolveDeclaredVersion('>=2.0.0-beta.1 <3')).toBe('2.0.0-beta.1');
+        expect(resolveDeclaredVersion('1.2.3 || ^2.0.0')).toBe('1.2.3');
+        expect(resolveDeclaredVersion('<2.0.0')).toBeNull();
+        expect(resolveDeclaredVersion('*')).toBeNull();
+    });
+
+    test('should read package.json with declaration lines', () => {
+        const { ecosystem, project, dependencies } = parseManifest('package.json', PACKAGE_JSON);
+
+        expect(ecosystem).toBe('npm');
+        expect(project).toEqual({ name: 'shop', version: '2.1.0', license: 'UNLICENSED' });
+        expect(dependencies.map(({ name, version, line, dev }) => [name, version, line, dev])).toEqual([
+            ['express', '4.17.1', 6, false],
+            ['lodash', '4.17.15', 7, false],
+            ['request', '2.88.0', 10, false],
+            ['jest', '29.0.0', 13, true]
+        ]);
+        expect(dependencies[0]).toMatchObject({ declared: '^4.17.1', exact: false });
+        expect(dependencies[1]).toMatchObject({ declared: '4.17.15', exact: true });
+        expect(() => parseManifest('package.json', '{ "dependencies": ')).toThrow(/Could not parse package.json/);
+    });
+
+    test('should read npm lockfiles, including nested v1 dependencies', () => {
+        const v2 = parseManifest('package-lock.json', JSON.stringify({
+            lockfileVersion: 3,
+            packages: {
+                '': { name: 'shop' },
+                'node_modules/express': { version: '4.17.1', license: 'MIT' },
+                'node_modules/express/node_modules/qs': { version: '6.7.0', dev: true, license: 'BSD-3-Clause' },
+                'node_modules/utils': { resolved: '../utils', link: true }
+            }
+        }, null, 2));
+        expect(v2.dependencies.map(({ name, version, path, dev, license, line }) => [name, version, path, dev, license, line])).toEqual([
+            ['express', '4.17.1', 'node_modules/express', false, 'MIT', 7],
+            ['qs', '6.7.0', 'node_modules/express/node_modules/qs', true, 'BSD-3-Clause', 11]
+        ]);
+
+        const v1 = parseManifest('package-lock.json', PACKAGE_LOCK_V1);
+        expect(v1.dependencies.map(({ name, version, path, line }) => [name, version, path, line])).toEqual([
+            ['express', '4.17.1', 'node_modules/express', 4],
+            ['qs', '6.7.0', 'node_modules/express/node_modules/qs', 7]
+        ]);
+    });
+
+    test('should read pinned and lower-bound pip requirements', () => {
+        const { ecosystem, dependencies } = parseManifest('requirements.txt', [
+            '# web stack',
+            'Django==3.2.4',
+            'requests[security] >=2.20,<3 ; python_version >= "3.8"',
+            '-r base.txt',
+            'flask',
+            'pyyaml===5.3.1  # pinned',
+            'numpy==1.*',
+            'internal @ https://example.com/internal.whl',
+            'idna==3.4 \\',
+            `    --hash=sha256:${'ab'.repeat(32)} \\`,
+            `    --hash=sha256:${'CD'.repeat(32)}`,
+            'six==1.16.0'
+        ].join('\n'));
+
+        expect(ecosystem).toBe('PyPI');
+        expect(dependencies.map(({ name, version, exact, line }) => [name, version, exact, line])).toEqual([
+            ['Django', '3.2.4', true, 2],
+            ['requests', '2.20', false, 3],
+            ['pyyaml', '5.3.1', true, 6],
+            ['idna', '3.4', true, 9],
+            ['six', '1.16.0', true, 12]
+        ]);
+        expect(dependencies[3].hashes).toEqual([
+            { alg: 'SHA-256', content: 'ab'.repeat(32) },
+            { alg: 'SHA-256', content: 'cd'.repeat(32) }
+        ]);
+    });
+
+    test('should read Maven dependencies with properties and ranges', () => {
+        const pom = `<project>
+  <groupId>com.example</groupId>
+  <artifactId>shop</artifactId>
+  <version>1.4.0</version>
+  <licenses>
+    <license>
+      <name>Apache License, Version 2.0</name>
+    </license>
+  </licenses>
+  <properties>
+    <jackson.version>2.9.8</jackson.version>
+  </properties>
+  <dependencies>
+    <dependency>
+      <groupId>com.fasterxml.jackson.core</groupId>
+      <artifactId>jackson-databind</artifactId>
+      <version>\${jackson.version}</version>
+    </dependency>
+    <dependency>
+      <groupId>org.apache.logging.log4j</groupId>
+      <artifactId>log4j-core</artifactId>
+      <version>[2.0,2.15)</version>
+    </dependency>
+    <dependency>
+      <groupId>com.example</groupId>
+      <artifactId>shop-common</artifactId>
+      <version>\${project.version}</version>
+    </dependency>
+    <dependency>
+      <groupId>org.springframework</groupId>
+      <artifactId>spring-core</artifactId>
+    </dependency>
+  </dependencies>
+</project>`;
+
+        const { ecosystem, project, dependencies } = parseManifest('pom.xml', pom);
+        expect(ecosystem).toBe('Maven');
+        expect(project).toEqual({ name: 'com.example:shop', version: '1.4.0', license: 'Apache License, Version 2.0' });
+        expect(dependencies.map(({ name, version, exact, line }) => [name, version, exact, line])).toEqual([
+            ['com.fasterxml.jackson.core:jackson-databind', '2.9.8', true, 16],
+            ['org.apache.logging.log4j:log4j-core', '2.0.0', false, 21],
+            ['com.example:shop-common', '1.4.0', true, 26]
+        ]);
+    });
+
+    test('should merge manifests into one inventory', () => {
+        const integrity = Buffer.from('lodash tarball digest').toString('base64');
+        const inventory = collectDependencies([
+            { name: 'web/package.json', content: PACKAGE_JSON },
+            { name: 'web/package-lock.json', content: JSON.stringify({
+                lockfileVersion: 3,
+                packages: {
+                    'node_modules/express': { version: '4.18.2', license: 'MIT' },
+                    'node_modules/lodash': { version: '4.17.15', license: 'MIT', integrity: `sha512-${integrity}` },
+                    'node_modules/jest': { version: '29.7.0', dev: true },
+                    'node_modules/qs': { version: '6.11.0' }
+                }
+            }, null, 2) },
+            { name: 'go.mod', content: 'module example.com/shop\n\nrequire golang.org/x/net v0.17.0 // indirect\n' },
+            { name: 'broken/package.json', content: '{' }
+        ]);
+
+        expect(inventory.project).toEqual({ ecosystem: 'npm', name: 'shop', version: '2.1.0', license: 'UNLICENSED' });
+        expect(inventory.components.map(({ ecosystem, name, version, direct, dev }) => [ecosystem, name, version, direct, dev])).toEqual([
+            ['Go', 'golang.org/x/net', 'v0.17.0', false, false],
+            ['npm', 'express', '4.18.2', true, false],
+            ['npm', 'jest', '29.7.0', true, true],
+            ['npm', 'lodash', '4.17.15', true, false],
+            ['npm', 'qs', '6.11.0', false, false],
+            ['npm', 'request', '2.88.0', true, false]
+        ]);
+        expect(inventory.components[3]).toMatchObject({
+            license: 'MIT',
+            hashes: [{ alg: 'SHA-512', content: Buffer.from('lodash tarball digest').toString('hex') }],
+            files: ['web/package.json', 'web/package-lock.json']
+        });
+        expect(collectDependencies([{ name: 'README.md', content: '# shop' }])).toBeNull();
+    });
+
+    test('should read go.mod requirements', () => {
+        const { ecosystem, dependencies } = parseManifest('go.mod', [
+            'module example.com/shop',
+            '',
+            'go 1.21',
+            '',
+            'require github.com/gin-gonic/gin v1.7.0',
+            '',
+            'require (',
+            '\tgolang.org/x/text v0.3.5',
+            '\tgolang.org/x/net v0.0.0-20210226172049-e18ecbb05110 // indirect',
+            ')'
+        ].join('\n'));
+
+        expect(ecosystem).toBe('Go');
+        expect(dependencies.map(({ name, version, indirect, line }) => [name, version, indirect, line])).toEqual([
+            ['github.com/gin-gonic/gin', 'v1.7.0', false, 5],
+            ['golang.org/x/text', 'v0.3.5', false, 8],
+            ['golang.org/x/net', 'v0.0.0-20210226172049-e18ecbb05110', true, 9]
+        ]);
+    });
+});
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import {
+    getProfile,
+    getProfiles,
+    listProfiles,
+    loadCustomProfiles,
+    getTemplateVariables,
+    renderTemplate,
+    ProfileError,
+    DEFAULT_PROFILE
+} from '../utils/profiles.js';
+import { buildPrompt, analyzeChunk } from '../utils/gemini.js';
+import { validateConfig } from '../utils/config.js';
+
+function createProvider() {
+    const prompts = [];
+    return {
+        prompts,
+        name: 'test',
+        model: 'test',
+        isConfigured: () => true,
+        generate: async (prompt) => {
+            prompts.push(prompt);
+            return '[]';
+        }
+    };
+}
+
+describe('Analysis Profiles', () => {
+    let tmpDir;
+
+    beforeAll(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autonalyst-profiles-'));
+    });
+
+    afterAll(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should offer the built-in profiles', () => {
+        expect(listProfiles().map(profile => profile.name)).toEqual(
+            ['general', 'security', 'performance', 'maintainability', 'accessibility', 'compliance']
+        );
+        expect(listProfiles().find(profile => profile.default).name).toBe(DEFAULT_PROFILE);
+        expect(getProfile('security')).toMatchObject({ name: 'security', version: 1 });
+        expect(() => getProfile('speed')).toThrow(ProfileError);
+    });
+
+    test('should derive template variables from the file', () => {
+        expect(getTemplateVariables('src/App.tsx', "import React from 'react';")).toEqual({
+            language: 'TypeScript (TSX)',
+            framework: 'React',
+            filename: 'src/App.tsx'
+        });
+        expect(getTemplateVariables('views.py', 'from django.http import HttpResponse')).toMatchObject({ language: 'Python', framework: 'Django' });
+        expect(getTemplateVariables('notes.xyz')).toMatchObject({ language: 'unknown', framework: 'none detected' });
+    });
+
+    test('should render the profile template into the prompt', () => {
+        expect(renderTemplate('{{ language }} in {{filename}}', { language: 'Go', filename: 'main.go' })).toBe('Go in main.go');
+
+        const prompt = buildPrompt('x = 1', '', {
+            profile: getProfile('accessibility'),
+            variables: getTemplateVariables('Form.jsx', "import React from 'react'")
+        });
+        expect(prompt).toMatch(/^You are an accessibility auditor/);
+        expect(prompt).toContain('JavaScript (JSX) code from Form.jsx (framework: React)');
+        expect(prompt).toContain('Return ONLY the JSON array');
+        expect(prompt.endsWith('Code to analyze:\nx = 1')).toBe(true);
+    });
+
+    test('should cache results per profile and template version', async () => {
+        const provider = createProvider();
+        const chunk = { content: `const id = "${crypto.randomUUID()}";` };
+        const variables = getTemplateVariables('app.js');
+
+        await analyzeChunk(chunk, { provider, variables, profile: getProfile('security') });
+        await analyzeChunk(chunk, { provider, variables, profile: getProfile('security') });
+        expect(provider.prompts).toHaveLength(1);
+
+        await analyzeChunk(chunk, { provider, variables, profile: getProfile('performance') });
+        await analyzeChunk(chunk, { provider, variables, profile: { ...getProfile('security'), version: 2 } });
+        expect(provider.prompts).toHaveLength(3);
+        expect(provider.prompts[1]).toMatch(/^You are a performance engineer/);
+    });
+
+    test('should load custom profiles from a templates directory', async () => {
+        await fs.writeFile(path.join(tmpDir, 'security.json'), JSON.stringify({
+            version: 3,
+            template: 'Check {{filename}} against our secure coding standard.'
+        }));
+        await fs.writeFile(path.join(tmpDir, 'payments.json'), JSON.stringify({
+            label: 'Payments',
+            version: 1,
+            template: 'Review {{language}} payment code.'
+        }));
+
+        const env = { PROMPT_TEMPLATES_DIR: tmpDir };
+        expect(getProfile('security', env)).toMatchObject({ version: 3, template: 'Check {{filename}} against our secure coding standard.' });
+        expect(getProfile('payments', env).label).toBe('Payments');
+        expect(getProfiles(env).has('performance')).toBe(true);
+
+        await fs.writeFile(path.join(tmpDir, 'broken.json'), JSON.stringify({ version: 1, template: 'Uses {{secret}}' }));
+        expect(() => loadCustomProfiles(tmpDir)).toThrow(/unknown template variables: secret/);
+
+        // Back to the built-ins for the other tests
+        expect(getProfile('security').version).toBe(1);
+    });
+
+    test('should select a profile from the project config', () => {
+        expect(validateConfig({ analysis: { profile: 'compliance' } }).analysis.profile).toBe('compliance');
+        expect(() => validateConfig({ analysis: { profile: 'speed' } })).toThrow(/unknown profile "speed"/);
+    });
+});
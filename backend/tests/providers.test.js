@@ -0,0 +1,107 @@
+import { getProviderConfig, createProvider, getProvider, ProviderError } from '../utils/providers.js';
+import { createMockLLMServer } from '../utils/mockLLMServer.js';
+
+describe('LLM Providers', () => {
+    describe('getProviderConfig', () => {
+        test('should default to Gemini with legacy variables', () => {
+            const config = getProviderConfig({ GEMINI_API_KEY: 'key-123' });
+
+            expect(config.provider).toBe('gemini');
+            expect(config.model).toBe('gemini-2.0-flash-exp');
+            expect(config.apiKey).toBe('key-123');
+            expect(config.authHeader).toBe('x-goog-api-key');
+        });
+
+        test('should apply generic overrides', () => {
+            const config = getProviderConfig({
+                LLM_PROVIDER: 'openai',
+                LLM_MODEL: 'local-model',
+                LLM_BASE_URL: 'http://localhost:8080/v1/',
+                LLM_AUTH_HEADER: 'X-Api-Key',
+                LLM_API_KEY: 'secret'
+            });
+
+            expect(config.provider).toBe('openai');
+            expect(config.model).toBe('local-model');
+            expect(config.baseUrl).toBe('http://localhost:8080/v1');
+            expect(config.authHeader).toBe('X-Api-Key');
+        });
+
+        test('should resolve the context window from the model or override', () => {
+            expect(getProviderConfig({ LLM_PROVIDER: 'openai' }).contextWindow).toBe(128000);
+            expect(getProviderConfig({ LLM_PROVIDER: 'ollama', LLM_MODEL: 'tinyllama' }).contextWindow).toBe(8192);
+            expect(getProviderConfig({ LLM_PROVIDER: 'ollama', LLM_CONTEXT_WINDOW: '2048' }).contextWindow).toBe(2048);
+        });
+
+        test('should reject unknown providers', () => {
+            expect(() => getProviderConfig({ LLM_PROVIDER: 'nope' })).toThrow(/Unknown LLM provider/);
+        });
+    });
+
+    describe('isConfigured', () => {
+        test('should require an API key for Gemini', () => {
+            expect(getProvider({}).isConfigured()).toBe(false);
+            expect(getProvider({ GEMINI_API_KEY: 'key' }).isConfigured()).toBe(true);
+        });
+
+        test('should not require a key for Ollama', () => {
+            expect(getProvider({ LLM_PROVIDER: 'ollama' }).isConfigured()).toBe(true);
+        });
+    });
+
+    describe('mock provider', () => {
+        test('should return the configured response', async () => {
+            const provider = getProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_RESPONSE: '[{"severity":"LOW"}]' });
+            await expect(provider.generate('anything')).resolves.toBe('[{"severity":"LOW"}]');
+        });
+    });
+
+    describe('OpenAI-compatible provider', () => {
+        let server;
+        let baseUrl;
+        let lastRequest;
+
+        beforeAll(async () => {
+            server = createMockLLMServer({
+                respond: (prompt, body) => {
+                    if (prompt === 'fail') {
+                        throw new Error('boom');
+                    }
+                    lastRequest = body;
+                    return `echo: ${prompt}`;
+                }
+            });
+            await new Promise(resolve => server.listen(0, resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should call the local stand-in server', async () => {
+            const provider = createProvider(getProviderConfig({
+                LLM_PROVIDER: 'openai',
+                LLM_BASE_URL: baseUrl,
+                LLM_MODEL: 'test-model',
+                LLM_API_KEY: 'abc'
+            }));
+
+            const text = await provider.generate('hello');
+
+            expect(text).toBe('echo: hello');
+            expect(lastRequest.model).toBe('test-model');
+        });
+
+        test('should surface HTTP errors as ProviderError', async () => {
+            const provider = createProvider(getProviderConfig({
+                LLM_PROVIDER: 'ollama',
+                LLM_BASE_URL: baseUrl
+            }));
+
+            const error = await provider.generate('fail').catch(e => e);
+            expect(error).toBeInstanceOf(ProviderError);
+            expect(error.status).toBe(400);
+        });
+    });
+});
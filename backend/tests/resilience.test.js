@@ -0,0 +1,133 @@
+import { createLimiter, withRetry, createCircuitBreaker, parseRetryAfter, CircuitOpenError } from '../utils/resilience.js';
+import { createProvider, getProviderConfig } from '../utils/providers.js';
+import { createMockLLMServer } from '../utils/mockLLMServer.js';
+
+describe('Resilience', () => {
+    describe('parseRetryAfter', () => {
+        test('should parse delta seconds and HTTP dates', () => {
+            const now = Date.parse('2024-01-01T00:00:00Z');
+
+            expect(parseRetryAfter('3')).toBe(3000);
+            expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+            expect(parseRetryAfter(undefined)).toBe(null);
+            expect(parseRetryAfter('soon')).toBe(null);
+        });
+    });
+
+    describe('createLimiter', () => {
+        test('should never exceed the concurrency bound', async () => {
+            const limiter = createLimiter(2);
+            let active = 0;
+            let peak = 0;
+
+            await Promise.all(Array.from({ length: 6 }, () => limiter.run(async () => {
+                active++;
+                peak = Math.max(peak, active);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+            })));
+
+            expect(peak).toBe(2);
+        });
+    });
+
+    describe('withRetry', () => {
+        test('should retry retryable errors until success', async () => {
+            let calls = 0;
+            const result = await withRetry(async () => {
+                calls++;
+                if (calls < 3) throw new Error('flaky');
+                return 'ok';
+            }, { retries: 3, baseDelayMs: 1 });
+
+            expect(result).toBe('ok');
+            expect(calls).toBe(3);
+        });
+
+        test('should not retry non-retryable errors', async () => {
+            let calls = 0;
+            await expect(withRetry(async () => {
+                calls++;
+                throw new Error('fatal');
+            }, { retries: 3, baseDelayMs: 1, isRetryable: () => false })).rejects.toThrow('fatal');
+
+            expect(calls).toBe(1);
+        });
+
+        test('should honor retryAfterMs over the computed backoff', async () => {
+            const delays = [];
+            let calls = 0;
+            await withRetry(async () => {
+                if (calls++ === 0) {
+                    throw Object.assign(new Error('rate limited'), { retryAfterMs: 20 });
+                }
+            }, { retries: 1, baseDelayMs: 1000, onRetry: (error, attempt, delay) => delays.push(delay) });
+
+            expect(delays).toEqual([20]);
+        });
+    });
+
+    describe('createCircuitBreaker', () => {
+        test('should open after consecutive failures and recover after cooldown', async () => {
+            let time = 0;
+            const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 100, now: () => time });
+            const fail = () => Promise.reject(new Error('down'));
+
+            await expect(breaker.execute(fail)).rejects.toThrow('down');
+            await expect(breaker.execute(fail)).rejects.toThrow('down');
+            expect(breaker.getState()).toBe('open');
+            await expect(breaker.execute(() => 'ok')).rejects.toBeInstanceOf(CircuitOpenError);
+
+            time = 150;
+            expect(breaker.getState()).toBe('half-open');
+            await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+            expect(breaker.getState()).toBe('closed');
+        });
+
+        test('should ignore errors that should not trip it', async () => {
+            const breaker = createCircuitBreaker({ failureThreshold: 1, shouldTrip: () => false });
+
+            await expect(breaker.execute(() => Promise.reject(new Error('bad request')))).rejects.toThrow();
+            expect(breaker.getState()).toBe('closed');
+        });
+    });
+
+    describe('guarded provider', () => {
+        let server;
+        let baseUrl;
+        let attempts = 0;
+
+        beforeAll(async () => {
+            server = createMockLLMServer();
+            // Fail the first two requests with 503 + Retry-After, then defer to the mock
+            const [handler] = server.listeners('request');
+            server.removeAllListeners('request');
+            server.on('request', (req, res) => {
+                if (attempts++ < 2) {
+                    res.writeHead(503, { 'Retry-After': '0' });
+                    res.end('unavailable');
+                    return;
+                }
+                handler(req, res);
+            });
+            await new Promise(resolve => server.listen(0, resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should retry transient HTTP errors', async () => {
+            const provider = createProvider(getProviderConfig({
+                LLM_PROVIDER: 'ollama',
+                LLM_BASE_URL: baseUrl,
+                LLM_MAX_RETRIES: '3'
+            }));
+
+            await expect(provider.generate('hello')).resolves.toBe('[]');
+            expect(attempts).toBe(3);
+            expect(provider.getCircuitState()).toBe('closed');
+        });
+    });
+});
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runRules, getRuleLanguage } from '../utils/rules.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLES_DIR = path.join(__dirname, '..', '..', 'samples');
+
+describe('Rule Engine', () => {
+    describe('samples', () => {
+        test('should flag every known issue in vulnerable_app.js', () => {
+            const content = fs.readFileSync(path.join(SAMPLES_DIR, 'vulnerable_app.js'), 'utf-8');
+            const findings = runRules(content, 'vulnerable_app.js');
+            const found = findings.map(f => `${f.line}:${f.severity}:${f.ruleId}`);
+
+            expect(found).toEqual(expect.arrayContaining([
+                '10:CRITICAL:hardcoded-credential',
+                '19:HIGH:sql-injection',
+                '23:MEDIUM:sensitive-error-logging',
+                '32:MEDIUM:unvalidated-request-body',
+                '45:LOW:unused-declaration',
+                '51:CRITICAL:eval-injection'
+            ]));
+        });
+
+        test('should flag Python issues in user_auth.py', () => {
+            const content = fs.readFileSync(path.join(SAMPLES_DIR, 'user_auth.py'), 'utf-8');
+            const ruleIds = new Set(runRules(content, 'user_auth.py').map(f => f.ruleId));
+
+            ['hardcoded-credential', 'weak-hash', 'sql-injection', 'command-injection'].forEach(id => {
+                expect(ruleIds).toContain(id);
+            });
+        });
+    });
+
+    describe('runRules', () => {
+        test('should tag findings with the rule source', () => {
+            const [finding] = runRules('const x = eval(input);\nconsole.log(x);', 'a.js');
+
+            expect(finding).toMatchObject({
+                severity: 'CRITICAL',
+                line: 1,
+                source: 'rule',
+                ruleId: 'eval-injection'
+            });
+            expect(finding.issue).toBeTruthy();
+            expect(finding.recommendation).toBeTruthy();
+        });
+
+        test('should detect child_process calls with request data', () => {
+            const code = "const { exec } = require('child_process');\nexec(`ls ${req.query.dir}`);";
+            const ids = runRules(code, 'a.js').map(f => f.ruleId);
+
+            expect(ids).toContain('command-injection');
+        });
+
+        test('should ignore commented-out code', () => {
+            expect(runRules('// eval(userInput)', 'a.js')).toEqual([]);
+        });
+
+        test('should not match English text as SQL', () => {
+            const code = 'const msg = "Please select an option" + suffix;\nshow(msg);';
+            expect(runRules(code, 'a.js').map(f => f.ruleId)).not.toContain('sql-injection');
+        });
+
+        test('should find SQL built by interpolation in each language', () => {
+            const lines = [
+                'db.query(`SELECT * FROM users WHERE id = ${id}`);',
+                'db.query("DELETE FROM users WHERE id = " + id);',
+                'cursor.execute(f"UPDATE users SET name = \'{name}\'")',
+                'cursor.execute("INSERT INTO users VALUES (%s)" % name)',
+                'cursor.execute("SELECT name FROM users WHERE id = {}".format(user_id))',
+                'db.query("SELECT * FROM users WHERE id = ?", [id]);',
+                "const label = 'Please select an option' + suffix;"
+            ];
+            const findings = runRules(lines.join('\n'), 'a.py').filter(f => f.ruleId === 'sql-injection');
+
+            expect(findings.map(f => f.line)).toEqual([1, 2, 3, 4, 5]);
+            expect(findings[1]).toMatchObject({ column: 10, endColumn: 41 });
+        });
+
+        test('should scan long adversarial lines in linear time', () => {
+            const lines = [
+                `x = "${'select from '.repeat(2000)}`,
+                `x = '${'select '.repeat(4000)}' + y`,
+                `x = f"${'update a set '.repeat(2000)}`
+            ];
+            const started = Date.now();
+            lines.forEach(line => runRules(line, 'a.py'));
+            expect(Date.now() - started).toBeLessThan(1000);
+        });
+
+        test('should skip request body rule when a validator is used', () => {
+            const code = "import { validationResult } from 'express-validator';\nconst data = req.body;\nuse(data);";
+            expect(runRules(code, 'a.js').map(f => f.ruleId)).not.toContain('unvalidated-request-body');
+        });
+
+        test('should handle empty input', () => {
+            expect(runRules('', 'a.js')).toEqual([]);
+            expect(runRules(null, 'a.js')).toEqual([]);
+        });
+    });
+
+    describe('getRuleLanguage', () => {
+        test('should map extensions to languages', () => {
+            expect(getRuleLanguage('app.tsx')).toBe('javascript');
+            expect(getRuleLanguage('main.py')).toBe('python');
+            expect(getRuleLanguage('notes.md')).toBe(null);
+        });
+    });
+});
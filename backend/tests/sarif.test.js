@@ -0,0 +1,57 @@
+import { toSarif, getFindingRuleId, SARIF_VERSION } from '../utils/sarif.js';
+
+const results = {
+    files: {
+        'src/app.js': [
+            { severity: 'CRITICAL', line: 3, issue: 'eval() executes arbitrary code', recommendation: 'Avoid eval', source: 'rule', ruleId: 'eval-injection' },
+            { severity: 'MEDIUM', line: 9, issue: 'Missing input validation', recommendation: 'Validate input', source: 'ai' }
+        ],
+        'lib/my util.py': [
+            { severity: 'LOW', line: 0, issue: 'Missing input validation', recommendation: 'Validate input', source: 'ai' }
+        ]
+    },
+    summary: { totalFiles: 2, totalIssues: 3 }
+};
+
+describe('SARIF Export', () => {
+    test('should produce a SARIF 2.1.0 log with one run', () => {
+        const log = toSarif(results);
+
+        expect(log.version).toBe(SARIF_VERSION);
+        expect(log.$schema).toMatch(/sarif-2\.1\.0/);
+        expect(log.runs).toHaveLength(1);
+        expect(log.runs[0].tool.driver.name).toBe('Autonalyst');
+    });
+
+    test('should describe each rule once and reference it by index', () => {
+        const run = toSarif(results).runs[0];
+
+        expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['eval-injection', 'ai/missing-input-validation']);
+        run.results.forEach(result => {
+            expect(run.tool.driver.rules[result.ruleIndex].id).toBe(result.ruleId);
+        });
+        expect(run.tool.driver.rules[0].shortDescription.text).toBe('eval() executes arbitrary code');
+    });
+
+    test('should map severities to SARIF levels', () => {
+        const levels = toSarif(results).runs[0].results.map(result => result.level);
+        expect(levels).toEqual(['error', 'warning', 'note']);
+    });
+
+    test('should emit physical locations with line regions', () => {
+        const [first, , last] = toSarif(results).runs[0].results;
+
+        expect(first.locations[0].physicalLocation).toEqual({
+            artifactLocation: { uri: 'src/app.js', uriBaseId: '%SRCROOT%', index: 0 },
+            region: { startLine: 3 }
+        });
+        // Paths are URI-encoded and lines clamped to 1
+        expect(last.locations[0].physicalLocation.artifactLocation.uri).toBe('lib/my%20util.py');
+        expect(last.locations[0].physicalLocation.region.startLine).toBe(1);
+    });
+
+    test('should derive stable rule IDs for AI findings', () => {
+        expect(getFindingRuleId({ source: 'ai', issue: 'SQL Injection risk!' })).toBe('ai/sql-injection-risk');
+        expect(getFindingRuleId({ issue: 'File processing failed' })).toBe('autonalyst/file-processing-failed');
+    });
+});
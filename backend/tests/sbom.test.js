@@ -0,0 +1,168 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+import { toCycloneDx, toPurl, CYCLONEDX_VERSION } from '../utils/sbom.js';
+import { createAdvisoryDatabase } from '../utils/advisories.js';
+import { analyzeFiles } from '../utils/analyzer.js';
+import { runCli } from '../utils/cli.js';
+
+const LODASH = {
+    id: 'GHSA-35jh-r3h4-6jhm',
+    aliases: ['CVE-2021-23337'],
+    summary: 'Command Injection in lodash',
+    affected: [{
+        package: { ecosystem: 'npm', name: 'lodash' },
+        ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }]
+    }],
+    references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2021-23337' }],
+    database_specific: { severity: 'HIGH' }
+};
+
+const INTEGRITY = Buffer.from('lodash tarball digest');
+
+function projectSources() {
+    return [
+        { name: 'package.json', content: JSON.stringify({
+            name: '@acme/shop',
+            version: '1.0.0',
+            description: crypto.randomUUID(),
+            license: 'MIT',
+            dependencies: { lodash: '^4.17.15' },
+            devDependencies: { jest: '^29.0.0' }
+        }, null, 2) },
+        { name: 'package-lock.json', content: JSON.stringify({
+            lockfileVersion: 3,
+            packages: {
+                'node_modules/lodash': { version: '4.17.15', license: 'MIT', integrity: `sha512-${INTEGRITY.toString('base64')}` },
+                'node_modules/jest': { version: '29.7.0', license: 'MIT', dev: true },
+                'node_modules/@babel/core': { version: '7.23.0', license: 'MIT' }
+            }
+        }, null, 2) },
+        { name: 'api/requirements.txt', content: 'Django_Rest==3.14.0\n' },
+        { name: 'api/pom.xml', content: `<project>
+  <dependencies>
+    <dependency>
+      <groupId>org.apache.logging.log4j</groupId>
+      <artifactId>log4j-core</artifactId>
+      <version>2.14.1</version>
+    </dependency>
+  </dependencies>
+</project>` }
+    ];
+}
+
+describe('CycloneDX SBOM', () => {
+    const provider = { name: 'test', model: 'test', isConfigured: () => false };
+
+    test('should build package URLs per ecosystem', () => {
+        expect(toPurl('npm', '@babel/core', '7.23.0')).toBe('pkg:npm/%40babel/core@7.23.0');
+        expect(toPurl('PyPI', 'Django_Rest', '3.14.0')).toBe('pkg:pypi/django-rest@3.14.0');
+        expect(toPurl('Maven', 'org.apache.logging.log4j:log4j-core', '2.14.1')).toBe('pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1');
+        expect(toPurl('Go', 'github.com/gin-gonic/gin', 'v1.7.0')).toBe('pkg:golang/github.com/gin-gonic/gin@v1.7.0');
+        expect(toPurl('npm', 'lodash')).toBe('pkg:npm/lodash');
+    });
+
+    test('should list components with licenses, hashes and vulnerabilities', async () => {
+        const results = await analyzeFiles(projectSources(), { provider, advisories: createAdvisoryDatabase([LODASH]), licenseDatabase: null });
+        const bom = toCycloneDx(results, { toolVersion: '2.0.0', timestamp: '2024-01-01T00:00:00Z' });
+
+        expect(bom).toMatchObject({
+            bomFormat: 'CycloneDX',
+            specVersion: CYCLONEDX_VERSION,
+            version: 1,
+            serialNumber: expect.stringMatching(/^urn:uuid:[0-9a-f-]{36}$/),
+            metadata: {
+                timestamp: '2024-01-01T00:00:00.000Z',
+                tools: { components: [{ type: 'application', name: 'Autonalyst', version: '2.0.0' }] },
+                component: { type: 'application', 'bom-ref': 'pkg:npm/%40acme/shop@1.0.0', group: '@acme', name: 'shop', licenses: [{ license: { id: 'MIT' } }] }
+            }
+        });
+        expect(bom.components.map(component => [component.purl, component.scope])).toEqual([
+            ['pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1', 'required'],
+            ['pkg:npm/%40babel/core@7.23.0', 'required'],
+            ['pkg:npm/jest@29.7.0', 'excluded'],
+            ['pkg:npm/lodash@4.17.15', 'required'],
+            ['pkg:pypi/django-rest@3.14.0', 'required']
+        ]);
+        expect(bom.components[3]).toEqual({
+            type: 'library',
+            'bom-ref': 'pkg:npm/lodash@4.17.15',
+            name: 'lodash',
+            version: '4.17.15',
+            scope: 'required',
+            hashes: [{ alg: 'SHA-512', content: INTEGRITY.toString('hex') }],
+            licenses: [{ license: { id: 'MIT' } }],
+            purl: 'pkg:npm/lodash@4.17.15',
+            evidence: { occurrences: [{ location: 'package.json' }, { location: 'package-lock.json' }] }
+        });
+        expect(bom.dependencies).toEqual([{
+            ref: 'pkg:npm/%40acme/shop@1.0.0',
+            dependsOn: ['pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1', 'pkg:npm/jest@29.7.0', 'pkg:npm/lodash@4.17.15', 'pkg:pypi/django-rest@3.14.0']
+        }]);
+
+        expect(bom.vulnerabilities).toHaveLength(1);
+        const [vulnerability] = bom.vulnerabilities;
+        expect(vulnerability).toMatchObject({
+            id: LODASH.id,
+            source: { name: 'GitHub', url: `https://github.com/advisories/${LODASH.id}` },
+            references: [{ id: 'CVE-2021-23337', source: { name: 'NVD' } }],
+            ratings: [{ severity: 'high' }],
+            cwes: [1395],
+            recommendation: 'Upgrade lodash to 4.17.21 or later',
+            advisories: [
+                { url: 'https://nvd.nist.gov/vuln/detail/CVE-2021-23337' },
+                { url: 'https://cwe.mitre.org/data/definitions/1395.html' }
+            ],
+            affects: [{ ref: 'pkg:npm/lodash@4.17.15', versions: [{ version: '4.17.15', status: 'affected' }] }]
+        });
+        expect(vulnerability.analysis).toBeUndefined();
+        expect(vulnerability.properties).toEqual([
+            { name: 'autonalyst:finding', value: 'package.json:7' },
+            { name: 'autonalyst:fingerprint', value: results.files['package.json'][0].fingerprint }
+        ]);
+    });
+
+    test('should record suppressed advisories as analyzed', () => {
+        const advisory = { id: 'PYSEC-1', aliases: [], ecosystem: 'PyPI', package: 'django', version: '3.2.1', affected: [], fixed: [] };
+        const finding = { severity: 'MEDIUM', line: 1, issue: 'django 3.2.1 is affected by PYSEC-1', recommendation: 'Upgrade', source: 'dependency', ruleId: 'PYSEC-1', advisory };
+        const bom = toCycloneDx({
+            files: {},
+            suppressed: { 'requirements.txt': [{ ...finding, suppression: { status: 'false-positive', reason: 'Admin docs are disabled' } }] }
+        });
+
+        // Components only known from findings are added
+        expect(bom.components.map(component => component.purl)).toEqual(['pkg:pypi/django@3.2.1']);
+        expect(bom.vulnerabilities[0]).toMatchObject({
+            source: { name: 'OSV', url: 'https://osv.dev/vulnerability/PYSEC-1' },
+            analysis: { state: 'false_positive', detail: 'Admin docs are disabled' }
+        });
+        expect(bom.metadata.component).toBeUndefined();
+        expect(bom.dependencies).toBeUndefined();
+    });
+
+    test('should print an SBOM from the CLI', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autonalyst-sbom-'));
+        try {
+            await Promise.all(projectSources().map(async ({ name, content }) => {
+                await fs.mkdir(path.join(dir, path.dirname(name)), { recursive: true });
+                await fs.writeFile(path.join(dir, name), content);
+            }));
+            let text = '';
+            const code = await runCli(['.', '--no-ai', '-f', 'cyclonedx'], {
+                stdout: { write: data => { text += data; } },
+                stderr: { write: () => {} },
+                cwd: dir,
+                version: '3.1.0'
+            });
+
+            const bom = JSON.parse(text);
+            expect(code).toBe(0);
+            expect(bom.metadata.tools.components[0].version).toBe('3.1.0');
+            expect(bom.components).toHaveLength(5);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import {
+    openStorage, closeStorage, createAnalysis, finishAnalysis, getAnalysis, getLatestAnalysis, listAnalyses, deleteAnalysis,
+    saveSuppression, listSuppressions, deleteSuppression, getAnalysisSource, getSourceRetention, getAnalysisRetention
+} from '../utils/storage.js';
+import { buildReport } from '../routes/report.js';
+
+const codeResults = {
+    files: {
+        'app.js': [{ line: 1, severity: 'CRITICAL', issue: 'Use of eval()', recommendation: 'Avoid eval', source: 'rule', ruleId: 'eval-injection' }],
+        'clean.js': []
+    },
+    suppressed: {
+        'app.js': [{
+            line: 4, severity: 'HIGH', issue: 'Weak hash', source: 'rule', ruleId: 'weak-crypto', fingerprint: 'f'.repeat(32),
+            suppression: { kind: 'external', status: 'accepted-risk', reason: 'Checksums only' }
+        }]
+    },
+    summary: { mode: 'full', totalFiles: 2, totalIssues: 1, suppressed: 1, counts: { CRITICAL: 1, HIGH: 0, MEDIUM: 0, LOW: 0 } },
+    licenses: {
+        project: { name: 'shop', version: '1.0.0', license: 'MIT' },
+        policy: { allow: [], deny: ['strong-copyleft', 'network-copyleft'], unknown: 'warn' },
+        summary: { total: 1, allowed: 0, denied: 1, unknown: 0, byCategory: { 'strong-copyleft': 1 } },
+        dependencies: [{
+            ecosystem: 'npm', name: 'readline-sync', version: '1.4.10', direct: true, license: 'GPL-3.0-only', licenseSource: 'lockfile',
+            category: 'strong-copyleft', files: ['package.json'], status: 'denied', reason: 'strong-copyleft licenses are denied (GPL-3.0-only)'
+        }]
+    }
+};
+
+const linkResults = {
+    results: { 'https://example.com': { reachable: true, sslValid: true, status: 200 } },
+    summary: { totalUrls: 1, sslValid: 1, sslInvalid: 0, unreachable: 0, redirects: 0 }
+};
+
+describe('Analysis Storage', () => {
+    let dir;
+    let filename;
+
+    beforeAll(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autonalyst-db-'));
+        filename = path.join(dir, 'analyses.db');
+    });
+
+    beforeEach(async () => {
+        await fs.rm(filename, { force: true });
+        // Fixtures are dated in 2024, past the default analysis retention
+        await openStorage({ filename, analysisRetention: null });
+    });
+
+    afterAll(async () => {
+        closeStorage();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should store running analyses and their final results', () => {
+        const id = crypto.randomUUID();
+        createAnalysis({ id, kind: 'code', inputs: { files: ['app.js', 'clean.js'] } });
+
+        expect(getAnalysis(id)).toMatchObject({ status: 'running', finishedAt: null, summary: null });
+
+        expect(finishAnalysis(id, { status: 'completed', results: codeResults })).toBe(true);
+        const analysis = getAnalysis(id);
+
+        expect(analysis.status).toBe('completed');
+        expect(analysis.finishedAt).not.toBeNull();
+        expect(analysis.results).toEqual(codeResults);
+    });
+
+    test('should persist analyses across restarts', async () => {
+        const id = crypto.randomUUID();
+        createAnalysis({ id, kind: 'links', status: 'completed', inputs: { urls: ['https://example.com'] }, results: linkResults });
+        const running = crypto.randomUUID();
+        createAnalysis({ id: running, kind: 'code', inputs: { files: [] } });
+
+        closeStorage();
+        await openStorage({ filename });
+
+        expect(getAnalysis(id).results).toEqual(linkResults);
+        expect(getAnalysis(running).status).toBe('interrupted');
+    });
+
+    test('should list analyses newest first with filters and paging', () => {
+        const ids = [0, 1, 2].map(n => {
+            const id = crypto.randomUUID();
+            createAnalysis({ id, kind: n === 1 ? 'links' : 'code', status: 'completed', createdAt: new Date(Date.UTC(2024, 0, n + 1)), results: n === 1 ? linkResults : codeResults });
+            return id;
+        });
+
+        const all = listAnalyses();
+        expect(all.total).toBe(3);
+        expect(all.analyses.map(analysis => analysis.id)).toEqual([ids[2], ids[1], ids[0]]);
+        expect(all.analyses[0]).not.toHaveProperty('results');
+
+        expect(listAnalyses({ kind: 'code' }).analyses.map(analysis => analysis.id)).toEqual([ids[2], ids[0]]);
+        expect(listAnalyses({ limit: 1, offset: 1 }).analyses.map(analysis => analysis.id)).toEqual([ids[1]]);
+    });
+
+    test('should return the latest completed analysis of a kind', () => {
+        const completed = crypto.randomUUID();
+        createAnalysis({ id: completed, kind: 'code', status: 'completed', results: codeResults, createdAt: new Date(Date.UTC(2024, 0, 1)) });
+        createAnalysis({ id: crypto.randomUUID(), kind: 'code', createdAt: new Date(Date.UTC(2024, 0, 2)) });
+
+        expect(getLatestAnalysis('code').id).toBe(completed);
+        expect(getLatestAnalysis('links')).toBeNull();
+    });
+
+    test('should delete analyses and their findings', () => {
+        const id = crypto.randomUUID();
+        createAnalysis({ id, kind: 'code', status: 'completed', inputs: { files: ['app.js', 'clean.js'] }, results: codeResults });
+
+        expect(deleteAnalysis(id)).toBe(true);
+        expect(getAnalysis(id)).toBeNull();
+        expect(deleteAnalysis(id)).toBe(false);
+        expect(finishAnalysis(id, { status: 'completed', results: codeResults })).toBe(false);
+    });
+
+    test('should drop stored sources beyond the retention limits', async () => {
+        expect(getSourceRetention({})).toEqual({ maxAgeMs: 7 * 24 * 60 * 60 * 1000, maxTotalBytes: 100 * 1024 * 1024 });
+        expect(getSourceRetention({ SOURCE_RETENTION_HOURS: '0.5', SOURCE_MAX_TOTAL_BYTES: '10' }))
+            .toEqual({ maxAgeMs: 30 * 60 * 1000, maxTotalBytes: 10 });
+
+        closeStorage();
+        await openStorage({ filename, retention: { maxAgeMs: 60 * 60 * 1000, maxTotalBytes: 10 } });
+        const create = (content, createdAt = new Date()) => createAnalysis({
+            id: crypto.randomUUID(), kind: 'code', status: 'completed', results: codeResults, createdAt, sources: [{ name: 'app.js', content }]
+        }).id;
+
+        const expired = create('a', new Date(Date.now() - 2 * 60 * 60 * 1000));
+        const oldest = create('b'.repeat(4), new Date(Date.now() - 2000));
+        const older = create('c'.repeat(4), new Date(Date.now() - 1000));
+        expect(getAnalysisSource(expired, 'app.js')).toBeNull();
+        expect(getAnalysisSource(oldest, 'app.js')).toBe('bbbb');
+
+        // Only the newest sources that fit in the total size are kept
+        const newest = create('d'.repeat(4));
+        expect(getAnalysisSource(oldest, 'app.js')).toBeNull();
+        expect(getAnalysisSource(older, 'app.js')).toBe('cccc');
+        expect(getAnalysisSource(newest, 'app.js')).toBe('dddd');
+        expect(getAnalysis(oldest).status).toBe('completed');
+
+        // Reopening applies stricter limits to sources already stored
+        closeStorage();
+        await openStorage({ filename, retention: { maxAgeMs: 60 * 60 * 1000, maxTotalBytes: 4 } });
+        expect(getAnalysisSource(older, 'app.js')).toBeNull();
+        expect(getAnalysisSource(newest, 'app.js')).toBe('dddd');
+    });
+
+    test('should keep sources outside the database and expire them when read', async () => {
+        closeStorage();
+        await openStorage({ filename, retention: { maxAgeMs: 60 * 60 * 1000, maxTotalBytes: 1024 } });
+        const content = `const marker = '${crypto.randomUUID()}';`;
+        const create = createdAt => createAnalysis({
+            id: crypto.randomUUID(), kind: 'code', status: 'completed', results: codeResults, createdAt, sources: [{ name: 'app.js', content }]
+        }).id;
+        const sourcesDir = path.join(dir, 'sources');
+
+        const kept = create(new Date());
+        const expiring = create(new Date(Date.now() - 60 * 60 * 1000 + 50));
+        expect((await fs.readFile(filename)).includes(content)).toBe(false);
+        expect((await fs.readdir(sourcesDir)).sort()).toEqual([kept, expiring].sort());
+
+        // Past the retention period without a write in between
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(getAnalysisSource(kept, 'app.js')).toBe(content);
+        expect(getAnalysisSource(expiring, 'app.js')).toBeNull();
+
+        deleteAnalysis(kept);
+        await fs.mkdir(path.join(sourcesDir, 'orphan'));
+        closeStorage();
+        await openStorage({ filename, retention: { maxAgeMs: 60 * 60 * 1000, maxTotalBytes: 1024 } });
+        expect(await fs.readdir(sourcesDir)).toEqual([]);
+    });
+
+    test('should delete finished analyses beyond the retention limits', async () => {
+        closeStorage();
+        await openStorage({ filename, analysisRetention: { maxAgeMs: 60 * 60 * 1000, maxCount: 3 } });
+        const create = (status, createdAt = new Date()) => {
+            const id = crypto.randomUUID();
+            createAnalysis({
+                id, kind: 'code', status, results: status === 'completed' ? codeResults : null, createdAt,
+                sources: [{ name: 'app.js', content: 'eval(input);' }]
+            });
+            return id;
+        };
+        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+        const expired = create('completed', twoHoursAgo);
+        const running = create('running', twoHoursAgo);
+        const [oldest, middle, newest] = [2, 1, 0].map(minutes => create('completed', new Date(Date.now() - minutes * 60 * 1000)));
+        expect(getAnalysis(expired)).toBeNull();
+        expect(getAnalysisSource(expired, 'app.js')).toBeNull();
+        expect(listAnalyses().analyses.map(analysis => analysis.id)).toEqual([newest, middle, oldest, running]);
+
+        // Interrupted on restart, so no longer kept past the count
+        closeStorage();
+        await openStorage({ filename, analysisRetention: { maxAgeMs: 60 * 60 * 1000, maxCount: 3 } });
+        expect(listAnalyses().analyses.map(analysis => analysis.id)).toEqual([newest, middle, oldest]);
+
+        create('completed');
+        expect(getAnalysis(oldest)).toBeNull();
+        expect(listAnalyses().total).toBe(3);
+
+        expect(getAnalysisRetention({})).toEqual({ maxAgeMs: 90 * 24 * 60 * 60 * 1000, maxCount: 1000 });
+        expect(getAnalysisRetention({ ANALYSIS_RETENTION_DAYS: '1', ANALYSIS_MAX_COUNT: '5' }))
+            .toEqual({ maxAgeMs: 24 * 60 * 60 * 1000, maxCount: 5 });
+    });
+
+    test('should scope analyses to their client', () => {
+        const mine = createAnalysis({ id: crypto.randomUUID(), kind: 'code', clientId: 'session:alice', status: 'completed', results: codeResults });
+        const theirs = createAnalysis({ id: crypto.randomUUID(), kind: 'code', clientId: 'session:bob', status: 'completed', results: codeResults });
+
+        expect(getAnalysis(mine.id, { clientId: 'session:alice' }).id).toBe(mine.id);
+        expect(getAnalysis(theirs.id, { clientId: 'session:alice' })).toBeNull();
+        expect(listAnalyses({ clientId: 'session:alice' }).analyses.map(analysis => analysis.id)).toEqual([mine.id]);
+        expect(getLatestAnalysis('code', { clientId: 'session:bob' }).id).toBe(theirs.id);
+        expect(getLatestAnalysis('code', { clientId: 'key:carol' })).toBeNull();
+
+        expect(deleteAnalysis(theirs.id, { clientId: 'session:alice' })).toBe(false);
+        expect(getAnalysis(theirs.id)).not.toBeNull();
+    });
+
+    test('should migrate databases created before client scoping', async () => {
+        closeStorage();
+        const initSqlJs = (await import('sql.js')).default;
+        const SQL = await initSqlJs();
+        const legacy = new SQL.Database();
+        legacy.exec(`CREATE TABLE analyses (id TEXT PRIMARY KEY, kind TEXT NOT NULL, status TEXT NOT NULL, created_at TEXT NOT NULL,
+            finished_at TEXT, inputs TEXT NOT NULL DEFAULT '{}', summary TEXT, error TEXT);
+            CREATE TABLE findings (analysis_id TEXT NOT NULL, position INTEGER NOT NULL, file TEXT NOT NULL, line INTEGER,
+            severity TEXT NOT NULL, source TEXT, rule_id TEXT, data TEXT NOT NULL);
+            CREATE TABLE link_checks (analysis_id TEXT NOT NULL, url TEXT NOT NULL, data TEXT NOT NULL);
+            INSERT INTO analyses (id, kind, status, created_at) VALUES ('legacy', 'links', 'completed', '2024-01-01T00:00:00.000Z');
+            PRAGMA user_version = 1;`);
+        await fs.writeFile(filename, Buffer.from(legacy.export()));
+        legacy.close();
+
+        await openStorage({ filename, analysisRetention: null });
+
+        expect(getAnalysis('legacy')).toMatchObject({ kind: 'links', status: 'completed' });
+        expect(getAnalysis('legacy', { clientId: 'session:alice' })).toBeNull();
+    });
+
+    test('should save, update and delete suppressions per client', () => {
+        const fingerprint = 'a'.repeat(32);
+        const saved = saveSuppression({ clientId: 'session:alice', fingerprint, status: 'false-positive', reason: 'Test fixture', file: 'app.js' });
+        const updated = saveSuppression({ clientId: 'session:alice', fingerprint, status: 'accepted-risk', reason: 'Internal tool' });
+        saveSuppression({ clientId: 'session:bob', fingerprint, status: 'false-positive', reason: 'Mine' });
+
+        expect(updated).toMatchObject({ id: saved.id, status: 'accepted-risk', reason: 'Internal tool', file: 'app.js' });
+        expect(listSuppressions({ clientId: 'session:alice' })).toHaveLength(1);
+
+        expect(deleteSuppression(saved.id, { clientId: 'session:bob' })).toBe(false);
+        expect(deleteSuppression(saved.id, { clientId: 'session:alice' })).toBe(true);
+        expect(listSuppressions({ clientId: 'session:alice' })).toEqual([]);
+        expect(listSuppressions({ clientId: 'session:bob' })).toHaveLength(1);
+    });
+
+    test('should keep one suppression per fingerprint without a client', async () => {
+        const fingerprint = 'b'.repeat(32);
+        const saved = saveSuppression({ fingerprint, status: 'false-positive', reason: 'Test fixture' });
+        const updated = saveSuppression({ fingerprint, status: 'accepted-risk', reason: 'Internal tool' });
+
+        expect(updated).toMatchObject({ id: saved.id, status: 'accepted-risk' });
+        expect(listSuppressions({ clientId: null })).toHaveLength(1);
+
+        // Duplicates saved before the unique index are merged into the latest
+        closeStorage();
+        const initSqlJs = (await import('sql.js')).default;
+        const SQL = await initSqlJs();
+        const previous = new SQL.Database(await fs.readFile(filename));
+        previous.exec(`DROP INDEX idx_suppressions_client_fingerprint;
+            INSERT INTO suppressions (id, fingerprint, status, reason, created_at) VALUES ('duplicate', '${fingerprint}', 'false-positive', 'Again', '2024-01-01T00:00:00.000Z');
+            PRAGMA user_version = 9;`);
+        await fs.writeFile(filename, Buffer.from(previous.export()));
+        previous.close();
+
+        await openStorage({ filename });
+        expect(listSuppressions({ clientId: null })).toEqual([expect.objectContaining({ id: 'duplicate', reason: 'Again' })]);
+    });
+
+    test('should build a combined report from stored analyses', () => {
+        const code = createAnalysis({ id: crypto.randomUUID(), kind: 'code', status: 'completed', inputs: { files: ['app.js', 'clean.js'] }, results: codeResults });
+        const links = createAnalysis({ id: crypto.randomUUID(), kind: 'links', status: 'completed', results: linkResults });
+
+        const report = buildReport({ code, links });
+        expect(report.analyses).toEqual({ code: code.id, links: links.id });
+        expect(report.summary).toMatchObject({ score: 'D', totalIssues: 1, suppressed: 1 });
+        expect(report.suppressed).toEqual(codeResults.suppressed);
+        expect(report.files).toEqual(codeResults.files);
+        expect(report.links).toEqual(linkResults.results);
+        expect(report.licenses).toEqual(codeResults.licenses);
+
+        expect(buildReport({ links }).summary.score).toBe('A');
+        expect(buildReport({ links }).licenses).toBeNull();
+    });
+});
@@ -0,0 +1,156 @@
+import { extractOutline, getSyntaxLanguage } from '../utils/syntax.js';
+import { chunkCode } from '../utils/chunker.js';
+
+function jsFunction(name, bodyLines) {
+    const body = Array.from({ length: bodyLines }, (_, i) => `    const v${i} = ${i};`);
+    return [`function ${name}() {`, ...body, '}', ''];
+}
+
+function pyFunction(name, bodyLines, indent = '') {
+    const body = Array.from({ length: bodyLines }, (_, i) => `${indent}    v${i} = ${i}`);
+    return [`${indent}def ${name}(self):`, ...body, ''];
+}
+
+describe('Syntax Outline', () => {
+    test('should detect supported languages', () => {
+        expect(getSyntaxLanguage('app.tsx')).toBe('javascript');
+        expect(getSyntaxLanguage('main.py')).toBe('python');
+        expect(getSyntaxLanguage('Main.java')).toBe(null);
+    });
+
+    test('should outline JS imports, functions and class members', () => {
+        const code = [
+            "import fs from 'fs';",
+            "const path = require('path');",
+            '',
+            '// Reads a file',
+            'export function read(file) {',
+            '    return fs.readFileSync(file);',
+            '}',
+            '',
+            'class Store extends Base {',
+            '    get(key) {',
+            '        return this.data[key];',
+            '    }',
+            '}'
+        ].join('\n');
+
+        const outline = extractOutline(code, 'store.js');
+
+        expect(outline.importLines).toEqual([{ startLine: 0, endLine: 0 }, { startLine: 1, endLine: 1 }]);
+        expect(outline.units[2]).toMatchObject({ kind: 'statement', names: ['read'], startLine: 3, endLine: 6 });
+        expect(outline.units[3]).toMatchObject({ kind: 'class', names: ['Store'], startLine: 8, endLine: 12, headerEndLine: 8 });
+        expect(outline.units[3].members).toEqual([{ kind: 'member', names: ['get'], startLine: 9, endLine: 11 }]);
+    });
+
+    test('should outline Python decorators, classes and methods', () => {
+        const code = [
+            'import os',
+            '',
+            '@cached',
+            'def load(path):',
+            '    """Load a file',
+            'def not_a_function():',
+            '    """',
+            '    return open(path).read()',
+            '',
+            'class Repo:',
+            '    def find(self, id):',
+            '        return id',
+            ''
+        ].join('\n');
+
+        const outline = extractOutline(code, 'repo.py');
+
+        expect(outline.units[1]).toMatchObject({ kind: 'statement', names: ['load'], startLine: 2, endLine: 7 });
+        expect(outline.units[2]).toMatchObject({ kind: 'class', names: ['Repo'], startLine: 9, endLine: 11 });
+        expect(outline.units[2].members[0]).toMatchObject({ names: ['find'], startLine: 10, endLine: 11 });
+    });
+
+    test('should outline long Python files in linear time', () => {
+        const lines = Array.from({ length: 10000 }, (_, i) => [
+            `class Model${i}:`,
+            `    def run(self, value):`,
+            `        return value + ${i}`,
+            ''
+        ]).flat();
+        const started = Date.now();
+        const outline = extractOutline(lines.join('\n'), 'models.py');
+
+        expect(Date.now() - started).toBeLessThan(1000);
+        expect(outline.units).toHaveLength(10000);
+        expect(outline.units[9999]).toMatchObject({ names: ['Model9999'], startLine: 39996, endLine: 39998 });
+        expect(outline.units[9999].members).toEqual([{ kind: 'member', names: ['run'], startLine: 39997, endLine: 39998 }]);
+    });
+
+    test('should return null for unparseable or unsupported files', () => {
+        expect(extractOutline('function (', 'broken.js')).toBe(null);
+        expect(extractOutline('public class A {}', 'A.java')).toBe(null);
+    });
+});
+
+describe('Syntax Chunking', () => {
+    test('should never split a function that fits in a chunk', () => {
+        const lines = ["import db from './db';", ''];
+        for (let i = 0; i < 8; i++) {
+            lines.push(...jsFunction(`fn${i}`, 12));
+        }
+        const code = lines.join('\n');
+
+        const chunks = chunkCode(code, 'funcs.js', { mode: 'syntax', maxTokens: 300 });
+        const allSymbols = chunks.flatMap(chunk => chunk.symbols);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => {
+            expect(chunk.mode).toBe('syntax');
+            expect(chunk.estimatedTokens).toBeLessThanOrEqual(300);
+            // Every chunk starts at a function (or the imports) and ends on a closing brace
+            expect(chunk.content.trimEnd().endsWith('}')).toBe(true);
+        });
+        expect(allSymbols).toEqual(['fn0', 'fn1', 'fn2', 'fn3', 'fn4', 'fn5', 'fn6', 'fn7']);
+        expect(chunks[1].context).toBe("import db from './db';");
+    });
+
+    test('should cover every line exactly once', () => {
+        const lines = [];
+        for (let i = 0; i < 6; i++) {
+            lines.push(...jsFunction(`fn${i}`, 15));
+        }
+        const code = lines.join('\n');
+
+        const chunks = chunkCode(code, 'cover.js', { mode: 'syntax', maxTokens: 300 });
+        const covered = chunks.flatMap(chunk => chunk.content.split('\n'));
+
+        expect(covered).toEqual(code.split('\n').slice(0, covered.length));
+        expect(chunks[chunks.length - 1].endLine).toBe(code.split('\n').length - 1);
+    });
+
+    test('should split oversized Python classes by method with the class header as context', () => {
+        const lines = ['class Service:'];
+        for (let i = 0; i < 4; i++) {
+            lines.push(...pyFunction(`method${i}`, 20, '    '));
+        }
+        const code = lines.join('\n');
+
+        const chunks = chunkCode(code, 'service.py', { mode: 'syntax', maxTokens: 200 });
+        const methodChunks = chunks.filter(chunk => chunk.symbols.some(s => s.startsWith('Service.')));
+
+        expect(methodChunks.length).toBeGreaterThan(1);
+        methodChunks.forEach(chunk => {
+            expect(chunk.context).toBe('class Service:');
+            expect(chunk.content.trimStart().startsWith('def method')).toBe(true);
+        });
+    });
+
+    test('should fall back to line chunking for unsupported languages', () => {
+        const code = Array.from({ length: 200 }, (_, i) => `int x${i} = ${i};`).join('\n');
+
+        const syntaxChunks = chunkCode(code, 'Main.java', { mode: 'syntax', maxTokens: 300 });
+        const lineChunks = chunkCode(code, 'Main.java', { maxTokens: 300 });
+
+        expect(syntaxChunks.length).toBeGreaterThan(1);
+
+        expect(syntaxChunks).toEqual(lineChunks);
+        expect(syntaxChunks[0].symbols).toBeUndefined();
+    });
+});
@@ -0,0 +1,496 @@
+/**
+ * Offline advisory database
+ * Loads vulnerability advisories in the OSV JSON format (a file, a directory
+ * of files or an OSV `all.zip` dump) and matches manifest dependencies (see
+ * manifests.js) against their affected version ranges
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yauzl from 'yauzl';
+
+import { parseManifest, getManifestType, ECOSYSTEMS } from './manifests.js';
+import { normalizeFinding } from './findings.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Confidence of findings for locked or pinned versions, and for the lowest
+// version of a declared range
+const EXACT_CONFIDENCE = 0.95;
+const RANGE_CONFIDENCE = 0.5;
+
+// GitHub advisory severities
+const SEVERITY_NAMES = { CRITICAL: 'CRITICAL', HIGH: 'HIGH', MODERATE: 'MEDIUM', MEDIUM: 'MEDIUM', LOW: 'LOW' };
+
+/**
+ * Error raised for advisory datasets that cannot be read
+ */
+export class AdvisoryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AdvisoryError';
+    }
+}
+
+/**
+ * Dataset location: ADVISORY_DB_PATH, or backend/data/advisories
+ */
+export function getAdvisoryPath(env = process.env) {
+    return env.ADVISORY_DB_PATH || path.join(__dirname, '..', 'data', 'advisories');
+}
+
+// --- Version ordering -------------------------------------------------------
+
+function compareNumbers(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const SEMVER = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+.*)?$/;
+
+function compareSemver(a, b) {
+    const [x, y] = [a, b].map(version => version.match(SEMVER));
+    if (!x || !y) return null;
+
+    for (let i = 1; i <= 3; i++) {
+        const order = compareNumbers(Number(x[i] || 0), Number(y[i] || 0));
+        if (order) return order;
+    }
+    // A pre-release sorts before its release
+    if (!x[4] || !y[4]) return x[4] ? -1 : y[4] ? 1 : 0;
+    const [xs, ys] = [x[4].split('.'), y[4].split('.')];
+    for (let i = 0; i < Math.max(xs.length, ys.length); i++) {
+        if (xs[i] === undefined || ys[i] === undefined) return xs[i] === undefined ? -1 : 1;
+        const numeric = [xs[i], ys[i]].map(part => /^\d+$/.test(part));
+        const order = numeric[0] && numeric[1]
+            ? compareNumbers(Number(xs[i]), Number(ys[i]))
+            : numeric[0] !== numeric[1] ? (numeric[0] ? -1 : 1) : compareNumbers(xs[i], ys[i]);
+        if (order) return order;
+    }
+    return 0;
+}
+
+const PEP440 = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+.*)?$/i;
+const PRE_RELEASE_RANK = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+/**
+ * PEP 440 sort key: epoch, release, pre-release, post-release, dev-release
+ */
+function pep440Key(version) {
+    const match = version.trim().match(PEP440);
+    if (!match) return null;
+    const [, epoch, release, pre, preNumber, postImplicit, postNumber, devNumber] = match;
+    const hasPost = postImplicit !== undefined || postNumber !== undefined;
+    const hasDev = devNumber !== undefined;
+
+    // 1.0.dev1 < 1.0a1 < 1.0 < 1.0.post1
+    let phase = [Infinity, 0];
+    if (pre) phase = [PRE_RELEASE_RANK[pre.toLowerCase()], Number(preNumber || 0)];
+    else if (hasDev && !hasPost) phase = [-Infinity, 0];
+
+    return [
+        Number(epoch || 0),
+        release.split('.').map(Number),
+        phase,
+        hasPost ? Number(postImplicit ?? postNumber ?? 0) : -1,
+        hasDev ? Number(devNumber || 0) : Infinity
+    ];
+}
+
+function comparePep440(a, b) {
+    const [x, y] = [a, b].map(pep440Key);
+    if (!x || !y) return null;
+
+    let order = compareNumbers(x[0], y[0]);
+    for (let i = 0; !order && i < Math.max(x[1].length, y[1].length); i++) {
+        order = compareNumbers(x[1][i] || 0, y[1][i] || 0);
+    }
+    return order ||
+        compareNumbers(x[2][0], y[2][0]) || compareNumbers(x[2][1], y[2][1]) ||
+        compareNumbers(x[3], y[3]) ||
+        compareNumbers(x[4], y[4]);
+}
+
+// Maven qualifiers; a release ('') sorts after its pre-releases
+const MAVEN_QUALIFIERS = ['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp'];
+const MAVEN_ALIASES = { a: 'alpha', b: 'beta', m: 'milestone', cr: 'rc', ga: '', final: '', release: '' };
+
+function mavenTokens(version) {
+    const tokens = version.toLowerCase().split(/[.-]|(?<=\d)(?=[a-z])|(?<=[a-z])(?=\d)/)
+        .map(token => /^\d+$/.test(token) ? Number(token) : (MAVEN_ALIASES[token] ?? token));
+    // 1.0.0 == 1.0 == 1 and 1.0-final == 1.0
+    while (tokens.length > 1 && (tokens[tokens.length - 1] === 0 || tokens[tokens.length - 1] === '')) tokens.pop();
+    return tokens;
+}
+
+function compareMavenTokens(x, y) {
+    if (typeof x === 'number' && typeof y === 'number') return compareNumbers(x, y);
+    // Numbers sort after qualifiers
+    if (typeof x === 'number' || typeof y === 'number') return typeof x === 'number' ? 1 : -1;
+    const [rx, ry] = [x, y].map(token => {
+        const rank = MAVEN_QUALIFIERS.indexOf(token);
+        return rank === -1 ? MAVEN_QUALIFIERS.length : rank;
+    });
+    return compareNumbers(rx, ry) || compareNumbers(x, y);
+}
+
+function compareMaven(a, b) {
+    const [xs, ys] = [a, b].map(mavenTokens);
+    for (let i = 0; i < Math.max(xs.length, ys.length); i++) {
+        // A missing part counts as 0, or as a release next to a qualifier
+        const x = xs[i] ?? (typeof ys[i] === 'number' ? 0 : '');
+        const y = ys[i] ?? (typeof xs[i] === 'number' ? 0 : '');
+        const order = compareMavenTokens(x, y);
+        if (order) return order;
+    }
+    return 0;
+}
+
+/**
+ * Compare two versions with the ordering of an OSV ecosystem: semver for
+ * npm and Go, PEP 440 for PyPI and Maven's rules otherwise. Versions a
+ * scheme cannot parse fall back to the Maven ordering, which accepts any
+ * dotted version.
+ */
+export function compareVersions(ecosystem, a, b) {
+    const strict = ecosystem === ECOSYSTEMS.pip ? comparePep440(a, b)
+        : [ECOSYSTEMS.npm, ECOSYSTEMS.go].includes(ecosystem) ? compareSemver(a, b)
+            : null;
+    return strict ?? compareMaven(String(a), String(b));
+}
+
+// --- Advisories -------------------------------------------------------------
+
+/**
+ * Package name as OSV compares it (PyPI names are case and separator insensitive)
+ */
+export function normalizePackageName(ecosystem, name) {
+    return ecosystem === ECOSYSTEMS.pip ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+}
+
+function packageKey(ecosystem, name) {
+    return `${ecosystem}:${normalizePackageName(ecosystem, name)}`;
+}
+
+/**
+ * Index OSV records by ecosystem and package. Withdrawn advisories and
+ * ecosystems without a version ordering here are skipped.
+ */
+export function createAdvisoryDatabase(records, source = null) {
+    const index = new Map();
+    const ecosystems = Object.values(ECOSYSTEMS);
+    let count = 0;
+
+    for (const record of records) {
+        if (!record?.id || record.withdrawn || !Array.isArray(record.affected)) continue;
+        let indexed = false;
+        record.affected.forEach(affected => {
+            const ecosystem = affected.package?.ecosystem?.split(':')[0];
+            if (!ecosystems.includes(ecosystem) || !affected.package.name) return;
+            const key = packageKey(ecosystem, affected.package.name);
+            index.set(key, [...(index.get(key) || []), { record, affected }]);
+            indexed = true;
+        });
+        if (indexed) count++;
+    }
+    return { index, count, source };
+}
+
+/**
+ * Whether `version` lies in one of an OSV `affected` entry's version lists
+ * or SEMVER/ECOSYSTEM ranges (GIT ranges need commits and are ignored)
+ */
+export function isAffected(ecosystem, affected, version) {
+    const compare = (a, b) => compareVersions(ecosystem, a, b);
+    if ((affected.versions || []).some(listed => compare(listed, version) === 0)) return true;
+
+    return (affected.ranges || [])
+        .filter(range => ['SEMVER', 'ECOSYSTEM'].includes(range.type))
+        .some(range => {
+            const events = [...(range.events || [])].sort((a, b) => {
+                const [x, y] = [a, b].map(event => Object.values(event)[0]);
+                return x === '0' ? -1 : y === '0' ? 1 : compare(x, y);
+            });
+            let vulnerable = false;
+            for (const event of events) {
+                if (event.introduced !== undefined && (event.introduced === '0' || compare(version, event.introduced) >= 0)) vulnerable = true;
+                if (event.fixed !== undefined && compare(version, event.fixed) >= 0) vulnerable = false;
+                if (event.last_affected !== undefined && compare(version, event.last_affected) > 0) vulnerable = false;
+            }
+            return vulnerable;
+        });
+}
+
+/**
+ * Human-readable affected ranges (`>=1.0.0 <1.2.3`) and the fixed versions
+ * of an `affected` entry
+ */
+export function describeAffected(affected) {
+    const ranges = [];
+    const fixed = [];
+    (affected.ranges || []).filter(range => range.type !== 'GIT').forEach(range => {
+        let current = null;
+        (range.events || []).forEach(event => {
+            if (event.introduced !== undefined) {
+                if (current) ranges.push(current);
+                current = event.introduced === '0' ? '' : `>=${event.introduced}`;
+            } else if (event.fixed !== undefined || event.last_affected !== undefined) {
+                const end = event.fixed !== undefined ? `<${event.fixed}` : `<=${event.last_affected}`;
+                ranges.push([current, end].filter(Boolean).join(' '));
+                if (event.fixed !== undefined) fixed.push(event.fixed);
+                current = null;
+            }
+        });
+        if (current !== null) ranges.push(current || '*');
+    });
+    return { ranges, fixed };
+}
+
+const CVSS_V3_WEIGHTS = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    UI: { N: 0.85, R: 0.62 },
+    C: { H: 0.56, L: 0.22, N: 0 }
+};
+
+/**
+ * Base score of a CVSS v3.x vector, or null if it cannot be read
+ */
+export function cvss3BaseScore(vector) {
+    const metrics = Object.fromEntries(String(vector).split('/').slice(1).map(part => part.split(':')));
+    const changed = metrics.S === 'C';
+    const privileges = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+    const [av, ac, ui] = ['AV', 'AC', 'UI'].map(metric => CVSS_V3_WEIGHTS[metric][metrics[metric]]);
+    const [c, i, a] = ['C', 'I', 'A'].map(metric => CVSS_V3_WEIGHTS.C[metrics[metric]]);
+    if ([privileges, av, ac, ui, c, i, a].some(weight => weight === undefined) || !['U', 'C'].includes(metrics.S)) {
+        return null;
+    }
+
+    const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    if (impact <= 0) return 0;
+    const exploitability = 8.22 * av * ac * privileges * ui;
+    const score = Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10);
+    // CVSS v3.1 Roundup
+    const scaled = Math.round(score * 100000);
+    return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+/**
+ * Finding severity of an advisory: its GitHub severity, else its CVSS v3
+ * score, else MEDIUM
+ */
+export function getAdvisorySeverity(record, affected = {}) {
+    const named = record.database_specific?.severity || affected.database_specific?.severity || affected.ecosystem_specific?.severity;
+    if (SEVERITY_NAMES[String(named).toUpperCase()]) return SEVERITY_NAMES[String(named).toUpperCase()];
+
+    const vector = (record.severity || []).find(entry => /^CVSS_V3/.test(entry.type))?.score;
+    const score = vector ? cvss3BaseScore(vector) : null;
+    if (score === null) return 'MEDIUM';
+    return score >= 9 ? 'CRITICAL' : score >= 7 ? 'HIGH' : score >= 4 ? 'MEDIUM' : 'LOW';
+}
+
+/**
+ * Advisories affecting a package version: `{ record, affected }` pairs
+ */
+export function findAdvisories(database, ecosystem, name, version) {
+    return (database?.index.get(packageKey(ecosystem, name)) || [])
+        .filter(({ affected }) => isAffected(ecosystem, affected, version));
+}
+
+// --- Loading ----------------------------------------------------------------
+
+function toRecords(document) {
+    if (Array.isArray(document)) return document;
+    if (Array.isArray(document?.vulns)) return document.vulns;
+    return [document];
+}
+
+function parseRecords(text, name) {
+    try {
+        return toRecords(JSON.parse(text));
+    } catch (error) {
+        throw new AdvisoryError(`Could not parse advisory file ${name}: ${error.message}`);
+    }
+}
+
+function readZipRecords(filePath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(filePath, { lazyEntries: true, autoClose: true }, (openError, zipfile) => {
+            if (openError) {
+                reject(new AdvisoryError(`Could not open advisory archive: ${openError.message}`));
+                return;
+            }
+            const records = [];
+            const fail = (error) => {
+                zipfile.close();
+                reject(error instanceof AdvisoryError ? error : new AdvisoryError(`Could not read advisory archive: ${error.message}`));
+            };
+
+            zipfile.on('error', fail);
+            zipfile.on('end', () => resolve(records));
+            zipfile.on('entry', (entry) => {
+                if (!entry.fileName.endsWith('.json')) {
+                    zipfile.readEntry();
+                    return;
+                }
+                zipfile.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) return fail(streamError);
+                    const chunks = [];
+                    stream.on('data', data => chunks.push(data));
+                    stream.on('error', fail);
+                    stream.on('end', () => {
+                        try {
+                            records.push(...parseRecords(Buffer.concat(chunks).toString('utf-8'), entry.fileName));
+                            zipfile.readEntry();
+                        } catch (error) {
+                            fail(error);
+                        }
+                    });
+                });
+            });
+            zipfile.readEntry();
+        });
+    });
+}
+
+async function readDirectoryRecords(dir) {
+    const records = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            records.push(...await readDirectoryRecords(entryPath));
+        } else if (/\.(json|zip)$/i.test(entry.name)) {
+            records.push(...await readRecords(entryPath));
+        }
+    }
+    return records;
+}
+
+async function readRecords(location) {
+    if (/\.zip$/i.test(location)) return readZipRecords(location);
+    return parseRecords(await fs.readFile(location, 'utf-8'), path.basename(location));
+}
+
+/**
+ * Load an advisory database from an OSV JSON file (one record, an array or
+ * `{ vulns: [...] }`), an OSV zip dump or a directory of either
+ */
+export async function loadAdvisoryDatabase(location) {
+    const stats = await fs.stat(location).catch(() => null);
+    if (!stats) {
+        throw new AdvisoryError(`Advisory database not found: ${location}`);
+    }
+    const records = stats.isDirectory() ? await readDirectoryRecords(location) : await readRecords(location);
+    const database = createAdvisoryDatabase(records, location);
+    console.log(`🛡️  Loaded ${database.count} advisories from ${location}`);
+    return database;
+}
+
+let loaded = null;
+
+/**
+ * The advisory database at getAdvisoryPath(), loaded once per location;
+ * null when there is none, so dependency scanning is skipped
+ */
+export function getAdvisoryDatabase(env = process.env) {
+    const location = getAdvisoryPath(env);
+    if (loaded?.location !== location) {
+        const explicit = Boolean(env.ADVISORY_DB_PATH);
+        const database = loadAdvisoryDatabase(location).catch(error => {
+            // The default location is optional
+            if (explicit || !(error instanceof AdvisoryError && error.message.startsWith('Advisory database not found'))) {
+                console.error('Failed to load advisory database:', error.message);
+            }
+            return null;
+        });
+        loaded = { location, database };
+    }
+    return loaded.database;
+}
+
+// --- Dependency findings ----------------------------------------------------
+
+function toFinding(dependency, ecosystem, { record, affected }) {
+    const { ranges, fixed } = describeAffected(affected);
+    const aliases = (record.aliases || []).filter(alias => alias !== record.id);
+    const title = record.summary || `Known vulnerability ${record.id}`;
+
+    return {
+        ...normalizeFinding({
+            severity: getAdvisorySeverity(record, affected),
+            line: dependency.line,
+            confidence: dependency.exact ? EXACT_CONFIDENCE : RANGE_CONFIDENCE,
+            summary: `${dependency.name}@${dependency.version}: ${title}`,
+            issue: `${dependency.name} ${dependency.version} is affected by ${[record.id, ...aliases].join(' / ')}: ${title}`,
+            explanation: [
+                record.details,
+                !dependency.exact && `Checked at ${dependency.version}, the lowest version allowed by "${dependency.declared}"; the installed version may differ.`
+            ].filter(Boolean).join('\n\n') || null,
+            recommendation: fixed.length
+                ? `Upgrade ${dependency.name} to ${fixed.join(' or ')} or later`
+                : 'No fixed version is available; replace or remove the dependency',
+            references: (record.references || []).map(reference => reference.url),
+            cwe: 'CWE-1395'
+        }),
+        source: 'dependency',
+        ruleId: record.id,
+        advisory: {
+            id: record.id,
+            aliases,
+            ecosystem,
+            package: dependency.name,
+            version: dependency.version,
+            declared: dependency.declared ?? null,
+            affected: ranges,
+            fixed
+        }
+    };
+}
+
+/**
+ * Match the manifests among `sources` against the advisory database.
+ * Returns a Map of file name to findings. Direct npm dependencies use the
+ * version from a lockfile next to package.json when there is one; the
+ * lockfile then reports only the remaining (transitive) packages.
+ * Manifests that cannot be parsed are skipped.
+ */
+export function scanDependencies(sources, database) {
+    const findings = new Map();
+    if (!database) return findings;
+
+    const manifests = sources
+        .filter(source => typeof source.content === 'string' && getManifestType(source.name))
+        .flatMap(source => {
+            try {
+                return [{ name: source.name, ...parseManifest(source.name, source.content) }];
+            } catch (error) {
+                console.warn(`⚠️  Skipping dependencies of ${source.name}: ${error.message}`);
+                return [];
+            }
+        });
+
+    const lockfiles = new Map(manifests
+        .filter(manifest => manifest.type === 'package-lock.json')
+        .map(manifest => [path.posix.dirname(manifest.name), manifest]));
+    // Lockfile entries reported through package.json, per lockfile
+    const reported = new Set();
+
+    manifests.filter(manifest => manifest.type === 'package.json').forEach(manifest => {
+        const lockfile = lockfiles.get(path.posix.dirname(manifest.name));
+        manifest.dependencies = manifest.dependencies.map(dependency => {
+            const locked = lockfile?.dependencies.find(entry => entry.path === `node_modules/${dependency.name}`);
+            if (!locked) return dependency;
+            reported.add(`${lockfile.name}:${locked.path}`);
+            return { ...dependency, version: locked.version, exact: true };
+        });
+    });
+
+    manifests.forEach(manifest => {
+        const fileFindings = manifest.dependencies
+            .filter(dependency => dependency.version && !(manifest.type === 'package-lock.json' && reported.has(`${manifest.name}:${dependency.path}`)))
+            .flatMap(dependency => findAdvisories(database, manifest.ecosystem, dependency.name, dependency.version)
+                .map(match => toFinding(dependency, manifest.ecosystem, match)));
+        findings.set(manifest.name, fileFindings);
+    });
+    return findings;
+}
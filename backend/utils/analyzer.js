@@ -0,0 +1,319 @@
+/**
+ * Code analysis pipeline
+ * Runs the rule engine, the secret scanner, the dependency advisory check
+ * and the chunked AI pass over a set of files
+ */
+import { analyzeChunk, buildPrompt } from './gemini.js';
+import { getProvider } from './providers.js';
+import { chunkCode } from './chunker.js';
+import { runRules, RULES } from './rules.js';
+import { estimateTokens, getChunkBudget } from './tokens.js';
+import { computeFingerprint, createLineLookup } from './fingerprints.js';
+import { getInlineSuppression } from './inlineSuppressions.js';
+import { validateConfig, applySeverityConfig } from './config.js';
+import { getProfile, getTemplateVariables } from './profiles.js';
+import { normalizeFinding, extractSnippet } from './findings.js';
+import { findSecrets, toSecretFindings, createMasker, maskFinding, getSecretOptions } from './secrets.js';
+import { getAdvisoryDatabase, scanDependencies } from './advisories.js';
+import { getLicenseDatabase, buildLicenseReport } from './licenses.js';
+import { getManifestType, collectDependencies } from './manifests.js';
+
+/**
+ * Error raised when an analysis is cancelled through its AbortSignal
+ */
+export class AnalysisCancelledError extends Error {
+    constructor() {
+        super('Analysis cancelled');
+        this.name = 'AnalysisCancelledError';
+    }
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw new AnalysisCancelledError();
+    }
+}
+
+/**
+ * Create an empty results object for a set of files.
+ * `mode` is 'full' for whole files or 'diff' for changed lines only.
+ */
+export function createResults(totalFiles, aiEnabled, mode = 'full') {
+    return {
+        files: {},
+        suppressed: {},
+        summary: {
+            mode,
+            totalFiles,
+            totalIssues: 0,
+            suppressed: 0,
+            counts: { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 },
+            engines: { rules: true, secrets: true, ai: aiEnabled }
+        }
+    };
+}
+
+function countIssues(results, issues) {
+    issues.forEach(issue => {
+        results.summary.totalIssues++;
+        if (results.summary.counts[issue.severity] !== undefined) {
+            results.summary.counts[issue.severity]++;
+        }
+    });
+}
+
+/**
+ * Move a finding's line range by `offset` lines
+ */
+function shiftLines(issue, offset) {
+    return { ...issue, line: issue.line + offset, endLine: (issue.endLine ?? issue.line) + offset };
+}
+
+/**
+ * Chunk each segment of a file, keeping line numbers relative to the file
+ */
+function chunkSegments(segments, name, chunkOptions) {
+    const chunks = segments.flatMap(segment => chunkCode(segment.content, name, chunkOptions)
+        .map(chunk => ({
+            ...chunk,
+            startLine: chunk.startLine + segment.startLine,
+            endLine: chunk.endLine + segment.startLine
+        })));
+
+    return chunks.map((chunk, chunkIndex) => ({ ...chunk, chunkIndex, totalChunks: chunks.length }));
+}
+
+/**
+ * Analyze a list of `{ name, content }` sources.
+ * Diff sources (see diff.js) carry `diff: { segments, changedLines }`; only
+ * their segments are chunked and only findings on changed lines are kept.
+ *
+ * `config` is a validated project config (see config.js) controlling
+ * chunking, enabled rules and severities; `chunkMode` selects 'syntax'
+ * (default) or 'lines' chunking for the AI pass, overriding the config.
+ * `profile` names the analysis profile whose prompt template the AI pass
+ * uses (default: the config's, then the general profile). `cache`
+ * replaces the shared response cache (see cache.js).
+ * Secrets found in a file are masked in its findings and in the code sent
+ * to the model; the config's secret allowlist holds globs (see
+ * getSecretOptions). Dependency manifests are checked against `advisories`
+ * (an advisory database, see advisories.js; default: the configured one).
+ * Their dependency inventory is kept in `results.components` (for SBOMs)
+ * and its license report in `results.licenses`, with licenses from
+ * lockfiles or `licenseDatabase` (see licenses.js).
+ * Every finding gets its source `snippet` and a `fingerprint`; findings silenced by an inline
+ * `autonalyst-ignore` comment, or for which `suppress(finding)` returns a
+ * suppression, are moved to `results.suppressed` and not counted.
+ * `onProgress(event)` receives `file-started`, `chunk-completed` and
+ * `file-finished` events; `results` is filled in as files complete so
+ * callers can expose partial results while the analysis is running.
+ */
+export async function analyzeFiles(sources, options = {}) {
+    const {
+        provider = getProvider(),
+        signal,
+        onProgress = () => {},
+        suppress = () => null,
+        config = validateConfig(),
+        results = createResults(sources.length, provider.isConfigured())
+    } = options;
+    const aiEnabled = results.summary.engines.ai && config.analysis.ai;
+    const rules = config.analysis.rules
+        ? RULES.filter(rule => !config.analysis.disabledRules.includes(rule.id))
+        : [];
+    const secretOptions = getSecretOptions(config.secrets);
+    const advisories = config.analysis.dependencies
+        ? (options.advisories !== undefined ? options.advisories : await getAdvisoryDatabase())
+        : null;
+    const dependencyFindings = scanDependencies(sources, advisories);
+    const inventory = collectDependencies(sources);
+    if (inventory) results.components = inventory;
+    if (config.licenses.enabled) {
+        results.licenses = buildLicenseReport(inventory, {
+            config: config.licenses,
+            database: options.licenseDatabase !== undefined ? options.licenseDatabase : await getLicenseDatabase()
+        });
+    }
+    results.summary.engines = {
+        rules: config.analysis.rules,
+        secrets: secretOptions.enabled,
+        dependencies: Boolean(advisories),
+        ai: aiEnabled
+    };
+    const profile = getProfile(options.profile || config.analysis.profile);
+    results.summary.profile = { name: profile.name, version: profile.version };
+    const longestName = sources.reduce((longest, source) => source.name.length > longest.length ? source.name : longest, '');
+    const chunkOptions = {
+        mode: options.chunkMode || config.chunking.mode || process.env.CHUNK_MODE || 'syntax',
+        ...getChunkBudget({
+            contextWindow: provider.contextWindow,
+            maxOutputTokens: provider.maxOutputTokens,
+            // Worst case: the profile's prompt including a context section
+            promptTokens: estimateTokens(buildPrompt('', ' ', { profile, variables: getTemplateVariables(longestName) }))
+        }, process.env, config.chunking)
+    };
+
+    console.log(`📁 Processing ${sources.length} files for analysis with rules${aiEnabled ? ` + ${provider.name}/${provider.model} (${profile.name} profile v${profile.version})` : ' only'}`);
+
+    for (const source of sources) {
+        throwIfAborted(signal);
+        const { name } = source;
+
+        // Attach masked snippets, fingerprint findings and set suppressed
+        // ones aside, once line numbers refer to the whole file
+        const lineAt = createLineLookup(source);
+        let mask = text => text;
+        const triage = issues => applySeverityConfig(issues, config.severity).map(issue => maskFinding({
+            ...issue,
+            snippet: extractSnippet(lineAt, issue)
+        }, mask)).filter(issue => {
+            issue.fingerprint = computeFingerprint(name, issue, lineAt(issue.line));
+            const suppression = getInlineSuppression(lineAt, issue.line) || suppress(issue);
+            if (!suppression) return true;
+
+            (results.suppressed[name] = results.suppressed[name] || []).push({ ...issue, suppression });
+            results.summary.suppressed++;
+            return false;
+        });
+
+        try {
+            console.log(`🔍 Analyzing ${name}...`);
+
+            if (source.error) {
+                throw source.error;
+            }
+
+            // Diff sources only analyze segments around their changed lines
+            const segments = source.diff
+                ? source.diff.segments
+                : [{ startLine: 0, content: source.content }];
+            const changedLines = source.diff ? new Set(source.diff.changedLines) : null;
+            const isInScope = issue => !changedLines || changedLines.has(issue.line);
+            const variables = getTemplateVariables(name, source.content ?? segments.map(segment => segment.content).join('\n'));
+
+            // Rules and the secret scanner run offline on the whole file when it is known
+            const ruleInputs = source.content !== undefined
+                ? [{ startLine: 0, content: source.content }]
+                : segments;
+            const secrets = ruleInputs.flatMap(input => findSecrets(input.content, name, secretOptions)
+                .map(secret => shiftLines(secret, input.startLine)));
+            mask = createMasker(secrets);
+
+            // Skip empty files
+            if (segments.every(segment => !segment.content.trim())) {
+                onProgress({ type: 'file-started', file: name, totalChunks: 0 });
+                results.files[name] = [];
+                onProgress({ type: 'file-finished', file: name, issues: [] });
+                continue;
+            }
+
+            const secretIssues = secretOptions.enabled
+                ? toSecretFindings(secrets).filter(issue => !config.analysis.disabledRules.includes(issue.ruleId))
+                : [];
+            // A generic credential match is redundant next to a known secret format
+            const secretLines = new Set(secretIssues.map(issue => issue.line));
+            const ruleIssues = ruleInputs
+                .flatMap(input => runRules(input.content, name, rules)
+                    .map(issue => shiftLines(issue, input.startLine)))
+                .filter(issue => issue.ruleId !== 'hardcoded-credential' || !secretLines.has(issue.line));
+            const fileIssues = triage([...secretIssues, ...ruleIssues, ...(dependencyFindings.get(name) || [])]
+                .filter(isInScope)
+                .sort((a, b) => a.line - b.line));
+            // Lockfiles are generated; only their dependencies are checked
+            const aiPass = aiEnabled && getManifestType(name) !== 'package-lock.json';
+            // Diff segments are fragments, so they are split by lines rather than parsed
+            const chunks = aiPass
+                ? chunkSegments(segments, name, source.diff ? { ...chunkOptions, mode: 'lines' } : chunkOptions)
+                : [];
+            countIssues(results, fileIssues);
+            results.files[name] = fileIssues;
+
+            onProgress({ type: 'file-started', file: name, totalChunks: chunks.length, issues: fileIssues });
+
+            if (!aiPass) {
+                console.log(`✅ Found ${fileIssues.length} offline issues in ${name} (AI pass skipped)`);
+                onProgress({ type: 'file-finished', file: name, issues: fileIssues });
+                continue;
+            }
+
+            console.log(`📄 Split ${name} into ${chunks.length} chunks`);
+
+            // Chunk calls run concurrently; the provider bounds how many are in flight
+            let completed = 0;
+            await Promise.all(chunks.map(async (chunk, i) => {
+                throwIfAborted(signal);
+
+                let adjustedIssues;
+                try {
+                    // The model, its logs and the response cache never see the secrets
+                    const chunkIssues = await analyzeChunk({
+                        ...chunk,
+                        content: mask(chunk.content),
+                        context: mask(chunk.context)
+                    }, { provider, signal, profile, variables, cache: options.cache });
+                    throwIfAborted(signal);
+
+                    // Adjust line numbers based on chunk offset
+                    adjustedIssues = triage(chunkIssues.map(issue => ({
+                        ...shiftLines(issue, chunk.startLine),
+                        source: 'ai'
+                    })).filter(isInScope));
+
+                    // Update summary counts
+                    countIssues(results, adjustedIssues);
+
+                } catch (chunkError) {
+                    if (chunkError instanceof AnalysisCancelledError) {
+                        throw chunkError;
+                    }
+                    console.error(`Error analyzing chunk ${i + 1}:`, chunkError);
+                    // Continue with other chunks even if one fails
+                    adjustedIssues = triage([{
+                        ...normalizeFinding({
+                            severity: 'HIGH',
+                            line: chunk.startLine + 1,
+                            endLine: chunk.endLine + 1,
+                            issue: 'Analysis failed for this section',
+                            recommendation: 'Manual review recommended'
+                        }),
+                        source: 'ai'
+                    }]);
+                    countIssues(results, adjustedIssues);
+                }
+
+                fileIssues.push(...adjustedIssues);
+                completed++;
+                console.log(`🤖 Analyzed chunk ${i + 1}/${chunks.length} of ${name} (${completed} done)`);
+                onProgress({
+                    type: 'chunk-completed',
+                    file: name,
+                    chunkIndex: i,
+                    totalChunks: chunks.length,
+                    issues: adjustedIssues
+                });
+            }));
+
+            fileIssues.sort((a, b) => a.line - b.line);
+            results.suppressed[name]?.sort((a, b) => a.line - b.line);
+            console.log(`✅ Found ${fileIssues.length} issues in ${name}`);
+            onProgress({ type: 'file-finished', file: name, issues: fileIssues });
+
+        } catch (fileError) {
+            if (fileError instanceof AnalysisCancelledError) {
+                throw fileError;
+            }
+            console.error(`Error processing file ${name}:`, fileError);
+            results.files[name] = triage([normalizeFinding({
+                severity: 'HIGH',
+                line: 1,
+                issue: 'File processing failed',
+                recommendation: 'Check file format and encoding'
+            })]);
+            countIssues(results, results.files[name]);
+            onProgress({ type: 'file-finished', file: name, issues: results.files[name], error: fileError.message });
+        }
+    }
+
+    console.log(`🎯 Analysis complete: ${results.summary.totalIssues} total issues found`);
+    return results;
+}
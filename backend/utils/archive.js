@@ -0,0 +1,413 @@
+/**
+ * Archive extraction for project uploads
+ * Reads .zip and .tar(.gz) archives in memory with zip-slip protection,
+ * entry/size limits, .gitignore-style exclusions and .autonalystrc filters
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+import ignore from 'ignore';
+
+import { isConfigFile, parseConfig, createPathFilter, CONFIG_FILENAMES, MAX_CONFIG_BYTES } from './config.js';
+
+/**
+ * Code file types accepted for analysis, loose or inside an archive
+ */
+export const CODE_FILE_PATTERN = /(?:\.(js|jsx|ts|tsx|py|java|cpp|c|h|cs|php|rb|go|rs|swift|kt|scala|r|m|sh|sql|html|css|scss|sass|less|json|xml|yml|yaml|md|txt)|(?:^|[\\/])go\.mod)$/i;
+export const ARCHIVE_FILE_PATTERN = /\.(zip|tar|tar\.gz|tgz)$/i;
+
+/**
+ * Maximum size of a loose code file upload
+ */
+export const MAX_CODE_FILE_BYTES = 5 * 1024 * 1024;
+
+// Never worth analyzing, whether or not the project ignores them
+const DEFAULT_EXCLUDES = [
+    '.git/',
+    'node_modules/',
+    'bower_components/',
+    'vendor/',
+    'dist/',
+    'build/',
+    'coverage/',
+    '__pycache__/',
+    '.venv/',
+    'venv/',
+    '*.min.js',
+    '*.map',
+    // npm lockfiles are kept for their dependency versions and licenses
+    'yarn.lock'
+];
+
+/**
+ * Error raised for archives that are malformed, unsafe or over the limits
+ */
+export class ArchiveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArchiveError';
+    }
+}
+
+/**
+ * Archive limits from environment variables
+ */
+export function getArchiveLimits(env = process.env) {
+    return {
+        maxUploadBytes: parseInt(env.ARCHIVE_MAX_UPLOAD_BYTES) || 50 * 1024 * 1024,
+        maxEntries: parseInt(env.ARCHIVE_MAX_ENTRIES) || 10000,
+        maxTotalBytes: parseInt(env.ARCHIVE_MAX_TOTAL_BYTES) || 200 * 1024 * 1024,
+        maxFileBytes: parseInt(env.ARCHIVE_MAX_FILE_BYTES) || MAX_CODE_FILE_BYTES,
+        maxFiles: parseInt(env.ARCHIVE_MAX_FILES) || 500
+    };
+}
+
+export function isArchive(filename) {
+    return ARCHIVE_FILE_PATTERN.test(filename);
+}
+
+/**
+ * Normalize an entry name to a safe relative POSIX path.
+ * Absolute paths, drive letters and `..` traversal (zip-slip) are rejected.
+ */
+export function safeEntryPath(name) {
+    const unified = name.replace(/\\/g, '/');
+    if (unified.startsWith('/') || /^[a-zA-Z]:/.test(unified) || unified.includes('\0')) {
+        throw new ArchiveError(`Unsafe path in archive: ${name}`);
+    }
+
+    const normalized = path.posix.normalize(unified).replace(/^(\.\/)+/, '');
+    if (normalized === '..' || normalized.startsWith('../') || normalized.split('/').includes('..')) {
+        throw new ArchiveError(`Unsafe path in archive: ${name}`);
+    }
+
+    return normalized.replace(/\/+$/, '');
+}
+
+/**
+ * Tracks entry counts and extracted bytes against the limits
+ */
+function createBudget(limits) {
+    let entries = 0;
+    let totalBytes = 0;
+
+    return {
+        addEntry() {
+            if (++entries > limits.maxEntries) {
+                throw new ArchiveError(`Archive has more than ${limits.maxEntries} entries`);
+            }
+        },
+        addBytes(count) {
+            totalBytes += count;
+            if (totalBytes > limits.maxTotalBytes) {
+                throw new ArchiveError(`Archive expands to more than ${limits.maxTotalBytes} bytes`);
+            }
+        }
+    };
+}
+
+/**
+ * Read a stream into a Buffer, counting bytes against the budget
+ */
+function readStream(stream, budget, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', (data) => {
+            size += data.length;
+            try {
+                budget.addBytes(data.length);
+                if (size > maxBytes) {
+                    throw new ArchiveError(`Entry expands beyond its declared size`);
+                }
+            } catch (error) {
+                stream.destroy(error);
+                return;
+            }
+            chunks.push(data);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Read past a stream without keeping it, counting bytes against the budget
+ */
+function skipStream(stream, budget) {
+    return new Promise((resolve, reject) => {
+        stream.on('data', (data) => {
+            try {
+                budget.addBytes(data.length);
+            } catch (error) {
+                stream.destroy(error);
+            }
+        });
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+}
+
+function readZip(filePath, limits, onEntry, isExcluded) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(filePath, { lazyEntries: true, autoClose: true, validateEntrySizes: true }, (openError, zipfile) => {
+            if (openError) {
+                reject(new ArchiveError(`Invalid zip archive: ${openError.message}`));
+                return;
+            }
+
+            const budget = createBudget(limits);
+            const fail = (error) => {
+                zipfile.close();
+                reject(error instanceof ArchiveError ? error : new ArchiveError(`Invalid zip archive: ${error.message}`));
+            };
+
+            zipfile.on('error', fail);
+            zipfile.on('end', resolve);
+            zipfile.on('entry', async (entry) => {
+                try {
+                    budget.addEntry();
+                    const name = safeEntryPath(entry.fileName);
+                    if (name && !entry.fileName.endsWith('/') && isExcluded(name)) {
+                        // Left compressed, so their size does not count
+                        onEntry({ path: name, type: 'excluded' });
+                        zipfile.readEntry();
+                        return;
+                    }
+                    const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+
+                    if (entry.fileName.endsWith('/') || !name) {
+                        zipfile.readEntry();
+                        return;
+                    }
+                    if (mode === 0o120000) {
+                        onEntry({ path: name, type: 'link' });
+                        zipfile.readEntry();
+                        return;
+                    }
+                    if (!onEntry({ path: name, type: 'file', size: entry.uncompressedSize })) {
+                        zipfile.readEntry();
+                        return;
+                    }
+
+                    const stream = await new Promise((res, rej) => {
+                        zipfile.openReadStream(entry, (error, readStream) => error ? rej(error) : res(readStream));
+                    });
+                    const content = await readStream(stream, budget, entry.uncompressedSize);
+                    onEntry({ path: name, type: 'file', size: content.length, content });
+                    zipfile.readEntry();
+                } catch (error) {
+                    fail(error);
+                }
+            });
+
+            zipfile.readEntry();
+        });
+    });
+}
+
+function readTar(filePath, gzipped, limits, onEntry, isExcluded) {
+    return new Promise((resolve, reject) => {
+        const budget = createBudget(limits);
+        const extract = tar.extract();
+        const input = fs.createReadStream(filePath);
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            input.destroy();
+            extract.destroy();
+            reject(error instanceof ArchiveError ? error : new ArchiveError(`Invalid tar archive: ${error.message}`));
+        };
+
+        extract.on('entry', async (header, stream, next) => {
+            try {
+                budget.addEntry();
+                const name = safeEntryPath(header.name);
+                const isFile = header.type === 'file' || header.type === 'contiguous-file';
+
+                if (!isFile || !name) {
+                    if (header.type === 'symlink' || header.type === 'link') {
+                        onEntry({ path: name, type: 'link' });
+                    }
+                    stream.resume();
+                    stream.on('end', next);
+                    return;
+                }
+
+                const excluded = isExcluded(name);
+                if (excluded) {
+                    onEntry({ path: name, type: 'excluded' });
+                }
+                if (excluded || !onEntry({ path: name, type: 'file', size: header.size })) {
+                    // Skipped entries still have to be read past; count them too
+                    await skipStream(stream, budget);
+                    next();
+                    return;
+                }
+
+                const content = await readStream(stream, budget, header.size);
+                onEntry({ path: name, type: 'file', size: content.length, content });
+                next();
+            } catch (error) {
+                fail(error);
+            }
+        });
+        extract.on('finish', resolve);
+        extract.on('error', fail);
+        input.on('error', fail);
+
+        if (gzipped) {
+            const gunzip = zlib.createGunzip();
+            gunzip.on('error', fail);
+            input.pipe(gunzip).pipe(extract);
+        } else {
+            input.pipe(extract);
+        }
+    });
+}
+
+/**
+ * Build a matcher for the default excludes plus every .gitignore found
+ * (a Map of directory -> rules; patterns apply relative to that directory).
+ * Directories are matched with a trailing slash.
+ */
+export function createExcludeMatcher(gitignores = new Map()) {
+    const defaults = ignore().add(DEFAULT_EXCLUDES);
+    const scoped = [...gitignores.entries()].map(([dir, rules]) => ({
+        dir,
+        matcher: ignore().add(rules)
+    }));
+
+    return (filePath) => {
+        if (defaults.ignores(filePath)) return true;
+        return scoped.some(({ dir, matcher }) => {
+            if (dir && !filePath.startsWith(`${dir}/`)) return false;
+            const relative = dir ? filePath.slice(dir.length + 1) : filePath;
+            return matcher.ignores(relative);
+        });
+    };
+}
+
+export function isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Pick the project config of an archive: the one at its root or, when every
+ * file sits in a single top-level directory, the one in that directory.
+ * Returns `{ file, dir }` or null.
+ */
+function findArchiveConfig(configs, candidates) {
+    const pick = (dir) => {
+        const file = CONFIG_FILENAMES.map(name => (dir ? `${dir}/${name}` : name)).find(name => configs.has(name));
+        return file ? { file, dir } : null;
+    };
+
+    const topDirs = new Set(candidates.map(entry => entry.path.split('/')[0]));
+    const [onlyDir] = topDirs;
+    const nested = topDirs.size === 1 && candidates.every(entry => entry.path.includes('/'));
+    return pick('') || (nested ? pick(onlyDir) : null);
+}
+
+/**
+ * Extract the analyzable code files from an archive.
+ * Returns `{ files: [{ path, content }], skipped: { reason: count }, config,
+ * configFile }` where `path` is relative to the archive root. `config` is the
+ * validated .autonalystrc found in the archive (see findArchiveConfig), or
+ * the `config` option when given, which takes precedence; its include and
+ * exclude patterns filter the extracted files. Entries under the default
+ * excludes (node_modules/, dist/, ...) are skipped without being kept in
+ * memory; they still count as entries, and tarball ones, which have to be
+ * decompressed, against the size limit.
+ */
+export async function extractArchive(filePath, originalName, limits = getArchiveLimits(), options = {}) {
+    const candidates = [];
+    const gitignores = new Map();
+    const configs = new Map();
+    const skipped = { ignored: 0, unsupported: 0, binary: 0, tooLarge: 0, links: 0 };
+
+    const isDefaultExcluded = createExcludeMatcher();
+
+    const onEntry = (entry) => {
+        const isGitignore = path.posix.basename(entry.path) === '.gitignore';
+        // Project configs are only looked for at the top of the archive
+        const isConfig = isConfigFile(entry.path) && entry.path.split('/').length <= 2;
+
+        if (entry.type === 'link') {
+            skipped.links++;
+            return false;
+        }
+        if (entry.type === 'excluded') {
+            skipped.ignored++;
+            return false;
+        }
+        if (!entry.content) {
+            // Header pass: decide whether the entry is worth reading
+            if (isGitignore) return true;
+            if (isConfig) return !options.config && entry.size <= MAX_CONFIG_BYTES;
+            if (isConfigFile(entry.path)) return false;
+            if (!CODE_FILE_PATTERN.test(entry.path)) {
+                skipped.unsupported++;
+                return false;
+            }
+            if (entry.size > limits.maxFileBytes) {
+                skipped.tooLarge++;
+                return false;
+            }
+            return true;
+        }
+
+        if (isGitignore) {
+            const dir = path.posix.dirname(entry.path);
+            gitignores.set(dir === '.' ? '' : dir, entry.content.toString('utf-8'));
+        } else if (isConfig) {
+            configs.set(entry.path, entry.content.toString('utf-8'));
+        } else {
+            candidates.push(entry);
+        }
+        return true;
+    };
+
+    const lower = originalName.toLowerCase();
+    if (lower.endsWith('.zip')) {
+        await readZip(filePath, limits, onEntry, isDefaultExcluded);
+    } else {
+        await readTar(filePath, /\.(tar\.gz|tgz)$/.test(lower), limits, onEntry, isDefaultExcluded);
+    }
+
+    let { config = null } = options;
+    let configDir = '';
+    let configFile = null;
+    const found = config ? null : findArchiveConfig(configs, candidates);
+    if (found) {
+        config = parseConfig(configs.get(found.file), found.file);
+        configDir = found.dir;
+        configFile = found.file;
+    }
+
+    const isExcluded = createExcludeMatcher(gitignores);
+    const isIncluded = createPathFilter(config || {}, configDir);
+    const files = [];
+    for (const entry of candidates) {
+        if (isExcluded(entry.path) || !isIncluded(entry.path)) {
+            skipped.ignored++;
+        } else if (isBinary(entry.content)) {
+            skipped.binary++;
+        } else {
+            files.push({ path: entry.path, content: entry.content.toString('utf-8') });
+        }
+    }
+
+    if (files.length > limits.maxFiles) {
+        throw new ArchiveError(`Archive contains ${files.length} code files; the limit is ${limits.maxFiles}`);
+    }
+
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    console.log(`📦 Extracted ${files.length} code files from ${originalName} (skipped: ${JSON.stringify(skipped)})${configFile ? ` using ${configFile}` : ''}`);
+
+    return { files, skipped, config, configFile };
+}
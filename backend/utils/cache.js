@@ -0,0 +1,447 @@
+/**
+ * Analysis response cache
+ * An LRU cache of model responses with entry-count, size and age limits,
+ * kept in a pluggable backend: JSON files (default), process memory or an
+ * SQLite database
+ */
+import fs from 'fs/promises';
+import { existsSync, readFileSync, mkdirSync, writeFileSync, renameSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import initSqlJs from 'sql.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'cache');
+
+export const CACHE_BACKENDS = ['fs', 'memory', 'sqlite'];
+
+/**
+ * Read cache settings from the environment
+ */
+export function getCacheConfig(env = process.env) {
+    const backend = (env.CACHE_BACKEND || 'fs').toLowerCase();
+    if (!CACHE_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown cache backend "${backend}". Supported: ${CACHE_BACKENDS.join(', ')}`);
+    }
+
+    const dir = env.CACHE_DIR || DEFAULT_CACHE_DIR;
+    return {
+        backend,
+        dir,
+        dbPath: env.CACHE_DB_PATH || path.join(dir, 'cache.db'),
+        maxEntries: parseInt(env.CACHE_MAX_ENTRIES) || 1000,
+        maxBytes: parseInt(env.CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+        ttlMs: (parseFloat(env.CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+        evictionIntervalMs: env.CACHE_EVICTION_INTERVAL_MS !== undefined
+            ? parseInt(env.CACHE_EVICTION_INTERVAL_MS) || 0
+            : 10 * 60 * 1000
+    };
+}
+
+// --- Backends ---------------------------------------------------------------
+//
+// A backend stores entries `{ key, createdAt, accessedAt, size, meta, value }`
+// and implements async read(key), write(entry), touch(key, accessedAt),
+// remove(keys), list() (entries without their value) and clear().
+
+function entrySize(value) {
+    return Buffer.byteLength(JSON.stringify(value));
+}
+
+/**
+ * One JSON file per entry; the file's modification time is its last access
+ */
+export function createFileBackend(dir = DEFAULT_CACHE_DIR) {
+    const fileOf = key => path.join(dir, `${key}.json`);
+
+    // Entries written before metadata was recorded only have a timestamp
+    const parse = (key, text, stat) => {
+        const data = JSON.parse(text);
+        const { timestamp, cacheKey, result, ...meta } = data;
+        return { key, createdAt: timestamp || 0, accessedAt: stat.mtimeMs, size: stat.size, meta, value: result };
+    };
+
+    return {
+        name: 'fs',
+
+        async read(key) {
+            try {
+                const [text, stat] = await Promise.all([fs.readFile(fileOf(key), 'utf-8'), fs.stat(fileOf(key))]);
+                return parse(key, text, stat);
+            } catch {
+                return null;
+            }
+        },
+
+        async write({ key, createdAt, meta, value }) {
+            await fs.mkdir(dir, { recursive: true });
+            const text = JSON.stringify({ timestamp: createdAt, cacheKey: key, ...meta, result: value }, null, 2);
+            await fs.writeFile(fileOf(key), text);
+            return Buffer.byteLength(text);
+        },
+
+        async touch(key, accessedAt) {
+            const time = new Date(accessedAt);
+            await fs.utimes(fileOf(key), time, time).catch(() => {});
+        },
+
+        async remove(keys) {
+            const removed = await Promise.all(keys.map(key => fs.unlink(fileOf(key)).then(() => 1, () => 0)));
+            return removed.reduce((sum, count) => sum + count, 0);
+        },
+
+        async list() {
+            const files = await fs.readdir(dir).catch(() => []);
+            const entries = await Promise.all(files.filter(file => file.endsWith('.json')).map(async file => {
+                const key = file.slice(0, -'.json'.length);
+                try {
+                    const stat = await fs.stat(fileOf(key));
+                    const { value, ...entry } = parse(key, await fs.readFile(fileOf(key), 'utf-8'), stat);
+                    return entry;
+                } catch {
+                    // Unreadable entries count as expired so eviction removes them
+                    return { key, createdAt: 0, accessedAt: 0, size: 0, meta: {} };
+                }
+            }));
+            return entries;
+        },
+
+        async clear() {
+            const entries = await this.list();
+            return this.remove(entries.map(entry => entry.key));
+        }
+    };
+}
+
+/**
+ * Entries kept for the process lifetime
+ */
+export function createMemoryBackend() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async read(key) {
+            return entries.get(key) || null;
+        },
+
+        async write(entry) {
+            const size = entrySize(entry.value);
+            entries.set(entry.key, { ...entry, size });
+            return size;
+        },
+
+        async touch(key, accessedAt) {
+            if (entries.has(key)) entries.get(key).accessedAt = accessedAt;
+        },
+
+        async remove(keys) {
+            return keys.filter(key => entries.delete(key)).length;
+        },
+
+        async list() {
+            return [...entries.values()].map(({ value, ...entry }) => entry);
+        },
+
+        async clear() {
+            const count = entries.size;
+            entries.clear();
+            return count;
+        }
+    };
+}
+
+/**
+ * Entries in an SQLite database written to `filename` after every change
+ * (':memory:' keeps them for the process lifetime). Access times are saved
+ * with the next change.
+ */
+export function createSqliteBackend(filename) {
+    const persistent = filename !== ':memory:';
+    const ready = initSqlJs().then(SQL => {
+        const db = persistent && existsSync(filename)
+            ? new SQL.Database(readFileSync(filename))
+            : new SQL.Database();
+        db.run(`
+            CREATE TABLE IF NOT EXISTS cache_entries (
+                key TEXT PRIMARY KEY,
+                created_at INTEGER NOT NULL,
+                accessed_at INTEGER NOT NULL,
+                size INTEGER NOT NULL,
+                meta TEXT NOT NULL,
+                value TEXT NOT NULL
+            )
+        `);
+        return db;
+    });
+
+    const persist = db => {
+        if (!persistent) return;
+        mkdirSync(path.dirname(filename), { recursive: true });
+        writeFileSync(`${filename}.tmp`, Buffer.from(db.export()));
+        renameSync(`${filename}.tmp`, filename);
+    };
+
+    const select = (db, sql, params = []) => {
+        const statement = db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return rows;
+        } finally {
+            statement.free();
+        }
+    };
+
+    const toEntry = row => ({
+        key: row.key,
+        createdAt: row.created_at,
+        accessedAt: row.accessed_at,
+        size: row.size,
+        meta: JSON.parse(row.meta),
+        ...(row.value !== undefined && { value: JSON.parse(row.value) })
+    });
+
+    return {
+        name: 'sqlite',
+
+        async read(key) {
+            const [row] = select(await ready, 'SELECT * FROM cache_entries WHERE key = ?', [key]);
+            return row ? toEntry(row) : null;
+        },
+
+        async write({ key, createdAt, accessedAt, meta, value }) {
+            const db = await ready;
+            const text = JSON.stringify(value);
+            const size = Buffer.byteLength(text);
+            db.run('INSERT OR REPLACE INTO cache_entries (key, created_at, accessed_at, size, meta, value) VALUES (?, ?, ?, ?, ?, ?)',
+                [key, createdAt, accessedAt, size, JSON.stringify(meta), text]);
+            persist(db);
+            return size;
+        },
+
+        async touch(key, accessedAt) {
+            (await ready).run('UPDATE cache_entries SET accessed_at = ? WHERE key = ?', [accessedAt, key]);
+        },
+
+        async remove(keys) {
+            const db = await ready;
+            const before = db.exec('SELECT COUNT(*) FROM cache_entries')[0].values[0][0];
+            keys.forEach(key => db.run('DELETE FROM cache_entries WHERE key = ?', [key]));
+            const removed = before - db.exec('SELECT COUNT(*) FROM cache_entries')[0].values[0][0];
+            if (removed) persist(db);
+            return removed;
+        },
+
+        async list() {
+            return select(await ready, 'SELECT key, created_at, accessed_at, size, meta FROM cache_entries').map(toEntry);
+        },
+
+        async clear() {
+            const db = await ready;
+            const count = db.exec('SELECT COUNT(*) FROM cache_entries')[0].values[0][0];
+            db.run('DELETE FROM cache_entries');
+            persist(db);
+            return count;
+        }
+    };
+}
+
+function createBackend(config) {
+    if (config.backend === 'memory') return createMemoryBackend();
+    if (config.backend === 'sqlite') return createSqliteBackend(config.dbPath);
+    return createFileBackend(config.dir);
+}
+
+// --- LRU cache --------------------------------------------------------------
+
+/**
+ * Build a cache over `backend`. An in-process index of the entries (loaded
+ * from the backend on first use) tracks access order and sizes; entries
+ * older than `ttlMs` are dropped, and the least recently used ones are
+ * evicted whenever there are more than `maxEntries` or they take more than
+ * `maxBytes`. Eviction runs in the background after writes that exceed a
+ * limit and, with `evictionIntervalMs`, periodically once start() is called
+ * (re-reading the backend, which other processes may share). Backend
+ * failures are logged and treated as misses.
+ */
+export function createCache({
+    backend = createMemoryBackend(),
+    maxEntries = 1000,
+    maxBytes = 50 * 1024 * 1024,
+    ttlMs = 24 * 60 * 60 * 1000,
+    evictionIntervalMs = 0,
+    now = Date.now
+} = {}) {
+    const counters = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    let index = null;
+    let evicting = null;
+    let timer = null;
+
+    const load = async (refresh = false) => {
+        if (!index || refresh) {
+            index = new Map((await backend.list()).map(entry => [entry.key, entry]));
+        }
+        return index;
+    };
+    const totalBytes = () => [...index.values()].reduce((sum, entry) => sum + entry.size, 0);
+    const isExpired = entry => now() - entry.createdAt >= ttlMs;
+    const overLimit = () => index.size > maxEntries || totalBytes() > maxBytes;
+
+    const runEviction = async ({ refresh = false } = {}) => {
+        await load(refresh);
+        const stale = [...index.values()].filter(isExpired);
+        const live = [...index.values()].filter(entry => !isExpired(entry)).sort((a, b) => a.accessedAt - b.accessedAt);
+        let count = live.length;
+        let bytes = live.reduce((sum, entry) => sum + entry.size, 0);
+        const victims = [...stale];
+        for (const entry of live) {
+            if (count <= maxEntries && bytes <= maxBytes) break;
+            victims.push(entry);
+            count--;
+            bytes -= entry.size;
+        }
+        if (!victims.length) return 0;
+
+        victims.forEach(entry => index.delete(entry.key));
+        const removed = await backend.remove(victims.map(entry => entry.key));
+        counters.evictions += removed;
+        console.log(`🧹 Evicted ${removed} cache entries (${stale.length} expired)`);
+        return removed;
+    };
+
+    const cache = {
+        backend: backend.name,
+
+        /**
+         * Cached value for `key`, or null when missing or expired
+         */
+        async get(key) {
+            try {
+                await load();
+                const entry = await backend.read(key);
+                if (!entry) {
+                    index.delete(key);
+                    counters.misses++;
+                    return null;
+                }
+                if (isExpired(entry)) {
+                    index.delete(key);
+                    await backend.remove([key]);
+                    counters.misses++;
+                    return null;
+                }
+
+                const accessedAt = now();
+                index.set(key, { key, createdAt: entry.createdAt, accessedAt, size: entry.size, meta: entry.meta });
+                await backend.touch(key, accessedAt);
+                counters.hits++;
+                return entry.value;
+            } catch (error) {
+                console.error('Cache read failed:', error.message);
+                counters.misses++;
+                return null;
+            }
+        },
+
+        /**
+         * Store `value` under `key` with descriptive `meta` (provider, model,
+         * prompt version) shown in the stats
+         */
+        async set(key, value, meta = {}) {
+            try {
+                await load();
+                const createdAt = now();
+                const size = await backend.write({ key, createdAt, accessedAt: createdAt, meta, value });
+                index.set(key, { key, createdAt, accessedAt: createdAt, size, meta });
+                counters.writes++;
+                if (overLimit()) {
+                    cache.evict().catch(error => console.error('Cache eviction failed:', error.message));
+                }
+            } catch (error) {
+                console.error('Failed to save cache:', error.message);
+            }
+        },
+
+        /**
+         * Remove expired entries and evict least recently used ones beyond
+         * the limits; concurrent calls share one run. Returns how many
+         * entries were removed.
+         */
+        evict(options) {
+            if (!evicting) {
+                evicting = runEviction(options).finally(() => { evicting = null; });
+            }
+            return evicting;
+        },
+
+        /**
+         * Remove every entry; returns how many there were
+         */
+        async clear() {
+            await evicting;
+            const removed = await backend.clear();
+            index = new Map();
+            return removed;
+        },
+
+        async stats() {
+            await load();
+            const entries = [...index.values()];
+            const bytes = totalBytes();
+            const byModel = {};
+            entries.forEach(({ meta }) => {
+                const name = meta?.provider ? `${meta.provider}/${meta.model}` : 'unknown';
+                byModel[name] = (byModel[name] || 0) + 1;
+            });
+            const createdTimes = entries.map(entry => entry.createdAt).filter(Boolean);
+            return {
+                backend: backend.name,
+                entries: entries.length,
+                totalSizeBytes: bytes,
+                totalSizeMB: (bytes / (1024 * 1024)).toFixed(2),
+                limits: { maxEntries, maxBytes, ttlHours: ttlMs / (60 * 60 * 1000) },
+                ...counters,
+                oldest: createdTimes.length ? new Date(Math.min(...createdTimes)).toISOString() : null,
+                newest: createdTimes.length ? new Date(Math.max(...createdTimes)).toISOString() : null,
+                byModel
+            };
+        },
+
+        /**
+         * Start periodic background eviction (a no-op without an interval);
+         * the timer does not keep the process alive
+         */
+        start() {
+            if (!timer && evictionIntervalMs > 0) {
+                timer = setInterval(() => {
+                    cache.evict({ refresh: true }).catch(error => console.error('Cache eviction failed:', error.message));
+                }, evictionIntervalMs);
+                timer.unref();
+            }
+            return cache;
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+    return cache;
+}
+
+let sharedCache = null;
+
+/**
+ * The process-wide cache configured from the environment, with background
+ * eviction started
+ */
+export function getCache(env = process.env) {
+    if (!sharedCache) {
+        const config = getCacheConfig(env);
+        sharedCache = createCache({ ...config, backend: createBackend(config) }).start();
+    }
+    return sharedCache;
+}
@@ -1,95 +1,59 @@
 /**
  * Code chunking utility for analyzing large files
- * Splits code into overlapping chunks for comprehensive analysis
+ * Splits code into overlapping chunks sized by an estimated token budget, or
+ * along syntax boundaries (whole functions/classes) in 'syntax' mode
  */
+import { extractOutline } from './syntax.js';
+import { estimateTokens, splitByTokens, DEFAULT_CHUNK_TOKENS, DEFAULT_OVERLAP_TOKENS } from './tokens.js';
 
 /**
  * Default chunking configuration
  */
 const DEFAULT_CONFIG = {
-    maxLines: 50,        // Maximum lines per chunk
-    overlapLines: 5,     // Lines to overlap between chunks
-    minChunkLines: 10    // Minimum lines to create a chunk
+    maxTokens: DEFAULT_CHUNK_TOKENS,        // Estimated tokens of code per chunk
+    overlapTokens: DEFAULT_OVERLAP_TOKENS   // Tokens to overlap between chunks
 };
 
 /**
- * Determine appropriate chunk size based on file type and size
+ * Resolve the chunk budget from options (see getChunkBudget in tokens.js)
  */
-function getChunkConfig(filename, totalLines) {
-    const config = { ...DEFAULT_CONFIG };
-
-    // Adjust for different file types
-    const ext = filename.split('.').pop()?.toLowerCase();
-
-    switch (ext) {
-        case 'js':
-        case 'jsx':
-        case 'ts':
-        case 'tsx':
-            // JavaScript/TypeScript - smaller chunks for better analysis
-            config.maxLines = 40;
-            config.overlapLines = 8;
-            break;
-
-        case 'py':
-            // Python - medium chunks
-            config.maxLines = 45;
-            config.overlapLines = 6;
-            break;
-
-        case 'java':
-        case 'cpp':
-        case 'c':
-        case 'cs':
-            // Compiled languages - larger chunks
-            config.maxLines = 60;
-            config.overlapLines = 10;
-            break;
+function getChunkConfig(options = {}) {
+    const maxTokens = Math.max(1, options.maxTokens || DEFAULT_CONFIG.maxTokens);
+    const overlapTokens = options.overlapTokens ?? DEFAULT_CONFIG.overlapTokens;
 
-        case 'html':
-        case 'xml':
-            // Markup - larger chunks
-            config.maxLines = 80;
-            config.overlapLines = 5;
-            break;
-
-        case 'css':
-        case 'scss':
-        case 'sass':
-            // Stylesheets - medium chunks
-            config.maxLines = 50;
-            config.overlapLines = 5;
-            break;
-
-        case 'sql':
-            // SQL - smaller chunks for query analysis
-            config.maxLines = 30;
-            config.overlapLines = 5;
-            break;
-    }
+    return {
+        maxTokens,
+        // Overlap must leave room for new code in every chunk
+        overlapTokens: Math.max(0, Math.min(overlapTokens, Math.floor(maxTokens / 2)))
+    };
+}
 
-    // Adjust based on file size
-    if (totalLines < 30) {
-        // Small files - don't chunk
-        config.maxLines = totalLines;
-        config.overlapLines = 0;
-    } else if (totalLines < 100) {
-        // Medium files - reduce chunk size
-        config.maxLines = Math.min(config.maxLines, Math.ceil(totalLines / 2));
-    }
+/**
+ * Estimated tokens per line, including its newline
+ */
+function getLineTokens(lines) {
+    return lines.map(line => estimateTokens(line) + 1);
+}
 
-    return config;
+function sumTokens(lineTokens, start, end) {
+    let total = 0;
+    for (let i = start; i < end; i++) total += lineTokens[i];
+    return total;
 }
 
 /**
  * Find logical break points in code (end of functions, classes, etc.)
+ * within the window [startIndex, endIndex)
  */
-function findBreakPoint(lines, startIndex, maxLines) {
-    const endIndex = Math.min(startIndex + maxLines, lines.length);
+function findBreakPoint(lines, startIndex, endIndex) {
+    if (endIndex >= lines.length) {
+        return lines.length;
+    }
     let bestBreak = endIndex;
 
-    // Look for natural break points in the last 10 lines of the chunk
-    const searchStart = Math.max(startIndex + maxLines - 10, startIndex + 1);
+    // Look for natural break points in the last 10 lines of the chunk,
+    // without giving up more than half of the window
+    const searchStart = Math.max(endIndex - 10, startIndex + Math.ceil((endIndex - startIndex) / 2), startIndex + 1);
 
     for (let i = endIndex - 1; i >= searchStart; i--) {
         const line = lines[i].trim();
@@ -109,7 +73,7 @@ function findBreakPoint(lines, startIndex, maxLines) {
             break;
         }
 
-        if (line === '' && i > startIndex + 20) {
+        if (line === '' && bestBreak === endIndex) {
             bestBreak = i;
             // Don't break here, keep looking for better breaks
         }
@@ -119,77 +83,257 @@ function findBreakPoint(lines, startIndex, maxLines) {
 }
 
 /**
- * Split code content into overlapping chunks for analysis
+ * Compute overlapping line ranges (end exclusive) that fit the token budget,
+ * preferring heuristic break points
+ */
+function splitLines(lines, config, lineTokens = getLineTokens(lines)) {
+    const totalLines = lines.length;
+    const ranges = [];
+    let currentLine = 0;
+
+    while (currentLine < totalLines) {
+        // Grow the window while it fits the budget (always at least one line)
+        let windowEnd = currentLine;
+        let used = 0;
+        while (windowEnd < totalLines && (windowEnd === currentLine || used + lineTokens[windowEnd] <= config.maxTokens)) {
+            used += lineTokens[windowEnd];
+            windowEnd++;
+        }
+
+        const finalEnd = findBreakPoint(lines, currentLine, windowEnd);
+        ranges.push({ start: currentLine, end: finalEnd });
+
+        if (finalEnd >= totalLines) {
+            break;
+        }
+
+        // Move to next chunk, stepping back over up to overlapTokens of context
+        let nextStart = finalEnd;
+        let overlap = 0;
+        while (nextStart - 1 > currentLine && overlap + lineTokens[nextStart - 1] <= config.overlapTokens) {
+            overlap += lineTokens[nextStart - 1];
+            nextStart--;
+        }
+        currentLine = nextStart;
+    }
+
+    return ranges;
+}
+
+/**
+ * Split a syntax unit into pieces that fit the token budget. Oversized
+ * classes are split by member (keeping the class header as context); other
+ * oversized units fall back to heuristic line ranges.
  */
-export function chunkCode(content, filename = 'unknown.txt') {
+function splitUnit(unit, lines, lineTokens, config) {
+    const tokens = sumTokens(lineTokens, unit.startLine, unit.endLine + 1);
+    if (tokens <= config.maxTokens) {
+        return [{ startLine: unit.startLine, endLine: unit.endLine, tokens, symbols: unit.names, scope: null }];
+    }
+
+    if (unit.kind === 'class' && unit.members?.length) {
+        const className = unit.names[0] || 'class';
+        const header = lines.slice(unit.startLine, unit.headerEndLine + 1).join('\n');
+        const memberConfig = { ...config, maxTokens: Math.max(1, config.maxTokens - estimateTokens(header)) };
+        const pieces = [{
+            startLine: unit.startLine,
+            endLine: unit.headerEndLine,
+            tokens: sumTokens(lineTokens, unit.startLine, unit.headerEndLine + 1),
+            symbols: [className],
+            scope: null
+        }];
+        let cursor = unit.headerEndLine + 1;
+
+        unit.members.forEach((member, index) => {
+            const isLast = index === unit.members.length - 1;
+            const memberUnit = {
+                ...member,
+                // Cover the gap before the member, and the closing lines after the last one
+                startLine: cursor,
+                endLine: isLast ? unit.endLine : member.endLine,
+                names: member.names.map(name => `${className}.${name}`)
+            };
+            cursor = memberUnit.endLine + 1;
+            splitUnit(memberUnit, lines, lineTokens, memberConfig).forEach(piece => {
+                pieces.push({ ...piece, scope: header });
+            });
+        });
+
+        return pieces;
+    }
+
+    const unitLines = lines.slice(unit.startLine, unit.endLine + 1);
+    const unitTokens = lineTokens.slice(unit.startLine, unit.endLine + 1);
+    return splitLines(unitLines, config, unitTokens).map(range => ({
+        startLine: unit.startLine + range.start,
+        endLine: unit.startLine + range.end - 1,
+        tokens: sumTokens(unitTokens, range.start, range.end),
+        symbols: unit.names,
+        scope: null
+    }));
+}
+
+/**
+ * Split code along syntax boundaries, packing consecutive units into chunks
+ */
+function chunkBySyntax(lines, lineTokens, config, outline) {
+    const importsEnd = outline.importLines.length
+        ? Math.max(...outline.importLines.map(range => range.endLine))
+        : -1;
+    const importText = outline.importLines
+        .map(range => lines.slice(range.startLine, range.endLine + 1).join('\n'))
+        .join('\n');
+
+    // Imports are repeated as context, so they come out of every chunk's budget
+    const codeConfig = { ...config, maxTokens: Math.max(Math.ceil(config.maxTokens / 2), config.maxTokens - estimateTokens(importText)) };
+
+    // Extend each unit over the lines before it so no line is dropped
+    const units = [];
+    let cursor = 0;
+    for (const unit of outline.units) {
+        if (unit.endLine < cursor) continue;
+        units.push({ ...unit, startLine: Math.min(cursor, unit.startLine) });
+        cursor = unit.endLine + 1;
+    }
+    if (cursor < lines.length) {
+        if (units.length) {
+            units[units.length - 1].endLine = lines.length - 1;
+        } else {
+            units.push({ kind: 'statement', names: [], startLine: 0, endLine: lines.length - 1 });
+        }
+    }
+
+    const pieces = units.flatMap(unit => splitUnit(unit, lines, lineTokens, codeConfig));
+
+    // Pack consecutive pieces sharing a scope up to the token budget
+    const groups = [];
+    for (const piece of pieces) {
+        const current = groups[groups.length - 1];
+        const budget = piece.scope ? codeConfig.maxTokens - estimateTokens(piece.scope) : codeConfig.maxTokens;
+        if (current &&
+            current.scope === piece.scope &&
+            current.tokens + piece.tokens <= budget) {
+            current.endLine = piece.endLine;
+            current.tokens += piece.tokens;
+            current.symbols.push(...piece.symbols);
+        } else {
+            groups.push({ ...piece, symbols: [...piece.symbols] });
+        }
+    }
+
+    return groups.map(group => {
+        const context = [
+            group.startLine > importsEnd ? importText : '',
+            group.scope || ''
+        ].filter(Boolean).join('\n');
+
+        return {
+            content: lines.slice(group.startLine, group.endLine + 1).join('\n'),
+            startLine: group.startLine,
+            endLine: group.endLine,
+            lineCount: group.endLine - group.startLine + 1,
+            symbols: [...new Set(group.symbols)],
+            context
+        };
+    }).filter(chunk => chunk.content.trim());
+}
+
+/**
+ * Split a single line that exceeds the budget on its own (e.g. minified
+ * code) into segments; every segment keeps the line's number
+ */
+function splitLongLine(chunk, config) {
+    const tokens = estimateTokens(chunk.content);
+    if (chunk.lineCount !== 1 || tokens <= config.maxTokens) {
+        return [chunk];
+    }
+
+    const segments = splitByTokens(chunk.content, config.maxTokens);
+    return segments.map((content, index) => ({
+        ...chunk,
+        content,
+        segment: { index, count: segments.length }
+    }));
+}
+
+/**
+ * Split code content into chunks for analysis.
+ *
+ * Options:
+ * - mode: 'lines' (default) splits into overlapping windows;
+ *   'syntax' keeps whole functions/classes together for supported languages
+ *   (JS/TS, Python), attaching imports/class headers as `context` and the
+ *   covered symbol names as `symbols`. Falls back to 'lines' otherwise.
+ * - maxTokens / overlapTokens: estimated token budget per chunk and overlap
+ *   between line windows (see getChunkBudget in tokens.js)
+ *
+ * Every chunk reports its `estimatedTokens`.
+ */
+export function chunkCode(content, filename = 'unknown.txt', options = {}) {
     if (!content || typeof content !== 'string') {
         return [];
     }
 
+    const { mode = 'lines' } = options;
     const lines = content.split('\n');
     const totalLines = lines.length;
-    const config = getChunkConfig(filename, totalLines);
+    const config = getChunkConfig(options);
+    const outline = mode === 'syntax' ? extractOutline(content, filename) : null;
+    const totalTokens = estimateTokens(content);
 
     // If file is small enough, return as single chunk
-    if (totalLines <= config.maxLines) {
-        return [{
+    if (totalTokens <= config.maxTokens) {
+        const chunk = {
             content: content,
             startLine: 0,
             endLine: totalLines - 1,
+            lineCount: totalLines,
+            estimatedTokens: totalTokens,
             chunkIndex: 0,
             totalChunks: 1,
             filename: filename
-        }];
-    }
-
-    console.log(`📄 Chunking ${filename}: ${totalLines} lines into ~${config.maxLines} line chunks`);
-
-    const chunks = [];
-    let currentLine = 0;
-    let chunkIndex = 0;
-
-    while (currentLine < totalLines) {
-        // Find the end point for this chunk
-        const idealEnd = currentLine + config.maxLines;
-        const actualEnd = findBreakPoint(lines, currentLine, config.maxLines);
-
-        // Ensure we make progress even if no good break point is found
-        const chunkEnd = Math.max(actualEnd, currentLine + config.minChunkLines);
-        const finalEnd = Math.min(chunkEnd, totalLines);
-
-        // Extract chunk content
-        const chunkLines = lines.slice(currentLine, finalEnd);
-        const chunkContent = chunkLines.join('\n');
-
-        // Skip empty chunks
-        if (chunkContent.trim()) {
-            chunks.push({
-                content: chunkContent,
-                startLine: currentLine,
-                endLine: finalEnd - 1,
-                chunkIndex: chunkIndex,
-                totalChunks: -1, // Will be set after all chunks are created
-                filename: filename,
-                lineCount: chunkLines.length
-            });
-            chunkIndex++;
+        };
+        if (outline) {
+            chunk.mode = 'syntax';
+            chunk.symbols = outline.units.flatMap(unit => unit.names);
+            chunk.context = '';
         }
+        return [chunk];
+    }
 
-        // Move to next chunk with overlap
-        currentLine = Math.max(finalEnd - config.overlapLines, currentLine + 1);
-
-        // Safety check to prevent infinite loops
-        if (currentLine >= totalLines || (finalEnd === totalLines && currentLine === finalEnd - config.overlapLines)) {
-            break;
-        }
+    const lineTokens = getLineTokens(lines);
+    let chunks;
+    if (outline) {
+        console.log(`📄 Chunking ${filename}: ${totalLines} lines (~${totalTokens} tokens) along syntax boundaries, max ${config.maxTokens} tokens`);
+        chunks = chunkBySyntax(lines, lineTokens, config, outline).map(chunk => ({ ...chunk, mode: 'syntax' }));
+    } else {
+        console.log(`📄 Chunking ${filename}: ${totalLines} lines (~${totalTokens} tokens) into ~${config.maxTokens} token chunks`);
+        chunks = splitLines(lines, config, lineTokens)
+            .map(range => {
+                // Extract chunk content
+                const chunkLines = lines.slice(range.start, range.end);
+                return {
+                    content: chunkLines.join('\n'),
+                    startLine: range.start,
+                    endLine: range.end - 1,
+                    lineCount: chunkLines.length
+                };
+            })
+            // Skip empty chunks
+            .filter(chunk => chunk.content.trim());
     }
 
-    // Update total chunks count
-    chunks.forEach(chunk => {
-        chunk.totalChunks = chunks.length;
-    });
+    chunks = chunks
+        .flatMap(chunk => splitLongLine(chunk, config))
+        .map((chunk, chunkIndex, all) => ({
+            ...chunk,
+            estimatedTokens: estimateTokens(chunk.content),
+            chunkIndex,
+            totalChunks: all.length,
+            filename
+        }));
 
-    console.log(`✂️ Split ${filename} into ${chunks.length} chunks (${config.overlapLines} line overlap)`);
+    console.log(`✂️ Split ${filename} into ${chunks.length} chunks (${outline ? 'syntax' : `${config.overlapTokens} token overlap`})`);
 
     return chunks;
 }
@@ -246,16 +390,27 @@ function removeDuplicateIssues(issues) {
 /**
  * Get chunking statistics for debugging
  */
-export function getChunkingStats(content, filename) {
-    const chunks = chunkCode(content, filename);
+export function getChunkingStats(content, filename, options = {}) {
+    const chunks = chunkCode(content, filename, options);
     const lines = content.split('\n');
+    const chunkTokens = chunks.map(c => c.estimatedTokens);
 
     return {
         totalLines: lines.length,
         totalChunks: chunks.length,
+        estimatedTokens: estimateTokens(content),
         averageChunkSize: chunks.length ? Math.round(chunks.reduce((sum, c) => sum + c.lineCount, 0) / chunks.length) : 0,
+        averageChunkTokens: chunks.length ? Math.round(chunkTokens.reduce((sum, t) => sum + t, 0) / chunks.length) : 0,
+        maxChunkTokens: chunks.length ? Math.max(...chunkTokens) : 0,
         overlapEstimate: chunks.length > 1 ? chunks[1].startLine - chunks[0].endLine : 0,
-        config: getChunkConfig(filename, lines.length)
+        chunks: chunks.map(c => ({
+            chunkIndex: c.chunkIndex,
+            startLine: c.startLine,
+            endLine: c.endLine,
+            lineCount: c.lineCount,
+            estimatedTokens: c.estimatedTokens
+        })),
+        config: getChunkConfig(options)
     };
 }
 
@@ -275,11 +430,14 @@ export function validateChunks(chunks) {
         const prevChunk = chunks[i - 1];
         const currentChunk = chunks[i];
 
-        if (currentChunk.startLine <= prevChunk.startLine) {
+        // Segments of one long line share its line number
+        const sameLineSegment = currentChunk.segment?.index > 0 && currentChunk.startLine === prevChunk.startLine;
+
+        if (currentChunk.startLine <= prevChunk.startLine && !sameLineSegment) {
             issues.push(`Chunk ${i} start line (${currentChunk.startLine}) <= previous chunk start (${prevChunk.startLine})`);
         }
 
-        if (currentChunk.endLine <= currentChunk.startLine) {
+        if (currentChunk.endLine < currentChunk.startLine) {
             issues.push(`Chunk ${i} end line (${currentChunk.endLine}) <= start line (${currentChunk.startLine})`);
         }
     }
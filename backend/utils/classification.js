@@ -0,0 +1,252 @@
+/**
+ * Finding classification
+ * Maps findings to a category, a CWE ID and an OWASP Top 10 (2021) entry,
+ * validated against the bundled CWE list, so they can be grouped and filtered
+ */
+
+/**
+ * OWASP Top 10 (2021)
+ */
+export const OWASP_TOP_10 = {
+    'A01:2021': 'Broken Access Control',
+    'A02:2021': 'Cryptographic Failures',
+    'A03:2021': 'Injection',
+    'A04:2021': 'Insecure Design',
+    'A05:2021': 'Security Misconfiguration',
+    'A06:2021': 'Vulnerable and Outdated Components',
+    'A07:2021': 'Identification and Authentication Failures',
+    'A08:2021': 'Software and Data Integrity Failures',
+    'A09:2021': 'Security Logging and Monitoring Failures',
+    'A10:2021': 'Server-Side Request Forgery'
+};
+
+/**
+ * Finding categories
+ */
+export const CATEGORIES = {
+    'injection': 'Injection',
+    'xss': 'Cross-Site Scripting',
+    'access-control': 'Access Control',
+    'authentication': 'Authentication',
+    'cryptography': 'Cryptography',
+    'secrets': 'Secrets',
+    'deserialization': 'Deserialization',
+    'input-validation': 'Input Validation',
+    'path-traversal': 'Path Traversal',
+    'ssrf': 'Server-Side Request Forgery',
+    'configuration': 'Configuration',
+    'information-exposure': 'Information Exposure',
+    'logging': 'Logging',
+    'error-handling': 'Error Handling',
+    'memory-safety': 'Memory Safety',
+    'resource-management': 'Resource Management',
+    'concurrency': 'Concurrency',
+    'dependencies': 'Dependencies',
+    'privacy': 'Privacy',
+    'performance': 'Performance',
+    'maintainability': 'Maintainability',
+    'accessibility': 'Accessibility'
+};
+
+/**
+ * Bundled CWE list: ID -> [name, category, OWASP Top 10 entry or null].
+ * Covers the CWE Top 25 and the weaknesses the rules and profiles report.
+ */
+export const CWE_CATALOG = {
+    20: ['Improper Input Validation', 'input-validation', 'A03:2021'],
+    22: ['Improper Limitation of a Pathname to a Restricted Directory (Path Traversal)', 'path-traversal', 'A01:2021'],
+    59: ['Improper Link Resolution Before File Access (Link Following)', 'path-traversal', 'A01:2021'],
+    77: ['Improper Neutralization of Special Elements used in a Command (Command Injection)', 'injection', 'A03:2021'],
+    78: ['Improper Neutralization of Special Elements used in an OS Command (OS Command Injection)', 'injection', 'A03:2021'],
+    79: ['Improper Neutralization of Input During Web Page Generation (Cross-site Scripting)', 'xss', 'A03:2021'],
+    89: ['Improper Neutralization of Special Elements used in an SQL Command (SQL Injection)', 'injection', 'A03:2021'],
+    90: ['Improper Neutralization of Special Elements used in an LDAP Query (LDAP Injection)', 'injection', 'A03:2021'],
+    94: ['Improper Control of Generation of Code (Code Injection)', 'injection', 'A03:2021'],
+    95: ['Improper Neutralization of Directives in Dynamically Evaluated Code (Eval Injection)', 'injection', 'A03:2021'],
+    117: ['Improper Output Neutralization for Logs', 'logging', 'A09:2021'],
+    119: ['Improper Restriction of Operations within the Bounds of a Memory Buffer', 'memory-safety', null],
+    120: ['Buffer Copy without Checking Size of Input (Classic Buffer Overflow)', 'memory-safety', null],
+    125: ['Out-of-bounds Read', 'memory-safety', null],
+    134: ['Use of Externally-Controlled Format String', 'injection', 'A03:2021'],
+    190: ['Integer Overflow or Wraparound', 'memory-safety', null],
+    200: ['Exposure of Sensitive Information to an Unauthorized Actor', 'information-exposure', 'A01:2021'],
+    209: ['Generation of Error Message Containing Sensitive Information', 'information-exposure', 'A04:2021'],
+    252: ['Unchecked Return Value', 'error-handling', null],
+    256: ['Plaintext Storage of a Password', 'secrets', 'A04:2021'],
+    259: ['Use of Hard-coded Password', 'secrets', 'A07:2021'],
+    269: ['Improper Privilege Management', 'access-control', 'A04:2021'],
+    276: ['Incorrect Default Permissions', 'access-control', 'A01:2021'],
+    284: ['Improper Access Control', 'access-control', 'A01:2021'],
+    285: ['Improper Authorization', 'access-control', 'A01:2021'],
+    287: ['Improper Authentication', 'authentication', 'A07:2021'],
+    295: ['Improper Certificate Validation', 'cryptography', 'A07:2021'],
+    306: ['Missing Authentication for Critical Function', 'authentication', 'A07:2021'],
+    307: ['Improper Restriction of Excessive Authentication Attempts', 'authentication', 'A07:2021'],
+    311: ['Missing Encryption of Sensitive Data', 'cryptography', 'A04:2021'],
+    312: ['Cleartext Storage of Sensitive Information', 'cryptography', 'A04:2021'],
+    319: ['Cleartext Transmission of Sensitive Information', 'cryptography', 'A02:2021'],
+    326: ['Inadequate Encryption Strength', 'cryptography', 'A02:2021'],
+    327: ['Use of a Broken or Risky Cryptographic Algorithm', 'cryptography', 'A02:2021'],
+    328: ['Use of Weak Hash', 'cryptography', 'A02:2021'],
+    330: ['Use of Insufficiently Random Values', 'cryptography', 'A02:2021'],
+    338: ['Use of Cryptographically Weak Pseudo-Random Number Generator (PRNG)', 'cryptography', 'A02:2021'],
+    352: ['Cross-Site Request Forgery (CSRF)', 'access-control', 'A01:2021'],
+    359: ['Exposure of Private Personal Information to an Unauthorized Actor', 'privacy', 'A01:2021'],
+    362: ['Concurrent Execution using Shared Resource with Improper Synchronization (Race Condition)', 'concurrency', 'A04:2021'],
+    384: ['Session Fixation', 'authentication', 'A07:2021'],
+    390: ['Detection of Error Condition Without Action', 'error-handling', null],
+    400: ['Uncontrolled Resource Consumption', 'resource-management', null],
+    401: ['Missing Release of Memory after Effective Lifetime', 'resource-management', null],
+    404: ['Improper Resource Shutdown or Release', 'resource-management', null],
+    407: ['Inefficient Algorithmic Complexity', 'performance', null],
+    416: ['Use After Free', 'memory-safety', null],
+    434: ['Unrestricted Upload of File with Dangerous Type', 'input-validation', 'A04:2021'],
+    476: ['NULL Pointer Dereference', 'memory-safety', null],
+    489: ['Active Debug Code', 'configuration', 'A05:2021'],
+    502: ['Deserialization of Untrusted Data', 'deserialization', 'A08:2021'],
+    521: ['Weak Password Requirements', 'authentication', 'A07:2021'],
+    532: ['Insertion of Sensitive Information into Log File', 'logging', 'A09:2021'],
+    561: ['Dead Code', 'maintainability', null],
+    563: ['Assignment to Variable without Use', 'maintainability', null],
+    601: ['URL Redirection to Untrusted Site (Open Redirect)', 'access-control', 'A01:2021'],
+    611: ['Improper Restriction of XML External Entity Reference', 'injection', 'A05:2021'],
+    614: ['Sensitive Cookie in HTTPS Session Without \'Secure\' Attribute', 'configuration', 'A05:2021'],
+    639: ['Authorization Bypass Through User-Controlled Key', 'access-control', 'A01:2021'],
+    640: ['Weak Password Recovery Mechanism for Forgotten Password', 'authentication', 'A07:2021'],
+    676: ['Use of Potentially Dangerous Function', 'maintainability', null],
+    703: ['Improper Check or Handling of Exceptional Conditions', 'error-handling', null],
+    732: ['Incorrect Permission Assignment for Critical Resource', 'access-control', 'A01:2021'],
+    770: ['Allocation of Resources Without Limits or Throttling', 'resource-management', 'A04:2021'],
+    776: ['Improper Restriction of Recursive Entity References in DTDs (XML Entity Expansion)', 'resource-management', 'A05:2021'],
+    778: ['Insufficient Logging', 'logging', 'A09:2021'],
+    787: ['Out-of-bounds Write', 'memory-safety', null],
+    798: ['Use of Hard-coded Credentials', 'secrets', 'A07:2021'],
+    829: ['Inclusion of Functionality from Untrusted Control Sphere', 'dependencies', 'A08:2021'],
+    862: ['Missing Authorization', 'access-control', 'A01:2021'],
+    863: ['Incorrect Authorization', 'access-control', 'A01:2021'],
+    915: ['Improperly Controlled Modification of Dynamically-Determined Object Attributes', 'access-control', 'A08:2021'],
+    916: ['Use of Password Hash With Insufficient Computational Effort', 'cryptography', 'A02:2021'],
+    918: ['Server-Side Request Forgery (SSRF)', 'ssrf', 'A10:2021'],
+    942: ['Permissive Cross-domain Policy with Untrusted Domains', 'configuration', 'A05:2021'],
+    1004: ['Sensitive Cookie Without \'HttpOnly\' Flag', 'configuration', 'A05:2021'],
+    1021: ['Improper Restriction of Rendered UI Layers or Frames', 'configuration', 'A04:2021'],
+    1050: ['Excessive Platform Resource Consumption within a Loop', 'performance', null],
+    1104: ['Use of Unmaintained Third Party Components', 'dependencies', 'A06:2021'],
+    1120: ['Excessive Code Complexity', 'maintainability', null],
+    1321: ['Improperly Controlled Modification of Object Prototype Attributes (Prototype Pollution)', 'injection', 'A08:2021'],
+    1333: ['Inefficient Regular Expression Complexity', 'resource-management', null],
+    1395: ['Dependency on Vulnerable Third-Party Component', 'dependencies', 'A06:2021']
+};
+
+/**
+ * Dimensions findings can be grouped by
+ */
+export const GROUP_DIMENSIONS = ['category', 'cwe', 'owasp', 'severity', 'file'];
+
+/**
+ * Normalize a CWE reference ("CWE-89", "cwe_89", 89) to "CWE-89", or null
+ * when it is not in the bundled list
+ */
+export function normalizeCwe(value) {
+    const match = /^\s*(?:cwe[\s_:-]*)?(\d{1,4})\s*$/i.exec(String(value ?? ''));
+    return match && CWE_CATALOG[parseInt(match[1])] ? `CWE-${parseInt(match[1])}` : null;
+}
+
+/**
+ * Normalize an OWASP Top 10 reference ("A03", "A3:2021-Injection") to
+ * "A03:2021", or null
+ */
+export function normalizeOwasp(value) {
+    const match = /^\s*a0?(\d{1,2})(?::2021)?\b/i.exec(String(value ?? ''));
+    if (!match) return null;
+    const id = `A${match[1].padStart(2, '0')}:2021`;
+    return OWASP_TOP_10[id] ? id : null;
+}
+
+export function normalizeCategory(value) {
+    const slug = String(value ?? '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    return CATEGORIES[slug] ? slug : null;
+}
+
+/**
+ * Name of a CWE ID ("CWE-89"), or null
+ */
+export function getCweName(cwe) {
+    return CWE_CATALOG[parseInt(String(cwe).replace(/^CWE-/, ''))]?.[0] || null;
+}
+
+/**
+ * MITRE page of a CWE ID ("CWE-89")
+ */
+export function getCweUrl(cwe) {
+    return `https://cwe.mitre.org/data/definitions/${String(cwe).replace(/^CWE-/, '')}.html`;
+}
+
+/**
+ * Classification of a finding from its (possibly model-supplied) `cwe`,
+ * `category` and `owasp` fields. Unknown CWE IDs are dropped; the CWE
+ * determines the OWASP entry and, when none is given, the category.
+ */
+export function classifyFinding({ cwe, category, owasp } = {}) {
+    const cweId = normalizeCwe(cwe);
+    const entry = cweId ? CWE_CATALOG[parseInt(cweId.slice(4))] : null;
+
+    return {
+        category: normalizeCategory(category) || entry?.[1] || null,
+        cwe: cweId,
+        owasp: entry ? entry[2] : normalizeOwasp(owasp)
+    };
+}
+
+function getDimensionValue(finding, file, dimension) {
+    return dimension === 'file' ? file : finding[dimension] || null;
+}
+
+/**
+ * Keep the findings of a `file -> findings` map matching every given
+ * filter (`{ category, cwe, owasp, severity }`, each a list of values)
+ */
+export function filterFindings(filesMap, filters = {}) {
+    const active = Object.entries(filters).filter(([, values]) => values?.length);
+    if (!active.length) return filesMap;
+
+    return Object.fromEntries(Object.entries(filesMap || {}).map(([file, findings]) => [
+        file,
+        findings.filter(finding => active.every(([dimension, values]) => values.includes(getDimensionValue(finding, file, dimension))))
+    ]));
+}
+
+function describeGroup(dimension, key) {
+    if (key === null) return 'Unclassified';
+    if (dimension === 'cwe') return getCweName(key);
+    if (dimension === 'owasp') return OWASP_TOP_10[key];
+    if (dimension === 'category') return CATEGORIES[key];
+    return key;
+}
+
+/**
+ * Group the findings of a `file -> findings` map by a dimension. Returns
+ * `[{ key, name, count, counts }]`, largest group first.
+ */
+export function groupFindings(filesMap, dimension) {
+    const groups = new Map();
+
+    Object.entries(filesMap || {}).forEach(([file, findings]) => {
+        findings.forEach(finding => {
+            const key = getDimensionValue(finding, file, dimension);
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    name: describeGroup(dimension, key),
+                    count: 0,
+                    counts: { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 }
+                });
+            }
+            const group = groups.get(key);
+            group.count++;
+            if (group.counts[finding.severity] !== undefined) group.counts[finding.severity]++;
+        });
+    });
+
+    return [...groups.values()].sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+}
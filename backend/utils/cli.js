@@ -0,0 +1,454 @@
+/**
+ * Headless scanner behind the `autonalyst` command
+ * Runs the same rule engine, chunked AI pass and SSL checks as the server
+ * against a directory or a list of URLs, for use in CI pipelines
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+
+import { analyzeFiles, createResults } from './analyzer.js';
+import { getProvider } from './providers.js';
+import { checkSSL } from './sslCheck.js';
+import { toSarif } from './sarif.js';
+import { toCycloneDx } from './sbom.js';
+import { CODE_FILE_PATTERN, MAX_CODE_FILE_BYTES, createExcludeMatcher, isBinary } from './archive.js';
+import { parseBaseline, createSuppressor, BaselineError } from './fingerprints.js';
+import { loadConfigFile, findConfigFile, validateConfig, createPathFilter, isConfigFile, ConfigError } from './config.js';
+import { getProfile, ProfileError } from './profiles.js';
+import { loadAdvisoryDatabase, AdvisoryError } from './advisories.js';
+import { loadLicenseDatabase, LicenseError } from './licenses.js';
+
+export const SEVERITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+export const OUTPUT_FORMATS = ['table', 'json', 'sarif', 'cyclonedx'];
+
+/**
+ * Exit codes: findings at or above the threshold, and usage/runtime errors
+ */
+export const EXIT_FINDINGS = 1;
+export const EXIT_ERROR = 2;
+
+export const USAGE = `Usage: autonalyst [paths...] [options]
+
+Scan files and directories (default: current directory) and/or URLs.
+
+Options:
+  -u, --url <url>         Check a URL's SSL certificate and reachability (repeatable)
+  -f, --format <format>   Output format: table (default), json, sarif or
+                          cyclonedx (an SBOM of the scanned dependency manifests)
+  -o, --output <file>     Write the report to a file instead of stdout
+      --fail-on <level>   Exit with code 1 when a finding is at or above
+                          CRITICAL, HIGH (default), MEDIUM or LOW; "none" never fails
+  -c, --config <file>     Project config (default: .autonalystrc in the first
+                          scanned directory or the current directory)
+      --baseline <file>   Only report findings not in this baseline, JSON report
+                          or SARIF file
+      --no-ai             Run the offline rule engine only
+      --advisories <path> OSV advisory database (JSON file, zip dump or
+                          directory) for dependency manifests; default:
+                          ADVISORY_DB_PATH
+      --licenses <file>   License database (JSON) for dependencies whose
+                          lockfile records no license; default: LICENSE_DB_PATH
+  -p, --profile <name>    Analysis profile for the AI pass: general (default),
+                          security, performance, maintainability,
+                          accessibility or compliance
+      --chunk-mode <mode> AI chunking: syntax (default) or lines
+  -v, --verbose           Print progress logs to stderr
+  -h, --help              Show this help
+      --version           Show the version
+
+Exit codes: 0 = passed, 1 = findings at or above the threshold, 2 = error`;
+
+/**
+ * Error raised for invalid command-line usage
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse command-line arguments into scan options
+ */
+export function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                url: { type: 'string', short: 'u', multiple: true },
+                format: { type: 'string', short: 'f', default: 'table' },
+                output: { type: 'string', short: 'o' },
+                'fail-on': { type: 'string' },
+                config: { type: 'string', short: 'c' },
+                baseline: { type: 'string' },
+                'no-ai': { type: 'boolean', default: false },
+                advisories: { type: 'string' },
+                licenses: { type: 'string' },
+                profile: { type: 'string', short: 'p' },
+                'chunk-mode': { type: 'string' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+                version: { type: 'boolean', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const format = values.format.toLowerCase();
+    const failOn = values['fail-on']?.toUpperCase();
+
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new UsageError(`Unknown format "${values.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (failOn && failOn !== 'NONE' && !SEVERITY_ORDER.includes(failOn)) {
+        throw new UsageError(`Unknown severity "${values['fail-on']}". Use CRITICAL, HIGH, MEDIUM, LOW or none`);
+    }
+    if (values['chunk-mode'] && !['syntax', 'lines'].includes(values['chunk-mode'])) {
+        throw new UsageError(`Unknown chunk mode "${values['chunk-mode']}". Use syntax or lines`);
+    }
+
+    const urls = values.url || [];
+    return {
+        paths: positionals.length || urls.length ? positionals : ['.'],
+        urls,
+        format,
+        output: values.output || null,
+        // undefined when not given, so the config's severity.failOn applies
+        failOn: failOn === 'NONE' ? null : failOn,
+        baseline: values.baseline || null,
+        config: values.config || null,
+        ai: !values['no-ai'],
+        advisories: values.advisories || null,
+        licenses: values.licenses || null,
+        profile: values.profile || null,
+        chunkMode: values['chunk-mode'] || null,
+        verbose: values.verbose,
+        help: values.help,
+        version: values.version
+    };
+}
+
+/**
+ * Walk files and directories, honoring .gitignore files, the default
+ * excludes and the include/exclude patterns of `config` (relative to the
+ * absolute `configDir`). Files in `skipFiles` (absolute paths, e.g. reports
+ * holding source snippets) are never picked up by a directory walk. Returns
+ * `{ name, content }` sources named relative to `cwd`, or relative to the
+ * scanned directory for targets outside it.
+ */
+export async function collectSources(paths, cwd = process.cwd(), { config = null, configDir = cwd, skipFiles = [] } = {}) {
+    const sources = [];
+    const filter = createPathFilter(config || {});
+    const toPosix = (relative) => relative.split(path.sep).join('/');
+    const isOutside = (relative) => relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+
+    // Config patterns only apply inside the config's directory
+    const isIncluded = (absolute, suffix = '') => {
+        const relative = path.relative(configDir, absolute);
+        return !relative || isOutside(relative) || filter(`${toPosix(relative)}${suffix}`);
+    };
+
+    const addFile = async (absolute, name, explicit, isExcluded = () => false, matchPath = name) => {
+        if (!explicit && (!CODE_FILE_PATTERN.test(name) || isConfigFile(name) || skipFiles.includes(absolute) ||
+            isExcluded(matchPath) || !isIncluded(absolute))) return;
+
+        const stats = await fs.stat(absolute);
+        if (stats.size > MAX_CODE_FILE_BYTES) {
+            console.warn(`⚠️  Skipping ${name}: larger than 5MB`);
+            return;
+        }
+        const buffer = await fs.readFile(absolute);
+        if (!isBinary(buffer)) {
+            sources.push({ name, content: buffer.toString('utf-8') });
+        }
+    };
+
+    // Excludes are matched relative to the scanned directory, and names are
+    // kept relative to cwd when the directory is inside it
+    const scanDirectory = async (root) => {
+        const base = isOutside(path.relative(cwd, root)) ? root : cwd;
+        const gitignores = new Map();
+        let isExcluded = createExcludeMatcher(gitignores);
+
+        const walk = async (dir) => {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+
+            if (entries.some(entry => entry.isFile() && entry.name === '.gitignore')) {
+                gitignores.set(toPosix(path.relative(root, dir)), await fs.readFile(path.join(dir, '.gitignore'), 'utf-8'));
+                isExcluded = createExcludeMatcher(gitignores);
+            }
+
+            for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+                const absolute = path.join(dir, entry.name);
+                const matchPath = toPosix(path.relative(root, absolute));
+                if (entry.isDirectory()) {
+                    if (!isExcluded(`${matchPath}/`) && isIncluded(absolute, '/')) {
+                        await walk(absolute);
+                    }
+                } else if (entry.isFile()) {
+                    await addFile(absolute, toPosix(path.relative(base, absolute)), false, isExcluded, matchPath);
+                }
+            }
+        };
+        await walk(root);
+    };
+
+    for (const target of paths) {
+        const absolute = path.resolve(cwd, target);
+        const stats = await fs.stat(absolute).catch(() => null);
+        if (!stats) {
+            throw new UsageError(`No such file or directory: ${target}`);
+        }
+        if (stats.isDirectory()) {
+            await scanDirectory(absolute);
+        } else {
+            const relative = path.relative(cwd, absolute);
+            await addFile(absolute, isOutside(relative) ? path.basename(absolute) : toPosix(relative), true);
+        }
+    }
+
+    return sources;
+}
+
+/**
+ * Turn SSL check results into findings so they count toward the threshold
+ */
+export function getLinkFindings(result, { expiryWarningDays = 30 } = {}) {
+    if (!result.reachable) {
+        return [{ severity: 'HIGH', issue: `Unreachable: ${result.error || result.ssl?.error || 'no response'}` }];
+    }
+    if (result.ssl && !result.sslValid) {
+        return [{ severity: 'HIGH', issue: `Invalid SSL certificate${result.ssl.error ? `: ${result.ssl.error}` : ''}` }];
+    }
+    if (result.daysUntilExpiry !== null && result.daysUntilExpiry !== undefined && result.daysUntilExpiry <= expiryWarningDays) {
+        return [{ severity: 'MEDIUM', issue: `SSL certificate expires in ${result.daysUntilExpiry} days` }];
+    }
+    return [];
+}
+
+/**
+ * Count findings at or above the threshold severity
+ */
+export function countFailing(report, failOn) {
+    if (!failOn) return 0;
+    const threshold = SEVERITY_ORDER.indexOf(failOn);
+    const findings = [
+        ...Object.values(report.files || {}).flat(),
+        ...Object.values(report.links || {}).flatMap(link => link.findings)
+    ];
+    return findings.filter(finding => SEVERITY_ORDER.indexOf(finding.severity) >= threshold).length;
+}
+
+function pad(text, width) {
+    const value = String(text);
+    return value.length > width ? `${value.substring(0, width - 1)}…` : value.padEnd(width);
+}
+
+/**
+ * Render a plain-text table of findings
+ */
+export function formatTable(report) {
+    const lines = [];
+    const findings = Object.entries(report.files || {})
+        .flatMap(([file, issues]) => issues.map(issue => ({ ...issue, location: `${file}:${issue.line}` })));
+
+    if (report.files) {
+        lines.push(`${pad('SEVERITY', 9)}  ${pad('LOCATION', 40)}  ${pad('SOURCE', 28)}  ISSUE`);
+        findings.forEach(finding => {
+            const source = finding.ruleId ? `${finding.source}:${finding.ruleId}` : (finding.source || '-');
+            lines.push(`${pad(finding.severity, 9)}  ${pad(finding.location, 40)}  ${pad(source, 28)}  ${finding.summary || finding.issue}`);
+        });
+        const suppressedFindings = Object.entries(report.suppressed || {})
+            .flatMap(([file, issues]) => issues.map(issue => ({ ...issue, location: `${file}:${issue.line}` })));
+        if (suppressedFindings.length) {
+            lines.push('', 'Suppressed:');
+            suppressedFindings.forEach(finding => {
+                const { status, reason } = finding.suppression;
+                lines.push(`${pad(finding.severity, 9)}  ${pad(finding.location, 40)}  ${pad(status, 28)}  ${finding.summary || finding.issue} (${reason})`);
+            });
+        }
+
+        const { counts, suppressed } = report.summary;
+        lines.push('', `${report.summary.totalFiles} files, ${findings.length} issues ` +
+            `(CRITICAL ${counts.CRITICAL}, HIGH ${counts.HIGH}, MEDIUM ${counts.MEDIUM}, LOW ${counts.LOW})` +
+            (suppressed ? `, ${suppressed} suppressed` : ''));
+    }
+
+    if (report.licenses) {
+        const { summary, dependencies } = report.licenses;
+        const flagged = dependencies.filter(dependency => dependency.status !== 'allowed');
+        if (flagged.length) lines.push('', `${pad('STATUS', 9)}  ${pad('DEPENDENCY', 40)}  ${pad('LICENSE', 28)}  REASON`);
+        flagged.forEach(dependency => {
+            const name = `${dependency.name}${dependency.version ? `@${dependency.version}` : ''}`;
+            lines.push(`${pad(dependency.status.toUpperCase(), 9)}  ${pad(name, 40)}  ${pad(dependency.license || '-', 28)}  ${dependency.reason}`);
+        });
+        lines.push('', `${summary.total} dependencies, ${summary.denied} license violations, ${summary.unknown} unknown licenses`);
+    }
+
+    if (report.links) {
+        if (lines.length) lines.push('');
+        lines.push(`${pad('URL', 50)}  ${pad('STATUS', 8)}  ${pad('SSL', 8)}  FINDINGS`);
+        Object.entries(report.links).forEach(([url, result]) => {
+            const ssl = result.ssl ? (result.sslValid ? 'valid' : 'invalid') : '-';
+            const findingText = result.findings.map(f => `${f.severity}: ${f.issue}`).join('; ') || 'OK';
+            lines.push(`${pad(url, 50)}  ${pad(result.status ?? '-', 8)}  ${pad(ssl, 8)}  ${findingText}`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Serialize a report in the requested format
+ */
+export function formatReport(report, format, { version } = {}) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2);
+        case 'sarif':
+            return JSON.stringify(toSarif(report.files ? report : { files: {} }), null, 2);
+        case 'cyclonedx':
+            return JSON.stringify(toCycloneDx(report, { toolVersion: version }), null, 2);
+        default:
+            return formatTable(report);
+    }
+}
+
+/**
+ * Load the project config: `--config`, or an .autonalystrc in the first
+ * scanned directory, falling back to `cwd`. Returns the validated config and
+ * the absolute path of the directory its patterns are relative to.
+ */
+async function loadCliConfig(options, cwd) {
+    let configPath = options.config ? path.resolve(cwd, options.config) : null;
+    if (!configPath) {
+        for (const target of [...options.paths, '.']) {
+            const dir = path.resolve(cwd, target);
+            const stats = await fs.stat(dir).catch(() => null);
+            if (stats?.isDirectory()) {
+                configPath = await findConfigFile(dir);
+                break;
+            }
+        }
+        configPath = configPath || await findConfigFile(cwd);
+    }
+    if (!configPath) {
+        return { config: validateConfig(), configDir: cwd };
+    }
+
+    const config = await loadConfigFile(configPath).catch(error => {
+        throw error.code === 'ENOENT' ? new UsageError(`No such config file: ${options.config}`) : error;
+    });
+    console.log(`⚙️  Using ${path.relative(cwd, configPath) || configPath}`);
+    return { config, configDir: path.dirname(configPath) };
+}
+
+/**
+ * Run a scan from command-line arguments and resolve with the exit code
+ */
+export async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd(), version = '1.0.0' } = {}) {
+    let options;
+    try {
+        options = parseCliArgs(argv);
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (options.version) {
+        stdout.write(`${version}\n`);
+        return 0;
+    }
+
+    // Analysis modules log progress with console.log; keep stdout for the report
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = options.verbose ? (...args) => stderr.write(`${args.join(' ')}\n`) : () => {};
+    if (!options.verbose) console.warn = () => {};
+
+    try {
+        const report = { timestamp: new Date().toISOString() };
+
+        const baseline = options.baseline
+            ? parseBaseline(await fs.readFile(path.resolve(cwd, options.baseline), 'utf-8'))
+            : null;
+
+        const { config, configDir } = await loadCliConfig(options, cwd);
+        const profile = getProfile(options.profile || config.analysis.profile);
+        const failOn = options.failOn !== undefined
+            ? options.failOn
+            : (config.severity.failOn === 'NONE' ? null : config.severity.failOn || 'HIGH');
+
+        const sources = options.paths.length ? await collectSources(options.paths, cwd, {
+            config,
+            configDir,
+            // Earlier reports and baselines contain source snippets
+            skipFiles: [options.output, options.baseline].filter(Boolean).map(file => path.resolve(cwd, file))
+        }) : [];
+        if (options.paths.length) {
+            const provider = getProvider();
+            const aiRequested = options.ai && config.analysis.ai;
+            const aiEnabled = aiRequested && provider.isConfigured();
+            if (aiRequested && !aiEnabled) {
+                stderr.write(`LLM provider "${provider.name}" is not configured; running the rule engine only\n`);
+            }
+            const results = await analyzeFiles(sources, {
+                provider,
+                config,
+                profile: profile.name,
+                chunkMode: options.chunkMode,
+                suppress: createSuppressor({ baseline }),
+                ...(options.advisories && { advisories: await loadAdvisoryDatabase(path.resolve(cwd, options.advisories)) }),
+                ...(options.licenses && { licenseDatabase: await loadLicenseDatabase(path.resolve(cwd, options.licenses)) }),
+                results: createResults(sources.length, aiEnabled)
+            });
+            report.files = results.files;
+            report.suppressed = results.suppressed;
+            report.summary = results.summary;
+            if (results.components) report.components = results.components;
+            if (results.licenses) report.licenses = results.licenses;
+        }
+
+        if (options.urls.length) {
+            report.links = {};
+            const { expiryWarningDays, ...checkOptions } = config.links;
+            await Promise.all(options.urls.map(async (url) => {
+                const result = await checkSSL(url, checkOptions);
+                report.links[url] = { ...result, findings: getLinkFindings(result, { expiryWarningDays }) };
+            }));
+        }
+
+        const output = formatReport(report, options.format, { version });
+        if (options.output) {
+            await fs.writeFile(path.resolve(cwd, options.output), `${output}\n`);
+        } else {
+            stdout.write(`${output}\n`);
+        }
+
+        const failing = countFailing(report, failOn);
+        if (failing > 0) {
+            stderr.write(`✖ ${failing} findings at or above ${failOn}\n`);
+            return EXIT_FINDINGS;
+        }
+        return 0;
+
+    } catch (error) {
+        const expected = error instanceof UsageError || error instanceof BaselineError || error instanceof ConfigError ||
+            error instanceof ProfileError || error instanceof AdvisoryError || error instanceof LicenseError;
+        stderr.write(`${expected ? '' : 'Scan failed: '}${error.message}\n`);
+        return EXIT_ERROR;
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+}
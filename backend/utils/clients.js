@@ -0,0 +1,113 @@
+/**
+ * Client identification
+ * Scopes analyses, jobs and reports to the caller: an API key from `API_KEYS`
+ * or, for browsers, an anonymous session cookie issued on first request
+ */
+import crypto from 'crypto';
+
+export const SESSION_COOKIE = 'autonalyst_session';
+const SESSION_MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Read client identification settings from the environment
+ */
+export function getClientConfig(env = process.env) {
+    return {
+        apiKeys: (env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+        adminApiKeys: (env.ADMIN_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+        requireApiKey: env.REQUIRE_API_KEY === 'true'
+    };
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header.split(';')
+        .map(pair => pair.trim())
+        .filter(Boolean)
+        .map(pair => {
+            const index = pair.indexOf('=');
+            if (index === -1) return [pair, ''];
+            try {
+                return [pair.slice(0, index), decodeURIComponent(pair.slice(index + 1))];
+            } catch {
+                return [pair.slice(0, index), ''];
+            }
+        }));
+}
+
+/**
+ * The API key sent as `X-API-Key` or `Authorization: Bearer <key>`
+ */
+function getApiKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Build the middleware that sets `req.client = { id, type }`. Client IDs are
+ * hashes, so neither API keys nor session tokens end up in the database.
+ */
+export function createClientIdentifier(config = getClientConfig()) {
+    const apiKeyHashes = new Set(config.apiKeys.map(hash));
+
+    return (req, res, next) => {
+        const apiKey = getApiKey(req);
+        if (apiKey) {
+            const keyHash = hash(apiKey);
+            if (!apiKeyHashes.has(keyHash)) {
+                return res.status(401).json({ error: 'Invalid API key' });
+            }
+            req.client = { id: `key:${keyHash}`, type: 'api-key' };
+            return next();
+        }
+
+        if (config.requireApiKey) {
+            return res.status(401).json({ error: 'API key required. Send it in the X-API-Key header.' });
+        }
+
+        let session = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+        if (!session || !/^[a-f0-9]{64}$/.test(session)) {
+            session = crypto.randomBytes(32).toString('hex');
+            res.cookie(SESSION_COOKIE, session, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: req.secure,
+                maxAge: SESSION_MAX_AGE_SECONDS * 1000,
+                path: '/'
+            });
+        }
+        req.client = { id: `session:${hash(session)}`, type: 'session' };
+        next();
+    };
+}
+
+/**
+ * Build the middleware guarding admin endpoints: only requests carrying one
+ * of `ADMIN_API_KEYS` pass, and none do while no admin key is configured
+ */
+export function createAdminGuard(config = getClientConfig()) {
+    const adminKeyHashes = new Set(config.adminApiKeys.map(hash));
+
+    return (req, res, next) => {
+        if (!adminKeyHashes.size) {
+            return res.status(403).json({ error: 'Admin endpoints are disabled. Set ADMIN_API_KEYS to enable them.' });
+        }
+
+        const apiKey = getApiKey(req);
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Admin API key required. Send it in the X-API-Key header.' });
+        }
+        const keyHash = hash(apiKey);
+        if (!adminKeyHashes.has(keyHash)) {
+            return res.status(403).json({ error: 'Invalid admin API key' });
+        }
+        req.client = { id: `admin:${keyHash}`, type: 'admin' };
+        next();
+    };
+}
@@ -0,0 +1,245 @@
+/**
+ * Project configuration (.autonalystrc)
+ * A JSON or YAML file uploaded with an analysis, placed at an archive root or
+ * next to the scanned directory, validated against CONFIG_SCHEMA
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import Ajv from 'ajv';
+import YAML from 'yaml';
+import ignore from 'ignore';
+
+import { RULES } from './rules.js';
+import { SECRET_RULES } from './secrets.js';
+import { getProfiles } from './profiles.js';
+
+export const CONFIG_FILENAMES = ['.autonalystrc', '.autonalystrc.json', '.autonalystrc.yaml', '.autonalystrc.yml'];
+export const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Maximum size of a config file
+ */
+export const MAX_CONFIG_BYTES = 64 * 1024;
+
+const severity = { enum: SEVERITY_LEVELS };
+const patterns = { type: 'array', items: { type: 'string', minLength: 1 }, default: [] };
+
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        // gitignore-style patterns, relative to the directory holding the config
+        include: patterns,
+        exclude: patterns,
+        chunking: {
+            type: 'object',
+            additionalProperties: false,
+            default: {},
+            properties: {
+                mode: { enum: ['syntax', 'lines'] },
+                maxTokens: { type: 'integer', minimum: 200, maximum: 100000 },
+                overlapTokens: { type: 'integer', minimum: 0, maximum: 10000 }
+            }
+        },
+        analysis: {
+            type: 'object',
+            additionalProperties: false,
+            default: {},
+            properties: {
+                ai: { type: 'boolean', default: true },
+                // Analysis profile for the AI pass (see profiles.js)
+                profile: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+                rules: { type: 'boolean', default: true },
+                // Check dependency manifests against the advisory database
+                dependencies: { type: 'boolean', default: true },
+                disabledRules: { type: 'array', items: { type: 'string' }, uniqueItems: true, default: [] }
+            }
+        },
+        secrets: {
+            type: 'object',
+            additionalProperties: false,
+            default: {},
+            properties: {
+                // Report secret findings; detected secrets are masked either way
+                enabled: { type: 'boolean', default: true },
+                // Report random-looking string literals, not only known token formats
+                entropy: { type: 'boolean', default: true },
+                // `*` globs for values that are not secrets
+                allowlist: patterns,
+                // gitignore-style patterns of files not scanned for secrets
+                allowlistPaths: patterns
+            }
+        },
+        licenses: {
+            type: 'object',
+            additionalProperties: false,
+            default: {},
+            properties: {
+                // Build the dependency license inventory
+                enabled: { type: 'boolean', default: true },
+                // SPDX expression of the project's own license; default: the one its manifest declares
+                project: { type: 'string', minLength: 1 },
+                // SPDX license IDs or categories (see licenses.js); an ID wins over its category
+                allow: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true, default: [] },
+                // Default: copyleft categories, unless the project is copyleft itself
+                deny: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true },
+                // Policy for dependencies without a recognized license
+                unknown: { enum: ['allow', 'warn', 'deny'], default: 'warn' },
+                includeDev: { type: 'boolean', default: false }
+            }
+        },
+        severity: {
+            type: 'object',
+            additionalProperties: false,
+            default: {},
+            properties: {
+                // Findings below this severity are not reported
+                minimum: { ...severity, default: 'LOW' },
+                // Default --fail-on threshold for the CLI
+                failOn: { enum: [...SEVERITY_LEVELS, 'NONE'] },
+                // Severity per rule ID
+                overrides: { type: 'object', additionalProperties: severity, default: {} }
+            }
+        },
+        links: {
+            type: 'object',
+            additionalProperties: false,
+            default: {},
+            properties: {
+                timeout: { type: 'integer', minimum: 1000, maximum: 60000 },
+                maxRedirects: { type: 'integer', minimum: 0, maximum: 20 },
+                userAgent: { type: 'string', minLength: 1, maxLength: 200 },
+                expiryWarningDays: { type: 'integer', minimum: 0, maximum: 365, default: 30 }
+            }
+        }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validate = ajv.compile(CONFIG_SCHEMA);
+
+/**
+ * Error raised for config files that cannot be parsed or fail validation
+ */
+export class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+export function isConfigFile(filename) {
+    return CONFIG_FILENAMES.includes(path.posix.basename(filename.replace(/\\/g, '/')));
+}
+
+function formatSchemaError(error) {
+    const location = error.instancePath || '/';
+    if (error.keyword === 'additionalProperties') {
+        return `${location}: unknown property "${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'enum') {
+        return `${location}: must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+    return `${location}: ${error.message}`;
+}
+
+/**
+ * Validate a config object and fill in defaults. Returns a new object;
+ * throws ConfigError listing every problem found.
+ */
+export function validateConfig(input = {}, source = 'config') {
+    const config = structuredClone(input ?? {});
+    if (!validate(config)) {
+        throw new ConfigError(`Invalid ${source}: ${validate.errors.map(formatSchemaError).join('; ')}`);
+    }
+
+    const ruleIds = new Set([...RULES, ...SECRET_RULES].map(rule => rule.id));
+    const unknownRules = [...config.analysis.disabledRules, ...Object.keys(config.severity.overrides)]
+        .filter(id => !ruleIds.has(id));
+    if (unknownRules.length) {
+        throw new ConfigError(`Invalid ${source}: unknown rule IDs ${[...new Set(unknownRules)].join(', ')}`);
+    }
+    const profiles = getProfiles();
+    if (config.analysis.profile && !profiles.has(config.analysis.profile)) {
+        throw new ConfigError(`Invalid ${source}: unknown profile "${config.analysis.profile}". Use one of: ${[...profiles.keys()].join(', ')}`);
+    }
+
+    return config;
+}
+
+/**
+ * Parse and validate the text of a config file. `.json` files are read as
+ * JSON; anything else as YAML (which also accepts JSON).
+ */
+export function parseConfig(text, filename = '.autonalystrc') {
+    const source = path.posix.basename(filename);
+    if (Buffer.byteLength(text) > MAX_CONFIG_BYTES) {
+        throw new ConfigError(`${source} is larger than ${MAX_CONFIG_BYTES / 1024}KB`);
+    }
+
+    let document;
+    try {
+        document = /\.json$/i.test(filename) ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new ConfigError(`Could not parse ${source}: ${error.message}`);
+    }
+    if (document !== null && (typeof document !== 'object' || Array.isArray(document))) {
+        throw new ConfigError(`${source} must contain an object`);
+    }
+
+    return validateConfig(document || {}, source);
+}
+
+/**
+ * Read and validate a config file from disk
+ */
+export async function loadConfigFile(filePath, filename = filePath) {
+    return parseConfig(await fs.readFile(filePath, 'utf-8'), filename);
+}
+
+/**
+ * Path of the config file in `dir`, or null
+ */
+export async function findConfigFile(dir) {
+    for (const filename of CONFIG_FILENAMES) {
+        const candidate = path.join(dir, filename);
+        const stats = await fs.stat(candidate).catch(() => null);
+        if (stats?.isFile()) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Build a `path -> boolean` filter from the config's include and exclude
+ * patterns, applied relative to `baseDir`. Directories (trailing slash) are
+ * only checked against the excludes. Paths outside `baseDir` always pass.
+ */
+export function createPathFilter({ include = [], exclude = [] } = {}, baseDir = '') {
+    const included = ignore().add(include);
+    const excluded = ignore().add(exclude);
+
+    return (filePath) => {
+        if (baseDir && !filePath.startsWith(`${baseDir}/`)) return true;
+        const relative = (baseDir ? filePath.slice(baseDir.length + 1) : filePath).replace(/^(\.\/)+/, '');
+        if (!relative) return true;
+        // Absolute or escaping paths cannot match relative patterns
+        if (!ignore.isPathValid(relative.replace(/\/$/, ''))) return include.length === 0;
+        if (excluded.ignores(relative)) return false;
+        return relative.endsWith('/') || include.length === 0 || included.ignores(relative);
+    };
+}
+
+/**
+ * Apply the config's per-rule severity overrides, then drop findings below
+ * its minimum severity
+ */
+export function applySeverityConfig(issues, { minimum = 'LOW', overrides = {} } = {}) {
+    const threshold = SEVERITY_LEVELS.indexOf(minimum);
+
+    return issues
+        .map(issue => issue.ruleId && overrides[issue.ruleId]
+            ? { ...issue, severity: overrides[issue.ruleId] }
+            : issue)
+        .filter(issue => SEVERITY_LEVELS.indexOf(issue.severity) >= threshold);
+}
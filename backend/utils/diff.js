@@ -0,0 +1,140 @@
+/**
+ * Diff-only analysis
+ * Turns a unified diff, or old/new file pairs, into segments of each new
+ * file (changed hunks plus surrounding context) and the changed line numbers
+ * that findings are filtered against
+ */
+import { parsePatch, structuredPatch } from 'diff';
+
+/**
+ * Error raised for diffs that cannot be parsed or contain no changes
+ */
+export class DiffError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiffError';
+    }
+}
+
+/**
+ * Lines of unchanged code kept around each change when full files are known
+ */
+export function getDiffContextLines(env = process.env) {
+    const lines = parseInt(env.DIFF_CONTEXT_LINES);
+    return Number.isNaN(lines) ? 10 : Math.max(0, lines);
+}
+
+function stripGitPrefix(name) {
+    return (name || '').replace(/^[ab]\//, '');
+}
+
+/**
+ * Build new-file segments and changed lines (1-based) from diff hunks
+ */
+function fromHunks(hunks) {
+    const segments = [];
+    const changedLines = [];
+
+    for (const hunk of hunks) {
+        const lines = [];
+        let newLine = hunk.newStart;
+
+        for (const line of hunk.lines) {
+            const marker = line[0];
+            if (marker === '+') {
+                changedLines.push(newLine);
+            }
+            if (marker === '+' || marker === ' ') {
+                lines.push(line.slice(1));
+                newLine++;
+            }
+        }
+
+        if (lines.length) {
+            segments.push({ startLine: hunk.newStart - 1, content: lines.join('\n') });
+        }
+    }
+
+    return { segments, changedLines };
+}
+
+/**
+ * Parse a unified diff (plain or `git diff` output) into per-file changes.
+ * Deleted files and hunks that only remove lines have nothing to analyze.
+ */
+export function parseUnifiedDiff(text) {
+    let patches;
+    try {
+        patches = parsePatch(text);
+    } catch (error) {
+        throw new DiffError(`Invalid unified diff: ${error.message}`);
+    }
+
+    const files = [];
+    for (const patch of patches) {
+        const name = stripGitPrefix(patch.newFileName);
+        if (!name || name === '/dev/null' || patch.isDelete) continue;
+
+        const { segments, changedLines } = fromHunks(patch.hunks);
+        if (changedLines.length) {
+            files.push({ name, segments, changedLines });
+        }
+    }
+
+    if (!patches.some(patch => patch.hunks.length)) {
+        throw new DiffError('No hunks found in diff');
+    }
+
+    return files;
+}
+
+/**
+ * Diff an old/new pair of file contents. Segments are cut from the full new
+ * file with `contextLines` of context around each change; returns null when
+ * nothing was added or modified.
+ */
+export function diffFilePair(name, oldContent, newContent, contextLines = getDiffContextLines()) {
+    const patch = structuredPatch(name, name, oldContent || '', newContent || '', '', '', { context: 0 });
+    const { changedLines } = fromHunks(patch.hunks);
+    if (!changedLines.length) {
+        return null;
+    }
+
+    // Expand each changed line by the context window and merge overlaps
+    const newLines = newContent.split('\n');
+    const ranges = [];
+    for (const line of changedLines) {
+        const start = Math.max(0, line - 1 - contextLines);
+        const end = Math.min(newLines.length - 1, line - 1 + contextLines);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+
+    return {
+        name,
+        content: newContent,
+        changedLines,
+        segments: ranges.map(range => ({
+            startLine: range.start,
+            content: newLines.slice(range.start, range.end + 1).join('\n')
+        }))
+    };
+}
+
+/**
+ * Convert per-file changes into analyzer sources
+ */
+export function toDiffSources(fileChanges) {
+    return fileChanges.map(change => ({
+        name: change.name,
+        ...(change.content !== undefined ? { content: change.content } : {}),
+        diff: {
+            changedLines: change.changedLines,
+            segments: change.segments
+        }
+    }));
+}
@@ -0,0 +1,125 @@
+/**
+ * Finding schema
+ * Normalizes findings from the model and the rule engine into one shape:
+ * `severity`, `line`/`endLine`, `column`/`endColumn` (1-based, endColumn
+ * exclusive as in SARIF), `confidence` (0-1), a short `summary` for tables,
+ * the full `issue`, `explanation` and `recommendation`, `references`, the
+ * classification fields and, once line numbers refer to the whole file, the
+ * offending source `snippet`.
+ */
+import { classifyFinding, getCweUrl } from './classification.js';
+
+export const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+export const MAX_SUMMARY_LENGTH = 80;
+export const MAX_TEXT_LENGTH = 2000;
+export const MAX_REFERENCES = 10;
+export const MAX_SNIPPET_LINES = 20;
+
+// Confidence given as a word instead of a number
+const CONFIDENCE_WORDS = { high: 0.9, medium: 0.6, low: 0.3 };
+
+function toText(value, fallback = null) {
+    return typeof value === 'string' && value.trim()
+        ? value.trim().substring(0, MAX_TEXT_LENGTH)
+        : fallback;
+}
+
+function toPositiveInt(value) {
+    const number = parseInt(value);
+    return number >= 1 ? number : null;
+}
+
+/**
+ * Shorten text to a one-line summary of at most MAX_SUMMARY_LENGTH
+ * characters, cutting at a word boundary
+ */
+export function summarize(text) {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    if (line.length <= MAX_SUMMARY_LENGTH) return line;
+
+    const cut = line.substring(0, MAX_SUMMARY_LENGTH - 1);
+    const boundary = cut.lastIndexOf(' ');
+    return `${(boundary > MAX_SUMMARY_LENGTH / 2 ? cut.substring(0, boundary) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+/**
+ * Confidence as a number between 0 and 1. Accepts fractions, percentages
+ * and high/medium/low; anything else is null (unknown).
+ */
+export function normalizeConfidence(value) {
+    if (typeof value === 'string' && CONFIDENCE_WORDS[value.trim().toLowerCase()]) {
+        return CONFIDENCE_WORDS[value.trim().toLowerCase()];
+    }
+    let number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > 100) return null;
+    if (number > 1) number /= 100;
+    return Math.round(number * 100) / 100;
+}
+
+/**
+ * http(s) URLs from a reference list, plus the finding's CWE page
+ */
+export function normalizeReferences(references, cwe = null) {
+    const urls = [references].flat().filter(reference => {
+        try {
+            return ['http:', 'https:'].includes(new URL(reference).protocol);
+        } catch {
+            return false;
+        }
+    });
+    if (cwe) urls.push(getCweUrl(cwe));
+    return [...new Set(urls)].slice(0, MAX_REFERENCES);
+}
+
+/**
+ * Normalize a raw finding (a model response entry or a rule match).
+ * Line numbers stay relative to whatever the input was relative to.
+ */
+export function normalizeFinding(raw = {}) {
+    const finding = raw && typeof raw === 'object' ? raw : {};
+    const line = toPositiveInt(finding.line) || 1;
+    const endLine = Math.max(line, toPositiveInt(finding.endLine) || line);
+    const column = toPositiveInt(finding.column);
+    let endColumn = toPositiveInt(finding.endColumn);
+    if (column && endColumn && endLine === line && endColumn <= column) endColumn = null;
+
+    const issue = toText(finding.issue, 'Unknown issue');
+    const classification = classifyFinding(finding);
+
+    return {
+        severity: SEVERITIES.includes(finding.severity) ? finding.severity : 'LOW',
+        line,
+        endLine,
+        column,
+        endColumn: column ? endColumn : null,
+        confidence: normalizeConfidence(finding.confidence),
+        summary: summarize(toText(finding.summary) || issue),
+        issue,
+        explanation: toText(finding.explanation),
+        recommendation: toText(finding.recommendation, 'Review code'),
+        references: normalizeReferences(finding.references, classification.cwe),
+        ...classification
+    };
+}
+
+/**
+ * Source text a finding points at, from a `line -> text` lookup (see
+ * createLineLookup). Columns narrow the first and last line; long ranges are
+ * cut to MAX_SNIPPET_LINES lines.
+ */
+export function extractSnippet(lineAt, { line, endLine = line, column = null, endColumn = null }) {
+    const last = Math.min(endLine || line, line + MAX_SNIPPET_LINES - 1);
+    const lines = [];
+    for (let number = line; number <= last; number++) {
+        lines.push(lineAt(number));
+    }
+
+    if (endColumn && last === endLine) {
+        lines[lines.length - 1] = lines[lines.length - 1].substring(0, endColumn - 1);
+    }
+    if (column) {
+        lines[0] = lines[0].substring(column - 1);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,163 @@
+/**
+ * Finding fingerprints, suppressions and baselines
+ * A fingerprint identifies a finding across runs by its file, rule (or
+ * issue text) and normalized source line, so it survives code moving around
+ */
+import crypto from 'crypto';
+
+import { getFindingRuleId, FINGERPRINT_KEY } from './sarif.js';
+
+export const BASELINE_VERSION = 1;
+export const SUPPRESSION_STATUSES = ['false-positive', 'accepted-risk'];
+
+/**
+ * Error raised for baseline files that cannot be read
+ */
+export class BaselineError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BaselineError';
+    }
+}
+
+/**
+ * Collapse whitespace so re-indented or reformatted lines keep their fingerprint
+ */
+export function normalizeSnippet(text) {
+    return (text || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Stable fingerprint of a finding on `snippet` (the source line it points at)
+ */
+export function computeFingerprint(file, finding, snippet) {
+    return crypto.createHash('sha256')
+        .update(`${file}\0${getFindingRuleId(finding)}\0${normalizeSnippet(snippet)}`)
+        .digest('hex')
+        .substring(0, 32);
+}
+
+/**
+ * Build a `line -> text` lookup (1-based) for a source, from its full content
+ * or, for diff sources, from its segments
+ */
+export function createLineLookup(source) {
+    const segments = source.content !== undefined
+        ? [{ startLine: 0, content: source.content }]
+        : source.diff?.segments || [];
+    const lines = new Map();
+
+    segments.forEach(segment => {
+        segment.content.split('\n').forEach((text, index) => {
+            lines.set(segment.startLine + index + 1, text);
+        });
+    });
+
+    return line => lines.get(line) || '';
+}
+
+function collectFingerprints(filesMap, fingerprints) {
+    Object.values(filesMap || {}).forEach(findings => {
+        if (!Array.isArray(findings)) return;
+        findings.forEach(finding => {
+            if (finding?.fingerprint) fingerprints.add(finding.fingerprint);
+        });
+    });
+}
+
+/**
+ * Read the fingerprints from a baseline. Accepts baselines from
+ * GET /analyses/:id/baseline, JSON reports and analyses, and SARIF logs.
+ */
+export function parseBaseline(input) {
+    let document = input;
+    if (typeof input === 'string' || Buffer.isBuffer(input)) {
+        try {
+            document = JSON.parse(input.toString());
+        } catch (error) {
+            throw new BaselineError(`Baseline is not valid JSON: ${error.message}`);
+        }
+    }
+    if (!document || typeof document !== 'object') {
+        throw new BaselineError('Baseline must be a JSON object');
+    }
+
+    const fingerprints = new Set();
+
+    if (Array.isArray(document.fingerprints)) {
+        document.fingerprints.filter(fp => typeof fp === 'string').forEach(fp => fingerprints.add(fp));
+    } else if (Array.isArray(document.findings)) {
+        document.findings.forEach(finding => finding?.fingerprint && fingerprints.add(finding.fingerprint));
+    } else if (Array.isArray(document.runs)) {
+        document.runs.forEach(run => (run.results || []).forEach(result => {
+            const fingerprint = result.partialFingerprints?.[FINGERPRINT_KEY];
+            if (fingerprint) fingerprints.add(fingerprint);
+        }));
+    } else if (document.files || document.results?.files) {
+        const results = document.results?.files ? document.results : document;
+        collectFingerprints(results.files, fingerprints);
+        collectFingerprints(results.suppressed, fingerprints);
+    } else {
+        throw new BaselineError('Unrecognized baseline format. Use a baseline, JSON report or SARIF file.');
+    }
+
+    return fingerprints;
+}
+
+/**
+ * Find a fingerprinted finding in code analysis results. Returns
+ * `{ file, finding }` or null.
+ */
+export function findFinding(results, fingerprint) {
+    for (const filesMap of [results?.files, results?.suppressed]) {
+        for (const [file, findings] of Object.entries(filesMap || {})) {
+            const finding = findings.find(candidate => candidate.fingerprint === fingerprint);
+            if (finding) return { file, finding };
+        }
+    }
+    return null;
+}
+
+/**
+ * Baseline document for the findings of a code analysis
+ */
+export function createBaseline(analysis) {
+    const findings = [analysis.results.files, analysis.results.suppressed]
+        .flatMap(filesMap => Object.entries(filesMap || {}))
+        .flatMap(([file, fileFindings]) => fileFindings
+            .filter(finding => finding.fingerprint)
+            .map(finding => ({
+                fingerprint: finding.fingerprint,
+                file,
+                line: finding.line,
+                severity: finding.severity,
+                ruleId: getFindingRuleId(finding),
+                issue: finding.issue
+            })));
+
+    return {
+        version: BASELINE_VERSION,
+        analysisId: analysis.id,
+        createdAt: new Date().toISOString(),
+        findings
+    };
+}
+
+/**
+ * Build the `suppress(finding)` callback used by the analyzer: returns how a
+ * finding is suppressed (a stored suppression or the baseline), or null
+ */
+export function createSuppressor({ suppressions = [], baseline = null } = {}) {
+    const byFingerprint = new Map(suppressions.map(suppression => [suppression.fingerprint, suppression]));
+
+    return finding => {
+        const suppression = byFingerprint.get(finding.fingerprint);
+        if (suppression) {
+            return { kind: 'external', status: suppression.status, reason: suppression.reason, id: suppression.id };
+        }
+        if (baseline?.has(finding.fingerprint)) {
+            return { kind: 'baseline', status: 'baseline', reason: 'Present in baseline' };
+        }
+        return null;
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * AI fix patches
+ * Asks the model for a minimal unified diff fixing one finding, checks that
+ * it applies cleanly to the analyzed file and turns it into a normalized
+ * patch plus before/after hunks for previews
+ */
+import { applyPatch, createTwoFilesPatch, parsePatch, structuredPatch, FILE_HEADERS_ONLY } from 'diff';
+
+import { getProvider } from './providers.js';
+
+// Lines of the file around the finding shown to the model
+export const FIX_CONTEXT_LINES = 60;
+// Attempts per fix; later attempts are told why the previous patch failed
+export const MAX_FIX_ATTEMPTS = 2;
+
+/**
+ * Error raised when no applicable patch could be produced for a finding
+ */
+export class FixError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FixError';
+    }
+}
+
+/**
+ * Build the prompt asking for a fix of `finding` in `file`. Only the lines
+ * around the finding are included for large files.
+ */
+export function buildFixPrompt(file, content, finding, previousError = null) {
+    const lines = content.split('\n');
+    const first = Math.max(1, finding.line - FIX_CONTEXT_LINES);
+    const last = Math.min(lines.length, (finding.endLine || finding.line) + FIX_CONTEXT_LINES);
+    const excerpt = lines.slice(first - 1, last).join('\n');
+    const scope = first === 1 && last === lines.length ? 'the complete file' : `lines ${first}-${last} of the file`;
+
+    return `You are fixing a code analysis finding with the smallest possible change.
+
+File: ${file}
+Finding (line ${finding.line}${finding.endLine > finding.line ? `-${finding.endLine}` : ''}, ${finding.severity}): ${finding.issue}
+${finding.explanation ? `Explanation: ${finding.explanation}\n` : ''}Recommendation: ${finding.recommendation}
+
+Return ONLY a unified diff against the original file, with "--- a/${file}" and "+++ b/${file}" headers and hunks whose context lines match the file exactly. Change only what is needed to fix this finding; keep the existing style and indentation. No markdown, no explanations.
+${previousError ? `\nYour previous patch could not be applied: ${previousError}. Produce a new patch against the code below.\n` : ''}
+Code (${scope}):
+${excerpt}`;
+}
+
+/**
+ * Pull the diff out of a model response: drop markdown fences and any text
+ * before the first file header or hunk
+ */
+export function extractPatch(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n')
+        .filter(line => !/^\s*```/.test(line));
+    const start = lines.findIndex(line => /^(---|diff --git|@@) /.test(line));
+    if (start === -1) {
+        throw new FixError('Response contained no unified diff');
+    }
+    return lines.slice(start).join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Recount the line numbers in hunk headers, which models often get wrong.
+ * Blank lines inside a hunk are read as empty context lines.
+ */
+export function repairHunkHeaders(patchText) {
+    const lines = patchText.split('\n');
+    const output = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const header = lines[i].match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@(.*)$/);
+        if (!header) {
+            output.push(lines[i]);
+            continue;
+        }
+
+        const body = [];
+        while (i + 1 < lines.length && !/^(@@ |--- |diff --git )/.test(lines[i + 1])) {
+            body.push(lines[++i]);
+        }
+        while (body.length && body[body.length - 1] === '') body.pop();
+
+        const hunkLines = body.map(line => line === '' ? ' ' : line);
+        const oldLines = hunkLines.filter(line => line[0] === ' ' || line[0] === '-').length;
+        const newLines = hunkLines.filter(line => line[0] === ' ' || line[0] === '+').length;
+        output.push(`@@ -${header[1]},${oldLines} +${header[2]},${newLines} @@${header[3]}`, ...hunkLines);
+    }
+    return output.join('\n');
+}
+
+/**
+ * Before/after line ranges of a patch's hunks, for side-by-side previews
+ */
+export function toPreviewHunks(hunks) {
+    return hunks.map(hunk => ({
+        oldStart: hunk.oldStart,
+        oldLines: hunk.oldLines,
+        newStart: hunk.newStart,
+        newLines: hunk.newLines,
+        before: hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1)),
+        after: hunk.lines.filter(line => line[0] !== '-').map(line => line.slice(1))
+    }));
+}
+
+/**
+ * Normalized unified diff of `file` from `before` to `after`
+ */
+export function createFilePatch(file, before, after) {
+    return createTwoFilesPatch(`a/${file}`, `b/${file}`, before, after, undefined, undefined, {
+        context: 3,
+        headerOptions: FILE_HEADERS_ONLY
+    });
+}
+
+/**
+ * First of `maskedLines` (line numbers holding masked secrets) within the
+ * original lines of `hunks`, context included, or null. Such hunks were made
+ * against the masked text and do not apply to the real file.
+ */
+export function findMaskedHunkLine(hunks, maskedLines = []) {
+    return maskedLines.find(line => hunks.some(hunk => line >= hunk.oldStart && line < hunk.oldStart + hunk.oldLines)) ?? null;
+}
+
+/**
+ * Check that a patch changes exactly one file, applies cleanly to `content`
+ * and leaves its `maskedLines` alone. Returns `{ patch, hunks, after }` with
+ * the patch regenerated from the result; throws FixError otherwise.
+ */
+export function validatePatch(file, content, patchText, maskedLines = []) {
+    let parsed;
+    try {
+        parsed = parsePatch(repairHunkHeaders(patchText));
+    } catch (error) {
+        throw new FixError(`Patch could not be parsed: ${error.message}`);
+    }
+
+    const changes = parsed.filter(change => change.hunks.length);
+    if (changes.length !== 1) {
+        throw new FixError(changes.length ? 'Patch changes more than one file' : 'Patch contains no changes');
+    }
+
+    const after = applyPatch(content, changes[0]);
+    if (after === false) {
+        throw new FixError('Patch does not apply to the analyzed file');
+    }
+    if (after === content) {
+        throw new FixError('Patch contains no changes');
+    }
+
+    const { hunks } = structuredPatch(file, file, content, after, undefined, undefined, { context: 3 });
+    const maskedLine = findMaskedHunkLine(hunks, maskedLines);
+    if (maskedLine !== null) {
+        throw new FixError(`Patch changes or uses as context line ${maskedLine}, which holds a masked secret`);
+    }
+    return { patch: createFilePatch(file, content, after), hunks: toPreviewHunks(hunks), after };
+}
+
+/**
+ * Ask the provider for a fix of `finding` in `file` and validate it,
+ * retrying with the validation error when the patch does not apply
+ */
+export async function generateFix({ file, content, finding, maskedLines = [], provider = getProvider(), signal }) {
+    if (!provider.isConfigured()) {
+        throw new FixError(`LLM provider "${provider.name}" is not configured`);
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_FIX_ATTEMPTS; attempt++) {
+        console.log(`🩹 Requesting fix for ${file}:${finding.line} from ${provider.name}/${provider.model} (attempt ${attempt})`);
+        const response = await provider.generate(buildFixPrompt(file, content, finding, lastError?.message), { signal });
+
+        try {
+            return validatePatch(file, content, extractPatch(response), maskedLines);
+        } catch (error) {
+            if (!(error instanceof FixError)) throw error;
+            console.warn(`⚠️  Rejected fix for ${file}:${finding.line}: ${error.message}`);
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Combine fix patches (`{ file, fingerprint, patch }`) into one patch with a
+ * diff per file. Fixes of one file are applied in turn; those that no longer
+ * apply after an earlier fix are returned as `conflicts`, and those touching
+ * lines in `getMaskedLines(file)` as `masked`.
+ */
+export function combinePatches(fixes, getContent, getMaskedLines = () => []) {
+    const byFile = new Map();
+    fixes.forEach(fix => byFile.set(fix.file, [...(byFile.get(fix.file) || []), fix]));
+
+    const patches = [];
+    const applied = [];
+    const conflicts = [];
+    const masked = [];
+
+    for (const [file, fileFixes] of byFile) {
+        const original = getContent(file);
+        const maskedLines = getMaskedLines(file);
+        let current = original;
+
+        for (const fix of fileFixes) {
+            if (findMaskedHunkLine(parsePatch(fix.patch)[0]?.hunks || [], maskedLines) !== null) {
+                masked.push(fix.fingerprint);
+                continue;
+            }
+            const next = applyPatch(current, fix.patch);
+            if (next === false) {
+                conflicts.push(fix.fingerprint);
+                continue;
+            }
+            current = next;
+            applied.push(fix.fingerprint);
+        }
+        if (current !== original) {
+            patches.push(createFilePatch(file, original, current));
+        }
+    }
+
+    return { patch: patches.join(''), applied, conflicts, masked };
+}
@@ -1,122 +1,88 @@
 import crypto from 'crypto';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import https from 'https';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const CACHE_DIR = path.join(__dirname, '..', 'cache');
+import { getProvider } from './providers.js';
+import { CircuitOpenError } from './resilience.js';
+import { getProfile, renderTemplate, TEMPLATE_VARIABLES } from './profiles.js';
+import { CATEGORIES } from './classification.js';
+import { normalizeFinding, MAX_SUMMARY_LENGTH } from './findings.js';
+import { getCache } from './cache.js';
 
-async function ensureCacheDir() {
-    try {
-        await fs.access(CACHE_DIR);
-    } catch {
-        await fs.mkdir(CACHE_DIR, { recursive: true });
-    }
-}
+// Bump when the prompt's instructions or requested response format change so
+// older cached results are not reused
+export const PROMPT_VERSION = 3;
 
 function generateCacheKey(code) {
     return crypto.createHash('sha256').update(code).digest('hex');
 }
 
-async function loadFromCache(cacheKey) {
-    try {
-        const cacheFile = path.join(CACHE_DIR, `${cacheKey}.json`);
-        const cached = await fs.readFile(cacheFile, 'utf-8');
-        const data = JSON.parse(cached);
-        
-        const cacheAge = Date.now() - data.timestamp;
-        const MAX_CACHE_AGE = 24 * 60 * 60 * 1000;
-        
-        if (cacheAge < MAX_CACHE_AGE) {
-            console.log(`💾 Using cached analysis for chunk ${cacheKey.substring(0, 8)}...`);
-            return data.result;
-        } else {
-            await fs.unlink(cacheFile).catch(() => {});
-            return null;
-        }
-    } catch {
-        return null;
-    }
-}
+/**
+ * Build the analysis prompt for a chunk of code and its optional context from
+ * an analysis profile's template and the file's template variables
+ */
+export function buildPrompt(code, context = '', { profile = getProfile(), variables = {} } = {}) {
+    return `${renderTemplate(profile.template, variables)}
 
-async function saveToCache(cacheKey, result) {
-    try {
-        await ensureCacheDir();
-        const cacheFile = path.join(CACHE_DIR, `${cacheKey}.json`);
-        const cacheData = { timestamp: Date.now(), cacheKey, result };
-        await fs.writeFile(cacheFile, JSON.stringify(cacheData, null, 2));
-        console.log(`💾 Cached analysis result for chunk ${cacheKey.substring(0, 8)}...`);
-    } catch (error) {
-        console.error('Failed to save cache:', error);
-    }
-}
+Return ONLY a JSON array, no other text.
 
-function callGeminiAPI(prompt, apiKey) {
-    return new Promise((resolve, reject) => {
-        const postData = JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }]
-        });
-
-        const options = {
-            hostname: 'generativelanguage.googleapis.com',
-            port: 443,
-            path: '/v1beta/models/gemini-2.0-flash-exp:generateContent',
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-goog-api-key': apiKey,
-                'Content-Length': Buffer.byteLength(postData)
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    resolve(JSON.parse(data));
-                } else {
-                    reject(new Error(`API Error ${res.statusCode}: ${data}`));
-                }
-            });
-        });
+Each issue must have this exact format:
+{"severity":"CRITICAL|HIGH|MEDIUM|LOW", "line": number, "endLine": number, "column": number or null, "endColumn": number or null, "confidence": number, "summary":"short summary", "issue":"description", "explanation":"details", "recommendation":"fix", "references":["https://..."], "category":"category", "cwe":"CWE-<id> or null", "owasp":"A<nn>:2021 or null"}
 
-        req.on('error', reject);
-        req.write(postData);
-        req.end();
-    });
+line and endLine are the first and last line of the offending code; column and endColumn are 1-based, with endColumn one past its last character. confidence is between 0 and 1. summary is one line of at most ${MAX_SUMMARY_LENGTH} characters, explanation says why the code is a problem and how it could be exploited or fail, and references lists documentation URLs.
+category is one of: ${Object.keys(CATEGORIES).join(', ')}. cwe is the most specific matching CWE ID and owasp the matching OWASP Top 10 2021 entry; use null when none applies.
+
+Return ONLY the JSON array, nothing else. No markdown, no explanations, just the array.
+${context ? `
+Surrounding context (imports and enclosing declarations, for reference only; do not report issues in it):
+${context}
+
+Line numbers are relative to the first line of the code to analyze.
+` : ''}
+Code to analyze:
+${code}`;
 }
 
-export async function analyzeChunk(chunk) {
-    if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY required');
+/**
+ * Analyze a code chunk through the configured LLM provider, using
+ * `options.profile` (default: the general profile) and the file's template
+ * `options.variables`. Parsed responses are kept in `options.cache`
+ * (default: the configured response cache).
+ */
+export async function analyzeChunk(chunk, options = {}) {
+    const provider = options.provider || getProvider();
+    if (!provider.isConfigured()) {
+        throw new Error(`LLM provider "${provider.name}" is not configured`);
     }
 
     const code = chunk.content || chunk;
-    const cacheKey = generateCacheKey(code);
+    const context = chunk.context || '';
+    const { profile = getProfile(), variables = {} } = options;
+    // Everything that changes the prompt or the model answering it is part
+    // of the cache key
+    const cacheKey = generateCacheKey([
+        `v${PROMPT_VERSION}`,
+        provider.name,
+        provider.model,
+        `${profile.name}@${profile.version}`,
+        ...TEMPLATE_VARIABLES.map(name => variables[name] ?? ''),
+        context,
+        code
+    ].join('\n\0\n'));
     
-    const cached = await loadFromCache(cacheKey);
-    if (cached) return cached;
-
-    const prompt = `You are a code analyzer. Analyze this code and return ONLY a JSON array, no other text.
-
-Each issue must have this exact format:
-{"severity":"CRITICAL|HIGH|MEDIUM|LOW", "line": number, "issue":"description", "recommendation":"fix"}
-
-Return ONLY the JSON array, nothing else. No markdown, no explanations, just the array.
+    const cache = options.cache || getCache();
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+        console.log(`💾 Using cached analysis for chunk ${cacheKey.substring(0, 8)}...`);
+        return cached;
+    }
 
-Code to analyze:
-${code}`;
+    const prompt = buildPrompt(code, context, { profile, variables });
 
     try {
-        console.log(`🤖 Analyzing code chunk with Gemini (${code.length} chars)...`);
+        console.log(`🤖 Analyzing code chunk with ${provider.name}/${provider.model} (${code.length} chars)...`);
         
-        const response = await callGeminiAPI(prompt, process.env.GEMINI_API_KEY);
-        let text = response.candidates[0].content.parts[0].text.trim();
+        let text = (await provider.generate(prompt, { signal: options.signal })).trim();
         
-        console.log('📝 Gemini raw response:', text.substring(0, 200) + '...');
+        console.log(`📝 ${provider.name} raw response:`, text.substring(0, 200) + '...');
         
         // Remove markdown code blocks
         text = text.replace(/``````\s*/g, '');
@@ -128,14 +94,16 @@ ${code}`;
         }
         
         let analysis;
+        let parseFailed = false;
         try {
             analysis = JSON.parse(text);
             console.log('✅ Successfully parsed JSON with', analysis.length, 'issues');
         } catch (parseError) {
-            console.error('❌ Failed to parse Gemini response as JSON');
+            console.error(`❌ Failed to parse ${provider.name} response as JSON`);
             console.error('Response was:', text);
             
             // Return a default analysis
+            parseFailed = true;
             analysis = [{
                 severity: 'LOW',
                 line: 1,
@@ -149,75 +117,46 @@ ${code}`;
             analysis = [analysis];
         }
 
-        const sanitizedAnalysis = analysis.map(issue => ({
-            severity: ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].includes(issue?.severity) 
-                ? issue.severity : 'LOW',
-            line: Math.max(1, parseInt(issue?.line) || 1),
-            issue: (issue?.issue || 'Unknown issue').substring(0, 80),
-            recommendation: (issue?.recommendation || 'Review code').substring(0, 80)
-        }));
+        const sanitizedAnalysis = analysis.map(normalizeFinding);
 
-        await saveToCache(cacheKey, sanitizedAnalysis);
+        if (!parseFailed) {
+            await cache.set(cacheKey, sanitizedAnalysis, {
+                provider: provider.name,
+                model: provider.model,
+                promptVersion: PROMPT_VERSION,
+                profile: `${profile.name}@${profile.version}`
+            });
+        }
         console.log(`✅ Analysis complete: ${sanitizedAnalysis.length} issues found`);
         return sanitizedAnalysis;
 
     } catch (error) {
-        console.error('Gemini API error:', error.message);
-        const errorAnalysis = [{
+        console.error(`${provider.name} API error:`, error.message);
+        // Failures are not cached so the chunk is retried on the next run
+        return [normalizeFinding({
             severity: 'HIGH',
             line: 1,
-            issue: 'AI analysis failed',
+            issue: error instanceof CircuitOpenError ? 'AI provider unavailable' : 'AI analysis failed',
             recommendation: 'Manual security review needed'
-        }];
-        await saveToCache(cacheKey, errorAnalysis);
-        return errorAnalysis;
+        })];
     }
 }
 
-export async function getCacheStats() {
-    try {
-        await ensureCacheDir();
-        const files = await fs.readdir(CACHE_DIR);
-        const jsonFiles = files.filter(f => f.endsWith('.json'));
-        let totalSize = 0;
-        for (const file of jsonFiles) {
-            try {
-                const stat = await fs.stat(path.join(CACHE_DIR, file));
-                totalSize += stat.size;
-            } catch {}
-        }
-        return {
-            entries: jsonFiles.length,
-            totalSizeBytes: totalSize,
-            totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2)
-        };
-    } catch {
-        return { entries: 0, totalSizeBytes: 0, totalSizeMB: '0.00' };
-    }
+/**
+ * Size, limits, hit counters and entries per provider/model of the response
+ * cache (see cache.js)
+ */
+export async function getCacheStats(cache = getCache()) {
+    return cache.stats();
 }
 
-export async function cleanCache() {
-    try {
-        await ensureCacheDir();
-        const files = await fs.readdir(CACHE_DIR);
-        const jsonFiles = files.filter(f => f.endsWith('.json'));
-        let cleaned = 0;
-        const MAX_CACHE_AGE = 24 * 60 * 60 * 1000;
-        for (const file of jsonFiles) {
-            try {
-                const filePath = path.join(CACHE_DIR, file);
-                const content = await fs.readFile(filePath, 'utf-8');
-                const data = JSON.parse(content);
-                if (Date.now() - data.timestamp > MAX_CACHE_AGE) {
-                    await fs.unlink(filePath);
-                    cleaned++;
-                }
-            } catch {}
-        }
-        console.log(`🧹 Cleaned ${cleaned} expired cache entries`);
-        return cleaned;
-    } catch (error) {
-        console.error('Cache cleanup failed:', error);
-        return 0;
-    }
+/**
+ * Remove expired and over-limit entries from the response cache, or every
+ * entry with `all`; returns how many were removed
+ */
+export async function cleanCache({ all = false, cache = getCache() } = {}) {
+    const cleaned = all ? await cache.clear() : await cache.evict({ refresh: true });
+    const entries = all ? 'cache entries' : 'expired or least recently used cache entries';
+    console.log(`🧹 Cleaned ${cleaned} ${entries}`);
+    return cleaned;
 }
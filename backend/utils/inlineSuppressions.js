@@ -0,0 +1,43 @@
+/**
+ * Inline suppression comments
+ * `autonalyst-ignore-next-line [reason]` silences findings on the following
+ * line; `autonalyst-ignore [reason]` silences findings on its own line (or the
+ * next one when the comment stands alone). Works with //, #, /*, -- and <!--
+ * comments.
+ */
+
+const DIRECTIVE_PATTERN = /(?:\/\/|#|\/\*|--|<!--)\s*autonalyst-ignore(-next-line)?(?![\w-])(.*)$/;
+
+export const DEFAULT_INLINE_REASON = 'Suppressed inline';
+
+/**
+ * Parse a suppression directive from a line of code, or return null
+ */
+export function parseDirective(text) {
+    const match = DIRECTIVE_PATTERN.exec(text || '');
+    if (!match) return null;
+
+    const reason = match[2]
+        .replace(/\s*(\*\/|-->)\s*$/, '')
+        .replace(/^[\s:-]+/, '')
+        .trim();
+    const standalone = !text.slice(0, match.index).trim();
+
+    return {
+        nextLine: Boolean(match[1]) || standalone,
+        reason: reason || DEFAULT_INLINE_REASON
+    };
+}
+
+/**
+ * The inline suppression covering `line` (1-based), given a `line -> text`
+ * lookup, or null
+ */
+export function getInlineSuppression(lineAt, line) {
+    const sameLine = parseDirective(lineAt(line));
+    const previousLine = line > 1 ? parseDirective(lineAt(line - 1)) : null;
+    const directive = (sameLine && !sameLine.nextLine && sameLine) || (previousLine?.nextLine && previousLine);
+
+    if (!directive) return null;
+    return { kind: 'inSource', status: 'inline', reason: directive.reason };
+}
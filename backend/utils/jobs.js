@@ -0,0 +1,229 @@
+/**
+ * In-memory job registry for long-running analyses
+ * Tracks status, per-file progress and partial results, supports cancellation,
+ * and keeps an event log that can be streamed to clients
+ */
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+/**
+ * Default job registry configuration
+ */
+const DEFAULT_CONFIG = {
+    retentionMs: 60 * 60 * 1000,   // Keep finished jobs for 1 hour
+    maxJobs: 500                   // Upper bound on retained jobs
+};
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+/**
+ * Drop finished jobs past their retention window (oldest first when over capacity)
+ */
+function pruneJobs() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && now - job.finishedAt > DEFAULT_CONFIG.retentionMs) {
+            jobs.delete(id);
+        }
+    }
+
+    for (const [id, job] of jobs) {
+        if (jobs.size <= DEFAULT_CONFIG.maxJobs) break;
+        if (isTerminal(job)) jobs.delete(id);
+    }
+}
+
+export function isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Register a new job for the given file names, owned by `clientId`
+ */
+export function createJob(type, fileNames = [], { clientId = null } = {}) {
+    pruneJobs();
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        clientId,
+        status: 'queued',
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        files: Object.fromEntries(fileNames.map(name => [name, {
+            status: 'pending',
+            chunksTotal: null,
+            chunksCompleted: 0,
+            issues: 0
+        }])),
+        results: null,
+        controller: new AbortController(),
+        events: [],
+        emitter: new EventEmitter()
+    };
+    job.emitter.setMaxListeners(0);
+
+    jobs.set(job.id, job);
+    return job;
+}
+
+/**
+ * Look up a job. When `clientId` is given, other clients' jobs are not found.
+ */
+export function getJob(id, { clientId } = {}) {
+    const job = jobs.get(id);
+    if (!job || (clientId !== undefined && job.clientId !== clientId)) {
+        return null;
+    }
+    return job;
+}
+
+/**
+ * Percent complete, counting each file equally and chunks within a file
+ */
+export function getJobPercent(job) {
+    if (job.status === 'completed') return 100;
+
+    const files = Object.values(job.files);
+    if (files.length === 0) return 0;
+
+    const done = files.reduce((sum, file) => {
+        if (file.status === 'completed' || file.status === 'failed') return sum + 1;
+        if (file.status === 'running' && file.chunksTotal) return sum + file.chunksCompleted / file.chunksTotal;
+        return sum;
+    }, 0);
+
+    return Math.min(99, Math.floor((done / files.length) * 100));
+}
+
+/**
+ * Append an event to the job's log and notify subscribers
+ */
+function emitJobEvent(job, type, data) {
+    const event = { id: job.events.length + 1, type, data };
+    job.events.push(event);
+    job.emitter.emit('event', event);
+}
+
+/**
+ * Apply an analyzer progress event to the job's per-file state and
+ * publish it (plus one `finding-found` event per new finding)
+ */
+export function recordProgress(job, event) {
+    const file = job.files[event.file];
+    if (!file || isTerminal(job)) return;
+
+    switch (event.type) {
+        case 'file-started':
+            file.status = 'running';
+            file.chunksTotal = event.totalChunks;
+            file.issues = event.issues?.length || 0;
+            break;
+        case 'chunk-completed':
+            file.chunksCompleted++;
+            file.issues += event.issues.length;
+            break;
+        case 'file-finished':
+            file.status = event.error ? 'failed' : 'completed';
+            file.issues = event.issues.length;
+            break;
+    }
+
+    const { type, issues, ...details } = event;
+    const base = { ...details, percent: getJobPercent(job), progress: { ...file } };
+
+    if (type === 'file-finished') {
+        emitJobEvent(job, type, { ...base, issues });
+        return;
+    }
+
+    emitJobEvent(job, type, { ...base, issueCount: issues?.length || 0 });
+    (issues || []).forEach(finding => {
+        emitJobEvent(job, 'finding-found', { file: event.file, finding });
+    });
+}
+
+/**
+ * Publish the terminal state of a job
+ */
+function finishJob(job) {
+    job.finishedAt = job.finishedAt || Date.now();
+    emitJobEvent(job, 'job-finished', {
+        status: job.status,
+        percent: getJobPercent(job),
+        error: job.error
+    });
+}
+
+/**
+ * Subscribe to a job's events, replaying those after `lastEventId`.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToJob(job, listener, lastEventId = 0) {
+    job.events.slice(lastEventId).forEach(listener);
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+}
+
+/**
+ * Run `task(job)` in the background, recording the outcome on the job
+ */
+export function startJob(job, task) {
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    Promise.resolve()
+        .then(() => task(job))
+        .then(results => {
+            if (job.status !== 'running') return;
+            job.results = results;
+            job.status = 'completed';
+        })
+        .catch(error => {
+            if (job.status !== 'running') return;
+            console.error(`Job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.message;
+        })
+        .finally(() => {
+            if (job.status !== 'cancelled') finishJob(job);
+        });
+
+    return job;
+}
+
+/**
+ * Cancel a queued or running job. Returns false if it already finished.
+ */
+export function cancelJob(job) {
+    if (isTerminal(job)) {
+        return false;
+    }
+
+    job.status = 'cancelled';
+    job.controller.abort();
+    finishJob(job);
+    return true;
+}
+
+/**
+ * Public representation of a job for API responses
+ */
+export function serializeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        percent: getJobPercent(job),
+        createdAt: new Date(job.createdAt).toISOString(),
+        startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+        finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        error: job.error,
+        files: job.files,
+        results: job.results
+    };
+}
@@ -0,0 +1,392 @@
+/**
+ * License compliance
+ * Resolves the licenses of manifest dependencies (see manifests.js) from
+ * lockfile metadata or a local license database, normalizes them to SPDX
+ * expressions and checks them against the project's allow/deny policy
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { normalizePackageName } from './advisories.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LICENSE_CATEGORIES = [
+    'permissive',
+    'public-domain',
+    'weak-copyleft',
+    'strong-copyleft',
+    'network-copyleft',
+    'proprietary',
+    'unknown'
+];
+
+// Denied unless the project config says otherwise: copyleft terms a
+// permissive or proprietary project cannot meet
+const DEFAULT_DENY = ['strong-copyleft', 'network-copyleft'];
+
+/**
+ * Category of known SPDX license IDs, without -only / -or-later suffixes
+ */
+const SPDX_CATEGORIES = {
+    permissive: [
+        '0BSD', 'AFL-2.1', 'AFL-3.0', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-2-Clause',
+        'BSD-3-Clause', 'BSD-4-Clause', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'ISC', 'MIT', 'MIT-0', 'NCSA',
+        'OpenSSL', 'PHP-3.01', 'PostgreSQL', 'PSF-2.0', 'Python-2.0', 'Ruby', 'Unicode-DFS-2016', 'UPL-1.0',
+        'W3C', 'X11', 'Zlib'
+    ],
+    'public-domain': ['CC0-1.0', 'Unlicense', 'WTFPL'],
+    'weak-copyleft': [
+        'CC-BY-SA-4.0', 'CDDL-1.0', 'CDDL-1.1', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0', 'LGPL-2.1', 'LGPL-3.0',
+        'MPL-1.1', 'MPL-2.0'
+    ],
+    'strong-copyleft': ['EUPL-1.1', 'EUPL-1.2', 'GPL-1.0', 'GPL-2.0', 'GPL-3.0', 'OSL-3.0'],
+    'network-copyleft': ['AGPL-1.0', 'AGPL-3.0', 'SSPL-1.0']
+};
+
+const LICENSE_IDS = new Map(Object.entries(SPDX_CATEGORIES)
+    .flatMap(([category, ids]) => ids.map(id => [id.toLowerCase(), { id, category }])));
+
+const VERSION = '(?:,?[\\s-]*(?:version\\s*|v\\.?\\s*)?)';
+
+/**
+ * Free-text license names found in manifests, by the SPDX ID they mean
+ */
+const LICENSE_ALIASES = [
+    [new RegExp('^(?:the\\s+)?mit(?:\\s+licen[cs]e)?$|^expat$', 'i'), 'MIT'],
+    [new RegExp(`^(?:the\\s+)?apache(?:\\s+software)?(?:\\s+licen[cs]e)?${VERSION}2(?:\\.0)?$`, 'i'), 'Apache-2.0'],
+    [new RegExp('^(?:the\\s+)?(?:new|modified|revised)\\s+bsd(?:\\s+licen[cs]e)?$|^bsd[\\s-]*3[\\s-]*clause(?:\\s+licen[cs]e)?$', 'i'), 'BSD-3-Clause'],
+    [new RegExp('^(?:the\\s+)?(?:simplified|freebsd)\\s+bsd(?:\\s+licen[cs]e)?$|^bsd[\\s-]*2[\\s-]*clause(?:\\s+licen[cs]e)?$', 'i'), 'BSD-2-Clause'],
+    [new RegExp('^isc(?:\\s+licen[cs]e)?$', 'i'), 'ISC'],
+    [new RegExp('^(?:the\\s+)?unlicense$', 'i'), 'Unlicense'],
+    [new RegExp('^(?:cc0|creative\\s+commons\\s+zero)(?:[\\s-]*1\\.0)?(?:\\s+universal)?$', 'i'), 'CC0-1.0'],
+    [new RegExp(`^(?:eclipse\\s+public\\s+licen[cs]e|epl)${VERSION}(1|2)(?:\\.0)?$`, 'i'), version => `EPL-${version}.0`],
+    [new RegExp(`^(?:mozilla\\s+public\\s+licen[cs]e|mpl)${VERSION}(1\\.1|2)(?:\\.0)?$`, 'i'), version => `MPL-${version.length === 1 ? `${version}.0` : version}`],
+    [new RegExp(`^(?:gnu\\s+)?(?:affero\\s+general\\s+public\\s+licen[cs]e|agpl)${VERSION}(3)(?:\\.0)?(\\+|\\s+or\\s+later)?$`, 'i'), (version, later) => `AGPL-${version}.0${later ? '-or-later' : ''}`],
+    [new RegExp(`^(?:gnu\\s+)?(?:(?:lesser|library)\\s+general\\s+public\\s+licen[cs]e|lgpl)${VERSION}(2\\.1|2|3)(?:\\.0)?(\\+|\\s+or\\s+later)?$`, 'i'), (version, later) => `LGPL-${version.length === 1 ? `${version}.0` : version}${later ? '-or-later' : ''}`],
+    [new RegExp(`^(?:gnu\\s+)?(?:general\\s+public\\s+licen[cs]e|gpl)${VERSION}(2|3)(?:\\.0)?(\\+|\\s+or\\s+later)?$`, 'i'), (version, later) => `GPL-${version}.0${later ? '-or-later' : ''}`]
+];
+
+/**
+ * Error raised for license databases that cannot be read
+ */
+export class LicenseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LicenseError';
+    }
+}
+
+// --- SPDX expressions -------------------------------------------------------
+
+/**
+ * The SPDX ID a single license name stands for: known IDs in their
+ * canonical case, free-text aliases resolved, anything else unchanged
+ */
+export function normalizeLicenseId(name) {
+    const text = String(name).trim();
+    const suffix = text.match(/(-only|-or-later|\+)$/i)?.[0] || '';
+    const known = LICENSE_IDS.get(text.slice(0, text.length - suffix.length).toLowerCase());
+    if (known) return `${known.id}${suffix.toLowerCase()}`;
+
+    for (const [pattern, id] of LICENSE_ALIASES) {
+        const match = text.match(pattern);
+        if (match) return typeof id === 'function' ? id(...match.slice(1)) : id;
+    }
+    return text;
+}
+
+/**
+ * Category of a single (normalized) license ID; see LICENSE_CATEGORIES
+ */
+export function getLicenseCategory(id) {
+    if (/^UNLICENSED$/i.test(id)) return 'proprietary';
+    const base = String(id).replace(/(-only|-or-later|\+)$/i, '');
+    return LICENSE_IDS.get(base.toLowerCase())?.category || 'unknown';
+}
+
+function tokenize(expression) {
+    return expression.replace(/[()]/g, ' $& ').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Parse an SPDX expression into a tree of `{ license }` leaves and
+ * `{ operator: 'AND' | 'OR', operands }` nodes. WITH exceptions only relax
+ * a license and are kept on the leaf. Returns null for text that is not an
+ * expression (e.g. a free-text license name).
+ */
+export function parseLicenseExpression(expression) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const parseOperand = () => {
+        const token = tokens[position++];
+        if (token === '(') {
+            const node = parseOr();
+            if (tokens[position++] !== ')') return null;
+            return node;
+        }
+        if (!token || !/^[A-Za-z0-9.+:-]+$/.test(token) || /^(?:AND|OR|WITH)$/i.test(token)) return null;
+        const leaf = { license: normalizeLicenseId(token) };
+        if (/^WITH$/i.test(tokens[position] || '')) {
+            leaf.exception = tokens[position + 1];
+            position += 2;
+            if (!/^[A-Za-z0-9.+-]+$/.test(leaf.exception || '')) return null;
+        }
+        return leaf;
+    };
+    const parseBinary = (operator, parseNext) => () => {
+        const operands = [parseNext()];
+        while (operands.every(Boolean) && tokens[position]?.toUpperCase() === operator) {
+            position++;
+            operands.push(parseNext());
+        }
+        if (!operands.every(Boolean)) return null;
+        return operands.length === 1 ? operands[0] : { operator, operands };
+    };
+    const parseAnd = parseBinary('AND', parseOperand);
+    const parseOr = parseBinary('OR', parseAnd);
+
+    const tree = tokens.length ? parseOr() : null;
+    return tree && position === tokens.length ? tree : null;
+}
+
+function formatExpression(node, nested = false) {
+    if (node.license) return node.exception ? `${node.license} WITH ${node.exception}` : node.license;
+    const text = node.operands.map(operand => formatExpression(operand, true)).join(` ${node.operator} `);
+    return nested ? `(${text})` : text;
+}
+
+/**
+ * Normalize a declared license (SPDX expression or free-text name) to
+ * `{ expression, tree }`; null for a missing license
+ */
+export function normalizeLicense(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) return null;
+    // npm's marker for a license in a file of the package
+    if (/^SEE LICEN[CS]E IN /i.test(text)) return { expression: text, tree: { license: text } };
+
+    const tree = parseLicenseExpression(text) || { license: normalizeLicenseId(text) };
+    return { expression: formatExpression(tree), tree };
+}
+
+/**
+ * Category of a license expression: that of its only license, or the most
+ * restrictive one its terms require (for OR, the least restrictive choice)
+ */
+export function categorizeLicense(tree) {
+    if (!tree) return 'unknown';
+    if (tree.license) return getLicenseCategory(tree.license);
+
+    const categories = tree.operands.map(categorizeLicense);
+    // Known categories from least to most restrictive
+    const order = ['public-domain', 'permissive', 'weak-copyleft', 'strong-copyleft', 'network-copyleft', 'proprietary'];
+    const known = categories.filter(category => category !== 'unknown').sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    if (tree.operator === 'OR') return known[0] || 'unknown';
+    return categories.includes('unknown') ? 'unknown' : known[known.length - 1];
+}
+
+// --- Policy -----------------------------------------------------------------
+
+/**
+ * Effective policy for a project license and the `licenses` config section:
+ * `deny` defaults to copyleft licenses unless the project is copyleft itself
+ */
+export function getLicensePolicy(config = {}, projectLicense = null) {
+    const projectCategory = categorizeLicense(normalizeLicense(projectLicense)?.tree);
+    const copyleftProject = ['strong-copyleft', 'network-copyleft'].includes(projectCategory);
+    const normalizeEntry = entry => LICENSE_CATEGORIES.includes(entry) ? entry : normalizeLicenseId(entry);
+
+    return {
+        allow: (config.allow || []).map(normalizeEntry),
+        deny: (config.deny || (copyleftProject ? [] : DEFAULT_DENY)).map(normalizeEntry),
+        unknown: config.unknown || 'warn'
+    };
+}
+
+/**
+ * Evaluate one license against the policy. An ID listed in `allow` or
+ * `deny` wins over its category; when `allow` is given, anything it does
+ * not cover is denied. Returns `{ status, reason }` with status `allowed`,
+ * `denied` or `unknown`.
+ */
+function evaluateLicense(id, policy) {
+    const category = getLicenseCategory(id);
+    const base = id.replace(/(-only|-or-later|\+)$/i, '');
+    const listed = list => list.includes(id) || list.includes(base);
+
+    if (listed(policy.allow)) return { status: 'allowed', reason: `${id} is allowed` };
+    if (listed(policy.deny)) return { status: 'denied', reason: `${id} is denied` };
+    if (category === 'unknown') return { status: 'unknown', reason: `${id} is not a known license` };
+    if (policy.allow.includes(category)) return { status: 'allowed', reason: `${category} licenses are allowed` };
+    if (policy.deny.includes(category)) return { status: 'denied', reason: `${category} licenses are denied (${id})` };
+    if (policy.allow.length) return { status: 'denied', reason: `${id} is not in the allow list` };
+    return { status: 'allowed', reason: null };
+}
+
+function evaluateTree(tree, policy) {
+    if (tree.license) return evaluateLicense(tree.license, policy);
+
+    const results = tree.operands.map(operand => evaluateTree(operand, policy));
+    const find = status => results.find(result => result.status === status);
+    // Any allowed choice satisfies OR; every term of AND must be allowed
+    return tree.operator === 'OR'
+        ? find('allowed') || find('unknown') || results[0]
+        : find('denied') || find('unknown') || { status: 'allowed', reason: null };
+}
+
+/**
+ * Check a normalized license against a policy (see getLicensePolicy).
+ * Missing and unrecognized licenses follow `policy.unknown`: `allow`,
+ * `warn` (reported as unknown) or `deny`.
+ */
+export function evaluateLicensePolicy(license, policy) {
+    const result = license
+        ? evaluateTree(license.tree, policy)
+        : { status: 'unknown', reason: 'No license information' };
+    if (result.status !== 'unknown' || policy.unknown === 'warn') return result;
+    return { status: policy.unknown === 'deny' ? 'denied' : 'allowed', reason: result.reason };
+}
+
+// --- License database -------------------------------------------------------
+
+/**
+ * Database location: LICENSE_DB_PATH, or backend/data/licenses.json
+ */
+export function getLicenseDatabasePath(env = process.env) {
+    return env.LICENSE_DB_PATH || path.join(__dirname, '..', 'data', 'licenses.json');
+}
+
+function databaseKey(ecosystem, name, version = null) {
+    const key = `${ecosystem}:${normalizePackageName(ecosystem, name)}`;
+    return version ? `${key}@${version}` : key;
+}
+
+/**
+ * Index license data of the form `{ "<ecosystem>": { "<name>": "<license>" } }`.
+ * Names may carry a version (`name@1.2.3`) for releases whose license
+ * differs from the package's current one.
+ */
+export function createLicenseDatabase(data, source = null) {
+    const index = new Map();
+    Object.entries(data || {}).forEach(([ecosystem, packages]) => {
+        Object.entries(packages || {}).forEach(([name, license]) => {
+            if (typeof license !== 'string') return;
+            const at = name.lastIndexOf('@');
+            index.set(at > 0 ? databaseKey(ecosystem, name.slice(0, at), name.slice(at + 1)) : databaseKey(ecosystem, name), license);
+        });
+    });
+    return { index, count: index.size, source };
+}
+
+/**
+ * License of a package release in the database, or null
+ */
+export function lookupLicense(database, ecosystem, name, version) {
+    if (!database) return null;
+    return database.index.get(databaseKey(ecosystem, name, version)) ?? database.index.get(databaseKey(ecosystem, name)) ?? null;
+}
+
+/**
+ * Load a license database from a JSON file
+ */
+export async function loadLicenseDatabase(location) {
+    const text = await fs.readFile(location, 'utf-8').catch(error => {
+        throw new LicenseError(error.code === 'ENOENT'
+            ? `License database not found: ${location}`
+            : `Could not read license database ${location}: ${error.message}`);
+    });
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new LicenseError(`Could not parse license database ${path.basename(location)}: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new LicenseError(`License database ${path.basename(location)} must map ecosystems to packages`);
+    }
+
+    const database = createLicenseDatabase(data, location);
+    console.log(`⚖️  Loaded ${database.count} package licenses from ${location}`);
+    return database;
+}
+
+let loaded = null;
+
+/**
+ * The license database at getLicenseDatabasePath(), loaded once per
+ * location; null when there is none, so only lockfile metadata is used
+ */
+export function getLicenseDatabase(env = process.env) {
+    const location = getLicenseDatabasePath(env);
+    if (loaded?.location !== location) {
+        const explicit = Boolean(env.LICENSE_DB_PATH);
+        const database = loadLicenseDatabase(location).catch(error => {
+            // The default location is optional
+            if (explicit || !error.message.startsWith('License database not found')) {
+                console.error('Failed to load license database:', error.message);
+            }
+            return null;
+        });
+        loaded = { location, database };
+    }
+    return loaded.database;
+}
+
+// --- License report ---------------------------------------------------------
+
+/**
+ * Build the license report of a dependency inventory (see
+ * collectDependencies): every component with its license, where it came
+ * from (`lockfile` or `database`), its category and its policy status.
+ * `config` is the `licenses` config section; its `project` license defaults
+ * to the one the inventory's project declares. Development dependencies are
+ * left out unless `config.includeDev` is set. Returns null without an
+ * inventory.
+ */
+export function buildLicenseReport(inventory, { config = {}, database = null } = {}) {
+    if (!inventory) return null;
+
+    const { project } = inventory;
+    const projectLicense = config.project || project.license || null;
+    const policy = getLicensePolicy(config, projectLicense);
+
+    const dependencies = inventory.components.filter(component => config.includeDev || !component.dev).map(component => {
+        const { hashes, ...dependency } = component;
+        const fromDatabase = dependency.license ? null : lookupLicense(database, dependency.ecosystem, dependency.name, dependency.version);
+        const license = normalizeLicense(dependency.license || fromDatabase);
+        const { status, reason } = evaluateLicensePolicy(license, policy);
+        return {
+            ...dependency,
+            license: license?.expression || null,
+            licenseSource: dependency.license ? 'lockfile' : fromDatabase ? 'database' : null,
+            category: categorizeLicense(license?.tree),
+            status,
+            reason
+        };
+    });
+
+    const count = status => dependencies.filter(dependency => dependency.status === status).length;
+    return {
+        project: {
+            name: project.name,
+            version: project.version,
+            license: normalizeLicense(projectLicense)?.expression || null
+        },
+        policy,
+        summary: {
+            total: dependencies.length,
+            allowed: count('allowed'),
+            denied: count('denied'),
+            unknown: count('unknown'),
+            byCategory: dependencies.reduce((tally, dependency) => {
+                tally[dependency.category] = (tally[dependency.category] || 0) + 1;
+                return tally;
+            }, {})
+        },
+        dependencies
+    };
+}
@@ -0,0 +1,390 @@
+/**
+ * Dependency manifests
+ * Reads the packages and versions declared in npm, pip, Maven and Go
+ * manifests and lockfiles, with the line declaring each one, and the
+ * project's own name, version and license where the manifest records them.
+ * collectDependencies() merges them into one inventory of components.
+ */
+import path from 'path';
+
+// OSV ecosystem names
+export const ECOSYSTEMS = { npm: 'npm', pip: 'PyPI', maven: 'Maven', go: 'Go' };
+
+const NPM_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+const NPM_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json'];
+
+// Hash algorithms of npm integrity strings and pip --hash options, by CycloneDX name
+const HASH_ALGORITHMS = { sha1: 'SHA-1', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+/**
+ * Manifest type of a file: package.json, an npm lockfile, a pip
+ * requirements file, a Maven POM or go.mod; null for anything else
+ */
+export function getManifestType(filename) {
+    const base = path.posix.basename(filename.replace(/\\/g, '/')).toLowerCase();
+    if (base === 'package.json') return 'package.json';
+    if (NPM_LOCKFILES.includes(base)) return 'package-lock.json';
+    if (/^(?:requirements|constraints)[\w.-]*\.txt$/.test(base)) return 'requirements.txt';
+    if (base === 'pom.xml') return 'pom.xml';
+    if (base === 'go.mod') return 'go.mod';
+    return null;
+}
+
+/**
+ * Lowest version allowed by a declared range (`^1.2.3`, `>=1.2`, `1.x`,
+ * `[1.0,2.0)`), padded to three parts; null when there is none to pick
+ */
+export function resolveDeclaredVersion(range) {
+    const first = String(range).split('||')[0].trim();
+    if (!first || /^[<*]|^latest$/i.test(first)) return null;
+
+    const match = first.match(/\d+(?:\.(?:\d+|[xX*]))*(?:-[0-9A-Za-z.-]+)?/);
+    if (!match) return null;
+
+    const [release, ...prerelease] = match[0].split('-');
+    const parts = release.split('.').map(part => /^\d+$/.test(part) ? part : '0');
+    while (parts.length < 3) parts.push('0');
+    return [parts.join('.'), ...prerelease].join('-');
+}
+
+/**
+ * 1-based line of the first line matching `pattern` at or after `from`
+ */
+function findLine(lines, pattern, from = 0) {
+    for (let index = from; index < lines.length; index++) {
+        if (pattern.test(lines[index])) return index + 1;
+    }
+    return null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseJson(content, filename) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Could not parse ${filename}: ${error.message}`);
+    }
+}
+
+/**
+ * License of an npm manifest or lock entry: an SPDX expression, or the
+ * deprecated `{ type }` object and `licenses` array forms
+ */
+function npmLicense(entry) {
+    const licenses = [entry.license ?? entry.licenses].flat()
+        .map(license => typeof license === 'object' ? license?.type : license)
+        .filter(license => typeof license === 'string' && license.trim());
+    if (!licenses.length) return null;
+    return licenses.length === 1 ? licenses[0].trim() : `(${licenses.join(' OR ')})`;
+}
+
+/**
+ * Hashes of an npm `integrity` value (space-separated `<alg>-<base64>`) as
+ * `{ alg, content }` with hex content
+ */
+function npmHashes(integrity) {
+    return String(integrity || '').split(/\s+/).flatMap(entry => {
+        const match = entry.match(/^(sha\d+)-([A-Za-z0-9+/=]+)$/);
+        const alg = match && HASH_ALGORITHMS[match[1]];
+        return alg ? [{ alg, content: Buffer.from(match[2], 'base64').toString('hex') }] : [];
+    });
+}
+
+function parsePackageJson(content, lines) {
+    const manifest = parseJson(content, 'package.json');
+    const dependencies = [];
+    const project = {
+        name: typeof manifest.name === 'string' ? manifest.name : null,
+        version: typeof manifest.version === 'string' ? manifest.version : null,
+        license: npmLicense(manifest)
+    };
+
+    NPM_SECTIONS.forEach(section => {
+        const sectionLine = findLine(lines, new RegExp(`^\\s*"${section}"\\s*:`)) || 1;
+        Object.entries(manifest[section] || {}).forEach(([name, spec]) => {
+            if (typeof spec !== 'string') return;
+            // npm:other@range aliases install another package
+            const alias = spec.match(/^npm:((?:@[^/]+\/)?[^@]+)@(.+)$/);
+            const range = alias ? alias[2] : spec;
+            // git, file, link, workspace and URL dependencies are not registry versions
+            if (/^[a-z+]+:|\//i.test(range)) return;
+
+            dependencies.push({
+                name: alias ? alias[1] : name,
+                declared: range,
+                version: resolveDeclaredVersion(range),
+                exact: /^=?v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/.test(range.trim()),
+                dev: section === 'devDependencies',
+                line: findLine(lines, new RegExp(`^\\s*"${escapeRegExp(name)}"\\s*:`), sectionLine - 1) || sectionLine
+            });
+        });
+    });
+    return { project, dependencies };
+}
+
+function parsePackageLock(content, lines) {
+    const lock = parseJson(content, 'package-lock.json');
+    // Line of each object key, e.g. "node_modules/a": {
+    const keyLines = new Map();
+    lines.forEach((line, index) => {
+        const key = line.match(/^\s*"([^"]+)"\s*:\s*\{/);
+        if (key && !keyLines.has(key[1])) keyLines.set(key[1], index + 1);
+    });
+
+    if (lock.packages) {
+        return Object.entries(lock.packages)
+            .filter(([key, entry]) => key.includes('node_modules/') && entry.version && !entry.link)
+            .map(([key, entry]) => ({
+                name: entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+                version: entry.version,
+                exact: true,
+                dev: Boolean(entry.dev),
+                path: key,
+                license: npmLicense(entry),
+                hashes: npmHashes(entry.integrity),
+                line: keyLines.get(key) || 1
+            }));
+    }
+
+    // lockfileVersion 1 nests dependencies of dependencies
+    const dependencies = [];
+    const walk = (entries, prefix) => Object.entries(entries || {}).forEach(([name, entry]) => {
+        const key = `${prefix}node_modules/${name}`;
+        if (entry.version && !/[:/]/.test(entry.version)) {
+            dependencies.push({
+                name,
+                version: entry.version,
+                exact: true,
+                dev: Boolean(entry.dev),
+                path: key,
+                hashes: npmHashes(entry.integrity),
+                line: keyLines.get(name) || 1
+            });
+        }
+        walk(entry.dependencies, `${key}/`);
+    });
+    walk(lock.dependencies, '');
+    return dependencies;
+}
+
+function parseRequirements(lines) {
+    const dependencies = [];
+    for (let index = 0; index < lines.length; index++) {
+        const start = index;
+        // Requirements continue over lines ending in a backslash, e.g. for --hash options
+        let text = lines[index];
+        while (/\\\s*$/.test(text) && index + 1 < lines.length) {
+            text = `${text.replace(/\\\s*$/, ' ')}${lines[++index]}`;
+        }
+        text = text.replace(/(^|\s)#.*$/, '');
+        const hashes = [...text.matchAll(/--hash[=\s]\s*(sha\d+):([0-9a-f]+)/gi)]
+            .filter(([, alg]) => HASH_ALGORITHMS[alg.toLowerCase()])
+            .map(([, alg, content]) => ({ alg: HASH_ALGORITHMS[alg.toLowerCase()], content: content.toLowerCase() }));
+        const line = text.replace(/\s--[\w-]+(?:[=\s]\s*\S+)?/g, '').split(';')[0].trim();
+        // Options (-r, -e), URLs and paths have no version to check
+        const match = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/);
+        if (!match || /:\/\//.test(line)) continue;
+
+        const specifiers = match[2].split(',').map(part => part.trim()).filter(Boolean);
+        const pinned = specifiers.find(spec => /^===?\s*[^*\s]+$/.test(spec) && !spec.includes('*'));
+        const lower = specifiers.find(spec => /^(?:>=|~=|>)/.test(spec));
+        const version = pinned
+            ? pinned.replace(/^===?\s*/, '')
+            : lower && lower.replace(/^(?:>=|~=|>)\s*/, '');
+        if (!version) continue;
+
+        dependencies.push({ name: match[1], declared: match[2] || null, version, exact: Boolean(pinned), hashes, line: start + 1 });
+    }
+    return dependencies;
+}
+
+function xmlValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`));
+    return match ? match[1] : null;
+}
+
+function parsePom(content, lines) {
+    // Properties and the project version, for ${...} references
+    const properties = new Map();
+    const propertiesBlock = content.match(/<properties>([\s\S]*?)<\/properties>/);
+    if (propertiesBlock) {
+        for (const [, key, value] of propertiesBlock[1].matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+            properties.set(key, value);
+        }
+    }
+    // The POM without its parent and nested sections, for project-level elements
+    const project = content
+        .replace(/<parent>[\s\S]*?<\/parent>/, '')
+        .replace(/<(dependencies|dependencyManagement|build|profiles|properties|plugins)>[\s\S]*?<\/\1>/g, '');
+    const projectVersion = xmlValue(project, 'version');
+    if (projectVersion) properties.set('project.version', projectVersion);
+
+    const resolve = value => value?.replace(/\$\{([^}]+)\}/g, (match, key) => properties.get(key) ?? match);
+    const groupId = xmlValue(project, 'groupId') || xmlValue(content.match(/<parent>([\s\S]*?)<\/parent>/)?.[1] || '', 'groupId');
+    const artifactId = xmlValue(project, 'artifactId');
+    const licenseNames = [...(project.match(/<licenses>([\s\S]*?)<\/licenses>/)?.[1] || '').matchAll(/<license>([\s\S]*?)<\/license>/g)]
+        .map(block => xmlValue(block[1], 'name'))
+        .filter(Boolean);
+
+    const dependencies = [];
+    for (const block of content.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+        const groupId = resolve(xmlValue(block[1], 'groupId'));
+        const artifactId = resolve(xmlValue(block[1], 'artifactId'));
+        const declared = resolve(xmlValue(block[1], 'version'));
+        // Versions inherited from a parent or BOM are not known here
+        if (!groupId || !artifactId || !declared || declared.includes('${')) continue;
+
+        // Ranges like [1.2,2.0) are checked at their lower bound
+        const ranged = /^[[(]/.test(declared);
+        const lowerBound = ranged ? declared.slice(1).split(',')[0].trim() : null;
+        const offset = content.slice(0, block.index).split('\n').length - 1;
+        dependencies.push({
+            name: `${groupId}:${artifactId}`,
+            declared,
+            version: ranged ? lowerBound && resolveDeclaredVersion(lowerBound) : declared,
+            exact: !ranged,
+            line: findLine(lines, /<artifactId>/, offset) || offset + 1
+        });
+    }
+    return {
+        project: {
+            name: groupId && artifactId ? `${resolve(groupId)}:${resolve(artifactId)}` : null,
+            version: resolve(projectVersion),
+            // A project offered under several licenses lets its users pick one
+            license: licenseNames.length > 1 ? `(${licenseNames.join(' OR ')})` : licenseNames[0] || null
+        },
+        dependencies: dependencies.filter(dependency => dependency.version)
+    };
+}
+
+function parseGoMod(lines) {
+    const dependencies = [];
+    let inRequire = false;
+
+    lines.forEach((text, index) => {
+        const line = text.trim();
+        if (/^require\s*\($/.test(line)) {
+            inRequire = true;
+            return;
+        }
+        if (inRequire && line === ')') {
+            inRequire = false;
+            return;
+        }
+        const requirement = inRequire ? line : line.match(/^require\s+(.+)$/)?.[1];
+        const match = requirement?.match(/^(\S+)\s+(v\S+)/);
+        if (!match) return;
+
+        dependencies.push({
+            name: match[1],
+            version: match[2],
+            exact: true,
+            indirect: /\/\/\s*indirect/.test(line),
+            line: index + 1
+        });
+    });
+    return dependencies;
+}
+
+/**
+ * Parse a manifest or lockfile. Returns `{ type, ecosystem, dependencies }`
+ * where each dependency has a `name`, the `version` to check, whether that
+ * version is `exact` (pinned or locked) or the lowest one a `declared`
+ * range allows, and its `line`; lockfile entries also carry the `license`
+ * they record. package.json and pom.xml add the `project` they describe
+ * (`{ name, version, license }`). Null for files that are not manifests.
+ * Throws for manifests that cannot be parsed.
+ */
+export function parseManifest(filename, content) {
+    const type = getManifestType(filename);
+    if (!type || typeof content !== 'string') return null;
+    const lines = content.split(/\r?\n/);
+
+    switch (type) {
+        case 'package.json':
+            return { type, ecosystem: ECOSYSTEMS.npm, ...parsePackageJson(content, lines) };
+        case 'package-lock.json':
+            return { type, ecosystem: ECOSYSTEMS.npm, dependencies: parsePackageLock(content, lines) };
+        case 'requirements.txt':
+            return { type, ecosystem: ECOSYSTEMS.pip, dependencies: parseRequirements(lines) };
+        case 'pom.xml':
+            return { type, ecosystem: ECOSYSTEMS.maven, ...parsePom(content, lines) };
+        default:
+            return { type, ecosystem: ECOSYSTEMS.go, dependencies: parseGoMod(lines) };
+    }
+}
+
+/**
+ * Merge the manifests among `sources` into one inventory. Returns
+ * `{ project, components }`, or null when there are no manifests: the
+ * `project` described by the top-most package.json or pom.xml (preferring
+ * one that declares a license), and every
+ * dependency once per ecosystem, name and version with whether it is
+ * `direct` (declared rather than only locked) or `dev` only, the `license`
+ * and `hashes` its lockfile records and the `files` declaring it. Direct npm
+ * dependencies take the version locked next to their package.json.
+ * Manifests that cannot be parsed are skipped.
+ */
+export function collectDependencies(sources) {
+    const manifests = sources
+        .filter(source => typeof source.content === 'string' && getManifestType(source.name))
+        .flatMap(source => {
+            try {
+                return [{ name: source.name, ...parseManifest(source.name, source.content) }];
+            } catch (error) {
+                console.warn(`⚠️  Skipping dependencies of ${source.name}: ${error.message}`);
+                return [];
+            }
+        })
+        .sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+    if (!manifests.length) return null;
+
+    // Lockfile entries by directory and install path
+    const locked = new Map(manifests
+        .filter(manifest => manifest.type === 'package-lock.json')
+        .flatMap(manifest => manifest.dependencies.map(dependency => [`${path.posix.dirname(manifest.name)}:${dependency.path}`, dependency])));
+
+    const components = new Map();
+    manifests.forEach(manifest => {
+        manifest.dependencies.forEach(declared => {
+            const lock = manifest.type === 'package.json'
+                ? locked.get(`${path.posix.dirname(manifest.name)}:node_modules/${declared.name}`)
+                : null;
+            const dependency = lock ? { ...declared, ...lock, line: declared.line } : declared;
+            const key = `${manifest.ecosystem}:${dependency.name}@${dependency.version ?? ''}`;
+            const direct = manifest.type !== 'package-lock.json' && !dependency.indirect;
+
+            const existing = components.get(key);
+            if (existing) {
+                if (!existing.files.includes(manifest.name)) existing.files.push(manifest.name);
+                existing.direct = existing.direct || direct;
+                existing.dev = existing.dev && Boolean(dependency.dev);
+                existing.license = existing.license || dependency.license || null;
+                if (!existing.hashes.length) existing.hashes = dependency.hashes || [];
+                return;
+            }
+            components.set(key, {
+                ecosystem: manifest.ecosystem,
+                name: dependency.name,
+                version: dependency.version ?? null,
+                direct,
+                dev: Boolean(dependency.dev),
+                license: dependency.license || null,
+                hashes: dependency.hashes || [],
+                files: [manifest.name]
+            });
+        });
+    });
+
+    const described = manifests.find(manifest => manifest.project?.license) || manifests.find(manifest => manifest.project);
+    return {
+        project: described
+            ? { ecosystem: described.ecosystem, ...described.project }
+            : { ecosystem: null, name: null, version: null, license: null },
+        components: [...components.values()]
+            .sort((a, b) => a.ecosystem.localeCompare(b.ecosystem) || a.name.localeCompare(b.name))
+    };
+}
@@ -0,0 +1,56 @@
+/**
+ * Local stand-in for an OpenAI-compatible LLM server
+ * Used by tests and air-gapped deployments (LLM_PROVIDER=openai, LLM_BASE_URL=http://localhost:11435/v1)
+ */
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Default responder: report no issues
+ */
+function emptyResponder() {
+    return '[]';
+}
+
+/**
+ * Create (but do not start) a mock chat completions server
+ * `respond(prompt, body)` returns the assistant message text
+ */
+export function createMockLLMServer({ respond = emptyResponder } = {}) {
+    return http.createServer((req, res) => {
+        if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not found' }));
+            return;
+        }
+
+        let data = '';
+        req.on('data', (chunk) => { data += chunk; });
+        req.on('end', async () => {
+            try {
+                const body = JSON.parse(data);
+                const prompt = body.messages?.map(m => m.content).join('\n') || '';
+                const content = await respond(prompt, body);
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    id: 'mock-completion',
+                    object: 'chat.completion',
+                    model: body.model || 'mock',
+                    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }]
+                }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        });
+    });
+}
+
+// Allow running standalone: node utils/mockLLMServer.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = process.env.MOCK_LLM_PORT || 11435;
+    createMockLLMServer().listen(port, () => {
+        console.log(`🧪 Mock LLM server listening on http://localhost:${port}/v1`);
+    });
+}
@@ -0,0 +1,215 @@
+/**
+ * Analysis profiles
+ * Named, versioned prompt templates that focus the AI pass on one concern.
+ * Templates may use {{language}}, {{framework}} and {{filename}}; bump a
+ * profile's version whenever its template changes so cached results made
+ * with the old wording are not reused.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_PROFILE = 'general';
+export const TEMPLATE_VARIABLES = ['language', 'framework', 'filename'];
+
+const PROFILE_NAME_PATTERN = /^[a-z][a-z0-9-]{0,39}$/;
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Built-in profiles
+ */
+export const BUILTIN_PROFILES = {
+    general: {
+        label: 'General',
+        description: 'Bugs, security issues and code quality problems',
+        version: 1,
+        template: 'You are a code analyzer. Analyze this {{language}} code from {{filename}} (framework: {{framework}}) for bugs, security issues and code quality problems.'
+    },
+    security: {
+        label: 'Security',
+        description: 'Injection, XSS, authentication and authorization flaws, secrets and unsafe crypto',
+        version: 1,
+        template: `You are an application security reviewer. Review this {{language}} code from {{filename}} (framework: {{framework}}) for exploitable vulnerabilities:
+injection (SQL, command, code, template), cross-site scripting, broken authentication or authorization, hardcoded secrets, weak or misused cryptography, insecure deserialization, SSRF, path traversal and unsafe use of {{framework}} APIs.
+Use CRITICAL for remotely exploitable issues, HIGH for likely exploitable ones, MEDIUM for defense-in-depth gaps and LOW for hardening suggestions. Do not report style issues.`
+    },
+    performance: {
+        label: 'Performance',
+        description: 'Algorithmic complexity, blocking I/O, N+1 queries and wasted work',
+        version: 1,
+        template: `You are a performance engineer. Review this {{language}} code from {{filename}} (framework: {{framework}}) for performance problems:
+inefficient algorithms or data structures, repeated work inside loops, N+1 queries, blocking or synchronous I/O on hot paths, unbounded memory growth or leaks, missing caching or batching, and framework-specific pitfalls such as unnecessary re-renders.
+Rate severity by the expected impact at scale. Do not report security or style issues.`
+    },
+    maintainability: {
+        label: 'Maintainability',
+        description: 'Complexity, duplication, error handling and readability',
+        version: 1,
+        template: `You are a senior reviewer focused on maintainability. Review this {{language}} code from {{filename}} (framework: {{framework}}) for:
+overly complex or long functions, duplicated logic, unclear naming, dead code, swallowed or inconsistent error handling, tight coupling, magic numbers and missing documentation of non-obvious behavior.
+Use HIGH only for issues likely to cause bugs; most findings should be MEDIUM or LOW.`
+    },
+    accessibility: {
+        label: 'Accessibility',
+        description: 'WCAG issues in UI code: labels, alt text, keyboard and focus handling, ARIA',
+        version: 1,
+        template: `You are an accessibility auditor applying WCAG 2.2. Review this {{language}} code from {{filename}} (framework: {{framework}}) for:
+images without text alternatives, form controls without labels, interactive elements that are not keyboard accessible, missing or broken focus management, misused ARIA roles and attributes, non-semantic markup, and information conveyed by color alone.
+If the code renders no user interface, return an empty array.`
+    },
+    compliance: {
+        label: 'Compliance',
+        description: 'Personal data handling, logging of sensitive data, encryption and audit trails',
+        version: 1,
+        template: `You are a privacy and compliance reviewer (GDPR, HIPAA, PCI DSS, SOC 2). Review this {{language}} code from {{filename}} (framework: {{framework}}) for:
+collection or storage of personal, health or payment data without need, sensitive data written to logs or error messages, data sent to third parties, missing encryption in transit or at rest, missing retention or deletion handling, and security-relevant actions without an audit trail.
+Name the regulation concerned in each recommendation where it applies.`
+    }
+};
+
+const LANGUAGE_NAMES = {
+    js: 'JavaScript', jsx: 'JavaScript (JSX)', mjs: 'JavaScript', cjs: 'JavaScript',
+    ts: 'TypeScript', tsx: 'TypeScript (TSX)', py: 'Python', java: 'Java',
+    cpp: 'C++', c: 'C', h: 'C/C++ header', cs: 'C#', php: 'PHP', rb: 'Ruby',
+    go: 'Go', rs: 'Rust', swift: 'Swift', kt: 'Kotlin', scala: 'Scala', r: 'R',
+    m: 'Objective-C', sh: 'Shell', sql: 'SQL', html: 'HTML', css: 'CSS',
+    scss: 'SCSS', sass: 'Sass', less: 'Less', json: 'JSON', xml: 'XML',
+    yml: 'YAML', yaml: 'YAML', md: 'Markdown', txt: 'plain text'
+};
+
+// Checked in order; the first match wins
+const FRAMEWORK_PATTERNS = [
+    ['Next.js', /from\s+['"]next(\/[\w-]+)?['"]|require\(\s*['"]next['"]/],
+    ['React', /from\s+['"]react['"]|require\(\s*['"]react['"]|\bReact\.createElement\b/],
+    ['Vue', /from\s+['"]vue['"]|<template>[\s\S]*<script/],
+    ['Angular', /from\s+['"]@angular\/core['"]/],
+    ['Express', /from\s+['"]express['"]|require\(\s*['"]express['"]/],
+    ['NestJS', /from\s+['"]@nestjs\/\w+['"]/],
+    ['Django', /^\s*(from|import)\s+django\b/m],
+    ['Flask', /^\s*(from|import)\s+flask\b/m],
+    ['FastAPI', /^\s*(from|import)\s+fastapi\b/m],
+    ['Spring', /import\s+org\.springframework\./],
+    ['Rails', /\bRails\.application\b|<\s*(ActiveRecord::Base|ApplicationController|ApplicationRecord)\b/],
+    ['Laravel', /use\s+Illuminate\\/],
+    ['ASP.NET', /using\s+Microsoft\.AspNetCore/],
+    ['Gin', /"github\.com\/gin-gonic\/gin"/]
+];
+
+/**
+ * Error raised for unknown profiles or invalid custom templates
+ */
+export class ProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfileError';
+    }
+}
+
+function checkTemplate(name, template) {
+    if (typeof template !== 'string' || !template.trim()) {
+        throw new ProfileError(`Profile "${name}" needs a template`);
+    }
+    const unknown = [...template.matchAll(VARIABLE_PATTERN)]
+        .map(match => match[1])
+        .filter(variable => !TEMPLATE_VARIABLES.includes(variable));
+    if (unknown.length) {
+        throw new ProfileError(`Profile "${name}" uses unknown template variables: ${unknown.join(', ')}`);
+    }
+}
+
+/**
+ * Read custom profiles from `<dir>/<name>.json` files holding
+ * `{ label, description, version, template }`. A file named after a
+ * built-in profile replaces it.
+ */
+export function loadCustomProfiles(dir) {
+    const profiles = {};
+    for (const file of fs.readdirSync(dir).filter(entry => entry.endsWith('.json')).sort()) {
+        const name = path.basename(file, '.json');
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            throw new ProfileError(`Invalid profile name "${name}": use lowercase letters, digits and dashes`);
+        }
+
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        } catch (error) {
+            throw new ProfileError(`Could not read profile ${file}: ${error.message}`);
+        }
+        if (!Number.isInteger(definition.version) || definition.version < 1) {
+            throw new ProfileError(`Profile "${name}" needs a positive integer version`);
+        }
+        checkTemplate(name, definition.template);
+
+        profiles[name] = {
+            label: definition.label || name,
+            description: definition.description || '',
+            version: definition.version,
+            template: definition.template
+        };
+    }
+    return profiles;
+}
+
+let loaded = null;
+
+/**
+ * All profiles by name: the built-ins plus any from PROMPT_TEMPLATES_DIR
+ */
+export function getProfiles(env = process.env) {
+    const dir = env.PROMPT_TEMPLATES_DIR || '';
+    if (loaded?.dir !== dir) {
+        const custom = dir ? loadCustomProfiles(path.resolve(dir)) : {};
+        const profiles = Object.entries({ ...BUILTIN_PROFILES, ...custom })
+            .map(([name, profile]) => [name, Object.freeze({ name, ...profile })]);
+        loaded = { dir, profiles: new Map(profiles) };
+        if (dir) console.log(`📝 Loaded ${Object.keys(custom).length} custom analysis profiles from ${dir}`);
+    }
+    return loaded.profiles;
+}
+
+/**
+ * Look up a profile by name; throws ProfileError for unknown names
+ */
+export function getProfile(name = DEFAULT_PROFILE, env = process.env) {
+    const profiles = getProfiles(env);
+    const profile = profiles.get(name || DEFAULT_PROFILE);
+    if (!profile) {
+        throw new ProfileError(`Unknown analysis profile "${name}". Use one of: ${[...profiles.keys()].join(', ')}`);
+    }
+    return profile;
+}
+
+/**
+ * Public description of the available profiles
+ */
+export function listProfiles(env = process.env) {
+    return [...getProfiles(env).values()].map(({ name, label, description, version }) => ({
+        name,
+        label,
+        description,
+        version,
+        default: name === DEFAULT_PROFILE
+    }));
+}
+
+/**
+ * Template variables for a file: its language from the extension and the
+ * framework its imports point at
+ */
+export function getTemplateVariables(filename, content = '') {
+    const extension = path.posix.extname(filename).slice(1).toLowerCase();
+    const framework = FRAMEWORK_PATTERNS.find(([, pattern]) => pattern.test(content));
+
+    return {
+        language: LANGUAGE_NAMES[extension] || 'unknown',
+        framework: framework ? framework[0] : 'none detected',
+        filename
+    };
+}
+
+/**
+ * Fill in a template's {{variables}}
+ */
+export function renderTemplate(template, variables = {}) {
+    return template.replace(VARIABLE_PATTERN, (match, name) => variables[name] ?? 'unknown');
+}
@@ -0,0 +1,336 @@
+/**
+ * LLM provider layer
+ * Lets code analysis run against Gemini, any OpenAI-compatible endpoint
+ * (OpenAI, Ollama, llama.cpp, vLLM) or a deterministic in-process mock
+ */
+import http from 'http';
+import https from 'https';
+import { URL } from 'url';
+
+import { createLimiter, createCircuitBreaker, withRetry, parseRetryAfter } from './resilience.js';
+
+/**
+ * Default settings for each supported provider
+ */
+const PROVIDER_DEFAULTS = {
+    gemini: {
+        model: 'gemini-2.0-flash-exp',
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        authHeader: 'x-goog-api-key'
+    },
+    openai: {
+        model: 'gpt-4o-mini',
+        baseUrl: 'https://api.openai.com/v1',
+        authHeader: 'Authorization'
+    },
+    ollama: {
+        model: 'llama3.1',
+        baseUrl: 'http://localhost:11434/v1',
+        authHeader: null
+    },
+    mock: {
+        model: 'mock',
+        baseUrl: null,
+        authHeader: null
+    }
+};
+
+export const SUPPORTED_PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+
+/**
+ * Known context window sizes (tokens) by model name prefix, most specific first
+ */
+const MODEL_CONTEXT_WINDOWS = [
+    [/^gemini-(1\.5|2)/, 1048576],
+    [/^gemini/, 32768],
+    [/^(gpt-4o|gpt-4\.1|gpt-4-turbo|o1|o3|o4)/, 128000],
+    [/^gpt-4/, 8192],
+    [/^gpt-3\.5/, 16385],
+    [/^(llama3\.[1-3]|qwen2\.5|mistral-nemo)/, 128000],
+    [/^(codellama|deepseek-coder|mistral)/, 16384]
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Look up the context window for a model, falling back to a conservative default
+ */
+export function getContextWindow(model) {
+    const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test((model || '').toLowerCase()));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Error raised when a provider call fails
+ */
+export class ProviderError extends Error {
+    constructor(message, { status = null, body = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.body = body;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Transient failures (network errors, timeouts, 408/425/429/5xx) are worth retrying
+ */
+export function isTransientError(error) {
+    if (!(error instanceof ProviderError)) {
+        return false;
+    }
+    return error.status === null ||
+           [408, 425, 429].includes(error.status) ||
+           error.status >= 500;
+}
+
+/**
+ * Build provider configuration from environment variables
+ */
+export function getProviderConfig(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const defaults = PROVIDER_DEFAULTS[name];
+
+    if (!defaults) {
+        throw new Error(`Unknown LLM provider "${name}". Supported: ${SUPPORTED_PROVIDERS.join(', ')}`);
+    }
+
+    // Gemini keeps honoring its original variables
+    const legacy = name === 'gemini' ? {
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL,
+        maxTokens: env.GEMINI_MAX_TOKENS,
+        temperature: env.GEMINI_TEMPERATURE
+    } : {};
+
+    const maxTokens = parseInt(env.LLM_MAX_TOKENS || legacy.maxTokens);
+    const temperature = parseFloat(env.LLM_TEMPERATURE || legacy.temperature);
+    const model = env.LLM_MODEL || legacy.model || defaults.model;
+
+    return {
+        provider: name,
+        model,
+        baseUrl: (env.LLM_BASE_URL || defaults.baseUrl || '').replace(/\/+$/, '') || null,
+        apiKey: env.LLM_API_KEY || legacy.apiKey || (name === 'openai' ? env.OPENAI_API_KEY : undefined) || null,
+        authHeader: env.LLM_AUTH_HEADER !== undefined ? (env.LLM_AUTH_HEADER || null) : defaults.authHeader,
+        maxTokens: Number.isNaN(maxTokens) ? 1000 : maxTokens,
+        temperature: Number.isNaN(temperature) ? 0.1 : temperature,
+        contextWindow: parseInt(env.LLM_CONTEXT_WINDOW) || getContextWindow(model),
+        mockResponse: env.LLM_MOCK_RESPONSE || '[]',
+        timeoutMs: parseInt(env.LLM_TIMEOUT_MS) || 60000,
+        maxRetries: env.LLM_MAX_RETRIES !== undefined ? parseInt(env.LLM_MAX_RETRIES) || 0 : 3,
+        concurrency: Math.max(1, parseInt(env.LLM_CONCURRENCY) || 4),
+        circuitThreshold: Math.max(1, parseInt(env.LLM_CIRCUIT_THRESHOLD) || 5),
+        circuitCooldownMs: parseInt(env.LLM_CIRCUIT_COOLDOWN_MS) || 30000
+    };
+}
+
+/**
+ * Build request headers carrying the API key, if one is configured
+ */
+function buildAuthHeaders(config) {
+    if (!config.apiKey || !config.authHeader) {
+        return {};
+    }
+    const value = config.authHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${config.apiKey}`
+        : config.apiKey;
+    return { [config.authHeader]: value };
+}
+
+/**
+ * POST a JSON body and resolve with the parsed JSON response
+ */
+export function postJSON(url, body, headers = {}, { timeoutMs = 60000, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const postData = JSON.stringify(body);
+
+        const options = {
+            hostname: target.hostname,
+            port: target.port || (target.protocol === 'https:' ? 443 : 80),
+            path: `${target.pathname}${target.search}`,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(postData),
+                ...headers
+            },
+            signal
+        };
+
+        const req = client.request(options, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(new ProviderError(`API Error ${res.statusCode}: ${data}`, {
+                        status: res.statusCode,
+                        body: data,
+                        retryAfterMs: parseRetryAfter(res.headers['retry-after'])
+                    }));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch {
+                    reject(new ProviderError('Provider returned invalid JSON', { status: res.statusCode, body: data }));
+                }
+            });
+        });
+
+        req.setTimeout(timeoutMs, () => {
+            req.destroy(new ProviderError(`Request timed out after ${timeoutMs}ms`));
+        });
+        req.on('error', (error) => reject(error instanceof ProviderError || error.name === 'AbortError'
+            ? error
+            : new ProviderError(`Request failed: ${error.message}`)));
+        req.write(postData);
+        req.end();
+    });
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+function createGeminiProvider(config) {
+    return {
+        name: 'gemini',
+        model: config.model,
+        isConfigured: () => !!config.apiKey,
+        async generate(prompt, { signal } = {}) {
+            const url = `${config.baseUrl}/models/${config.model}:generateContent`;
+            const response = await postJSON(url, {
+                contents: [{ parts: [{ text: prompt }] }],
+                generationConfig: {
+                    temperature: config.temperature,
+                    maxOutputTokens: config.maxTokens
+                }
+            }, buildAuthHeaders(config), { timeoutMs: config.timeoutMs, signal });
+
+            const text = response?.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (typeof text !== 'string') {
+                throw new ProviderError('Gemini response contained no text', { status: 200 });
+            }
+            return text;
+        }
+    };
+}
+
+/**
+ * OpenAI-compatible chat completions API (OpenAI, Ollama, llama.cpp, vLLM)
+ */
+function createOpenAICompatibleProvider(config) {
+    return {
+        name: config.provider,
+        model: config.model,
+        // Local servers usually run without a key
+        isConfigured: () => !!config.baseUrl && (!!config.apiKey || !config.authHeader),
+        async generate(prompt, { signal } = {}) {
+            const response = await postJSON(`${config.baseUrl}/chat/completions`, {
+                model: config.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: config.temperature,
+                max_tokens: config.maxTokens
+            }, buildAuthHeaders(config), { timeoutMs: config.timeoutMs, signal });
+
+            const text = response?.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') {
+                throw new ProviderError('Chat completion response contained no text', { status: 200 });
+            }
+            return text;
+        }
+    };
+}
+
+/**
+ * Deterministic in-process provider for tests and offline runs
+ */
+function createMockProvider(config) {
+    return {
+        name: 'mock',
+        model: config.model,
+        isConfigured: () => true,
+        async generate() {
+            return config.mockResponse;
+        }
+    };
+}
+
+/**
+ * Create the raw (unguarded) provider for a configuration
+ */
+function createBaseProvider(config) {
+    switch (config.provider) {
+        case 'gemini':
+            return createGeminiProvider(config);
+        case 'openai':
+        case 'ollama':
+            return createOpenAICompatibleProvider(config);
+        case 'mock':
+            return createMockProvider(config);
+        default:
+            throw new Error(`Unknown LLM provider "${config.provider}"`);
+    }
+}
+
+// Limiter and circuit breaker shared by every instance pointing at the same endpoint
+const endpointGuards = new Map();
+
+function getEndpointGuards(config) {
+    const key = `${config.provider}|${config.baseUrl}|${config.model}`;
+    if (!endpointGuards.has(key)) {
+        endpointGuards.set(key, {
+            limiter: createLimiter(config.concurrency),
+            breaker: createCircuitBreaker({
+                failureThreshold: config.circuitThreshold,
+                cooldownMs: config.circuitCooldownMs,
+                shouldTrip: isTransientError
+            })
+        });
+    }
+    return endpointGuards.get(key);
+}
+
+/**
+ * Create a provider instance from a configuration object.
+ * Calls are bounded in concurrency, retried on transient errors with
+ * backoff (honoring Retry-After) and fail fast while the circuit is open.
+ */
+export function createProvider(config) {
+    const base = createBaseProvider(config);
+    const { limiter, breaker } = getEndpointGuards(config);
+
+    return {
+        ...base,
+        contextWindow: config.contextWindow,
+        maxOutputTokens: config.maxTokens,
+        getCircuitState: () => breaker.getState(),
+        generate(prompt, { signal } = {}) {
+            return limiter.run(() => {
+                if (signal?.aborted) {
+                    throw signal.reason || new Error('Aborted');
+                }
+                return breaker.execute(() => withRetry(
+                    () => base.generate(prompt, { signal }),
+                    {
+                        retries: config.maxRetries,
+                        isRetryable: isTransientError,
+                        signal,
+                        onRetry: (error, attempt, delay) => {
+                            console.warn(`🔁 ${base.name} call failed (${error.message.substring(0, 80)}), retry ${attempt}/${config.maxRetries} in ${Math.round(delay)}ms`);
+                        }
+                    }
+                ));
+            });
+        }
+    };
+}
+
+/**
+ * Get the provider configured by the environment
+ */
+export function getProvider(env = process.env) {
+    return createProvider(getProviderConfig(env));
+}
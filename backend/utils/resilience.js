@@ -0,0 +1,191 @@
+/**
+ * Resilience helpers for outbound provider calls
+ * Bounded concurrency, retry with exponential backoff and circuit breaking
+ */
+
+/**
+ * Error raised when a call is rejected because the circuit is open
+ */
+export class CircuitOpenError extends Error {
+    constructor(retryInMs) {
+        super(`Circuit open, retry in ${Math.ceil(retryInMs / 1000)}s`);
+        this.name = 'CircuitOpenError';
+        this.retryInMs = retryInMs;
+    }
+}
+
+/**
+ * Resolve after `ms`, rejecting early if the signal aborts
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason || new Error('Aborted'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || new Error('Aborted'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once
+ */
+export function createLimiter(concurrency) {
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return {
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                next();
+            });
+        },
+        get active() { return active; },
+        get pending() { return queue.length; }
+    };
+}
+
+/**
+ * Call `fn` and retry retryable failures with exponential backoff and jitter.
+ * An error's `retryAfterMs` (from a Retry-After header) overrides the backoff.
+ */
+export async function withRetry(fn, options = {}) {
+    const {
+        retries = 3,
+        baseDelayMs = 500,
+        maxDelayMs = 30000,
+        isRetryable = () => true,
+        onRetry = () => {},
+        signal
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error) || signal?.aborted) {
+                throw error;
+            }
+
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const jittered = backoff / 2 + Math.random() * backoff / 2;
+            const delay = error.retryAfterMs != null
+                ? Math.min(maxDelayMs, error.retryAfterMs)
+                : jittered;
+
+            onRetry(error, attempt + 1, delay);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+/**
+ * Create a circuit breaker that opens after `failureThreshold` consecutive
+ * failures, rejects calls for `cooldownMs`, then lets one trial call through
+ */
+export function createCircuitBreaker(options = {}) {
+    const {
+        failureThreshold = 5,
+        cooldownMs = 30000,
+        shouldTrip = () => true,
+        now = () => Date.now()
+    } = options;
+
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    const open = () => {
+        state = 'open';
+        openedAt = now();
+        trialInFlight = false;
+    };
+
+    return {
+        async execute(fn) {
+            if (state === 'open') {
+                const elapsed = now() - openedAt;
+                if (elapsed < cooldownMs) {
+                    throw new CircuitOpenError(cooldownMs - elapsed);
+                }
+                state = 'half-open';
+            }
+
+            if (state === 'half-open') {
+                if (trialInFlight) {
+                    throw new CircuitOpenError(cooldownMs);
+                }
+                trialInFlight = true;
+            }
+
+            try {
+                const result = await fn();
+                state = 'closed';
+                failures = 0;
+                trialInFlight = false;
+                return result;
+            } catch (error) {
+                if (!shouldTrip(error)) {
+                    trialInFlight = false;
+                    if (state === 'half-open') state = 'closed';
+                    throw error;
+                }
+
+                failures++;
+                if (state === 'half-open' || failures >= failureThreshold) {
+                    open();
+                }
+                throw error;
+            }
+        },
+        getState() {
+            if (state === 'open' && now() - openedAt >= cooldownMs) {
+                return 'half-open';
+            }
+            return state;
+        },
+        getFailures() {
+            return failures;
+        }
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * Deterministic rule engine
+ * Pattern-based security checks that run fully offline alongside the AI pass
+ */
+import { normalizeFinding } from './findings.js';
+
+/**
+ * Map file extensions to rule language groups
+ */
+const LANGUAGE_BY_EXTENSION = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'javascript',
+    tsx: 'javascript',
+    py: 'python',
+    php: 'php',
+    rb: 'ruby',
+    java: 'java',
+    cs: 'csharp',
+    go: 'go'
+};
+
+// String literals on a line: optional f-string prefix, then a template,
+// double- or single-quoted literal. Templates may continue on the next line.
+const STRING_LITERAL = /(\bf)?(`[^`]*`?|"[^"]*"|'[^']*')/gi;
+// What follows a literal when values are formatted into it
+const STRING_CONCATENATION = /^\s*(?:\+|%|\.format\()/;
+
+/**
+ * Built-in rules. A rule matches per line with `pattern`, or inspects the
+ * whole file with `check(lines)` returning `{ line, issue? }` matches.
+ * `unless` skips the rule when the file matches it (e.g. a validator is used).
+ * `cwe` classifies the findings (see classification.js) and `confidence`
+ * (default RULE_CONFIDENCE) rates how likely a match is a real problem.
+ */
+export const RULE_CONFIDENCE = 0.9;
+
+export const RULES = [
+    {
+        id: 'eval-injection',
+        severity: 'CRITICAL',
+        cwe: 'CWE-95',
+        languages: ['javascript', 'python', 'php', 'ruby'],
+        pattern: /(^|[^\w.$])eval\s*\(/,
+        issue: 'eval() executes arbitrary code',
+        recommendation: 'Parse or whitelist input instead of evaluating it'
+    },
+    {
+        id: 'function-constructor',
+        severity: 'HIGH',
+        cwe: 'CWE-94',
+        languages: ['javascript'],
+        pattern: /\bnew\s+Function\s*\(/,
+        issue: 'Function constructor compiles code at runtime',
+        recommendation: 'Avoid building functions from strings'
+    },
+    {
+        id: 'sql-injection',
+        severity: 'HIGH',
+        cwe: 'CWE-89',
+        check: findSqlInterpolation,
+        issue: 'SQL query built from string interpolation',
+        recommendation: 'Use parameterized queries or prepared statements'
+    },
+    {
+        id: 'hardcoded-credential',
+        severity: 'CRITICAL',
+        cwe: 'CWE-798',
+        confidence: 0.7,
+        pattern: /\b\w*(?:password|passwd|pwd|secret|api_?key|access_?token|auth_?token)\w*\b["']?\s*[:=]\s*["'][^"'\s{}$]{4,}["']/i,
+        issue: 'Hardcoded credential in source code',
+        recommendation: 'Load secrets from environment or a secret manager'
+    },
+    {
+        id: 'command-injection',
+        severity: 'CRITICAL',
+        cwe: 'CWE-78',
+        languages: ['javascript'],
+        pattern: /\b(?:exec|execSync|spawn|spawnSync|execFile|execFileSync)\s*\([^)]*(?:\breq\.(?:body|query|params|headers)|\$\{|["'`]\s*\+)/,
+        issue: 'Shell command built from request or dynamic data',
+        recommendation: 'Use execFile with fixed args and validate input'
+    },
+    {
+        id: 'command-injection',
+        severity: 'CRITICAL',
+        cwe: 'CWE-78',
+        languages: ['python'],
+        pattern: /\bos\.(?:system|popen)\s*\(\s*[^'"\s)]|\bsubprocess\.\w+\([^)]*shell\s*=\s*True/,
+        issue: 'Shell command executed with dynamic input',
+        recommendation: 'Use subprocess.run with an argument list'
+    },
+    {
+        id: 'weak-hash',
+        severity: 'MEDIUM',
+        cwe: 'CWE-328',
+        pattern: /createHash\(\s*["'](?:md5|sha1)["']|\bhashlib\.(?:md5|sha1)\b|MessageDigest\.getInstance\(\s*"(?:MD5|SHA-?1)"/i,
+        issue: 'Weak hash algorithm (MD5/SHA-1)',
+        recommendation: 'Use bcrypt/argon2 for passwords, SHA-256+ otherwise'
+    },
+    {
+        id: 'weak-cipher',
+        severity: 'HIGH',
+        cwe: 'CWE-327',
+        pattern: /createCipher(?:iv)?\(\s*["'](?:des|des-ede|rc4|[\w-]*-ecb)["']|\b(?:DES|ARC4|Blowfish)\.new\(|Cipher\.getInstance\(\s*"(?:DES|RC4|AES\/ECB)/i,
+        issue: 'Weak or broken cipher configuration',
+        recommendation: 'Use AES-GCM or ChaCha20-Poly1305'
+    },
+    {
+        id: 'tls-verification-disabled',
+        severity: 'HIGH',
+        cwe: 'CWE-295',
+        pattern: /rejectUnauthorized\s*:\s*false|NODE_TLS_REJECT_UNAUTHORIZED\s*=\s*["']?0|\bverify\s*=\s*False\b/,
+        issue: 'TLS certificate verification disabled',
+        recommendation: 'Keep certificate verification enabled'
+    },
+    {
+        id: 'insecure-deserialization',
+        severity: 'HIGH',
+        cwe: 'CWE-502',
+        languages: ['python'],
+        pattern: /\bpickle\.loads?\(|\byaml\.load\((?![^)]*Loader\s*=\s*yaml\.SafeLoader)/,
+        issue: 'Unsafe deserialization of untrusted data',
+        recommendation: 'Use json or yaml.safe_load'
+    },
+    {
+        id: 'sensitive-error-logging',
+        severity: 'MEDIUM',
+        cwe: 'CWE-209',
+        languages: ['javascript'],
+        pattern: /console\.log\(\s*(?:err|error|e|ex)\s*\)/,
+        issue: 'Raw error object logged',
+        recommendation: 'Log a sanitized message, not internal error details'
+    },
+    {
+        id: 'sensitive-error-logging',
+        severity: 'MEDIUM',
+        cwe: 'CWE-209',
+        languages: ['python'],
+        pattern: /\bprint\((?:\s*(?:e|err|error|ex)\s*\)|[^)]*\{(?:e|err|error|ex)\})/,
+        issue: 'Raw exception details printed',
+        recommendation: 'Log a sanitized message, not internal error details'
+    },
+    {
+        id: 'unvalidated-request-body',
+        severity: 'MEDIUM',
+        cwe: 'CWE-20',
+        confidence: 0.5,
+        languages: ['javascript'],
+        pattern: /=\s*req\.body\s*;/,
+        unless: /validationResult|\bJoi\b|\bzod\b|\bz\.object|\.validate\(|\bcelebrate\b|\byup\b/,
+        issue: 'Request body used without input validation',
+        recommendation: 'Validate and sanitize request fields'
+    },
+    {
+        id: 'unused-declaration',
+        severity: 'LOW',
+        cwe: 'CWE-563',
+        confidence: 0.6,
+        languages: ['javascript'],
+        check: (lines) => findUnusedDeclarations(lines, /^(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/),
+        issue: 'Top-level variable is never used',
+        recommendation: 'Remove the unused variable'
+    },
+    {
+        id: 'unused-declaration',
+        severity: 'LOW',
+        cwe: 'CWE-561',
+        confidence: 0.6,
+        languages: ['python'],
+        check: (lines) => findUnusedDeclarations(lines, /^def\s+([A-Za-z_]\w*)\s*\(/),
+        issue: 'Top-level function is never called in this file',
+        recommendation: 'Remove dead code or confirm it is used elsewhere'
+    }
+];
+
+/**
+ * Resolve the rule language for a filename
+ */
+export function getRuleLanguage(filename) {
+    const ext = filename.split('.').pop()?.toLowerCase();
+    return LANGUAGE_BY_EXTENSION[ext] || null;
+}
+
+/**
+ * Lines that are entirely comments are not matched by line rules
+ */
+function isCommentLine(line) {
+    const trimmed = line.trim();
+    return trimmed.startsWith('//') ||
+           trimmed.startsWith('#') ||
+           trimmed.startsWith('/*') ||
+           trimmed.startsWith('*');
+}
+
+/**
+ * Whether a string holds an SQL statement shape (not plain English "select").
+ * Each test is a single linear scan, whatever the length of the string.
+ */
+function isSqlStatement(text) {
+    const select = text.search(/\bSELECT\b/i);
+    return (select !== -1 && /\bFROM\b/i.test(text.slice(select))) ||
+        /\b(?:INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM)\b/i.test(text);
+}
+
+/**
+ * Find SQL string literals with values interpolated into them: template
+ * literals with `${}`, Python f-strings, and literals followed by `+`, `%`
+ * or `.format(`. Literals are found first and tested for SQL separately, so
+ * long lines cannot make the matching backtrack.
+ */
+function findSqlInterpolation(lines) {
+    const matches = [];
+
+    lines.forEach((line, index) => {
+        if (isCommentLine(line)) return;
+
+        for (const literal of line.matchAll(STRING_LITERAL)) {
+            const [text, prefix, quoted] = literal;
+            const end = literal.index + text.length;
+            const interpolated = quoted[0] === '`'
+                ? quoted.includes('${')
+                : (prefix && quoted.includes('{')) || STRING_CONCATENATION.test(line.slice(end));
+            if (interpolated && isSqlStatement(quoted)) {
+                matches.push({ line: index + 1, column: literal.index + 1, endColumn: end + 1 });
+                return;
+            }
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Find top-level declarations whose name appears only once in the file
+ */
+function findUnusedDeclarations(lines, declarationPattern) {
+    const source = lines.join('\n');
+    const matches = [];
+
+    lines.forEach((line, index) => {
+        const match = line.match(declarationPattern);
+        if (!match) return;
+
+        const name = match[1].replace(/\$/g, '\\$');
+        const occurrences = source.match(new RegExp(`(^|[^\\w$])${name}(?![\\w$])`, 'g')) || [];
+        if (occurrences.length === 1) {
+            matches.push({ line: index + 1 });
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Run all applicable rules over a file's content
+ */
+export function runRules(content, filename = 'unknown.txt', rules = RULES) {
+    if (!content || typeof content !== 'string') {
+        return [];
+    }
+
+    const language = getRuleLanguage(filename);
+    const lines = content.split(/\r?\n/);
+    const findings = [];
+
+    for (const rule of rules) {
+        if (rule.languages && !rule.languages.includes(language)) continue;
+        if (rule.unless && rule.unless.test(content)) continue;
+
+        const matches = rule.check
+            ? rule.check(lines)
+            : lines.flatMap((line, index) => {
+                const match = !isCommentLine(line) && rule.pattern.exec(line);
+                if (!match) return [];
+                // Columns of the matched text, without leading whitespace
+                const start = match.index + match[0].length - match[0].trimStart().length;
+                return [{ line: index + 1, column: start + 1, endColumn: match.index + match[0].length + 1 }];
+            });
+
+        matches.forEach(match => {
+            findings.push({
+                ...normalizeFinding({
+                    severity: rule.severity,
+                    line: match.line,
+                    column: match.column,
+                    endColumn: match.endColumn,
+                    confidence: rule.confidence ?? RULE_CONFIDENCE,
+                    issue: match.issue || rule.issue,
+                    recommendation: rule.recommendation,
+                    cwe: rule.cwe
+                }),
+                source: 'rule',
+                ruleId: rule.id
+            });
+        });
+    }
+
+    return findings.sort((a, b) => a.line - b.line);
+}
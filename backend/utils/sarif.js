@@ -0,0 +1,198 @@
+/**
+ * SARIF 2.1.0 export
+ * Converts code analysis results into a Static Analysis Results Interchange
+ * Format log for code-scanning viewers and IDE SARIF plugins
+ */
+import { RULES } from './rules.js';
+import { SECRET_RULES } from './secrets.js';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVEL_BY_SEVERITY = {
+    CRITICAL: 'error',
+    HIGH: 'error',
+    MEDIUM: 'warning',
+    LOW: 'note'
+};
+
+// Numeric scores used by code-scanning UIs to rank security results
+const SECURITY_SEVERITY = {
+    CRITICAL: '9.5',
+    HIGH: '8.0',
+    MEDIUM: '5.5',
+    LOW: '2.0'
+};
+
+function slugify(text) {
+    return (text || 'finding')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60) || 'finding';
+}
+
+/**
+ * Stable rule ID for a finding. Rule engine findings keep their rule ID; AI
+ * findings are grouped by their issue text.
+ */
+export function getFindingRuleId(finding) {
+    if (finding.ruleId) return finding.ruleId;
+    return `${finding.source === 'ai' ? 'ai' : 'autonalyst'}/${slugify(finding.issue)}`;
+}
+
+// partialFingerprints key for finding fingerprints (see fingerprints.js)
+export const FINGERPRINT_KEY = 'autonalyst/v1';
+
+function toLevel(severity) {
+    return LEVEL_BY_SEVERITY[severity] || 'note';
+}
+
+/**
+ * Code-scanning tags for a finding's classification, e.g.
+ * `external/cwe/cwe-89` and `external/owasp/A03:2021`
+ */
+function classificationTags(finding) {
+    return [
+        finding.cwe && `external/cwe/${finding.cwe.toLowerCase()}`,
+        finding.owasp && `external/owasp/${finding.owasp}`,
+        finding.category
+    ].filter(Boolean);
+}
+
+function describeRule(ruleId, finding) {
+    const builtIn = [...RULES, ...SECRET_RULES].find(rule => rule.id === ruleId);
+    const severity = builtIn?.severity || finding.severity;
+
+    return {
+        id: ruleId,
+        name: ruleId.split('/').pop().replace(/(^|-)(\w)/g, (_, dash, ch) => ch.toUpperCase()),
+        shortDescription: { text: builtIn?.issue || finding.summary || finding.issue || 'Finding' },
+        help: { text: builtIn?.recommendation || finding.recommendation || 'Review the code' },
+        ...(finding.references?.length && { helpUri: finding.references[0] }),
+        defaultConfiguration: { level: toLevel(severity) },
+        properties: {
+            tags: ['security', ['ai', 'secret', 'dependency'].includes(finding.source) ? finding.source : 'rule', ...classificationTags(finding)],
+            'security-severity': SECURITY_SEVERITY[severity] || SECURITY_SEVERITY.LOW
+        }
+    };
+}
+
+/**
+ * SARIF region of a finding's line and column range and snippet
+ */
+function toRegion(finding) {
+    const startLine = Math.max(1, parseInt(finding.line) || 1);
+    return {
+        startLine,
+        ...(finding.endLine > startLine && { endLine: finding.endLine }),
+        ...(finding.column && { startColumn: finding.column }),
+        ...(finding.column && finding.endColumn && { endColumn: finding.endColumn }),
+        ...(finding.snippet && { snippet: { text: finding.snippet } })
+    };
+}
+
+/**
+ * Encode a relative file path as a SARIF artifact URI
+ */
+function toUri(filePath) {
+    return filePath.split(/[\\/]/).map(encodeURIComponent).join('/');
+}
+
+/**
+ * SARIF suppression for a suppressed finding: stored suppressions and
+ * baselines are external, inline comments are in source
+ */
+function toSuppression(suppression) {
+    return {
+        kind: suppression.kind === 'inSource' ? 'inSource' : 'external',
+        status: 'accepted',
+        justification: ['false-positive', 'accepted-risk'].includes(suppression.status)
+            ? `${suppression.status}: ${suppression.reason}`
+            : suppression.reason
+    };
+}
+
+/**
+ * Build a SARIF log from code analysis results (`{ files, suppressed, summary }`).
+ * Suppressed findings are included with SARIF `suppressions`.
+ */
+export function toSarif(codeResults, { toolVersion = '1.0.0' } = {}) {
+    const rules = [];
+    const ruleIndex = new Map();
+    const artifacts = [];
+    const results = [];
+
+    const artifactIndex = new Map();
+    const getArtifactIndex = (filePath) => {
+        if (!artifactIndex.has(filePath)) {
+            artifactIndex.set(filePath, artifacts.length);
+            artifacts.push({ location: { uri: toUri(filePath), uriBaseId: '%SRCROOT%' } });
+        }
+        return artifactIndex.get(filePath);
+    };
+
+    const findingsByFile = [
+        ...Object.entries(codeResults?.files || {}),
+        ...Object.entries(codeResults?.suppressed || {})
+    ];
+
+    findingsByFile.forEach(([filePath, findings]) => {
+        const index = getArtifactIndex(filePath);
+
+        findings.forEach(finding => {
+            const ruleId = getFindingRuleId(finding);
+            if (!ruleIndex.has(ruleId)) {
+                ruleIndex.set(ruleId, rules.length);
+                rules.push(describeRule(ruleId, finding));
+            }
+
+            results.push({
+                ruleId,
+                ruleIndex: ruleIndex.get(ruleId),
+                level: toLevel(finding.severity),
+                message: { text: [finding.issue || 'Finding', finding.explanation].filter(Boolean).join('\n\n') },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: toUri(filePath), uriBaseId: '%SRCROOT%', index },
+                        region: toRegion(finding)
+                    }
+                }],
+                ...(finding.fingerprint && { partialFingerprints: { [FINGERPRINT_KEY]: finding.fingerprint } }),
+                ...(finding.suppression && { suppressions: [toSuppression(finding.suppression)] }),
+                properties: {
+                    severity: finding.severity,
+                    recommendation: finding.recommendation,
+                    engine: finding.source || 'autonalyst',
+                    confidence: finding.confidence ?? null,
+                    references: finding.references || [],
+                    category: finding.category || null,
+                    cwe: finding.cwe || null,
+                    owasp: finding.owasp || null
+                }
+            });
+        });
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'Autonalyst',
+                    version: toolVersion,
+                    semanticVersion: toolVersion,
+                    informationUri: 'https://github.com/Harshoncrease/Auto-Nalyst',
+                    rules
+                }
+            },
+            artifacts,
+            results,
+            invocations: [{ executionSuccessful: true }],
+            properties: {
+                summary: codeResults?.summary || {}
+            }
+        }]
+    };
+}
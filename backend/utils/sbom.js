@@ -0,0 +1,185 @@
+/**
+ * CycloneDX 1.5 SBOM export
+ * Converts the dependency inventory of a code analysis (see
+ * collectDependencies) into a CycloneDX JSON bill of materials, with the
+ * advisories reported for its components as vulnerabilities
+ */
+import crypto from 'crypto';
+
+import { normalizeLicense, getLicenseCategory } from './licenses.js';
+import { normalizePackageName } from './advisories.js';
+
+export const CYCLONEDX_VERSION = '1.5';
+export const CYCLONEDX_SCHEMA = 'http://cyclonedx.org/schema/bom-1.5.schema.json';
+
+// Package URL types by OSV ecosystem
+const PURL_TYPES = { npm: 'npm', PyPI: 'pypi', Maven: 'maven', Go: 'golang' };
+
+/**
+ * Package URL (https://github.com/package-url/purl-spec) of a component;
+ * without a version when it is not known
+ */
+export function toPurl(ecosystem, name, version = null) {
+    const type = PURL_TYPES[ecosystem];
+    const packagePath = ecosystem === 'Maven'
+        ? name.replace(':', '/')
+        : ecosystem === 'PyPI' ? normalizePackageName(ecosystem, name) : name;
+    const encoded = packagePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    return `pkg:${type}/${encoded}${version ? `@${encodeURIComponent(version)}` : ''}`;
+}
+
+/**
+ * CycloneDX `group` and `name` of a component: the npm scope or Maven
+ * groupId is the group
+ */
+function splitName(ecosystem, name) {
+    if (ecosystem === 'Maven' && name.includes(':')) {
+        const [group, artifact] = name.split(':');
+        return { group, name: artifact };
+    }
+    if (ecosystem === 'npm' && name.startsWith('@') && name.includes('/')) {
+        const [group, ...rest] = name.split('/');
+        return { group, name: rest.join('/') };
+    }
+    return { name };
+}
+
+/**
+ * CycloneDX license choice: a known SPDX ID, a named license, or an expression
+ */
+function toLicenses(expression) {
+    const license = normalizeLicense(expression);
+    if (!license) return [];
+    const { tree } = license;
+    if (tree.license && !tree.exception) {
+        return getLicenseCategory(tree.license) === 'unknown' || /^UNLICENSED$/i.test(tree.license)
+            ? [{ license: { name: tree.license } }]
+            : [{ license: { id: tree.license } }];
+    }
+    return [{ expression: license.expression }];
+}
+
+function componentKey(ecosystem, name, version) {
+    return `${ecosystem}:${name}@${version ?? ''}`;
+}
+
+/**
+ * Where an advisory or alias is published
+ */
+function advisorySource(id) {
+    if (/^CVE-/i.test(id)) return { name: 'NVD', url: `https://nvd.nist.gov/vuln/detail/${id}` };
+    if (/^GHSA-/i.test(id)) return { name: 'GitHub', url: `https://github.com/advisories/${id}` };
+    return { name: 'OSV', url: `https://osv.dev/vulnerability/${id}` };
+}
+
+/**
+ * CycloneDX vulnerability analysis of a suppressed finding
+ */
+function toAnalysis(suppression) {
+    return suppression.status === 'false-positive'
+        ? { state: 'false_positive', detail: suppression.reason }
+        : { state: 'exploitable', response: ['will_not_fix'], detail: suppression.reason };
+}
+
+/**
+ * Build a CycloneDX SBOM from code analysis results (`{ files, suppressed,
+ * components, licenses }`). Components are identified by their package URL;
+ * licenses resolved by the license report are preferred over the raw
+ * lockfile ones. Dependency findings become vulnerabilities affecting their
+ * component, suppressed ones with an analysis state.
+ */
+export function toCycloneDx(codeResults, { toolVersion = '1.0.0', timestamp = new Date() } = {}) {
+    const { project = {}, components = [] } = codeResults?.components || {};
+    const licenses = new Map((codeResults?.licenses?.dependencies || [])
+        .map(dependency => [componentKey(dependency.ecosystem, dependency.name, dependency.version), dependency.license]));
+
+    const bomComponents = new Map();
+    const directRefs = [];
+    const addComponent = ({ ecosystem, name, version, direct = false, dev = false, license = null, hashes = [], files = [] }) => {
+        const key = componentKey(ecosystem, name, version);
+        if (bomComponents.has(key)) return bomComponents.get(key);
+
+        const purl = toPurl(ecosystem, name, version);
+        if (direct) directRefs.push(purl);
+        const expression = licenses.has(key) ? licenses.get(key) : license;
+        bomComponents.set(key, {
+            type: 'library',
+            'bom-ref': purl,
+            ...splitName(ecosystem, name),
+            ...(version && { version }),
+            scope: dev ? 'excluded' : 'required',
+            ...(hashes.length && { hashes }),
+            ...(expression && { licenses: toLicenses(expression) }),
+            purl,
+            ...(files.length && { evidence: { occurrences: files.map(location => ({ location })) } })
+        });
+        return bomComponents.get(key);
+    };
+    components.forEach(addComponent);
+
+    const vulnerabilities = new Map();
+    // Active findings come first; an advisory is only marked as analyzed
+    // when all of its findings are suppressed
+    [
+        ...Object.entries(codeResults?.files || {}),
+        ...Object.entries(codeResults?.suppressed || {})
+    ].flatMap(([file, findings]) => findings.map(finding => ({ file, finding }))).filter(({ finding }) => finding.advisory).forEach(({ file, finding }) => {
+        const { advisory } = finding;
+        const ref = addComponent({ ecosystem: advisory.ecosystem, name: advisory.package, version: advisory.version })['bom-ref'];
+
+        if (!vulnerabilities.has(advisory.id)) {
+            vulnerabilities.set(advisory.id, {
+                'bom-ref': `vulnerability:${advisory.id}`,
+                id: advisory.id,
+                source: advisorySource(advisory.id),
+                ...(advisory.aliases.length && {
+                    references: advisory.aliases.map(alias => ({ id: alias, source: advisorySource(alias) }))
+                }),
+                ratings: [{ source: advisorySource(advisory.id), severity: finding.severity.toLowerCase() }],
+                cwes: [1395],
+                description: finding.summary || finding.issue,
+                ...(finding.explanation && { detail: finding.explanation }),
+                recommendation: finding.recommendation,
+                ...(finding.references?.length && { advisories: finding.references.map(url => ({ url })) }),
+                affects: [],
+                ...(finding.suppression && { analysis: toAnalysis(finding.suppression) }),
+                properties: []
+            });
+        }
+        const vulnerability = vulnerabilities.get(advisory.id);
+        if (!vulnerability.affects.some(affected => affected.ref === ref)) {
+            vulnerability.affects.push({ ref, versions: [{ version: advisory.version, status: 'affected' }] });
+        }
+        // Links to the report's findings
+        vulnerability.properties.push({ name: 'autonalyst:finding', value: `${file}:${finding.line}` });
+        if (finding.fingerprint) vulnerability.properties.push({ name: 'autonalyst:fingerprint', value: finding.fingerprint });
+    });
+
+    const projectRef = project.name && project.ecosystem ? toPurl(project.ecosystem, project.name, project.version) : null;
+
+    return {
+        $schema: CYCLONEDX_SCHEMA,
+        bomFormat: 'CycloneDX',
+        specVersion: CYCLONEDX_VERSION,
+        serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+        version: 1,
+        metadata: {
+            timestamp: new Date(timestamp).toISOString(),
+            tools: {
+                components: [{ type: 'application', name: 'Autonalyst', version: toolVersion }]
+            },
+            ...(projectRef && {
+                component: {
+                    type: 'application',
+                    'bom-ref': projectRef,
+                    ...splitName(project.ecosystem, project.name),
+                    ...(project.version && { version: project.version }),
+                    ...(project.license && { licenses: toLicenses(project.license) })
+                }
+            })
+        },
+        components: [...bomComponents.values()],
+        ...(projectRef && { dependencies: [{ ref: projectRef, dependsOn: directRefs }] }),
+        vulnerabilities: [...vulnerabilities.values()]
+    };
+}
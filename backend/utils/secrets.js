@@ -0,0 +1,318 @@
+/**
+ * Secret scanner
+ * Deterministic detection of hardcoded secrets: known provider token
+ * formats, private keys and high-entropy string literals. Detected values
+ * are masked (see maskSecret) in findings, in code sent to the model and in
+ * stored sources, so they never reach responses, logs or caches.
+ */
+import ignore from 'ignore';
+
+import { normalizeFinding } from './findings.js';
+
+export const SECRET_CONFIDENCE = 0.95;
+
+// Minimum length and Shannon entropy (bits per character) of string
+// literals reported as random-looking secrets, per character set
+export const ENTROPY_LIMITS = {
+    hex: { minLength: 32, threshold: 3.0 },
+    base64: { minLength: 24, threshold: 4.2 }
+};
+
+// Values shorter than this are never masked
+const MIN_MASK_LENGTH = 4;
+
+// Placeholders, documentation examples, masked values and integrity hashes
+export const DEFAULT_ALLOWLIST = [
+    /example|sample|dummy|placeholder|changeme|redacted|your[_-]/i,
+    /^(?:x+|\*+)$/i,
+    /\*{4}/,
+    /^sha(?:1|256|384|512)-/
+];
+
+// Lockfiles are full of hashes
+export const DEFAULT_ALLOWLIST_PATHS = [
+    'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml',
+    'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'go.sum'
+];
+
+// Files holding `key = value` settings, whose values need not be quoted
+const CONFIG_FILE = /(?:^|\/)\.env(?:\.[\w-]+)?$|\.(?:env|ini|cfg|conf|properties|toml|ya?ml)$/i;
+
+const SECRET_RULE_DEFAULTS = {
+    severity: 'CRITICAL',
+    cwe: 'CWE-798',
+    confidence: SECRET_CONFIDENCE,
+    recommendation: 'Revoke and rotate the secret, then load it from the environment or a secret manager'
+};
+
+/**
+ * Secret detectors. `pattern` matches over the whole file (flags `gd`); the
+ * `secret` group, or else the whole match, is the value that gets masked.
+ * The entropy detector is driven by ENTROPY_LIMITS instead.
+ */
+export const SECRET_RULES = [
+    {
+        id: 'aws-access-key-id',
+        label: 'AWS access key ID',
+        pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/gd
+    },
+    {
+        id: 'aws-secret-access-key',
+        label: 'AWS secret access key',
+        pattern: /aws_?secret_?(?:access_?)?key\w*["']?[ \t]*[:=][ \t]*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gid
+    },
+    {
+        id: 'github-token',
+        label: 'GitHub token',
+        pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/gd
+    },
+    {
+        id: 'slack-token',
+        label: 'Slack token',
+        pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,250}/gd
+    },
+    {
+        id: 'slack-webhook',
+        label: 'Slack webhook URL',
+        pattern: /https:\/\/hooks\.slack\.com\/services\/(?<secret>T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{20,})/gd
+    },
+    {
+        id: 'google-api-key',
+        label: 'Google API key',
+        pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/gd
+    },
+    {
+        id: 'stripe-secret-key',
+        label: 'Stripe secret key',
+        pattern: /\b[rs]k_live_[0-9A-Za-z]{24,}\b/gd
+    },
+    {
+        id: 'private-key',
+        label: 'Private key',
+        pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----(?<secret>[\s\S]*?)-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/gd
+    },
+    {
+        id: 'high-entropy-string',
+        label: 'High-entropy string',
+        confidence: 0.6
+    }
+].map(rule => ({ ...SECRET_RULE_DEFAULTS, issue: `${rule.label} in source code`, ...rule }));
+
+// Credential assignments (reported by the hardcoded-credential rule, see
+// rules.js) whose values are masked as well
+const CREDENTIAL_ASSIGNMENT = /\b\w*(?:password|passwd|pwd|secret|api_?key|access_?token|auth_?token)\w*\b["']?\s*[:=]\s*(["'])(?<secret>[^"'\s{}$]{4,})\1/gid;
+
+const QUOTED_LITERAL = /(["'`])(?<secret>[A-Za-z0-9+/=_-]+)\1/gd;
+const UNQUOTED_SETTING = /^[ \t]*(?:export[ \t]+)?[\w.-]+[ \t]*[:=][ \t]*(?<secret>[A-Za-z0-9+/=_-]+)[ \t]*$/gmd;
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+export function shannonEntropy(value) {
+    const counts = new Map();
+    for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+    return [...counts.values()].reduce((entropy, count) => {
+        const p = count / value.length;
+        return entropy - p * Math.log2(p);
+    }, 0);
+}
+
+/**
+ * Whether a literal looks like a random token: long enough, mixing letters
+ * and digits and above the entropy threshold of its character set
+ */
+export function isHighEntropy(value) {
+    if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value)) return false;
+    const limits = /^[0-9a-f]+$/i.test(value) ? ENTROPY_LIMITS.hex : ENTROPY_LIMITS.base64;
+    return value.length >= limits.minLength && shannonEntropy(value) >= limits.threshold;
+}
+
+/**
+ * Mask a secret, keeping its length and, for longer values, the first four
+ * characters: `AKIA****************`
+ */
+export function maskSecret(value) {
+    const visible = value.length > 8 ? 4 : 0;
+    return value.slice(0, visible) + '*'.repeat(value.length - visible);
+}
+
+/**
+ * Matcher for an allowlist glob: the whole value must match, with `*`
+ * standing for any run of characters. Runs in linear time, unlike regular
+ * expressions from uploaded configs could.
+ */
+export function compileGlob(glob) {
+    const [first, ...rest] = glob.split('*');
+    const last = rest.length ? rest.pop() : null;
+
+    return {
+        test(value) {
+            if (last === null) return value === first;
+            if (!value.startsWith(first) || !value.endsWith(last) || value.length < first.length + last.length) return false;
+            let offset = first.length;
+            const end = value.length - last.length;
+            for (const part of rest) {
+                const index = value.indexOf(part, offset);
+                if (index === -1 || index + part.length > end) return false;
+                offset = index + part.length;
+            }
+            return true;
+        }
+    };
+}
+
+/**
+ * Scanner options from a validated config's `secrets` section (see
+ * config.js), with the allowlist combined with the defaults. Allowlist
+ * entries are globs (see compileGlob) wherever the config comes from, as
+ * they run on every candidate.
+ */
+export function getSecretOptions(secrets = {}) {
+    return {
+        enabled: secrets.enabled ?? true,
+        entropy: secrets.entropy ?? true,
+        allowlist: [...DEFAULT_ALLOWLIST, ...(secrets.allowlist || []).map(compileGlob)],
+        allowlistPaths: ignore().add([...DEFAULT_ALLOWLIST_PATHS, ...(secrets.allowlistPaths || [])])
+    };
+}
+
+/**
+ * 1-based line and column of every offset in `content`
+ */
+function createPositionLookup(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (offset) => {
+        let line = lineStarts.length - 1;
+        while (lineStarts[line] > offset) line--;
+        return { line: line + 1, column: offset - lineStarts[line] + 1 };
+    };
+}
+
+function* matchSecrets(pattern, content) {
+    for (const match of content.matchAll(pattern)) {
+        const [start, end] = match.indices.groups?.secret || match.indices[0];
+        const value = content.slice(start, end).trim();
+        if (value) yield { start: start + content.slice(start, end).indexOf(value), value };
+    }
+}
+
+/**
+ * Find secrets in a file. Returns `{ ruleId, line, endLine, column,
+ * endColumn, value, reported }` detections; credential assignments are
+ * detected for masking only (`reported: false`). Allowlisted paths and
+ * values are skipped; `options` come from getSecretOptions.
+ */
+export function findSecrets(content, filename = 'unknown.txt', options = getSecretOptions()) {
+    if (!content || typeof content !== 'string') return [];
+    const relative = filename.replace(/\\/g, '/').replace(/^(\.?\/)+/, '');
+    if (relative && ignore.isPathValid(relative) && options.allowlistPaths.ignores(relative)) return [];
+
+    const candidates = SECRET_RULES
+        .filter(rule => rule.pattern)
+        .flatMap(rule => [...matchSecrets(rule.pattern, content)].map(match => ({ ...match, ruleId: rule.id, reported: true })));
+    if (options.entropy) {
+        const literals = [...matchSecrets(QUOTED_LITERAL, content)];
+        if (CONFIG_FILE.test(relative)) literals.push(...matchSecrets(UNQUOTED_SETTING, content));
+        candidates.push(...literals
+            .filter(match => isHighEntropy(match.value))
+            .map(match => ({ ...match, ruleId: 'high-entropy-string', reported: true })));
+    }
+    candidates.push(...[...matchSecrets(CREDENTIAL_ASSIGNMENT, content)]
+        .map(match => ({ ...match, ruleId: 'hardcoded-credential', reported: false })));
+
+    // Provider formats win over entropy and credential matches of the same text
+    const position = createPositionLookup(content);
+    const taken = [];
+    return candidates
+        .filter(candidate => !options.allowlist.some(pattern => pattern.test(candidate.value)))
+        .filter(candidate => {
+            const end = candidate.start + candidate.value.length;
+            if (taken.some(range => candidate.start < range.end && end > range.start)) return false;
+            taken.push({ start: candidate.start, end });
+            return true;
+        })
+        .map(({ start, value, ruleId, reported }) => {
+            const from = position(start);
+            const to = position(start + value.length);
+            return { ruleId, line: from.line, endLine: to.line, column: from.column, endColumn: to.column, value, reported };
+        })
+        .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Findings for the reported detections of findSecrets, with masked values
+ */
+export function toSecretFindings(detections) {
+    return detections.filter(detection => detection.reported).map(detection => {
+        const rule = SECRET_RULES.find(candidate => candidate.id === detection.ruleId);
+        return {
+            ...normalizeFinding({
+                ...rule,
+                line: detection.line,
+                endLine: detection.endLine,
+                column: detection.column,
+                endColumn: detection.endColumn,
+                issue: `${rule.issue}: ${maskSecret(detection.value.split('\n')[0])}`,
+                summary: rule.issue,
+                explanation: 'Anyone with access to the code, its history or its build artifacts can use this secret.'
+            }),
+            source: 'secret',
+            ruleId: rule.id
+        };
+    });
+}
+
+/**
+ * Build a `text -> text` function masking every detected value. Multi-line
+ * values (private keys) are masked line by line, so text holding only part
+ * of them is masked too.
+ */
+export function createMasker(detections) {
+    const values = new Map();
+    detections
+        .flatMap(detection => detection.value.split('\n'))
+        .map(value => value.trim())
+        .filter(value => value.length >= MIN_MASK_LENGTH)
+        .forEach(value => values.set(value, maskSecret(value)));
+    // Longest first, so values containing others are masked whole
+    const replacements = [...values].sort((a, b) => b[0].length - a[0].length);
+
+    return (text) => typeof text === 'string'
+        ? replacements.reduce((masked, [value, mask]) => masked.split(value).join(mask), text)
+        : text;
+}
+
+// Finding fields that may quote the code
+const MASKED_FIELDS = ['summary', 'issue', 'explanation', 'recommendation', 'snippet'];
+
+/**
+ * Copy of a finding with `mask` applied to its text fields
+ */
+export function maskFinding(finding, mask) {
+    const masked = { ...finding };
+    MASKED_FIELDS.forEach(field => {
+        if (masked[field]) masked[field] = mask(masked[field]);
+    });
+    return masked;
+}
+
+/**
+ * File content with its detected secrets masked
+ */
+export function redactSecrets(content, filename, options = getSecretOptions()) {
+    return createMasker(findSecrets(content, filename, options))(content);
+}
+
+/**
+ * Line numbers at which `masked` differs from `original`. Masks keep the
+ * length of values and never span lines, so lines stay aligned.
+ */
+export function findMaskedLines(original, masked) {
+    const originalLines = original.split('\n');
+    return masked.split('\n')
+        .map((line, index) => line === originalLines[index] ? null : index + 1)
+        .filter(Boolean);
+}
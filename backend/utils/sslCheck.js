@@ -32,12 +32,12 @@ function parseURL(url) {
 /**
  * Check SSL certificate using TLS connection
  */
-function checkSSLCertificate(hostname, port) {
+function checkSSLCertificate(hostname, port, config = DEFAULT_CONFIG) {
     return new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
             socket.destroy();
             reject(new Error('SSL check timeout'));
-        }, DEFAULT_CONFIG.timeout);
+        }, config.timeout);
 
         const socket = tls.connect({
             host: hostname,
@@ -131,9 +131,9 @@ function checkHostnameMatch(hostname, cert) {
 /**
  * Perform HTTP/HTTPS HEAD request to check connectivity and status
  */
-function performHeadRequest(url, redirectCount = 0) {
+function performHeadRequest(url, redirectCount = 0, config = DEFAULT_CONFIG) {
     return new Promise((resolve, reject) => {
-        if (redirectCount > DEFAULT_CONFIG.maxRedirects) {
+        if (redirectCount > config.maxRedirects) {
             reject(new Error('Too many redirects'));
             return;
         }
@@ -145,9 +145,9 @@ function performHeadRequest(url, redirectCount = 0) {
             hostname: urlInfo.hostname,
             port: urlInfo.port,
             path: urlInfo.pathname,
-            timeout: DEFAULT_CONFIG.timeout,
+            timeout: config.timeout,
             headers: {
-                'User-Agent': DEFAULT_CONFIG.userAgent
+                'User-Agent': config.userAgent
             },
             // For HTTPS requests, don't reject unauthorized (we check SSL separately)
             rejectUnauthorized: false
@@ -159,7 +159,7 @@ function performHeadRequest(url, redirectCount = 0) {
             // Handle redirects
             if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
                 const redirectUrl = new URL(res.headers.location, url).toString();
-                performHeadRequest(redirectUrl, redirectCount + 1)
+                performHeadRequest(redirectUrl, redirectCount + 1, config)
                     .then(result => resolve({
                         ...result,
                         redirected: true,
@@ -217,10 +217,13 @@ function getStatusText(statusCode) {
 }
 
 /**
- * Main SSL and connectivity check function
+ * Main SSL and connectivity check function. `options` overrides the
+ * `timeout`, `maxRedirects` and `userAgent` defaults (see a project
+ * config's `links` section).
  */
-export async function checkSSL(url) {
+export async function checkSSL(url, options = {}) {
     const startTime = Date.now();
+    const config = { ...DEFAULT_CONFIG, ...options };
 
     try {
         const urlInfo = parseURL(url);
@@ -242,7 +245,7 @@ export async function checkSSL(url) {
 
         try {
             // Perform HTTP/HTTPS connectivity check
-            const httpResult = await performHeadRequest(url);
+            const httpResult = await performHeadRequest(url, 0, config);
 
             result.reachable = true;
             result.status = httpResult.status;
@@ -264,7 +267,7 @@ export async function checkSSL(url) {
         // If HTTPS, check SSL certificate
         if (urlInfo.isHttps) {
             try {
-                const sslResult = await checkSSLCertificate(urlInfo.hostname, urlInfo.port);
+                const sslResult = await checkSSLCertificate(urlInfo.hostname, urlInfo.port, config);
 
                 result.ssl = {
                     valid: sslResult.valid,
@@ -0,0 +1,720 @@
+/**
+ * Persistent analysis storage
+ * Keeps code and link analyses (inputs metadata, summaries, findings and fix
+ * patches) in an embedded SQLite database that is written to disk after every
+ * change. Analyzed file contents are kept next to it, one directory per
+ * analysis, so they are not rewritten with the database.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import initSqlJs from 'sql.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ANALYSIS_KINDS = ['code', 'links'];
+
+/**
+ * Schema migrations; `PRAGMA user_version` records how many have been applied
+ */
+const MIGRATIONS = [
+    `
+    CREATE TABLE IF NOT EXISTS analyses (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        finished_at TEXT,
+        inputs TEXT NOT NULL DEFAULT '{}',
+        summary TEXT,
+        error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_analyses_kind_created ON analyses (kind, created_at);
+
+    CREATE TABLE IF NOT EXISTS findings (
+        analysis_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        file TEXT NOT NULL,
+        line INTEGER,
+        severity TEXT NOT NULL,
+        source TEXT,
+        rule_id TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_findings_analysis ON findings (analysis_id);
+
+    CREATE TABLE IF NOT EXISTS link_checks (
+        analysis_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_link_checks_analysis ON link_checks (analysis_id);
+    `,
+    `
+    ALTER TABLE analyses ADD COLUMN client_id TEXT;
+    CREATE INDEX IF NOT EXISTS idx_analyses_client ON analyses (client_id, kind, created_at);
+    `,
+    `
+    ALTER TABLE findings ADD COLUMN fingerprint TEXT;
+    ALTER TABLE findings ADD COLUMN suppressed INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE IF NOT EXISTS suppressions (
+        id TEXT PRIMARY KEY,
+        client_id TEXT,
+        fingerprint TEXT NOT NULL,
+        status TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        file TEXT,
+        rule_id TEXT,
+        issue TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (client_id, fingerprint)
+    );
+    `,
+    `
+    ALTER TABLE findings ADD COLUMN category TEXT;
+    ALTER TABLE findings ADD COLUMN cwe TEXT;
+    ALTER TABLE findings ADD COLUMN owasp TEXT;
+    `,
+    `
+    CREATE TABLE IF NOT EXISTS sources (
+        analysis_id TEXT NOT NULL,
+        file TEXT NOT NULL,
+        content TEXT NOT NULL,
+        PRIMARY KEY (analysis_id, file)
+    );
+
+    CREATE TABLE IF NOT EXISTS fixes (
+        analysis_id TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        file TEXT NOT NULL,
+        patch TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (analysis_id, fingerprint)
+    );
+    `,
+    `
+    ALTER TABLE analyses ADD COLUMN licenses TEXT;
+    `,
+    `
+    ALTER TABLE analyses ADD COLUMN components TEXT;
+    `,
+    `
+    ALTER TABLE sources ADD COLUMN masked_lines TEXT;
+    `,
+    `
+    -- File contents are kept outside the database (see writeSourceContent)
+    DROP TABLE sources;
+    CREATE TABLE sources (
+        analysis_id TEXT NOT NULL,
+        file TEXT NOT NULL,
+        bytes INTEGER NOT NULL,
+        masked_lines TEXT,
+        PRIMARY KEY (analysis_id, file)
+    );
+    `,
+    `
+    -- UNIQUE (client_id, fingerprint) lets rows without a client repeat,
+    -- since NULLs never compare equal
+    DELETE FROM suppressions WHERE rowid NOT IN (
+        SELECT MAX(rowid) FROM suppressions GROUP BY COALESCE(client_id, ''), fingerprint
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_suppressions_client_fingerprint
+        ON suppressions (COALESCE(client_id, ''), fingerprint);
+    `
+];
+
+/**
+ * Total size of the file contents kept per analysis (for fix patches);
+ * files beyond it are not stored
+ */
+export const MAX_STORED_SOURCE_BYTES = 20 * 1024 * 1024;
+
+let db = null;
+let dbPath = null;
+let sourceRetention = null;
+let analysisRetention = null;
+// Directory of analyzed file contents; they stay in memory without one
+let sourcesDir = null;
+const memorySources = new Map();
+
+/**
+ * How long and how much analyzed file content is kept for fix patches:
+ * sources older than `maxAgeMs` are dropped, then those of the oldest
+ * analyses until all of them fit in `maxTotalBytes`
+ */
+export function getSourceRetention(env = process.env) {
+    return {
+        maxAgeMs: (parseFloat(env.SOURCE_RETENTION_HOURS) || 7 * 24) * 60 * 60 * 1000,
+        maxTotalBytes: parseInt(env.SOURCE_MAX_TOTAL_BYTES) || 100 * 1024 * 1024
+    };
+}
+
+/**
+ * How long and how many finished analyses are kept: those older than
+ * `maxAgeMs` are deleted, then the oldest beyond `maxCount`
+ */
+export function getAnalysisRetention(env = process.env) {
+    return {
+        maxAgeMs: (parseFloat(env.ANALYSIS_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000,
+        maxCount: parseInt(env.ANALYSIS_MAX_COUNT) || 1000
+    };
+}
+
+/**
+ * Database file location; ':memory:' keeps analyses for the process lifetime only
+ */
+export function getStoragePath(env = process.env) {
+    return env.ANALYSIS_DB_PATH || path.join(__dirname, '..', 'data', 'autonalyst.db');
+}
+
+/**
+ * Open (or create) the analysis database. Analyses left running by a
+ * previous process are marked as interrupted, analyses beyond
+ * `analysisRetention` (see getAnalysisRetention) are deleted and stored
+ * sources beyond `retention` (see getSourceRetention) are dropped.
+ */
+export async function openStorage({ filename = getStoragePath(), retention = getSourceRetention(), analysisRetention: analysisLimits = getAnalysisRetention() } = {}) {
+    const SQL = await initSqlJs();
+    const persistent = filename !== ':memory:';
+
+    closeStorage();
+    db = persistent && fs.existsSync(filename)
+        ? new SQL.Database(fs.readFileSync(filename))
+        : new SQL.Database();
+    dbPath = persistent ? filename : null;
+    sourcesDir = persistent ? path.join(path.dirname(filename), 'sources') : null;
+    sourceRetention = retention;
+    analysisRetention = analysisLimits;
+
+    migrate(db);
+    db.run(
+        "UPDATE analyses SET status = 'interrupted', finished_at = ? WHERE status IN ('queued', 'running')",
+        [new Date().toISOString()]
+    );
+    pruneAnalyses(db);
+    pruneSources(db);
+    removeOrphanedSources();
+    persist();
+
+    console.log(`🗄️  Analysis storage: ${dbPath || 'in-memory'}`);
+    return db;
+}
+
+function migrate(database) {
+    const version = database.exec('PRAGMA user_version')[0].values[0][0];
+    MIGRATIONS.slice(version).forEach((sql, index) => {
+        database.exec(sql);
+        database.run(`PRAGMA user_version = ${version + index + 1}`);
+    });
+}
+
+export function closeStorage() {
+    if (db) {
+        db.close();
+        db = null;
+        dbPath = null;
+        sourcesDir = null;
+        sourceRetention = null;
+        analysisRetention = null;
+        memorySources.clear();
+    }
+}
+
+function getDb() {
+    if (!db) {
+        throw new Error('Analysis storage is not open');
+    }
+    return db;
+}
+
+/**
+ * Write the database to disk (atomically, through a temporary file)
+ */
+function persist() {
+    if (!dbPath) return;
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const tempPath = `${dbPath}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.from(db.export()));
+    fs.renameSync(tempPath, dbPath);
+}
+
+function queryAll(sql, params = []) {
+    const statement = getDb().prepare(sql);
+    try {
+        statement.bind(params);
+        const rows = [];
+        while (statement.step()) {
+            rows.push(statement.getAsObject());
+        }
+        return rows;
+    } finally {
+        statement.free();
+    }
+}
+
+/**
+ * Run `work` in a transaction and persist the result
+ */
+function transaction(work) {
+    const database = getDb();
+    database.run('BEGIN');
+    try {
+        const result = work(database);
+        database.run('COMMIT');
+        persist();
+        return result;
+    } catch (error) {
+        database.run('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * SQL condition limiting rows to one client. Internal callers that omit
+ * `clientId` see every analysis.
+ */
+function clientScope(clientId) {
+    return clientId === undefined
+        ? { sql: '1 = 1', params: [] }
+        : { sql: 'client_id IS ?', params: [clientId] };
+}
+
+function parseJson(text, fallback = null) {
+    return text ? JSON.parse(text) : fallback;
+}
+
+function insertResults(database, id, kind, results) {
+    if (kind === 'code') {
+        let position = 0;
+        [[results?.files, 0], [results?.suppressed, 1]].forEach(([filesMap, suppressed]) => {
+            Object.entries(filesMap || {}).forEach(([file, findings]) => {
+                findings.forEach(finding => {
+                    database.run(
+                        'INSERT INTO findings (analysis_id, position, file, line, severity, source, rule_id, fingerprint, suppressed, category, cwe, owasp, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                        [id, position++, file, finding.line ?? null, finding.severity, finding.source || null, finding.ruleId || null,
+                            finding.fingerprint || null, suppressed, finding.category || null, finding.cwe || null, finding.owasp || null,
+                            JSON.stringify(finding)]
+                    );
+                });
+            });
+        });
+    } else {
+        Object.entries(results?.results || {}).forEach(([url, check]) => {
+            database.run('INSERT INTO link_checks (analysis_id, url, data) VALUES (?, ?, ?)', [id, url, JSON.stringify(check)]);
+        });
+    }
+}
+
+/**
+ * Row to the summary shape returned by listings
+ */
+function toSummary(row) {
+    return {
+        id: row.id,
+        kind: row.kind,
+        status: row.status,
+        createdAt: row.created_at,
+        finishedAt: row.finished_at,
+        inputs: parseJson(row.inputs, {}),
+        summary: parseJson(row.summary),
+        error: row.error
+    };
+}
+
+/**
+ * Rebuild the results object an analysis produced: `{ files, suppressed,
+ * summary, components, licenses }` for code and `{ results, summary }` for
+ * links. Files without findings are restored from the recorded input file
+ * names.
+ */
+function loadResults(analysis, { components, licenses }) {
+    if (analysis.kind === 'code') {
+        const files = Object.fromEntries((analysis.inputs.files || []).map(name => [name, []]));
+        const suppressed = {};
+        queryAll('SELECT file, suppressed, data FROM findings WHERE analysis_id = ? ORDER BY position', [analysis.id])
+            .forEach(row => {
+                const target = row.suppressed ? suppressed : files;
+                (target[row.file] = target[row.file] || []).push(JSON.parse(row.data));
+            });
+        return { files, suppressed, summary: analysis.summary, ...(components && { components }), ...(licenses && { licenses }) };
+    }
+
+    const results = Object.fromEntries(
+        queryAll('SELECT url, data FROM link_checks WHERE analysis_id = ? ORDER BY rowid', [analysis.id])
+            .map(row => [row.url, JSON.parse(row.data)])
+    );
+    return { results, summary: analysis.summary };
+}
+
+/**
+ * Column values of the results sections stored as JSON: summary,
+ * components and licenses
+ */
+function serializeSections(results) {
+    return [results?.summary, results?.components, results?.licenses].map(section => section ? JSON.stringify(section) : null);
+}
+
+function getSourceContentPath(analysisId, file) {
+    const name = crypto.createHash('sha256').update(file).digest('hex').substring(0, 32);
+    return path.join(sourcesDir, encodeURIComponent(analysisId), `${name}.txt`);
+}
+
+function writeSourceContent(analysisId, file, content) {
+    if (!sourcesDir) {
+        memorySources.set(`${analysisId}\0${file}`, content);
+        return;
+    }
+    const filePath = getSourceContentPath(analysisId, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+function readSourceContent(analysisId, file) {
+    if (!sourcesDir) {
+        return memorySources.get(`${analysisId}\0${file}`) ?? null;
+    }
+    try {
+        return fs.readFileSync(getSourceContentPath(analysisId, file), 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function removeSourceContents(analysisId) {
+    if (!sourcesDir) {
+        [...memorySources.keys()]
+            .filter(key => key.startsWith(`${analysisId}\0`))
+            .forEach(key => memorySources.delete(key));
+        return;
+    }
+    fs.rmSync(path.join(sourcesDir, encodeURIComponent(analysisId)), { recursive: true, force: true });
+}
+
+/**
+ * Remove content directories no stored source refers to (left by a crash
+ * between writing them and committing, or by older databases)
+ */
+function removeOrphanedSources() {
+    if (!sourcesDir || !fs.existsSync(sourcesDir)) return;
+
+    const kept = new Set(queryAll('SELECT DISTINCT analysis_id FROM sources').map(row => encodeURIComponent(row.analysis_id)));
+    fs.readdirSync(sourcesDir)
+        .filter(name => !kept.has(name))
+        .forEach(name => fs.rmSync(path.join(sourcesDir, name), { recursive: true, force: true }));
+}
+
+function insertSources(database, id, sources) {
+    let storedBytes = 0;
+    sources.forEach(source => {
+        // Diff sources known only by their segments cannot be patched
+        if (typeof source.content !== 'string') return;
+        const bytes = Buffer.byteLength(source.content);
+        storedBytes += bytes;
+        if (storedBytes > MAX_STORED_SOURCE_BYTES) return;
+        writeSourceContent(id, source.name, source.content);
+        database.run(
+            'INSERT OR REPLACE INTO sources (analysis_id, file, bytes, masked_lines) VALUES (?, ?, ?, ?)',
+            [id, source.name, bytes, JSON.stringify(source.maskedLines || [])]
+        );
+    });
+}
+
+function deleteSources(database, analysisId) {
+    database.run('DELETE FROM sources WHERE analysis_id = ?', [analysisId]);
+    removeSourceContents(analysisId);
+}
+
+// Creation time before which analyses no longer have their sources
+function getSourceCutoff() {
+    return sourceRetention ? new Date(Date.now() - sourceRetention.maxAgeMs).toISOString() : '';
+}
+
+/**
+ * Drop stored sources beyond the retention limits: first those of analyses
+ * older than the maximum age, then those of the oldest analyses until the
+ * rest fits in the total size. Their fixes stay, but new ones cannot be made.
+ */
+function pruneSources(database, incomingBytes = 0) {
+    if (!sourceRetention) return;
+
+    const statement = database.prepare(`
+        SELECT s.analysis_id AS id, SUM(s.bytes) AS bytes, MAX(a.created_at) < ? AS old
+        FROM sources s JOIN analyses a ON a.id = s.analysis_id
+        GROUP BY s.analysis_id ORDER BY MAX(a.created_at) DESC`);
+    const expired = [];
+    let total = incomingBytes;
+    try {
+        statement.bind([getSourceCutoff()]);
+        while (statement.step()) {
+            const { id, bytes, old } = statement.getAsObject();
+            if (old) {
+                expired.push(id);
+                continue;
+            }
+            total += bytes;
+            if (total > sourceRetention.maxTotalBytes) expired.push(id);
+        }
+    } finally {
+        statement.free();
+    }
+    expired.forEach(id => deleteSources(database, id));
+}
+
+function deleteAnalysisRows(database, id) {
+    database.run('DELETE FROM findings WHERE analysis_id = ?', [id]);
+    database.run('DELETE FROM link_checks WHERE analysis_id = ?', [id]);
+    deleteSources(database, id);
+    database.run('DELETE FROM fixes WHERE analysis_id = ?', [id]);
+    database.run('DELETE FROM analyses WHERE id = ?', [id]);
+}
+
+/**
+ * Delete finished analyses beyond the retention limits: those older than the
+ * maximum age, then the oldest beyond the maximum count. Queued and running
+ * analyses count towards it but are kept.
+ */
+function pruneAnalyses(database) {
+    if (!analysisRetention) return;
+
+    const statement = database.prepare(`
+        SELECT id, status IN ('queued', 'running') AS active, created_at < ? AS old
+        FROM analyses ORDER BY created_at DESC, rowid DESC`);
+    const expired = [];
+    let count = 0;
+    try {
+        statement.bind([new Date(Date.now() - analysisRetention.maxAgeMs).toISOString()]);
+        while (statement.step()) {
+            const { id, active, old } = statement.getAsObject();
+            count++;
+            if (!active && (old || count > analysisRetention.maxCount)) expired.push(id);
+        }
+    } finally {
+        statement.free();
+    }
+    expired.forEach(id => deleteAnalysisRows(database, id));
+}
+
+/**
+ * Record a new analysis owned by `clientId`. `results` may be omitted for
+ * analyses that are still running and recorded later with `finishAnalysis`.
+ * The content of code `sources` (`{ name, content }`) is kept for fixes,
+ * within the source retention limits. Analyses beyond the analysis
+ * retention limits are deleted.
+ */
+export function createAnalysis({ id, kind, clientId = null, status = 'running', inputs = {}, results = null, error = null, createdAt = new Date(), sources = [] }) {
+    if (!ANALYSIS_KINDS.includes(kind)) {
+        throw new Error(`Unknown analysis kind: ${kind}`);
+    }
+
+    const finished = !['queued', 'running'].includes(status);
+    transaction(database => {
+        database.run(
+            'INSERT INTO analyses (id, kind, client_id, status, created_at, finished_at, inputs, summary, components, licenses, error) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [id, kind, clientId, status, new Date(createdAt).toISOString(), finished ? new Date().toISOString() : null,
+                JSON.stringify(inputs), ...serializeSections(results), error]
+        );
+        if (results) insertResults(database, id, kind, results);
+        pruneAnalyses(database);
+        pruneSources(database, Math.min(MAX_STORED_SOURCE_BYTES, sources
+            .reduce((sum, source) => sum + (typeof source.content === 'string' ? Buffer.byteLength(source.content) : 0), 0)));
+        insertSources(database, id, sources);
+    });
+
+    return getAnalysis(id);
+}
+
+/**
+ * Store the final status and results of an analysis. Returns false when the
+ * analysis no longer exists (e.g. it was deleted while running).
+ */
+export function finishAnalysis(id, { status, results = null, error = null }) {
+    const existing = queryAll('SELECT kind FROM analyses WHERE id = ?', [id])[0];
+    if (!existing) return false;
+
+    transaction(database => {
+        database.run(
+            'UPDATE analyses SET status = ?, finished_at = ?, summary = ?, components = ?, licenses = ?, error = ? WHERE id = ?',
+            [status, new Date().toISOString(), ...serializeSections(results), error, id]
+        );
+        database.run('DELETE FROM findings WHERE analysis_id = ?', [id]);
+        database.run('DELETE FROM link_checks WHERE analysis_id = ?', [id]);
+        if (results) insertResults(database, id, existing.kind, results);
+    });
+    return true;
+}
+
+/**
+ * Page through stored analyses, newest first
+ */
+export function listAnalyses({ clientId, kind = null, status = null, limit = 20, offset = 0 } = {}) {
+    const scope = clientScope(clientId);
+    const conditions = [scope.sql];
+    const params = [...scope.params];
+    if (kind) {
+        conditions.push('kind = ?');
+        params.push(kind);
+    }
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const total = queryAll(`SELECT COUNT(*) AS total FROM analyses ${where}`, params)[0].total;
+    const analyses = queryAll(
+        `SELECT * FROM analyses ${where} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    ).map(toSummary);
+
+    return { analyses, total, limit, offset };
+}
+
+/**
+ * A stored analysis with its results, or null (also when another client owns it)
+ */
+export function getAnalysis(id, { clientId } = {}) {
+    const scope = clientScope(clientId);
+    const row = queryAll(`SELECT * FROM analyses WHERE id = ? AND ${scope.sql}`, [id, ...scope.params])[0];
+    if (!row) return null;
+
+    const analysis = toSummary(row);
+    return {
+        ...analysis,
+        results: loadResults(analysis, { components: parseJson(row.components), licenses: parseJson(row.licenses) })
+    };
+}
+
+/**
+ * The most recent completed analysis of a kind, or null
+ */
+export function getLatestAnalysis(kind, { clientId } = {}) {
+    const scope = clientScope(clientId);
+    const row = queryAll(
+        `SELECT id FROM analyses WHERE kind = ? AND status = 'completed' AND ${scope.sql} ORDER BY created_at DESC, rowid DESC LIMIT 1`,
+        [kind, ...scope.params]
+    )[0];
+    return row ? getAnalysis(row.id) : null;
+}
+
+/**
+ * Delete an analysis and its findings. Returns false if it did not exist
+ * (or belongs to another client).
+ */
+export function deleteAnalysis(id, { clientId } = {}) {
+    if (!getAnalysis(id, { clientId })) return false;
+
+    return transaction(database => {
+        deleteAnalysisRows(database, id);
+        return database.getRowsModified() > 0;
+    });
+}
+
+function toSuppression(row) {
+    return {
+        id: row.id,
+        fingerprint: row.fingerprint,
+        status: row.status,
+        reason: row.reason,
+        file: row.file,
+        ruleId: row.rule_id,
+        issue: row.issue,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Mark a fingerprint as a false positive or accepted risk for a client.
+ * Suppressing the same fingerprint again updates its status and reason.
+ */
+export function saveSuppression({ clientId = null, fingerprint, status, reason, file = null, ruleId = null, issue = null }) {
+    transaction(database => {
+        database.run(
+            `INSERT INTO suppressions (id, client_id, fingerprint, status, reason, file, rule_id, issue, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (COALESCE(client_id, ''), fingerprint) DO UPDATE SET status = excluded.status, reason = excluded.reason`,
+            [crypto.randomUUID(), clientId, fingerprint, status, reason, file, ruleId, issue, new Date().toISOString()]
+        );
+    });
+
+    return toSuppression(queryAll(
+        'SELECT * FROM suppressions WHERE fingerprint = ? AND client_id IS ?',
+        [fingerprint, clientId]
+    )[0]);
+}
+
+/**
+ * A client's suppressions, newest first
+ */
+export function listSuppressions({ clientId } = {}) {
+    const scope = clientScope(clientId);
+    return queryAll(`SELECT * FROM suppressions WHERE ${scope.sql} ORDER BY created_at DESC, rowid DESC`, scope.params)
+        .map(toSuppression);
+}
+
+/**
+ * Remove a suppression. Returns false if it did not exist (or belongs to
+ * another client).
+ */
+export function deleteSuppression(id, { clientId } = {}) {
+    const scope = clientScope(clientId);
+    return transaction(database => {
+        database.run(`DELETE FROM suppressions WHERE id = ? AND ${scope.sql}`, [id, ...scope.params]);
+        return database.getRowsModified() > 0;
+    });
+}
+
+/**
+ * Content of a file as it was analyzed, or null when it was not kept or is
+ * past the retention period
+ */
+export function getAnalysisSource(analysisId, file) {
+    const [row] = queryAll(
+        'SELECT s.file FROM sources s JOIN analyses a ON a.id = s.analysis_id WHERE s.analysis_id = ? AND s.file = ? AND a.created_at >= ?',
+        [analysisId, file, getSourceCutoff()]
+    );
+    return row ? readSourceContent(analysisId, file) : null;
+}
+
+/**
+ * Line numbers of a stored source whose secrets were masked
+ */
+export function getAnalysisSourceMaskedLines(analysisId, file) {
+    const [row] = queryAll('SELECT masked_lines FROM sources WHERE analysis_id = ? AND file = ?', [analysisId, file]);
+    return parseJson(row?.masked_lines, []);
+}
+
+function toFix(row) {
+    return {
+        fingerprint: row.fingerprint,
+        file: row.file,
+        patch: row.patch,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Keep the fix patch generated for a finding of an analysis, replacing any
+ * earlier one
+ */
+export function saveFix({ analysisId, fingerprint, file, patch }) {
+    transaction(database => {
+        database.run(
+            'INSERT OR REPLACE INTO fixes (analysis_id, fingerprint, file, patch, created_at) VALUES (?, ?, ?, ?, ?)',
+            [analysisId, fingerprint, file, patch, new Date().toISOString()]
+        );
+    });
+}
+
+/**
+ * Stored fixes of an analysis, optionally only for the given fingerprints
+ */
+export function listFixes(analysisId, fingerprints = null) {
+    return queryAll('SELECT * FROM fixes WHERE analysis_id = ? ORDER BY file, created_at, rowid', [analysisId])
+        .map(toFix)
+        .filter(fix => !fingerprints || fingerprints.includes(fix.fingerprint));
+}
@@ -0,0 +1,298 @@
+/**
+ * Syntax outline extraction for chunking
+ * Finds top-level declarations (and class members) so chunks can keep whole
+ * functions and classes together. JS/TS use @babel/parser. Python has no
+ * parser here: an indentation-aware scanner finds def/class blocks from
+ * logical lines (skipping strings, comments and bracketed continuations).
+ * It does not check syntax, so broken Python is still outlined, and
+ * backslash continuations or tab/space mixes can shift block ends.
+ */
+import { parse } from '@babel/parser';
+
+const JS_EXTENSIONS = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts'];
+const PYTHON_EXTENSIONS = ['py'];
+
+/**
+ * Get the syntax language for a filename, or null if unsupported
+ */
+export function getSyntaxLanguage(filename) {
+    const ext = filename.split('.').pop()?.toLowerCase();
+    if (JS_EXTENSIONS.includes(ext)) return 'javascript';
+    if (PYTHON_EXTENSIONS.includes(ext)) return 'python';
+    return null;
+}
+
+/**
+ * Name(s) declared by a top-level JS statement
+ */
+function getDeclarationNames(node) {
+    if (!node) return [];
+
+    switch (node.type) {
+        case 'ExportNamedDeclaration':
+        case 'ExportDefaultDeclaration':
+            if (node.declaration) {
+                const names = getDeclarationNames(node.declaration);
+                return names.length ? names : node.type === 'ExportDefaultDeclaration' ? ['default'] : [];
+            }
+            return (node.specifiers || []).map(s => s.exported?.name).filter(Boolean);
+        case 'FunctionDeclaration':
+        case 'ClassDeclaration':
+        case 'TSInterfaceDeclaration':
+        case 'TSTypeAliasDeclaration':
+        case 'TSEnumDeclaration':
+        case 'TSModuleDeclaration':
+            return node.id?.name ? [node.id.name] : [];
+        case 'VariableDeclaration':
+            return node.declarations
+                .map(d => d.id?.name)
+                .filter(Boolean);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Unwrap export wrappers to reach a class declaration, if any
+ */
+function getClassNode(node) {
+    const target = node.declaration || node;
+    if (target.type === 'ClassDeclaration') return target;
+    if (target.type === 'VariableDeclaration' && target.declarations.length === 1) {
+        const init = target.declarations[0].init;
+        if (init?.type === 'ClassExpression') return init;
+    }
+    return null;
+}
+
+function isRequireStatement(node) {
+    return node.type === 'VariableDeclaration' &&
+        node.declarations.every(d => {
+            const init = d.init?.type === 'MemberExpression' ? d.init.object : d.init;
+            return init?.type === 'CallExpression' && init.callee?.name === 'require';
+        });
+}
+
+/**
+ * First line of a node including its leading comments (0-based)
+ */
+function getStartLine(node) {
+    const commentLines = (node.leadingComments || []).map(c => c.loc.start.line);
+    return Math.min(node.loc.start.line, ...commentLines) - 1;
+}
+
+function outlineJavaScript(content, filename) {
+    const ext = filename.split('.').pop()?.toLowerCase();
+    const isTypeScript = ['ts', 'tsx', 'mts', 'cts'].includes(ext);
+    const plugins = isTypeScript
+        ? ['typescript', 'decorators-legacy', ...(ext === 'tsx' ? ['jsx'] : [])]
+        : ['jsx', 'decorators-legacy'];
+
+    const ast = parse(content, {
+        sourceType: 'unambiguous',
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins
+    });
+
+    const units = [];
+    const importLines = [];
+
+    for (const node of ast.program.body) {
+        const startLine = getStartLine(node);
+        const endLine = node.loc.end.line - 1;
+
+        if (node.type === 'ImportDeclaration' || isRequireStatement(node)) {
+            importLines.push({ startLine, endLine });
+            units.push({ kind: 'import', names: [], startLine, endLine });
+            continue;
+        }
+
+        const classNode = getClassNode(node);
+        const unit = {
+            kind: classNode ? 'class' : 'statement',
+            names: getDeclarationNames(node),
+            startLine,
+            endLine
+        };
+
+        if (classNode) {
+            // Header runs from the declaration start up to the class body brace
+            unit.headerEndLine = classNode.body.loc.start.line - 1;
+            unit.members = classNode.body.body.map(member => ({
+                kind: 'member',
+                names: [member.key?.name || member.key?.value || member.kind || 'member'].map(String),
+                startLine: getStartLine(member),
+                endLine: member.loc.end.line - 1
+            }));
+        }
+
+        units.push(unit);
+    }
+
+    return { language: 'javascript', units, importLines };
+}
+
+/**
+ * Strip string literals and comments from a Python line while tracking
+ * triple-quoted strings and bracket depth across lines
+ */
+function scanPythonLine(line, state) {
+    let i = 0;
+    while (i < line.length) {
+        if (state.tripleQuote) {
+            const end = line.indexOf(state.tripleQuote, i);
+            if (end === -1) return;
+            i = end + 3;
+            state.tripleQuote = null;
+            continue;
+        }
+
+        const ch = line[i];
+        if (ch === '#') return;
+        if (line.startsWith('"""', i) || line.startsWith("'''", i)) {
+            state.tripleQuote = line.substr(i, 3);
+            i += 3;
+            continue;
+        }
+        if (ch === '"' || ch === "'") {
+            i++;
+            while (i < line.length && line[i] !== ch) {
+                i += line[i] === '\\' ? 2 : 1;
+            }
+            i++;
+            continue;
+        }
+        if ('([{'.includes(ch)) state.depth++;
+        if (')]}'.includes(ch)) state.depth = Math.max(0, state.depth - 1);
+        i++;
+    }
+}
+
+/**
+ * Split Python lines into logical statements starting at code lines that are
+ * not inside a bracket or triple-quoted string
+ */
+function getPythonStatementStarts(lines) {
+    const state = { tripleQuote: null, depth: 0 };
+    const starts = [];
+
+    lines.forEach((line, index) => {
+        const continuing = state.tripleQuote || state.depth > 0;
+        const trimmed = line.trim();
+
+        if (!continuing && trimmed && !trimmed.startsWith('#')) {
+            starts.push({ line: index, indent: line.length - line.trimStart().length, text: trimmed });
+        }
+        scanPythonLine(line, state);
+    });
+
+    return starts;
+}
+
+/**
+ * Set the raw `endLine` of every Python statement's block (a def/class plus
+ * its body): the line before the next statement indented no deeper. One
+ * pass with a stack of the still open blocks.
+ */
+function setPythonBlockEnds(statements, lastLine) {
+    const open = [];
+    statements.forEach(statement => {
+        while (open.length && open[open.length - 1].indent >= statement.indent) {
+            open.pop().endLine = statement.line - 1;
+        }
+        open.push(statement);
+    });
+    open.forEach(statement => { statement.endLine = lastLine; });
+}
+
+function trimTrailingBlankLines(lines, startLine, endLine) {
+    let end = endLine;
+    while (end > startLine && !lines[end].trim()) end--;
+    return end;
+}
+
+function outlinePython(content) {
+    const lines = content.split('\n');
+    const statements = getPythonStatementStarts(lines);
+    const units = [];
+    const importLines = [];
+    let pendingDecoratorStart = null;
+    setPythonBlockEnds(statements, lines.length - 1);
+
+    for (const [index, statement] of statements.entries()) {
+        if (statement.indent !== 0) continue;
+        const endLine = trimTrailingBlankLines(lines, statement.line, statement.endLine);
+        const text = statement.text;
+
+        if (text.startsWith('@')) {
+            pendingDecoratorStart = pendingDecoratorStart ?? statement.line;
+            continue;
+        }
+
+        const startLine = pendingDecoratorStart ?? statement.line;
+        pendingDecoratorStart = null;
+
+        if (/^(import|from)\s/.test(text)) {
+            importLines.push({ startLine, endLine });
+            units.push({ kind: 'import', names: [], startLine, endLine });
+            continue;
+        }
+
+        const def = text.match(/^(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/);
+        const unit = {
+            kind: def?.[1] === 'class' ? 'class' : 'statement',
+            names: def ? [def[2]] : [],
+            startLine,
+            endLine
+        };
+
+        if (unit.kind === 'class') {
+            let bodyEnd = index + 1;
+            while (bodyEnd < statements.length && statements[bodyEnd].line <= endLine) bodyEnd++;
+            const body = statements.slice(index + 1, bodyEnd);
+            const bodyIndent = body.length ? body.reduce((min, s) => Math.min(min, s.indent), Infinity) : null;
+            unit.headerEndLine = statement.line;
+
+            if (bodyIndent !== null) {
+                let memberDecoratorStart = null;
+                unit.members = [];
+                for (const block of body.filter(s => s.indent === bodyIndent)) {
+                    if (block.text.startsWith('@')) {
+                        memberDecoratorStart = memberDecoratorStart ?? block.line;
+                        continue;
+                    }
+                    const member = block.text.match(/^(?:async\s+)?(?:def|class)\s+([A-Za-z_]\w*)/);
+                    unit.members.push({
+                        kind: 'member',
+                        names: member ? [member[1]] : [],
+                        startLine: memberDecoratorStart ?? block.line,
+                        endLine: trimTrailingBlankLines(lines, block.line, Math.min(block.endLine, endLine))
+                    });
+                    memberDecoratorStart = null;
+                }
+            }
+        }
+
+        units.push(unit);
+    }
+
+    return { language: 'python', units, importLines };
+}
+
+/**
+ * Extract a syntax outline, or null when the language is unsupported or the
+ * file does not parse (callers fall back to line-based chunking)
+ */
+export function extractOutline(content, filename) {
+    const language = getSyntaxLanguage(filename);
+
+    try {
+        if (language === 'javascript') return outlineJavaScript(content, filename);
+        if (language === 'python') return outlinePython(content);
+    } catch (error) {
+        console.warn(`⚠️  Could not parse ${filename} (${error.message}), using line-based chunking`);
+    }
+
+    return null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Token estimation for chunk sizing
+ * A tokenizer-free approximation of BPE token counts, so chunks can be sized
+ * against a model's context window without shipping per-model vocabularies
+ */
+
+/**
+ * Default per-chunk budgets, overridable with CHUNK_MAX_TOKENS / CHUNK_OVERLAP_TOKENS
+ */
+export const DEFAULT_CHUNK_TOKENS = 1000;
+export const DEFAULT_OVERLAP_TOKENS = 100;
+const MIN_CHUNK_TOKENS = 200;
+
+const TOKEN_PATTERN = /[A-Za-z]+|\d+|\s+|[^\sA-Za-z\d]/g;
+
+/**
+ * Estimate the number of tokens in a piece of text.
+ * Words cost about one token per 5 letters, numbers one per 3 digits, every
+ * symbol one token and each newline (with its indentation) one token.
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (const [part] of text.matchAll(TOKEN_PATTERN)) {
+        tokens += partTokens(part);
+    }
+    return tokens;
+}
+
+function partTokens(part) {
+    const first = part.charCodeAt(0);
+    if (part.trim() === '') {
+        const newlines = part.split('\n').length - 1;
+        return newlines || (part.length > 1 ? 1 : 0);
+    }
+    if (first >= 48 && first <= 57) {
+        return Math.ceil(part.length / 3);
+    }
+    if (/[A-Za-z]/.test(part[0])) {
+        return Math.ceil(part.length / 5);
+    }
+    return 1;
+}
+
+/**
+ * Split text into consecutive segments of at most `maxTokens` estimated
+ * tokens, cutting only between words and symbols
+ */
+export function splitByTokens(text, maxTokens) {
+    const segments = [];
+    let start = 0;
+    let used = 0;
+
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        const cost = partTokens(match[0]);
+        if (used + cost > maxTokens && match.index > start) {
+            segments.push(text.slice(start, match.index));
+            start = match.index;
+            used = 0;
+        }
+        used += cost;
+    }
+    segments.push(text.slice(start));
+
+    return segments;
+}
+
+/**
+ * Work out the code budget per chunk for a model: the configured target,
+ * capped by what is left of the context window after the prompt template and
+ * the reserved output tokens. `chunking` (a project config's `maxTokens` and
+ * `overlapTokens`) takes precedence over the environment.
+ */
+export function getChunkBudget(model = {}, env = process.env, chunking = {}) {
+    const { contextWindow = 8192, maxOutputTokens = 1000, promptTokens = 0 } = model;
+    const target = chunking.maxTokens || parseInt(env.CHUNK_MAX_TOKENS) || DEFAULT_CHUNK_TOKENS;
+    let overlap = DEFAULT_OVERLAP_TOKENS;
+    if (chunking.overlapTokens !== undefined) {
+        overlap = chunking.overlapTokens;
+    } else if (env.CHUNK_OVERLAP_TOKENS !== undefined) {
+        overlap = Math.max(0, parseInt(env.CHUNK_OVERLAP_TOKENS) || 0);
+    }
+
+    const available = contextWindow - maxOutputTokens - promptTokens;
+    const maxTokens = Math.max(MIN_CHUNK_TOKENS, Math.min(target, available));
+
+    return {
+        maxTokens,
+        overlapTokens: Math.min(overlap, Math.floor(maxTokens / 4))
+    };
+}
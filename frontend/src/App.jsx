@@ -1,35 +1,165 @@
-import React, { useState, useCallback } from 'react'
+import React, { useState, useCallback, useRef } from 'react'
 import CodeAnalyzer from './components/CodeAnalyzer'
 import LinkAnalyzer from './components/LinkAnalyzer'
 import SeverityChart from './components/SeverityChart'
 import axios from 'axios'
 
+// Download type and file extension of each /report format
+const EXPORT_FORMATS = {
+  json: { type: 'application/json', extension: 'json' },
+  sarif: { type: 'application/sarif+json', extension: 'sarif' },
+  cyclonedx: { type: 'application/vnd.cyclonedx+json', extension: 'cdx.json' }
+}
+
+// Stream job events over SSE; resolves with the job-finished payload
+function streamJob(jobId, onEvent) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/jobs/${jobId}/events`)
+    const types = ['file-started', 'chunk-completed', 'finding-found', 'file-finished']
+
+    types.forEach(type => {
+      source.addEventListener(type, (e) => onEvent(type, JSON.parse(e.data)))
+    })
+    source.addEventListener('job-finished', (e) => {
+      source.close()
+      resolve(JSON.parse(e.data))
+    })
+    source.onerror = () => {
+      // The browser retries on its own unless the stream is closed for good
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Progress stream closed'))
+      }
+    }
+  })
+}
+
+// Poll a job until it leaves the queued/running states
+async function pollJob(jobId, onUpdate, isCurrent) {
+  let job
+  do {
+    await new Promise(resolve => setTimeout(resolve, 1000))
+    if (!isCurrent()) return null
+
+    const response = await axios.get(`/jobs/${jobId}`, { timeout: 10000 })
+    job = response.data
+    onUpdate(job)
+  } while (job.status === 'queued' || job.status === 'running')
+  return job
+}
+
 function App() {
   const [codeResults, setCodeResults] = useState(null)
   const [linkResults, setLinkResults] = useState(null)
   const [isAnalyzing, setIsAnalyzing] = useState({ code: false, link: false })
   const [error, setError] = useState(null)
+  const [codeJob, setCodeJob] = useState(null)
+  const codeJobIdRef = useRef(null)
 
-  // Handle code analysis
-  const handleCodeAnalysis = useCallback(async (files) => {
+  // Apply a streamed job event to the job progress and the incremental results
+  const applyJobEvent = useCallback((type, data) => {
+    if (data.progress) {
+      setCodeJob(prev => prev && {
+        ...prev,
+        percent: data.percent,
+        files: { ...prev.files, [data.file]: data.progress }
+      })
+    }
+
+    setCodeResults(prev => {
+      if (!prev) return prev
+      const files = { ...prev.files }
+
+      if (type === 'file-started') {
+        files[data.file] = files[data.file] || []
+      } else if (type === 'file-finished') {
+        files[data.file] = data.issues
+      } else if (type === 'finding-found') {
+        const { severity } = data.finding
+        files[data.file] = [...(files[data.file] || []), data.finding]
+        return {
+          ...prev,
+          files,
+          summary: {
+            ...prev.summary,
+            totalIssues: prev.summary.totalIssues + 1,
+            counts: {
+              ...prev.summary.counts,
+              [severity]: (prev.summary.counts[severity] || 0) + 1
+            }
+          }
+        }
+      }
+      return { ...prev, files }
+    })
+  }, [])
+
+  // Handle code analysis: start a job, then stream its progress
+  const handleCodeAnalysis = useCallback(async (files, profile) => {
     setIsAnalyzing(prev => ({ ...prev, code: true }))
     setError(null)
+    setCodeJob(null)
 
     try {
+      // Patches are analyzed in diff mode: only changed lines are reported
+      const isPatch = file => /\.(diff|patch)$/i.test(file.name)
+      const diffMode = files.every(isPatch)
+      if (!diffMode && files.some(isPatch)) {
+        throw new Error('Upload .diff/.patch files separately from code files')
+      }
+
       const formData = new FormData()
       files.forEach(file => {
         formData.append('files', file)
       })
+      if (profile) {
+        formData.append('profile', profile)
+      }
 
-      const response = await axios.post('/analyze/code', formData, {
+      const { data: started } = await axios.post(diffMode ? '/analyze/diff' : '/analyze/code', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         },
-        timeout: 60000 // 60 second timeout for analysis
+        timeout: 60000 // 60 second timeout for the upload
       })
+      const jobId = started.jobId
+      const isCurrent = () => codeJobIdRef.current === jobId
+      codeJobIdRef.current = jobId
 
-      setCodeResults(response.data)
-      console.log('Code analysis complete:', response.data)
+      const { data: initialJob } = await axios.get(`/jobs/${jobId}`)
+      setCodeJob(initialJob)
+      setCodeResults({
+        files: {},
+        summary: {
+          totalFiles: initialJob.results?.summary.totalFiles ?? files.length,
+          profile: initialJob.results?.summary.profile,
+          totalIssues: 0,
+          counts: { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 }
+        }
+      })
+
+      try {
+        await streamJob(jobId, (type, data) => {
+          if (isCurrent()) applyJobEvent(type, data)
+        })
+      } catch (streamError) {
+        console.warn('Falling back to polling:', streamError.message)
+        await pollJob(jobId, job => {
+          setCodeJob(job)
+          if (job.results) setCodeResults(job.results)
+        }, isCurrent)
+      }
+      if (!isCurrent()) return // Superseded or cancelled
+
+      // The final job state carries the authoritative results
+      const { data: job } = await axios.get(`/jobs/${jobId}`)
+      setCodeJob(job)
+      if (job.results) setCodeResults(job.results)
+
+      if (job.status === 'failed') {
+        setError(`Code analysis failed: ${job.error || 'Unknown error'}`)
+      } else {
+        console.log('Code analysis complete:', job.results)
+      }
 
     } catch (error) {
       console.error('Code analysis failed:', error)
@@ -38,6 +168,22 @@ function App() {
     } finally {
       setIsAnalyzing(prev => ({ ...prev, code: false }))
     }
+  }, [applyJobEvent])
+
+  // Cancel the running code analysis job
+  const cancelCodeAnalysis = useCallback(async () => {
+    const jobId = codeJobIdRef.current
+    if (!jobId) return
+    codeJobIdRef.current = null
+
+    try {
+      const response = await axios.delete(`/jobs/${jobId}`)
+      setCodeJob(response.data)
+    } catch (error) {
+      console.error('Cancel failed:', error)
+    } finally {
+      setIsAnalyzing(prev => ({ ...prev, code: false }))
+    }
   }, [])
 
   // Handle link analysis
@@ -65,17 +211,20 @@ function App() {
   }, [])
 
   // Export combined report
-  const exportReport = useCallback(async () => {
+  const exportReport = useCallback(async (format = 'json') => {
     try {
-      const response = await axios.get('/report')
-      const blob = new Blob([JSON.stringify(response.data, null, 2)], {
-        type: 'application/json'
-      })
+      // Report on the analyses shown on screen rather than whatever ran last
+      const analysis = [codeJob?.status === 'completed' && codeJob.id, linkResults?.analysisId]
+        .filter(Boolean)
+        .join(',')
+      const response = await axios.get('/report', { params: { format, ...(analysis && { analysis }) } })
+      const { type, extension } = EXPORT_FORMATS[format]
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type })
 
       const url = URL.createObjectURL(blob)
       const a = document.createElement('a')
       a.href = url
-      a.download = `autonalyst-report-${new Date().toISOString().slice(0, 19)}.json`
+      a.download = `autonalyst-${format === 'cyclonedx' ? 'sbom' : 'report'}-${new Date().toISOString().slice(0, 19)}.${extension}`
       document.body.appendChild(a)
       a.click()
       document.body.removeChild(a)
@@ -83,13 +232,16 @@ function App() {
 
     } catch (error) {
       console.error('Export failed:', error)
-      setError('Failed to export report. Run analysis first.')
+      setError(format === 'json'
+        ? 'Failed to export report. Run analysis first.'
+        : `Failed to export ${format === 'sarif' ? 'SARIF' : 'SBOM'}. Run code analysis first.`)
     }
-  }, [])
+  }, [codeJob, linkResults])
 
   // Clear all results
   const clearResults = useCallback(() => {
     setCodeResults(null)
+    setCodeJob(null)
     setLinkResults(null)
     setError(null)
   }, [])
@@ -151,11 +303,29 @@ function App() {
               {hasResults && (
                 <>
                   <button
-                    onClick={exportReport}
+                    onClick={() => exportReport('json')}
                     className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                   >
                     📊 Export Report
                   </button>
+                  {codeResults && (
+                    <button
+                      onClick={() => exportReport('sarif')}
+                      title="SARIF 2.1.0 for code-scanning viewers and IDE plugins"
+                      className="inline-flex items-center px-4 py-2 border border-green-600 text-sm font-medium rounded-md text-green-700 bg-white hover:bg-green-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
+                    >
+                      🛡️ Export SARIF
+                    </button>
+                  )}
+                  {codeResults?.components && (
+                    <button
+                      onClick={() => exportReport('cyclonedx')}
+                      title="CycloneDX SBOM of the uploaded dependency manifests"
+                      className="inline-flex items-center px-4 py-2 border border-green-600 text-sm font-medium rounded-md text-green-700 bg-white hover:bg-green-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
+                    >
+                      📦 Export SBOM
+                    </button>
+                  )}
                   <button
                     onClick={clearResults}
                     className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
@@ -199,9 +369,17 @@ function App() {
             <div className="flex items-center">
               <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
               <p className="ml-3 text-sm text-blue-700">
-                {isAnalyzing.code && 'Analyzing code files with AI...'}
+                {isAnalyzing.code && `Analyzing code files... ${codeJob?.percent ?? 0}%`}
                 {isAnalyzing.link && 'Checking SSL certificates and connectivity...'}
               </p>
+              {isAnalyzing.code && (
+                <button
+                  onClick={cancelCodeAnalysis}
+                  className="ml-auto text-sm text-blue-600 hover:text-blue-500 underline"
+                >
+                  Cancel
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -226,6 +404,7 @@ function App() {
               <CodeAnalyzer
                 onAnalyze={handleCodeAnalysis}
                 results={codeResults}
+                job={codeJob}
                 isLoading={isAnalyzing.code}
               />
             </div>
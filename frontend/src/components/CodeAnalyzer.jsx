@@ -1,20 +1,126 @@
-import React, { useState, useRef, useCallback } from 'react'
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react'
+import axios from 'axios'
+import FixPreview from './FixPreview'
 
-function CodeAnalyzer({ onAnalyze, results, isLoading }) {
+function CodeAnalyzer({ onAnalyze, results, job, isLoading }) {
   const [selectedFiles, setSelectedFiles] = useState([])
   const [dragOver, setDragOver] = useState(false)
+  const [profiles, setProfiles] = useState([])
+  const [profile, setProfile] = useState('')
+  const [filters, setFilters] = useState({ category: '', owasp: '' })
+  const [groupBy, setGroupBy] = useState('')
+  // Fix patches by finding fingerprint: { status: 'loading' | 'ready' | 'error', fix, error }
+  const [fixes, setFixes] = useState({})
+  const [selectedFindings, setSelectedFindings] = useState([])
+  const [previewFingerprint, setPreviewFingerprint] = useState(null)
+  const [patchMessage, setPatchMessage] = useState('')
   const fileInputRef = useRef(null)
 
+  // Load the analysis profiles offered by the backend
+  useEffect(() => {
+    axios.get('/analyze/code/profiles')
+      .then(({ data }) => {
+        setProfiles(data.profiles)
+        setProfile(current => current || data.profiles.find(p => p.default)?.name || '')
+      })
+      .catch(() => setProfiles([]))
+  }, [])
+
+  // Fixes belong to one stored analysis
+  const analysisId = job?.status === 'completed' ? job.id : null
+  useEffect(() => {
+    setFixes({})
+    setSelectedFindings([])
+    setPreviewFingerprint(null)
+    setPatchMessage('')
+  }, [analysisId])
+
+  // Ask the backend for a fix patch of one finding
+  const requestFix = useCallback(async (fingerprint) => {
+    setFixes(prev => ({ ...prev, [fingerprint]: { status: 'loading' } }))
+    try {
+      const { data } = await axios.post(`/analyses/${analysisId}/fixes`, { fingerprint }, { timeout: 120000 })
+      setFixes(prev => ({ ...prev, [fingerprint]: { status: 'ready', fix: data } }))
+      return true
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message
+      setFixes(prev => ({ ...prev, [fingerprint]: { status: 'error', error: message } }))
+      return false
+    }
+  }, [analysisId])
+
+  const showFix = useCallback(async (fingerprint) => {
+    setPreviewFingerprint(fingerprint)
+    if (fixes[fingerprint]?.status !== 'ready') {
+      await requestFix(fingerprint)
+    }
+  }, [fixes, requestFix])
+
+  const toggleFinding = useCallback((fingerprint) => {
+    setSelectedFindings(prev => prev.includes(fingerprint)
+      ? prev.filter(selected => selected !== fingerprint)
+      : [...prev, fingerprint])
+  }, [])
+
+  // Generate missing fixes for the selected findings, then download them as one patch
+  const downloadPatch = useCallback(async () => {
+    setPatchMessage('')
+    const failed = []
+    for (const fingerprint of selectedFindings) {
+      if (fixes[fingerprint]?.status !== 'ready' && !(await requestFix(fingerprint))) {
+        failed.push(fingerprint)
+      }
+    }
+    const fingerprints = selectedFindings.filter(fingerprint => !failed.includes(fingerprint))
+    if (!fingerprints.length) {
+      setPatchMessage('No fixes could be generated for the selected findings.')
+      return
+    }
+
+    try {
+      const response = await axios.get(`/analyses/${analysisId}/fixes/patch`, {
+        params: { fingerprint: fingerprints.join(',') },
+        responseType: 'blob'
+      })
+      const url = URL.createObjectURL(response.data)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `autonalyst-fixes-${analysisId}.patch`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+
+      const conflicts = response.headers['x-autonalyst-conflicts']?.split(',').length || 0
+      const masked = response.headers['x-autonalyst-masked']?.split(',').length || 0
+      setPatchMessage([
+        failed.length && `${failed.length} findings had no applicable fix`,
+        conflicts && `${conflicts} fixes conflicted with another fix and were left out`,
+        masked && `${masked} fixes touched lines with masked secrets and were left out`
+      ].filter(Boolean).join('; '))
+    } catch (error) {
+      setPatchMessage('Failed to download the patch.')
+    }
+  }, [analysisId, selectedFindings, fixes, requestFix])
+
   // Handle file selection
   const handleFileSelect = useCallback((files) => {
     const fileArray = Array.from(files).filter(file => {
       // Filter allowed file types
       const allowedTypes = /\.(js|jsx|ts|tsx|py|java|cpp|c|h|cs|php|rb|go|rs|swift|kt|scala|r|m|sh|sql|html|css|scss|sass|less|json|xml|yml|yaml|md|txt)$/i
+      const archiveTypes = /\.(zip|tar|tar\.gz|tgz)$/i
+      const patchTypes = /\.(diff|patch)$/i
+      if (patchTypes.test(file.name)) {
+        return file.size <= 5 * 1024 * 1024
+      }
+      if (archiveTypes.test(file.name)) {
+        return file.size <= 50 * 1024 * 1024 // 50MB archive limit
+      }
       return allowedTypes.test(file.name) && file.size <= 5 * 1024 * 1024 // 5MB limit
     })
 
     if (fileArray.length !== files.length) {
-      alert('Some files were filtered out. Only code files under 5MB are accepted.')
+      alert('Some files were filtered out. Only code files and patches under 5MB and .zip/.tar.gz archives under 50MB are accepted.')
     }
 
     setSelectedFiles(prev => [...prev, ...fileArray].slice(0, 10)) // Max 10 files
@@ -62,9 +168,9 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
   // Start analysis
   const startAnalysis = useCallback(() => {
     if (selectedFiles.length > 0) {
-      onAnalyze(selectedFiles)
+      onAnalyze(selectedFiles, profile)
     }
-  }, [selectedFiles, onAnalyze])
+  }, [selectedFiles, profile, onAnalyze])
 
   // Format file size
   const formatFileSize = useCallback((bytes) => {
@@ -86,6 +192,32 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
     }
   }, [])
 
+  // Findings as table rows, filtered and grouped by their classification
+  const findingRows = useMemo(() => Object.entries(results?.files || {}).flatMap(([filename, fileIssues]) =>
+    fileIssues.map((issue, index) => ({ key: `${filename}-${index}`, filename, issue }))
+  ), [results])
+
+  const filterOptions = useMemo(() => ({
+    category: [...new Set(findingRows.map(row => row.issue.category).filter(Boolean))].sort(),
+    owasp: [...new Set(findingRows.map(row => row.issue.owasp).filter(Boolean))].sort()
+  }), [findingRows])
+
+  const findingGroups = useMemo(() => {
+    const rows = findingRows.filter(row =>
+      Object.entries(filters).every(([dimension, value]) => !value || row.issue[dimension] === value)
+    )
+    if (!groupBy) return [{ key: '', rows }]
+
+    const groups = new Map()
+    rows.forEach(row => {
+      const key = (groupBy === 'file' ? row.filename : row.issue[groupBy]) || 'Unclassified'
+      groups.set(key, [...(groups.get(key) || []), row])
+    })
+    return [...groups.entries()]
+      .map(([key, groupRows]) => ({ key, rows: groupRows }))
+      .sort((a, b) => b.rows.length - a.rows.length)
+  }, [findingRows, filters, groupBy])
+
   return (
     <div className="space-y-6">
       {/* File Upload Area */}
@@ -111,7 +243,7 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
               Drag and drop or click to select files
             </p>
             <p className="text-xs text-gray-400 mt-2">
-              Supports: JS, TS, Python, Java, C++, Go, PHP, and more (max 5MB each)
+              Supports: JS, TS, Python, Java, C++, Go, PHP, and more (max 5MB each), a whole project as .zip/.tar.gz, or a .diff/.patch to review only changed lines
             </p>
           </div>
           <div>
@@ -121,7 +253,7 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
               multiple
               onChange={handleInputChange}
               className="hidden"
-              accept=".js,.jsx,.ts,.tsx,.py,.java,.cpp,.c,.h,.cs,.php,.rb,.go,.rs,.swift,.kt,.scala,.r,.m,.sh,.sql,.html,.css,.scss,.sass,.less,.json,.xml,.yml,.yaml,.md,.txt"
+              accept=".js,.jsx,.ts,.tsx,.py,.java,.cpp,.c,.h,.cs,.php,.rb,.go,.rs,.swift,.kt,.scala,.r,.m,.sh,.sql,.html,.css,.scss,.sass,.less,.json,.xml,.yml,.yaml,.md,.txt,.mod,.zip,.tar,.gz,.tgz,.diff,.patch"
             />
             <button
               onClick={() => fileInputRef.current?.click()}
@@ -174,6 +306,28 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
             ))}
           </div>
 
+          {profiles.length > 0 && (
+            <div>
+              <label htmlFor="analysis-profile" className="block text-sm font-medium text-gray-900">
+                Analysis profile
+              </label>
+              <select
+                id="analysis-profile"
+                value={profile}
+                onChange={(e) => setProfile(e.target.value)}
+                disabled={isLoading}
+                className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {profiles.map(p => (
+                  <option key={p.name} value={p.name}>{p.label} (v{p.version})</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                {profiles.find(p => p.name === profile)?.description}
+              </p>
+            </div>
+          )}
+
           <button
             onClick={startAnalysis}
             disabled={isLoading || selectedFiles.length === 0}
@@ -194,6 +348,31 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
         </div>
       )}
 
+      {/* Job Progress */}
+      {job && job.status !== 'completed' && (
+        <div className="space-y-2">
+          <div className="flex justify-between text-sm text-gray-700">
+            <span>Job {job.status}</span>
+            <span>{job.percent}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${job.percent}%` }}></div>
+          </div>
+          <ul className="text-xs text-gray-500 space-y-1">
+            {Object.entries(job.files || {}).map(([filename, progress]) => (
+              <li key={filename} className="flex justify-between">
+                <span>{filename}</span>
+                <span>
+                  {progress.status}
+                  {progress.chunksTotal ? ` • ${progress.chunksCompleted}/${progress.chunksTotal} chunks` : ''}
+                  {` • ${progress.issues} issues`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Results */}
       {results && (
         <div className="space-y-4">
@@ -201,6 +380,9 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
             <h3 className="text-lg font-medium text-gray-900">Analysis Results</h3>
             <div className="text-sm text-gray-500">
               {results.summary?.totalFiles || 0} files • {results.summary?.totalIssues || 0} issues
+              {results.summary?.mode === 'diff' && ' • changed lines only'}
+              {results.summary?.suppressed > 0 && ` • ${results.summary.suppressed} suppressed`}
+              {results.summary?.profile && ` • ${results.summary.profile.name} profile`}
             </div>
           </div>
 
@@ -218,11 +400,59 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
             </div>
           )}
 
+          {/* Classification filters and grouping */}
+          {findingRows.length > 0 && (
+            <div className="flex flex-wrap gap-3 text-sm">
+              {[['category', 'All categories'], ['owasp', 'All OWASP Top 10']].map(([dimension, label]) => (
+                <select
+                  key={dimension}
+                  value={filters[dimension]}
+                  onChange={(e) => setFilters(prev => ({ ...prev, [dimension]: e.target.value }))}
+                  className="rounded-md border border-gray-300 px-2 py-1"
+                >
+                  <option value="">{label}</option>
+                  {filterOptions[dimension].map(value => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+              ))}
+              <select
+                value={groupBy}
+                onChange={(e) => setGroupBy(e.target.value)}
+                className="rounded-md border border-gray-300 px-2 py-1"
+              >
+                <option value="">No grouping</option>
+                <option value="category">Group by category</option>
+                <option value="cwe">Group by CWE</option>
+                <option value="owasp">Group by OWASP Top 10</option>
+                <option value="file">Group by file</option>
+              </select>
+              {analysisId && (
+                <button
+                  onClick={downloadPatch}
+                  disabled={selectedFindings.length === 0 || Object.values(fixes).some(entry => entry.status === 'loading')}
+                  className="ml-auto px-3 py-1 rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  🩹 Download fixes ({selectedFindings.length})
+                </button>
+              )}
+            </div>
+          )}
+          {patchMessage && <p className="text-xs text-gray-600">{patchMessage}</p>}
+
+          {/* Fix preview */}
+          {previewFingerprint && fixes[previewFingerprint]?.status === 'ready' && (
+            <FixPreview fix={fixes[previewFingerprint].fix} onClose={() => setPreviewFingerprint(null)} />
+          )}
+
           {/* Issues Table */}
           <div className="overflow-hidden shadow ring-1 ring-black ring-opacity-5 md:rounded-lg">
             <table className="min-w-full divide-y divide-gray-300">
               <thead className="bg-gray-50">
                 <tr>
+                  <th className="pl-4 py-3">
+                    <span className="sr-only">Select</span>
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     File
                   </th>
@@ -238,37 +468,147 @@ function CodeAnalyzer({ onAnalyze, results, isLoading }) {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Recommendation
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Classification
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Source
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {Object.entries(results.files || {}).map(([filename, fileIssues]) =>
-                  fileIssues.map((issue, index) => (
-                    <tr key={`${filename}-${index}`} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                        {filename}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {issue.line}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getSeverityColor(issue.severity)}`}>
-                          {issue.severity}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 text-sm text-gray-900">
-                        {issue.issue}
-                      </td>
-                      <td className="px-6 py-4 text-sm text-gray-500">
-                        {issue.recommendation}
-                      </td>
-                    </tr>
-                  ))
-                )}
+                {findingGroups.map(group => (
+                  <React.Fragment key={group.key}>
+                    {group.key && (
+                      <tr className="bg-gray-100">
+                        <td colSpan={8} className="px-6 py-2 text-xs font-semibold text-gray-700">
+                          {group.key} ({group.rows.length})
+                        </td>
+                      </tr>
+                    )}
+                    {group.rows.map(({ key, filename, issue }) => (
+                      <tr key={key} className="hover:bg-gray-50">
+                        <td className="pl-4 py-4">
+                          {analysisId && issue.fingerprint && (
+                            <input
+                              type="checkbox"
+                              aria-label="Include in fix patch"
+                              checked={selectedFindings.includes(issue.fingerprint)}
+                              onChange={() => toggleFinding(issue.fingerprint)}
+                            />
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {filename}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {issue.endLine > issue.line ? `${issue.line}–${issue.endLine}` : issue.line}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getSeverityColor(issue.severity)}`}>
+                            {issue.severity}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {issue.summary || issue.issue}
+                          {typeof issue.confidence === 'number' && (
+                            <span className="ml-2 text-xs text-gray-400">{Math.round(issue.confidence * 100)}% confidence</span>
+                          )}
+                          {/* Full description, explanation, offending code and references */}
+                          {(issue.explanation || issue.snippet || issue.references?.length > 0 || issue.issue !== issue.summary) && (
+                            <details className="mt-1 text-xs text-gray-600">
+                              <summary className="cursor-pointer text-blue-600">Details</summary>
+                              {issue.summary && issue.issue !== issue.summary && <p className="mt-1">{issue.issue}</p>}
+                              {issue.explanation && <p className="mt-1">{issue.explanation}</p>}
+                              {issue.advisory && (
+                                <p className="mt-1">
+                                  Affected: {issue.advisory.affected.join(', ') || 'unknown'}
+                                  {' • '}Fixed in: {issue.advisory.fixed.join(', ') || 'no fix yet'}
+                                </p>
+                              )}
+                              {issue.snippet && (
+                                <pre className="mt-1 p-2 bg-gray-100 rounded overflow-x-auto whitespace-pre">{issue.snippet}</pre>
+                              )}
+                              {issue.references?.length > 0 && (
+                                <ul className="mt-1 space-y-0.5">
+                                  {issue.references.map(reference => (
+                                    <li key={reference}>
+                                      <a href={reference} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">
+                                        {reference}
+                                      </a>
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
+                            </details>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-500">
+                          {issue.recommendation}
+                          {analysisId && issue.fingerprint && (
+                            <div className="mt-1 text-xs">
+                              <button
+                                onClick={() => showFix(issue.fingerprint)}
+                                disabled={fixes[issue.fingerprint]?.status === 'loading'}
+                                className="text-blue-600 hover:underline disabled:text-gray-400"
+                              >
+                                {fixes[issue.fingerprint]?.status === 'loading' ? 'Generating fix...' : 'Suggest fix'}
+                              </button>
+                              {fixes[issue.fingerprint]?.status === 'error' && (
+                                <p className="text-red-600">{fixes[issue.fingerprint].error}</p>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-500">
+                          {issue.cwe && (
+                            <span className="inline-flex items-center px-2 py-0.5 mr-1 rounded bg-purple-100 text-purple-700 font-medium">
+                              {issue.cwe}
+                            </span>
+                          )}
+                          {issue.owasp && (
+                            <span className="inline-flex items-center px-2 py-0.5 mr-1 rounded bg-blue-100 text-blue-700 font-medium">
+                              {issue.owasp}
+                            </span>
+                          )}
+                          <div className="mt-1">{issue.category || 'unclassified'}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-500">
+                          {['rule', 'secret', 'dependency'].includes(issue.source) ? `${issue.source}: ${issue.ruleId}` : 'AI'}
+                        </td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
               </tbody>
             </table>
           </div>
 
-          {Object.keys(results.files || {}).length === 0 && (
+          {/* Suppressed findings stay listed for auditing */}
+          {Object.keys(results.suppressed || {}).length > 0 && (
+            <details className="rounded-md bg-gray-50 p-3">
+              <summary className="cursor-pointer text-sm font-medium text-gray-700">
+                Suppressed findings ({results.summary?.suppressed || 0})
+              </summary>
+              <ul className="mt-2 space-y-1 text-xs text-gray-600">
+                {Object.entries(results.suppressed).map(([filename, fileIssues]) =>
+                  fileIssues.map((issue, index) => (
+                    <li key={`${filename}-suppressed-${index}`}>
+                      <span className="font-medium">{filename}:{issue.line}</span>
+                      {` • ${issue.severity} • ${issue.summary || issue.issue} • `}
+                      <span className="italic">{issue.suppression?.status}: {issue.suppression?.reason}</span>
+                    </li>
+                  ))
+                )}
+              </ul>
+            </details>
+          )}
+
+          {isLoading && (
+            <p className="text-xs text-gray-500">Findings appear here as each section is analyzed...</p>
+          )}
+
+          {!isLoading && Object.keys(results.files || {}).length === 0 && (
             <div className="text-center py-8 text-gray-500">
               <span className="text-4xl mb-4 block">✅</span>
               <p className="text-lg font-medium">No issues found!</p>
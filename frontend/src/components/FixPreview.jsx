@@ -0,0 +1,35 @@
+import React from 'react'
+
+// Side-by-side before/after view of a fix patch's hunks
+function FixPreview({ fix, onClose }) {
+  return (
+    <div className="rounded-md border border-gray-200">
+      <div className="flex justify-between items-center px-3 py-2 bg-gray-50 border-b border-gray-200">
+        <span className="text-sm font-medium text-gray-900">Suggested fix for {fix.file}</span>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+      </div>
+      {fix.hunks.map(hunk => {
+        const kept = new Set(hunk.after)
+        const original = new Set(hunk.before)
+        return (
+          <div key={`${hunk.oldStart}-${hunk.newStart}`} className="grid grid-cols-2 text-xs font-mono border-b border-gray-100 last:border-b-0">
+            <div className="overflow-x-auto border-r border-gray-200">
+              <div className="px-2 py-1 text-gray-500 bg-gray-50">Before (line {hunk.oldStart})</div>
+              {hunk.before.map((line, index) => (
+                <pre key={index} className={`px-2 whitespace-pre ${kept.has(line) ? '' : 'bg-red-50 text-red-800'}`}>{line || ' '}</pre>
+              ))}
+            </div>
+            <div className="overflow-x-auto">
+              <div className="px-2 py-1 text-gray-500 bg-gray-50">After (line {hunk.newStart})</div>
+              {hunk.after.map((line, index) => (
+                <pre key={index} className={`px-2 whitespace-pre ${original.has(line) ? '' : 'bg-green-50 text-green-800'}`}>{line || ' '}</pre>
+              ))}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default FixPreview
@@ -15,6 +15,18 @@ export default defineConfig({
         target: 'http://localhost:3000',
         changeOrigin: true
       },
+      '/jobs': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
+      },
+      '/analyses': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
+      },
+      '/suppressions': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
+      },
       '/report': {
         target: 'http://localhost:3000',
         changeOrigin: true
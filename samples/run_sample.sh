@@ -5,6 +5,15 @@ echo "🚀 Autonalyst Sample Run"
 echo "========================"
 echo ""
 
+# Analyses and jobs belong to the client that started them: send an API key
+# when one is set, otherwise keep the session cookie between requests
+COOKIES=$(mktemp)
+trap 'rm -f "$COOKIES"' EXIT
+CLIENT=(-c "$COOKIES" -b "$COOKIES")
+if [ -n "$AUTONALYST_API_KEY" ]; then
+    CLIENT=(-H "X-API-Key: $AUTONALYST_API_KEY")
+fi
+
 # Check if backend is running
 echo "1. Checking backend health..."
 curl -s http://localhost:3000/health > /dev/null
@@ -19,13 +28,23 @@ echo ""
 
 # Test code analysis
 echo "2. Testing code analysis with sample files..."
-curl -X POST http://localhost:3000/analyze/code \
+JOB_ID=$(curl -s "${CLIENT[@]}" -X POST http://localhost:3000/analyze/code \
     -F "files=@samples/vulnerable_app.js" \
     -F "files=@samples/user_auth.py" \
     -H "Content-Type: multipart/form-data" \
-    | jq '.' > sample_code_results.json
+    | jq -r '.jobId')
 
-if [ $? -eq 0 ]; then
+# Poll the job until it finishes
+STATUS="running"
+while [ "$STATUS" = "running" ] || [ "$STATUS" = "queued" ]; do
+    sleep 1
+    STATUS=$(curl -s "${CLIENT[@]}" http://localhost:3000/jobs/$JOB_ID | jq -r '.status')
+    echo "   Job $JOB_ID: $STATUS ($(curl -s "${CLIENT[@]}" http://localhost:3000/jobs/$JOB_ID | jq -r '.percent')%)"
+done
+
+curl -s "${CLIENT[@]}" http://localhost:3000/jobs/$JOB_ID | jq '.results' > sample_code_results.json
+
+if [ "$STATUS" = "completed" ]; then
     echo "✅ Code analysis completed - results saved to sample_code_results.json"
 
     # Show summary
@@ -39,7 +58,7 @@ echo ""
 
 # Test link analysis  
 echo "3. Testing link analysis with sample URLs..."
-curl -X POST http://localhost:3000/analyze/link \
+curl "${CLIENT[@]}" -X POST http://localhost:3000/analyze/link \
     -H "Content-Type: application/json" \
     -d '{"urls": ["https://google.com", "https://github.com", "https://expired.badssl.com", "https://wrong.host.badssl.com"]}' \
     | jq '.' > sample_link_results.json
@@ -58,7 +77,7 @@ echo ""
 
 # Get combined report
 echo "4. Generating combined report..."
-curl -s http://localhost:3000/report | jq '.' > sample_combined_report.json
+curl -s "${CLIENT[@]}" http://localhost:3000/report | jq '.' > sample_combined_report.json
 
 if [ $? -eq 0 ]; then
     echo "✅ Combined report generated - saved to sample_combined_report.json"